@@ -2,13 +2,26 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Credentials of the per-strategy routes (see src/auth.js)
+const API_KEY = process.env.MOCK_API_KEY || 'test-api-key';
+const BASIC_USER = process.env.MOCK_BASIC_USER || 'test-user';
+const BASIC_PASSWORD = process.env.MOCK_BASIC_PASSWORD || 'test-password';
+const OAUTH_CLIENT_ID = process.env.MOCK_OAUTH_CLIENT_ID || 'test-client';
+const OAUTH_CLIENT_SECRET = process.env.MOCK_OAUTH_CLIENT_SECRET || 'test-secret';
+const OAUTH_EXPIRES_IN = Number(process.env.MOCK_OAUTH_EXPIRES_IN || 3600);
+
+// Issued OAuth2 access tokens → expiry time (ms)
+const oauthTokens = new Map();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
 
 // Load mock data
 const loadMockData = () => {
@@ -49,6 +62,41 @@ const authenticateToken = (req, res, next) => {
   next();
 };
 
+// user:password of a Basic Authorization header, or null
+const basicCredentials = (header) => {
+  if (!header || !header.startsWith('Basic ')) {
+    return null;
+  }
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator === -1 ? null : [decoded.slice(0, separator), decoded.slice(separator + 1)];
+};
+
+const authenticateApiKey = (req, res, next) => {
+  if ((req.get('X-API-Key') || req.query.api_key) !== API_KEY) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  next();
+};
+
+const authenticateBasic = (req, res, next) => {
+  const [user, password] = basicCredentials(req.headers.authorization) || [];
+  if (user !== BASIC_USER || password !== BASIC_PASSWORD) {
+    return res.status(401).set('WWW-Authenticate', 'Basic realm="mock-api"').json({ error: 'Invalid username or password' });
+  }
+  next();
+};
+
+const authenticateOAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const expiresAt = authHeader?.startsWith('Bearer ') ? oauthTokens.get(authHeader.slice(7)) : undefined;
+  if (!expiresAt || expiresAt <= Date.now()) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"')
+      .json({ error: expiresAt ? 'Access token expired' : 'Invalid access token' });
+  }
+  next();
+};
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -58,15 +106,49 @@ app.get('/health', (req, res) => {
   });
 });
 
+// OAuth2 client-credentials grant; client authentication by Basic header or form fields
+app.post('/oauth2/token', (req, res) => {
+  const [clientId, clientSecret] = (basicCredentials(req.headers.authorization) || [req.body.client_id, req.body.client_secret])
+    .map(value => value && decodeURIComponent(value));
+
+  res.set('Cache-Control', 'no-store');
+
+  if (req.body.grant_type !== 'client_credentials') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  if (clientId !== OAUTH_CLIENT_ID || clientSecret !== OAUTH_CLIENT_SECRET) {
+    return res.status(401).set('WWW-Authenticate', 'Basic realm="mock-oauth"').json({ error: 'invalid_client' });
+  }
+
+  const accessToken = `mock-oauth-${crypto.randomBytes(12).toString('hex')}`;
+  oauthTokens.set(accessToken, Date.now() + OAUTH_EXPIRES_IN * 1000);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: OAUTH_EXPIRES_IN,
+    ...(req.body.scope && { scope: req.body.scope })
+  });
+});
+
 // Protected API endpoints
 app.use('/api/*', authenticateToken);
 
-// Account specifications endpoint
-app.get('/api/account-specs', (req, res) => {
+// Account specifications endpoint, also behind each of the other auth strategies
+const serveAccountSpecs = (req, res) => {
   console.log(`[${new Date().toISOString()}] Serving account specifications`);
 
   const mockData = loadMockData();
 
+  // Validators cover the data only, not the per-request metadata; express answers 304 when the request is fresh
+  res.set('ETag', `"${crypto.createHash('sha1').update(JSON.stringify(mockData)).digest('hex')}"`);
+  res.set('Last-Modified', fs.statSync(path.join(__dirname, 'data', 'account-specs.json')).mtime.toUTCString());
+  if (req.fresh) {
+    console.log('Not modified (304)');
+    return res.status(304).end();
+  }
+
   // Add response metadata
   const response = {
     ...mockData,
@@ -78,7 +160,12 @@ app.get('/api/account-specs', (req, res) => {
   };
 
   res.json(response);
-});
+};
+
+app.get('/api/account-specs', serveAccountSpecs);
+app.get('/api-key/account-specs', authenticateApiKey, serveAccountSpecs);
+app.get('/basic/account-specs', authenticateBasic, serveAccountSpecs);
+app.get('/oauth2/account-specs', authenticateOAuth, serveAccountSpecs);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -95,7 +182,11 @@ app.use('*', (req, res) => {
     error: `Endpoint not found: ${req.method} ${req.originalUrl}`,
     availableEndpoints: [
       'GET /health',
-      'GET /api/account-specs (requires auth)'
+      'GET /api/account-specs (requires auth)',
+      'GET /api-key/account-specs (X-API-Key header or api_key query parameter)',
+      'GET /basic/account-specs (Basic auth)',
+      'POST /oauth2/token (client credentials)',
+      'GET /oauth2/account-specs (OAuth2 access token)'
     ]
   });
 });
@@ -0,0 +1,277 @@
+const http = require('http');
+const path = require('path');
+
+/**
+ * Cloudflare stand-in for offline deploys and end-to-end tests:
+ *
+ * - API emulator under /client/v4: Workers KV values (multipart or raw PUT, GET, DELETE), bulk writes,
+ *   key listing, key metadata and zone cache purges, with Bearer token checks and Cloudflare-shaped errors
+ * - Edge under /cdn/<cdnDomain>/<path>: serves a namespace the way the CDN does. The namespace of a domain
+ *   comes from cloudflare/config.json; paths resolve through release.json when a release is live, and
+ *   precompressed .br/.gz variants are served per Accept-Encoding with the stored metadata as headers
+ *
+ * Point the deployer at it with CLOUDFLARE_API_BASE_URL=http://localhost:3001/client/v4 and
+ * CDN_BASE_URL=http://localhost:3001/cdn (see mock-server.js).
+ */
+
+const DEFAULT_API_TOKEN = 'test-cloudflare-token';
+
+// Cloudflare purge-by-URL limit on non-Enterprise plans
+const PURGE_MAX_FILES = 30;
+const LIST_MAX_LIMIT = 1000;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const success = (res, result, extra = {}) => sendJson(res, 200, { success: true, errors: [], messages: [], result, ...extra });
+const failure = (res, status, code, message) => sendJson(res, status, { success: false, errors: [{ code, message }], messages: [], result: null });
+
+// Fields of a multipart/form-data body as name → Buffer
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  const fields = {};
+
+  if (!boundary) {
+    return fields;
+  }
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const name = /name="([^"]+)"/.exec(part.subarray(0, headerEnd).toString('utf8'))?.[1];
+    if (name) {
+      fields[name] = part.subarray(headerEnd + 4);
+    }
+    start = next;
+  }
+
+  return fields;
+}
+
+// Best encoding the client accepts among the stored variants
+function negotiate(acceptEncoding = '', variants) {
+  const accepted = acceptEncoding.split(',').map(value => value.trim().split(';')[0]);
+  return [['br', '.br'], ['gzip', '.gz']].find(([encoding, extension]) => accepted.includes(encoding) && variants.has(extension));
+}
+
+/**
+ * Create the emulator
+ * @param {Object} [options]
+ * @param {string} [options.apiToken] - Accepted API token (default MOCK_CLOUDFLARE_API_TOKEN or test-cloudflare-token)
+ * @param {string} [options.accountId] - When set, other account IDs are refused with 403
+ * @param {string} [options.zoneId] - When set, other zone IDs are refused with 403
+ * @param {Object} [options.domains] - cdnDomain → namespaceId for the edge (default: from cloudflare/config.json)
+ * @returns {Object} { handle(req, res) → boolean, namespaces, purges }
+ */
+function createCloudflareEmulator(options = {}) {
+  const apiToken = options.apiToken || process.env.MOCK_CLOUDFLARE_API_TOKEN || DEFAULT_API_TOKEN;
+  const namespaces = new Map();
+  const purges = [];
+
+  const domains = options.domains || (() => {
+    const environments = require(path.join(__dirname, 'cloudflare', 'config.json'));
+    return Object.fromEntries(Object.values(environments)
+      .filter(environment => environment.cdnDomain && environment.namespaceId)
+      .map(environment => [environment.cdnDomain, environment.namespaceId]));
+  })();
+
+  const namespace = (id) => {
+    if (!namespaces.has(id)) {
+      namespaces.set(id, new Map());
+    }
+    return namespaces.get(id);
+  };
+
+  function handleKV(req, res, body, accountId, namespaceId, rest) {
+    if (options.accountId && accountId !== options.accountId) {
+      return failure(res, 403, 10000, 'Authentication error');
+    }
+
+    const store = namespace(namespaceId);
+    const [resource, ...extra] = rest;
+    const key = extra.length === 1 ? decodeURIComponent(extra[0]) : null;
+    const url = new URL(req.url, 'http://localhost');
+
+    if (resource === 'values' && key !== null) {
+      if (req.method === 'PUT') {
+        const multipart = (req.headers['content-type'] || '').startsWith('multipart/form-data');
+        const fields = multipart ? parseMultipart(body, req.headers['content-type']) : { value: body };
+        if (!fields.value) {
+          return failure(res, 400, 10001, 'Missing value');
+        }
+        store.set(key, { value: fields.value, metadata: fields.metadata ? JSON.parse(fields.metadata.toString('utf8')) : null });
+        return success(res, null);
+      }
+
+      if (req.method === 'GET') {
+        if (!store.has(key)) {
+          return failure(res, 404, 10009, 'get: \'key not found\'');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        return res.end(store.get(key).value);
+      }
+
+      if (req.method === 'DELETE') {
+        store.delete(key);
+        return success(res, null);
+      }
+    }
+
+    if (resource === 'metadata' && key !== null && req.method === 'GET') {
+      return store.has(key) ? success(res, store.get(key).metadata) : failure(res, 404, 10009, 'get: \'key not found\'');
+    }
+
+    if (resource === 'bulk' && extra.length === 0 && req.method === 'PUT') {
+      let entries;
+      try {
+        entries = JSON.parse(body.toString('utf8'));
+      } catch (error) {
+        return failure(res, 400, 10002, 'Invalid JSON body');
+      }
+      for (const entry of entries) {
+        store.set(entry.key, {
+          value: Buffer.from(entry.value, entry.base64 ? 'base64' : 'utf8'),
+          metadata: entry.metadata || null
+        });
+      }
+      return success(res, { successful_key_count: entries.length, unsuccessful_keys: [] });
+    }
+
+    if (resource === 'keys' && extra.length === 0 && req.method === 'GET') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const limit = Math.min(Number(url.searchParams.get('limit') || LIST_MAX_LIMIT), LIST_MAX_LIMIT);
+      const after = url.searchParams.get('cursor') ? Buffer.from(url.searchParams.get('cursor'), 'base64').toString('utf8') : '';
+      const keys = [...store.keys()].filter(name => name.startsWith(prefix) && name > after).sort();
+      const page = keys.slice(0, limit);
+      const cursor = keys.length > page.length ? Buffer.from(page[page.length - 1]).toString('base64') : '';
+
+      return success(res, page.map(name => ({ name, ...(store.get(name).metadata && { metadata: store.get(name).metadata }) })),
+        { result_info: { count: page.length, cursor } });
+    }
+
+    return failure(res, 405, 10405, `${req.method} is not supported on ${url.pathname}`);
+  }
+
+  function handlePurge(req, res, body, zoneId) {
+    if (options.zoneId && zoneId !== options.zoneId) {
+      return failure(res, 403, 10000, 'Authentication error');
+    }
+
+    const files = JSON.parse(body.toString('utf8') || '{}').files || [];
+    if (files.length > PURGE_MAX_FILES) {
+      return failure(res, 400, 1204, `You may purge up to ${PURGE_MAX_FILES} files at a time`);
+    }
+
+    const id = `purge-${purges.length + 1}`;
+    purges.push({ id, zoneId, files });
+    return success(res, { id });
+  }
+
+  function handleApi(req, res, body) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ') || header.slice(7) !== apiToken) {
+      return failure(res, 401, 10000, 'Authentication error');
+    }
+
+    const parts = new URL(req.url, 'http://localhost').pathname.split('/').slice(3);
+
+    if (parts[0] === 'accounts' && parts[2] === 'storage' && parts[3] === 'kv' && parts[4] === 'namespaces') {
+      return handleKV(req, res, body, parts[1], parts[5], parts.slice(6));
+    }
+
+    if (parts[0] === 'zones' && parts[2] === 'purge_cache' && parts.length === 3 && req.method === 'POST') {
+      return handlePurge(req, res, body, parts[1]);
+    }
+
+    return failure(res, 404, 7003, 'Could not route to the requested resource');
+  }
+
+  function handleEdge(req, res) {
+    const [domain, ...rest] = new URL(req.url, 'http://localhost').pathname.split('/').slice(2).map(decodeURIComponent);
+    const store = namespaces.get(domains[domain]);
+    const fileName = rest.join('/');
+
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      res.writeHead(405);
+      return res.end();
+    }
+
+    // Published names resolve through the live release; anything else is served by key
+    const release = store?.get('release.json') ? JSON.parse(store.get('release.json').value.toString('utf8')) : null;
+    const entry = release?.files?.[fileName];
+    const key = entry ? entry.key : fileName;
+    const stored = store?.get(key);
+
+    if (!stored) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    const extensions = new Set(['.br', '.gz'].filter(extension => store.has(`${key}${extension}`)));
+    const [encoding, extension] = negotiate(req.headers['accept-encoding'], extensions) || [];
+    const served = encoding ? store.get(`${key}${extension}`) : stored;
+    const metadata = stored.metadata || {};
+
+    res.writeHead(200, {
+      'Content-Type': metadata.contentType || 'application/octet-stream',
+      ...(metadata.cacheControl && { 'Cache-Control': metadata.cacheControl }),
+      ...(encoding && { 'Content-Encoding': encoding }),
+      ...(extensions.size > 0 && { 'Vary': 'Accept-Encoding' }),
+      'Content-Length': served.value.length
+    });
+    return res.end(req.method === 'GET' ? served.value : undefined);
+  }
+
+  /**
+   * Handle a request if it belongs to the emulator
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {boolean} True when the request was handled
+   */
+  function handle(req, res) {
+    if (req.url.startsWith('/cdn/')) {
+      handleEdge(req, res);
+      return true;
+    }
+
+    if (!req.url.startsWith('/client/v4/')) {
+      return false;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handleApi(req, res, Buffer.concat(chunks)));
+    return true;
+  }
+
+  return { handle, namespaces, purges };
+}
+
+/**
+ * Create (but do not start) a server that only runs the emulator
+ * @param {Object} [options] - See createCloudflareEmulator
+ * @returns {http.Server} Server with the emulator as `emulator`
+ */
+function createMockCloudflareServer(options) {
+  const emulator = createCloudflareEmulator(options);
+  const server = http.createServer((req, res) => {
+    if (!emulator.handle(req, res)) {
+      failure(res, 404, 7003, 'Could not route to the requested resource');
+    }
+  });
+
+  server.emulator = emulator;
+  return server;
+}
+
+module.exports = { createCloudflareEmulator, createMockCloudflareServer };
@@ -0,0 +1,173 @@
+const http = require('http');
+const crypto = require('crypto');
+const { signRequest } = require('./src/s3-storage');
+
+/**
+ * MinIO-style S3 stand-in for local runs and tests of the s3 storage backend.
+ * Path-style requests only (/<bucket>/<key>), every request must carry a valid Signature Version 4.
+ * Supports PUT/GET/HEAD/DELETE of objects, PUT of buckets and ListObjectsV2.
+ */
+
+const PORT = Number(process.env.MOCK_S3_PORT || 9000);
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function sendError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+}
+
+// Recompute the request signature from the headers it claims to have signed
+function verifySignature(req, body, credentials) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(req.headers.authorization || '');
+
+  if (!match) {
+    return 'Missing or malformed Authorization header';
+  }
+
+  const [, accessKeyId, , region, service, signedHeaders, signature] = match;
+  if (accessKeyId !== credentials.accessKeyId) {
+    return 'The access key ID you provided does not exist in our records';
+  }
+
+  const payloadHash = req.headers['x-amz-content-sha256'];
+  if (!payloadHash || (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== sha256(body))) {
+    return 'The provided x-amz-content-sha256 header does not match what was computed';
+  }
+
+  const amzDate = req.headers['x-amz-date'] || '';
+  const date = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  const headers = Object.fromEntries(signedHeaders.split(';')
+    .filter(name => !['host', 'x-amz-date'].includes(name))
+    .map(name => [name, req.headers[name] || '']));
+
+  const expected = signRequest({ method: req.method, url: `http://${req.headers.host}${req.url}`, headers, body },
+    credentials, { region, service }, date);
+
+  return expected.Authorization.endsWith(`Signature=${signature}`) && expected.Authorization.includes(`SignedHeaders=${signedHeaders},`)
+    ? null
+    : 'The request signature we calculated does not match the signature you provided';
+}
+
+function listObjectsV2(res, bucketName, objects, params) {
+  const prefix = params.get('prefix') || '';
+  const maxKeys = Number(params.get('max-keys') || 1000);
+  const after = params.get('continuation-token') ? Buffer.from(params.get('continuation-token'), 'base64').toString('utf8') : '';
+
+  const keys = [...objects.keys()].filter(key => key.startsWith(prefix) && key > after).sort();
+  const page = keys.slice(0, maxKeys);
+  const truncated = keys.length > page.length;
+
+  const contents = page.map(key => {
+    const object = objects.get(key);
+    return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified}</LastModified>` +
+      `<ETag>&quot;${object.etag}&quot;</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+  }).join('');
+
+  res.writeHead(200, { 'Content-Type': 'application/xml' });
+  res.end('<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    `<Name>${escapeXml(bucketName)}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>` +
+    `<MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>` +
+    (truncated ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString('base64')}</NextContinuationToken>` : '') +
+    `${contents}</ListBucketResult>`);
+}
+
+/**
+ * Create (but do not start) an S3 stand-in server
+ * @param {Object} [options]
+ * @param {string} [options.accessKeyId] - Accepted access key (default minioadmin)
+ * @param {string} [options.secretAccessKey] - Its secret (default minioadmin)
+ * @param {Array<string>} [options.buckets] - Buckets that exist from the start
+ * @returns {http.Server} Server with a `buckets` Map of bucket name → Map of key → { body, headers, etag }
+ */
+function createMockS3Server(options = {}) {
+  const credentials = {
+    accessKeyId: options.accessKeyId || 'minioadmin',
+    secretAccessKey: options.secretAccessKey || 'minioadmin'
+  };
+  const buckets = new Map((options.buckets || []).map(name => [name, new Map()]));
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      const [bucketName, ...keyParts] = url.pathname.slice(1).split('/').map(decodeURIComponent);
+      const key = keyParts.join('/');
+
+      const problem = verifySignature(req, body, credentials);
+      if (problem) {
+        return sendError(res, 403, problem.startsWith('The access key') ? 'InvalidAccessKeyId' : 'SignatureDoesNotMatch', problem);
+      }
+
+      if (req.method === 'PUT' && bucketName && !key) {
+        buckets.set(bucketName, buckets.get(bucketName) || new Map());
+        res.writeHead(200);
+        return res.end();
+      }
+
+      const objects = buckets.get(bucketName);
+      if (!objects) {
+        return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+      }
+
+      if (!key) {
+        return req.method === 'GET' && url.searchParams.get('list-type') === '2'
+          ? listObjectsV2(res, bucketName, objects, url.searchParams)
+          : sendError(res, 501, 'NotImplemented', `${req.method} on a bucket is not supported by this stand-in`);
+      }
+
+      if (req.method === 'PUT') {
+        const headers = Object.fromEntries(Object.entries(req.headers)
+          .filter(([name]) => ['content-type', 'content-encoding', 'cache-control'].includes(name) || name.startsWith('x-amz-meta-')));
+        const etag = md5(body);
+        objects.set(key, { body, headers, etag, lastModified: new Date().toISOString() });
+        res.writeHead(200, { ETag: `"${etag}"` });
+        return res.end();
+      }
+
+      const object = objects.get(key);
+
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      if (!object) {
+        return req.method === 'HEAD'
+          ? (res.writeHead(404), res.end())
+          : sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+      }
+
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        res.writeHead(200, { ...object.headers, 'Content-Length': object.body.length, ETag: `"${object.etag}"` });
+        return res.end(req.method === 'GET' ? object.body : undefined);
+      }
+
+      sendError(res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+    });
+  });
+
+  server.buckets = buckets;
+  return server;
+}
+
+if (require.main === module) {
+  const buckets = (process.env.MOCK_S3_BUCKETS || 'cdn').split(',');
+  createMockS3Server({
+    accessKeyId: process.env.MOCK_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.MOCK_S3_SECRET_ACCESS_KEY,
+    buckets
+  }).listen(PORT, 'localhost', () => {
+    console.log(`🪣 S3 stand-in running on http://localhost:${PORT} (buckets: ${buckets.join(', ')})`);
+  });
+}
+
+module.exports = { createMockS3Server };
@@ -1,9 +1,28 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { createCloudflareEmulator } = require('./mock-cloudflare');
 
 const PORT = 3001;
 
+// Credentials of the per-strategy routes (see src/auth.js)
+const API_KEY = process.env.MOCK_API_KEY || 'test-api-key';
+const BASIC_USER = process.env.MOCK_BASIC_USER || 'test-user';
+const BASIC_PASSWORD = process.env.MOCK_BASIC_PASSWORD || 'test-password';
+const OAUTH_CLIENT_ID = process.env.MOCK_OAUTH_CLIENT_ID || 'test-client';
+const OAUTH_CLIENT_SECRET = process.env.MOCK_OAUTH_CLIENT_SECRET || 'test-secret';
+const OAUTH_EXPIRES_IN = Number(process.env.MOCK_OAUTH_EXPIRES_IN || 3600);
+
+// Issued OAuth2 access tokens → expiry time (ms)
+const oauthTokens = new Map();
+
+// Cloudflare API (/client/v4) and edge (/cdn/<cdnDomain>/...) for offline deploys
+const cloudflare = createCloudflareEmulator();
+
+// Metrics pushed by the sync, keyed by grouping path (e.g. "job/api_to_cdn_sync")
+const pushedMetrics = {};
+
 const mockData = {
   "data": [
     {
@@ -45,6 +64,94 @@ const mockData = {
   ]
 };
 
+// Validators of the account specs; the data never changes while the server runs
+const ACCOUNT_SPECS_ETAG = `"${crypto.createHash('sha1').update(JSON.stringify(mockData)).digest('hex')}"`;
+const ACCOUNT_SPECS_LAST_MODIFIED = new Date().toUTCString();
+
+// Whether If-None-Match / If-Modified-Since show the client already has the current data
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  return !Number.isNaN(ifModifiedSince) && Date.parse(lastModified) <= ifModifiedSince;
+}
+
+function sendAccountSpecs(req, res) {
+  const validators = { 'ETag': ACCOUNT_SPECS_ETAG, 'Last-Modified': ACCOUNT_SPECS_LAST_MODIFIED };
+
+  if (isNotModified(req, ACCOUNT_SPECS_ETAG, ACCOUNT_SPECS_LAST_MODIFIED)) {
+    console.log('Not modified (304)');
+    res.writeHead(304, validators);
+    res.end();
+    return;
+  }
+
+  const response = {
+    ...mockData,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      source: 'mock-api-server',
+      version: '1.0.0'
+    }
+  };
+
+  res.writeHead(200, { 'Content-Type': 'application/json', ...validators });
+  res.end(JSON.stringify(response));
+}
+
+function sendUnauthorized(res, error, headers = {}) {
+  res.writeHead(401, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ error }));
+}
+
+// user:password of a Basic Authorization header, or null
+function basicCredentials(header) {
+  if (!header || !header.startsWith('Basic ')) {
+    return null;
+  }
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator === -1 ? null : [decoded.slice(0, separator), decoded.slice(separator + 1)];
+}
+
+// OAuth2 client-credentials grant; client authentication by Basic header or form fields
+function issueOAuthToken(req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const form = new URLSearchParams(body);
+    const [clientId, clientSecret] = (basicCredentials(req.headers.authorization) || [form.get('client_id'), form.get('client_secret')])
+      .map(value => value && decodeURIComponent(value));
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (form.get('grant_type') !== 'client_credentials') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'unsupported_grant_type' }));
+      return;
+    }
+
+    if (clientId !== OAUTH_CLIENT_ID || clientSecret !== OAUTH_CLIENT_SECRET) {
+      sendUnauthorized(res, 'invalid_client', { 'WWW-Authenticate': 'Basic realm="mock-oauth"' });
+      return;
+    }
+
+    const accessToken = `mock-oauth-${crypto.randomBytes(12).toString('hex')}`;
+    oauthTokens.set(accessToken, Date.now() + OAUTH_EXPIRES_IN * 1000);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: OAUTH_EXPIRES_IN,
+      ...(form.get('scope') && { scope: form.get('scope') })
+    }));
+  });
+}
+
 const server = http.createServer((req, res) => {
   const authHeader = req.headers.authorization;
   const expectedToken = process.env.API_AUTH_TOKEN || 'test-token-123';
@@ -54,7 +161,7 @@ const server = http.createServer((req, res) => {
 
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
@@ -74,6 +181,82 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  // Pushgateway stand-in: PUT/POST /metrics/job/<job>[/<label>/<value>...], GET /metrics
+  if (req.url.startsWith('/metrics/job/')) {
+    const group = req.url.slice('/metrics/'.length);
+
+    if (req.method === 'DELETE') {
+      delete pushedMetrics[group];
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'PUT' && req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Use PUT, POST or DELETE' }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      pushedMetrics[group] = body;
+      console.log(`Metrics pushed for ${group} (${body.split('\n').filter(line => line && !line.startsWith('#')).length} samples)`);
+      res.writeHead(200);
+      res.end();
+    });
+    return;
+  }
+
+  if (req.url === '/metrics' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(Object.values(pushedMetrics).join(''));
+    return;
+  }
+
+  // Same payload behind each auth strategy: API key, Basic and OAuth2 client credentials
+  if (req.url === '/oauth2/token' && req.method === 'POST') {
+    issueOAuthToken(req, res);
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/api-key/account-specs') {
+    if ((req.headers['x-api-key'] || url.searchParams.get('api_key')) !== API_KEY) {
+      sendUnauthorized(res, 'Invalid API key');
+      return;
+    }
+    sendAccountSpecs(req, res);
+    return;
+  }
+
+  if (url.pathname === '/basic/account-specs') {
+    const [user, password] = basicCredentials(authHeader) || [];
+    if (user !== BASIC_USER || password !== BASIC_PASSWORD) {
+      sendUnauthorized(res, 'Invalid username or password', { 'WWW-Authenticate': 'Basic realm="mock-api"' });
+      return;
+    }
+    sendAccountSpecs(req, res);
+    return;
+  }
+
+  if (url.pathname === '/oauth2/account-specs') {
+    const expiresAt = authHeader?.startsWith('Bearer ') ? oauthTokens.get(authHeader.slice(7)) : undefined;
+    if (!expiresAt || expiresAt <= Date.now()) {
+      sendUnauthorized(res, expiresAt ? 'Access token expired' : 'Invalid access token', { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+      return;
+    }
+    sendAccountSpecs(req, res);
+    return;
+  }
+
+  // Cloudflare emulator checks its own API token
+  if (cloudflare.handle(req, res)) {
+    return;
+  }
+
   // Protected endpoints
   if (req.url.startsWith('/api/')) {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -99,17 +282,7 @@ const server = http.createServer((req, res) => {
 
   // Account specs endpoint
   if (req.url === '/api/account-specs') {
-    const response = {
-      ...mockData,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        source: 'mock-api-server',
-        version: '1.0.0'
-      }
-    };
-
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(response));
+    sendAccountSpecs(req, res);
     return;
   }
 
@@ -119,7 +292,19 @@ const server = http.createServer((req, res) => {
     error: `Endpoint not found: ${req.method} ${req.url}`,
     availableEndpoints: [
       'GET /health',
-      'GET /api/account-specs (requires auth)'
+      'GET /api/account-specs (requires auth)',
+      'GET /api-key/account-specs (X-API-Key header or api_key query parameter)',
+      'GET /basic/account-specs (Basic auth)',
+      'POST /oauth2/token (client credentials)',
+      'GET /oauth2/account-specs (OAuth2 access token)',
+      'PUT /metrics/job/<job>',
+      'GET /metrics',
+      'PUT|GET|DELETE /client/v4/accounts/<account>/storage/kv/namespaces/<namespace>/values/<key> (requires Cloudflare token)',
+      'PUT /client/v4/accounts/<account>/storage/kv/namespaces/<namespace>/bulk (requires Cloudflare token)',
+      'GET /client/v4/accounts/<account>/storage/kv/namespaces/<namespace>/keys (requires Cloudflare token)',
+      'GET /client/v4/accounts/<account>/storage/kv/namespaces/<namespace>/metadata/<key> (requires Cloudflare token)',
+      'POST /client/v4/zones/<zone>/purge_cache (requires Cloudflare token)',
+      'GET /cdn/<cdnDomain>/<file>'
     ]
   }));
 });
@@ -128,7 +313,12 @@ server.listen(PORT, 'localhost', () => {
   console.log(`Mock API server running on http://localhost:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`API endpoint: http://localhost:${PORT}/api/account-specs`);
+  console.log(`Pushgateway stand-in: http://localhost:${PORT}/metrics`);
+  console.log(`Cloudflare API emulator: http://localhost:${PORT}/client/v4`);
+  console.log(`CDN edge: http://localhost:${PORT}/cdn/<cdnDomain>/<file>`);
   console.log(`Expected auth token: ${process.env.API_AUTH_TOKEN || 'test-token-123'}`);
+  console.log(`Auth strategies: API key ${API_KEY}, Basic ${BASIC_USER}:${BASIC_PASSWORD}, OAuth2 client ${OAUTH_CLIENT_ID}:${OAUTH_CLIENT_SECRET}`);
+  console.log(`Expected Cloudflare token: ${process.env.MOCK_CLOUDFLARE_API_TOKEN || 'test-cloudflare-token'}`);
 });
 
 // Graceful shutdown
@@ -0,0 +1,179 @@
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { createLogger } = require('./logger');
+
+/**
+ * Authentication of source API requests.
+ *
+ * Each endpoint in src/config.json can carry an `auth` block; without one, requests use a bearer token from
+ * API_AUTH_TOKEN. Credentials are always read from the environment variables the block names:
+ *
+ *   { "type": "bearer", "tokenEnv": "API_AUTH_TOKEN" }
+ *   { "type": "apiKey", "keyEnv": "RATES_API_KEY", "header": "X-API-Key" }        (or "query": "api_key")
+ *   { "type": "basic", "usernameEnv": "LEGACY_API_USER", "passwordEnv": "LEGACY_API_PASSWORD" }
+ *   { "type": "oauth2", "tokenUrl": "https://auth.example.com/oauth/token", "clientIdEnv": "PARTNER_CLIENT_ID",
+ *     "clientSecretEnv": "PARTNER_CLIENT_SECRET", "scope": "read:specs" }
+ *
+ * OAuth2 uses the client-credentials grant. Tokens are cached per token URL, client and scope, and fetched again
+ * `refreshSeconds` (default 60) before they expire.
+ */
+
+const AUTH_TYPES = ['bearer', 'apiKey', 'basic', 'oauth2'];
+const DEFAULT_AUTH = { type: 'bearer', tokenEnv: 'API_AUTH_TOKEN' };
+const DEFAULT_API_KEY_HEADER = 'X-API-Key';
+const DEFAULT_REFRESH_SECONDS = 60;
+
+// Used when a token response has no expires_in
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+
+const log = createLogger('auth');
+
+// OAuth2 tokens by token URL, client and scope: { accessToken, expiresAt } or a pending { promise }
+const tokenCache = new Map();
+
+// Value of the environment variable a setting names
+function credential(auth, name) {
+  const variable = auth[name];
+  if (!variable) {
+    throw new Error(`Missing '${name}' in ${auth.type} auth configuration`);
+  }
+  if (!process.env[variable]) {
+    throw new Error(`${variable} environment variable is required`);
+  }
+  return process.env[variable];
+}
+
+/**
+ * Headers and query parameters that authenticate a request
+ * @param {Object} [auth] - Endpoint auth block (defaults to a bearer token from API_AUTH_TOKEN)
+ * @param {Object} [options]
+ * @param {Object} [options.retry] - Retry policy for the OAuth2 token request
+ * @returns {Promise<Object>} { headers, params }
+ */
+async function authenticate(auth = DEFAULT_AUTH, options = {}) {
+  switch (auth.type) {
+    case 'bearer':
+      return { headers: { 'Authorization': `Bearer ${credential({ tokenEnv: 'API_AUTH_TOKEN', ...auth }, 'tokenEnv')}` }, params: {} };
+
+    case 'apiKey': {
+      const key = credential(auth, 'keyEnv');
+      return auth.query
+        ? { headers: {}, params: { [auth.query]: key } }
+        : { headers: { [auth.header || DEFAULT_API_KEY_HEADER]: key }, params: {} };
+    }
+
+    case 'basic': {
+      const encoded = Buffer.from(`${credential(auth, 'usernameEnv')}:${credential(auth, 'passwordEnv')}`).toString('base64');
+      return { headers: { 'Authorization': `Basic ${encoded}` }, params: {} };
+    }
+
+    case 'oauth2':
+      return { headers: { 'Authorization': `Bearer ${await oauth2Token(auth, options)}` }, params: {} };
+
+    default:
+      throw new Error(`Unknown auth type '${auth.type}' (expected one of: ${AUTH_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Access token for the OAuth2 client-credentials grant, from the cache while it is fresh
+ * @param {Object} auth - oauth2 auth block
+ * @param {Object} [options]
+ * @param {Object} [options.retry] - Retry policy for the token request
+ * @returns {Promise<string>} Access token
+ */
+async function oauth2Token(auth, options = {}) {
+  if (!auth.tokenUrl) {
+    throw new Error("Missing 'tokenUrl' in oauth2 auth configuration");
+  }
+
+  const clientId = credential(auth, 'clientIdEnv');
+  const clientSecret = credential(auth, 'clientSecretEnv');
+  const cacheKey = tokenCacheKey(auth, clientId);
+  const refreshMs = (auth.refreshSeconds ?? DEFAULT_REFRESH_SECONDS) * 1000;
+
+  const cached = tokenCache.get(cacheKey);
+  if (cached?.promise) {
+    return cached.promise;
+  }
+  if (cached && cached.expiresAt - refreshMs > Date.now()) {
+    return cached.accessToken;
+  }
+
+  // Concurrent endpoints sharing a client wait for the same token request
+  const promise = requestToken(auth, clientId, clientSecret, options)
+    .then(token => {
+      tokenCache.set(cacheKey, token);
+      return token.accessToken;
+    })
+    .catch(error => {
+      tokenCache.delete(cacheKey);
+      throw error;
+    });
+
+  tokenCache.set(cacheKey, { promise });
+  return promise;
+}
+
+async function requestToken(auth, clientId, clientSecret, options) {
+  const body = new URLSearchParams({ grant_type: 'client_credentials' });
+  if (auth.scope) {
+    body.set('scope', auth.scope);
+  }
+  if (auth.audience) {
+    body.set('audience', auth.audience);
+  }
+
+  try {
+    const response = await withRetry(() => axios.post(auth.tokenUrl, body.toString(), {
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      timeout: 10000
+    }), options.retry, { label: `POST ${auth.tokenUrl}` });
+
+    if (!response.data?.access_token) {
+      throw new Error('token response has no access_token');
+    }
+
+    const lifetime = Number(response.data.expires_in) || DEFAULT_TOKEN_LIFETIME_SECONDS;
+    log.debug(`🔑 Fetched OAuth2 token from ${auth.tokenUrl} (expires in ${lifetime}s)`, { expires_in: lifetime });
+    return { accessToken: response.data.access_token, expiresAt: Date.now() + lifetime * 1000 };
+
+  } catch (error) {
+    const reason = error.response
+      ? `${error.response.status} ${error.response.data?.error_description || error.response.data?.error || ''}`.trim()
+      : error.message;
+    throw new Error(`OAuth2 token request to ${auth.tokenUrl} failed: ${reason}`);
+  }
+}
+
+function tokenCacheKey(auth, clientId) {
+  return [auth.tokenUrl, clientId, auth.scope || '', auth.audience || ''].join('\n');
+}
+
+/**
+ * Drop cached OAuth2 tokens, e.g. after the API rejected one
+ * @param {Object} [auth] - Only the token of this oauth2 auth block (default: all tokens)
+ */
+function clearTokenCache(auth) {
+  if (!auth) {
+    tokenCache.clear();
+    return;
+  }
+
+  const clientId = process.env[auth.clientIdEnv];
+  if (clientId) {
+    tokenCache.delete(tokenCacheKey(auth, clientId));
+  }
+}
+
+module.exports = {
+  AUTH_TYPES,
+  DEFAULT_AUTH,
+  authenticate,
+  oauth2Token,
+  clearTokenCache
+};
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { main, getExitCode } = require('./main');
+const { deployOutputFiles, deploymentStatus, diffLiveData, validateConfig } = require('./deploy');
+const { DIFF_FORMATS, formatDiff } = require('./differ');
+const { readRunReport } = require('./report');
+const { formatPrometheus } = require('./metrics');
+const { resolveOutputDir } = require('./manifest');
+const { loadSyncConfig } = require('./configuration');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const FLAGS = {
+  'json': { type: 'boolean', description: 'Print the result as JSON on stdout (logs go to stderr)' },
+  'dry-run': { type: 'boolean', description: 'Do everything except write files or upload' },
+  'force': { type: 'boolean', description: 'Deploy files even if unchanged' },
+  'mode': { type: 'string', description: 'Output mode: pretty or minified' },
+  'output-dir': { type: 'string', description: 'Generated files directory (default: SYNC_OUTPUT_DIR or src/output)' },
+  'format': { type: 'string', choices: DIFF_FORMATS, description: `Diff output: ${DIFF_FORMATS.join(', ')}` },
+  'env': { type: 'string', description: 'Environment to work on (sync default: SYNC_ENVIRONMENT; other commands: development)' },
+  'use-last-known-good': { type: 'boolean', description: 'Republish the last valid snapshot of endpoints whose fetch or validation fails' },
+  'source': { type: 'string', choices: ['cdn', 'kv'], description: 'Where diff reads live data: cdn (public URL) or kv' },
+  'help': { type: 'boolean', short: 'h', description: 'Show usage' }
+};
+
+// Each command returns { result, exitCode }; result is what --json prints
+const COMMANDS = {
+  sync: {
+    usage: 'sync [endpoint...]',
+    description: 'Fetch, validate and generate files for all or the named endpoints',
+    endpointArgs: true,
+    flags: ['dry-run', 'mode', 'output-dir', 'env', 'use-last-known-good'],
+    async run(args, flags) {
+      const summary = await main({
+        environment: flags.env,
+        endpoints: args,
+        outputDir: flags['output-dir'],
+        outputMode: flags.mode || process.env.SYNC_OUTPUT_MODE,
+        dryRun: flags['dry-run'],
+        useLastKnownGood: flags['use-last-known-good']
+      });
+      const policy = process.env.SYNC_FAILURE_POLICY || loadSyncConfig(flags.env).failurePolicy || 'any';
+      return { result: summary, exitCode: getExitCode(summary, policy) };
+    }
+  },
+
+  deploy: {
+    usage: 'deploy',
+    description: 'Upload changed files to the CDN',
+    flags: ['dry-run', 'force', 'output-dir', 'env'],
+    async run(args, flags) {
+      const results = await deployOutputFiles(flags.env || 'development', {
+        outputDir: flags['output-dir'],
+        force: flags.force,
+        dryRun: flags['dry-run']
+      });
+      return { result: results, exitCode: results.success ? EXIT_OK : EXIT_FAILURE };
+    }
+  },
+
+  diff: {
+    usage: 'diff [endpoint...]',
+    description: 'Compare freshly fetched data with what is live, record by record',
+    endpointArgs: true,
+    flags: ['format', 'source', 'env'],
+    async run(args, flags) {
+      const result = await diffLiveData(flags.env || 'development', { endpoints: args, source: flags.source });
+      return { result, exitCode: result.reports.some(report => report.error) ? EXIT_FAILURE : EXIT_OK };
+    }
+  },
+
+  validate: {
+    usage: 'validate',
+    description: 'Check sync and deployment configuration and credentials',
+    flags: ['env'],
+    async run(args, flags) {
+      const validation = validateConfig(flags.env || 'development');
+      return { result: validation, exitCode: validation.valid ? EXIT_OK : EXIT_FAILURE };
+    }
+  },
+
+  metrics: {
+    usage: 'metrics',
+    description: 'Print the last run report in Prometheus text format',
+    flags: ['output-dir'],
+    async run(args, flags) {
+      const outputDir = resolveOutputDir(flags['output-dir']);
+      const report = readRunReport(outputDir);
+      if (!report) {
+        throw new Error(`No run report in ${outputDir} (run sync first)`);
+      }
+      return { result: report, exitCode: EXIT_OK };
+    }
+  },
+
+  status: {
+    usage: 'status',
+    description: 'List generated files with their sync and deploy state',
+    flags: ['output-dir', 'env'],
+    async run(args, flags) {
+      const status = await deploymentStatus(flags.env || 'development', { outputDir: flags['output-dir'] });
+      return { result: status, exitCode: EXIT_OK };
+    }
+  }
+};
+
+/**
+ * Usage text for the CLI
+ * @returns {string} Usage
+ */
+function usage() {
+  const lines = ['Usage: api-to-cdn-sync <command> [options]', '', 'Commands:'];
+
+  for (const command of Object.values(COMMANDS)) {
+    lines.push(`  ${command.usage.padEnd(24)} ${command.description}`);
+  }
+
+  lines.push('', 'Options:');
+  for (const [name, flag] of Object.entries(FLAGS)) {
+    const label = `--${name}${flag.type === 'string' ? ' <value>' : ''}`;
+    lines.push(`  ${label.padEnd(24)} ${flag.description}`);
+  }
+
+  lines.push('', 'Exit codes: 0 success, 1 failure, 2 usage error');
+  return lines.join('\n');
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without the node binary and script
+ * @returns {Object} { command, args, flags }
+ */
+function parseCommandLine(argv) {
+  const options = Object.fromEntries(Object.entries(FLAGS).map(([name, { type, short }]) =>
+    [name, short ? { type, short } : { type }]));
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+  const [command, ...args] = positionals;
+
+  for (const [name, value] of Object.entries(values)) {
+    if (FLAGS[name].choices && !FLAGS[name].choices.includes(value)) {
+      throw new Error(`Invalid --${name} '${value}' (expected one of: ${FLAGS[name].choices.join(', ')})`);
+    }
+  }
+
+  if (values.help || !command) {
+    return { command: null, args, flags: values };
+  }
+
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command '${command}' (expected one of: ${Object.keys(COMMANDS).join(', ')})`);
+  }
+
+  const allowed = ['json', 'help', ...COMMANDS[command].flags];
+  const unsupported = Object.keys(values).filter(flag => !allowed.includes(flag));
+  if (unsupported.length > 0) {
+    throw new Error(`Option --${unsupported[0]} is not supported by '${command}'`);
+  }
+
+  if (args.length > 0 && !COMMANDS[command].endpointArgs) {
+    throw new Error(`'${command}' takes no arguments (pass the environment with --env)`);
+  }
+
+  return { command, args, flags: values };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without the node binary and script
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${usage()}`);
+    return EXIT_USAGE;
+  }
+
+  if (!parsed.command) {
+    console.log(usage());
+    return parsed.flags.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const { command, args, flags } = parsed;
+
+  // Keep stdout clean for JSON and Markdown documents; logs stay on stderr for the rest of the process
+  if (flags.json || ['json', 'markdown'].includes(flags.format)) {
+    process.env.LOG_STREAM = 'stderr';
+  }
+
+  try {
+    const { result, exitCode } = await COMMANDS[command].run(args, flags);
+
+    if (flags.json) {
+      process.stdout.write(`${JSON.stringify({ command, exitCode, ...result }, null, 2)}\n`);
+    } else {
+      printResult(command, result, flags);
+    }
+
+    return exitCode;
+  } catch (error) {
+    if (flags.json) {
+      process.stdout.write(`${JSON.stringify({ command, exitCode: EXIT_FAILURE, success: false, error: error.message }, null, 2)}\n`);
+    } else {
+      console.error(`❌ ${command} failed: ${error.message}`);
+    }
+    return EXIT_FAILURE;
+  }
+}
+
+// Human readable output for commands whose modules do not print their own summary
+function printResult(command, result, flags) {
+  if (command === 'deploy' && !result.dryRun && result.total !== undefined) {
+    console.log(`\n📊 Deployed ${result.successful}/${result.total} files${result.release ? ` (release ${result.release.id}: ${result.release.status})` : ''}`);
+    for (const file of result.results.filter(r => !r.success)) {
+      console.log(`  ❌ ${file.fileName}: ${file.error}`);
+    }
+  }
+
+  if (command === 'diff') {
+    process.stdout.write(`${formatDiff(result, flags.format)}\n`);
+  }
+
+  if (command === 'metrics') {
+    process.stdout.write(formatPrometheus(result));
+  }
+
+  if (command === 'deploy' && result.dryRun) {
+    const { changes } = result;
+    if (changes) {
+      for (const [label, icon] of [['new', '🆕'], ['updated', '🔄'], ['unchanged', '✅']]) {
+        changes[label].forEach(fileName => console.log(`  ${icon} ${label.padEnd(9)} ${fileName}`));
+      }
+    }
+  }
+
+  if (command === 'status') {
+    console.log(`📁 ${result.outputDir} → ${result.environment} (${result.stateStore})`);
+    if (result.files.length === 0) {
+      console.log('⚠️ No generated files found');
+    }
+    for (const file of result.files) {
+      const icon = { deployed: '✅', new: '🆕', updated: '🔄' }[file.status];
+      const deployed = file.deployedAt ? `deployed ${file.deployedAt}` : 'never deployed';
+      console.log(`  ${icon} ${file.fileName.padEnd(36)} ${file.status.padEnd(9)} generated ${file.generatedAt || '-'}, ${deployed}`);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run(process.argv.slice(2)).then(exitCode => process.exit(exitCode));
+}
+
+module.exports = { EXIT_OK, EXIT_FAILURE, EXIT_USAGE, run, parseCommandLine, usage };
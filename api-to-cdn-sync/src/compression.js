@@ -0,0 +1,81 @@
+const zlib = require('zlib');
+
+// Precompressed variants are stored next to the original as <key>.gz / <key>.br
+const ENCODINGS = {
+  gzip: {
+    extension: '.gz',
+    contentEncoding: 'gzip',
+    compress: (buffer) => zlib.gzipSync(buffer, { level: zlib.constants.Z_BEST_COMPRESSION })
+  },
+  brotli: {
+    extension: '.br',
+    contentEncoding: 'br',
+    compress: (buffer) => zlib.brotliCompressSync(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+      }
+    })
+  }
+};
+
+/**
+ * Normalize the `compression` setting to a list of encodings
+ * @param {string|Array|boolean} [setting] - 'gzip', 'brotli', a list of both, or 'none'/false
+ * @returns {Array<string>} Encodings to precompute
+ */
+function resolveEncodings(setting) {
+  if (!setting || setting === 'none') {
+    return [];
+  }
+
+  const encodings = Array.isArray(setting) ? setting : [setting];
+  for (const encoding of encodings) {
+    if (!ENCODINGS[encoding]) {
+      throw new Error(`Unknown compression '${encoding}' (expected one of: ${Object.keys(ENCODINGS).join(', ')}, none)`);
+    }
+  }
+
+  return encodings;
+}
+
+/**
+ * Precompute compressed variants of a file
+ * @param {string|Buffer} content - File content
+ * @param {Array<string>} encodings - Encodings from resolveEncodings
+ * @returns {Array<Object>} Variants as { encoding, extension, content }
+ */
+function compressContent(content, encodings) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+
+  return encodings.map(encoding => ({
+    encoding,
+    extension: ENCODINGS[encoding].extension,
+    content: ENCODINGS[encoding].compress(buffer)
+  }));
+}
+
+/**
+ * Identify a precompressed variant by its key
+ * @param {string} key - KV key, e.g. account-specifications.js.br
+ * @returns {Object|null} { contentEncoding, originalKey }, or null for keys that are not variants
+ */
+function parseVariantKey(key) {
+  const encoding = Object.values(ENCODINGS).find(({ extension }) => key.endsWith(extension));
+
+  return encoding
+    ? { contentEncoding: encoding.contentEncoding, originalKey: key.slice(0, -encoding.extension.length) }
+    : null;
+}
+
+/**
+ * Every key a precompressed variant of a file may be stored under, whatever compression is configured now
+ * @param {string} key - KV key of the original
+ * @returns {Array<string>} Variant keys, e.g. account-specifications.js.gz
+ */
+function variantKeys(key) {
+  return Object.values(ENCODINGS).map(({ extension }) => `${key}${extension}`);
+}
+
+module.exports = { resolveEncodings, compressContent, parseVariantKey, variantKeys };
@@ -0,0 +1,26 @@
+/**
+ * Map items through an async iterator with at most `limit` calls in flight.
+ * Results keep the order of the input array.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent iterator calls
+ * @param {Function} iterator - Async function called with (item, index)
+ * @returns {Promise<Array>} Iterator results in input order
+ */
+async function mapWithConcurrency(items, limit, iterator) {
+  const results = new Array(items.length);
+  const workerCount = Math.min(Math.max(1, Math.floor(limit) || 1), items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await iterator(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSchema, loadSchema, formatErrors, childPath } = require('./validator');
+
+/**
+ * The configuration of one environment as a single validated model, { environment, sync, deploy }:
+ *
+ *   sync   - src/config.json: API, endpoints, output and run settings
+ *   deploy - the environment's block of cloudflare/config.json, with the shared `settings` merged in
+ *
+ * Either file may be YAML instead (config.yaml or config.yml next to where the JSON would be, read with js-yaml);
+ * SYNC_CONFIG_FILE and DEPLOY_CONFIG_FILE point at files elsewhere. Per-environment overlays are deep-merged over
+ * the base: `environments.<name>` in the sync file, `<name>.settings` in the deploy file. Objects merge key by
+ * key; arrays and other values replace. String values may then reference environment variables as ${NAME}, or
+ * ${NAME:-default} to fall back when NAME is unset or empty.
+ *
+ * The result is checked against schemas/config.schema.json. Problems are reported as { path, message } with paths
+ * into the model, e.g. $.sync.endpoints[0].path or $.deploy.settings.compression. Endpoint `schema` paths are
+ * relative to the sync file and come back absolute.
+ */
+
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const SYNC_CONFIG = path.join(__dirname, 'config');
+const DEPLOY_CONFIG = path.join(__dirname, '..', 'cloudflare', 'config');
+const CONFIG_SCHEMA = 'schemas/config.schema.json';
+
+const VARIABLE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Environment whose overlays apply when none is named: SYNC_ENVIRONMENT, then development
+ * @returns {string} Environment name
+ */
+function defaultEnvironment() {
+  return process.env.SYNC_ENVIRONMENT || 'development';
+}
+
+// Explicit file, then <base>.json, <base>.yaml, <base>.yml
+function findConfigFile(file, base) {
+  if (file) {
+    return path.resolve(file);
+  }
+
+  return CONFIG_EXTENSIONS.map(extension => `${base}${extension}`).find(candidate => fs.existsSync(candidate)) || `${base}.json`;
+}
+
+/**
+ * Parse a JSON or YAML configuration file. JSON goes through require, so every module shares one parsed copy.
+ * @param {string} file - Absolute path of the file
+ * @returns {*} Parsed content
+ */
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} not found`);
+  }
+
+  if (['.yaml', '.yml'].includes(path.extname(file))) {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch (error) {
+      throw new Error(`Reading ${file} needs the js-yaml package (npm install js-yaml)`);
+    }
+
+    try {
+      // JSON schema: no custom tags, and only true/false are booleans
+      return yaml.load(fs.readFileSync(file, 'utf8'), { schema: yaml.JSON_SCHEMA, filename: file });
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+  }
+
+  try {
+    return require(file);
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message.replace(`${file}: `, '')}`);
+  }
+}
+
+/**
+ * Deep-merge an overlay over a base: objects merge key by key, anything else replaces
+ * @param {*} base - Base value
+ * @param {*} overlay - Overlay value (undefined keeps the base)
+ * @returns {*} Merged copy
+ */
+function mergeConfig(base, overlay) {
+  if (overlay === undefined) {
+    return base;
+  }
+
+  if (!isObject(base) || !isObject(overlay)) {
+    return overlay;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overlay)) {
+    merged[key] = mergeConfig(base[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Replace ${NAME} and ${NAME:-default} in every string value
+ * @param {*} value - Configuration value
+ * @param {string} at - Path of the value, for problems
+ * @param {Array} problems - Collects { path, message } for unset variables without a default
+ * @param {Object} [env] - Variables (default: process.env)
+ * @returns {*} Interpolated copy
+ */
+function interpolate(value, at, problems, env = process.env) {
+  if (typeof value === 'string') {
+    return value.replace(VARIABLE_PATTERN, (reference, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== '') {
+        return env[name];
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      problems.push({ path: at, message: `references unset environment variable ${name}` });
+      return reference;
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolate(item, `${at}[${index}]`, problems, env));
+  }
+
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, interpolate(item, childPath(at, key), problems, env)]));
+  }
+
+  return value;
+}
+
+// Sync file with the environment's overlay applied
+function resolveSync(raw, environment, problems) {
+  if (!isObject(raw)) {
+    problems.push({ path: '$.sync', message: 'must be an object' });
+    return undefined;
+  }
+
+  const { environments = {}, ...base } = raw;
+  if (!isObject(environments)) {
+    problems.push({ path: '$.sync.environments', message: 'must be an object of environment overlays' });
+    return base;
+  }
+
+  const overlay = environments[environment];
+  if (overlay !== undefined && !isObject(overlay)) {
+    problems.push({ path: childPath('$.sync.environments', environment), message: 'must be an object' });
+    return base;
+  }
+
+  return mergeConfig(base, overlay);
+}
+
+// Environment block of the deploy file with the shared settings and its own settings merged
+function resolveDeploy(raw, environment, problems) {
+  if (!isObject(raw)) {
+    problems.push({ path: '$.deploy', message: 'must be an object' });
+    return undefined;
+  }
+
+  const { settings = {}, ...environments } = raw;
+  const block = environments[environment];
+  if (!isObject(block)) {
+    problems.push({
+      path: '$.deploy',
+      message: `environment '${environment}' is not defined (expected one of: ${Object.keys(environments).join(', ')})`
+    });
+    return undefined;
+  }
+
+  const { settings: overlay, ...rest } = block;
+  return { ...rest, settings: mergeConfig(settings, overlay) };
+}
+
+// Problems the schema cannot express; endpoint schema paths are relative to the sync file
+function checkEndpoints(sync, configDir, problems) {
+  const endpoints = Array.isArray(sync?.endpoints) ? sync.endpoints : [];
+
+  for (const field of ['name', 'outputFile']) {
+    const seen = new Map();
+    endpoints.forEach((endpoint, index) => {
+      const value = endpoint?.[field];
+      if (typeof value !== 'string') {
+        return;
+      }
+      if (seen.has(value)) {
+        problems.push({ path: `$.sync.endpoints[${index}].${field}`, message: `duplicates endpoints[${seen.get(value)}].${field} '${value}'` });
+      } else {
+        seen.set(value, index);
+      }
+    });
+  }
+
+  endpoints.forEach((endpoint, index) => {
+    if (typeof endpoint?.schema === 'string' && !fs.existsSync(path.resolve(configDir, endpoint.schema))) {
+      problems.push({ path: `$.sync.endpoints[${index}].schema`, message: `file not found: ${endpoint.schema}` });
+    }
+  });
+}
+
+// Make endpoint schema paths absolute so they no longer depend on where the sync file was
+function resolveSchemaPaths(sync, configDir) {
+  if (!Array.isArray(sync.endpoints)) {
+    return sync;
+  }
+
+  return {
+    ...sync,
+    endpoints: sync.endpoints.map(endpoint => (typeof endpoint?.schema === 'string'
+      ? { ...endpoint, schema: path.resolve(configDir, endpoint.schema) }
+      : endpoint))
+  };
+}
+
+/**
+ * Environments defined in the deployment configuration file
+ * @param {Object} [options]
+ * @param {string} [options.deployFile] - Deployment configuration file (default: DEPLOY_CONFIG_FILE or cloudflare/config.*)
+ * @returns {string[]} Environment names, in file order
+ */
+function deployEnvironments(options = {}) {
+  const raw = readConfigFile(findConfigFile(options.deployFile || process.env.DEPLOY_CONFIG_FILE, DEPLOY_CONFIG));
+  const { settings, ...environments } = isObject(raw) ? raw : {};
+  return Object.keys(environments);
+}
+
+/**
+ * Resolve the configuration of an environment, collecting every problem instead of stopping at the first
+ * @param {string} [environment] - Environment whose overlays apply (default: SYNC_ENVIRONMENT or development)
+ * @param {Object} [options]
+ * @param {string} [options.syncFile] - Sync configuration file (default: SYNC_CONFIG_FILE or src/config.*)
+ * @param {string} [options.deployFile] - Deployment configuration file (default: DEPLOY_CONFIG_FILE or cloudflare/config.*)
+ * @param {string} [options.only] - Resolve only 'sync' or 'deploy'
+ * @param {Object} [options.env] - Variables for interpolation (default: process.env)
+ * @returns {Object} { environment, sync, deploy, files, problems } - parts that could not be read are undefined
+ */
+function resolveConfig(environment = defaultEnvironment(), options = {}) {
+  const problems = [];
+  const files = {};
+  const model = { environment };
+
+  const parts = {
+    sync: { file: options.syncFile || process.env.SYNC_CONFIG_FILE, base: SYNC_CONFIG, resolve: resolveSync },
+    deploy: { file: options.deployFile || process.env.DEPLOY_CONFIG_FILE, base: DEPLOY_CONFIG, resolve: resolveDeploy }
+  };
+
+  for (const [part, { file, base, resolve }] of Object.entries(parts)) {
+    if (options.only && options.only !== part) {
+      continue;
+    }
+
+    files[part] = findConfigFile(file, base);
+    let raw;
+    try {
+      raw = readConfigFile(files[part]);
+    } catch (error) {
+      problems.push({ path: `$.${part}`, message: error.message });
+      continue;
+    }
+
+    const resolved = resolve(raw, environment, problems);
+    if (resolved !== undefined) {
+      model[part] = interpolate(resolved, `$.${part}`, problems, options.env);
+    }
+  }
+
+  problems.push(...validateSchema(model, loadSchema(CONFIG_SCHEMA, __dirname)));
+  if (model.sync) {
+    const configDir = path.dirname(files.sync);
+    checkEndpoints(model.sync, configDir, problems);
+    model.sync = resolveSchemaPaths(model.sync, configDir);
+  }
+
+  return { ...model, files, problems };
+}
+
+function loadPart(part, environment, options) {
+  const resolved = resolveConfig(environment, { ...options, only: part });
+
+  if (resolved.problems.length > 0) {
+    throw new Error(`Invalid ${part} configuration for ${resolved.environment} (${resolved.files[part]}):\n${formatErrors(resolved.problems)}`);
+  }
+
+  return resolved[part];
+}
+
+/**
+ * Validated sync configuration of an environment
+ * @param {string} [environment] - Environment whose overlays apply (default: SYNC_ENVIRONMENT or development)
+ * @param {Object} [options] - See resolveConfig
+ * @returns {Object} Sync configuration
+ * @throws {Error} Listing every problem when the configuration is invalid
+ */
+function loadSyncConfig(environment, options = {}) {
+  return loadPart('sync', environment, options);
+}
+
+/**
+ * Validated deployment configuration of an environment
+ * @param {string} [environment] - Environment (default: SYNC_ENVIRONMENT or development)
+ * @param {Object} [options] - See resolveConfig
+ * @returns {Object} Environment block with merged `settings`
+ * @throws {Error} Listing every problem when the configuration is invalid
+ */
+function loadDeployConfig(environment, options = {}) {
+  return loadPart('deploy', environment, options);
+}
+
+module.exports = {
+  defaultEnvironment,
+  readConfigFile,
+  mergeConfig,
+  interpolate,
+  deployEnvironments,
+  resolveConfig,
+  loadSyncConfig,
+  loadDeployConfig
+};
@@ -0,0 +1,28 @@
+const path = require('path');
+const { parseVariantKey } = require('./compression');
+
+const CONTENT_TYPES = {
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.cjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ts': 'application/typescript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8'
+};
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Content type a file is served with, derived from its extension.
+ * Precompressed variants (.gz/.br) keep the type of the original file.
+ * @param {string} fileName - File name or KV key
+ * @returns {string} Content type
+ */
+function contentTypeFor(fileName) {
+  const variant = parseVariantKey(fileName);
+  const extension = path.extname(variant ? variant.originalKey : fileName);
+
+  return CONTENT_TYPES[extension] || DEFAULT_CONTENT_TYPE;
+}
+
+module.exports = { CONTENT_TYPES, contentTypeFor };
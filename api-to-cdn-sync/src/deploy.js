@@ -0,0 +1,1032 @@
+const {
+  deployToCDN,
+  deployMultipleFiles,
+  testCDNAccess,
+  uploadArtifact,
+  purgeCache,
+  putObject,
+  getObject,
+  deleteObject,
+  headObject,
+  fetchFromCDN,
+  cdnUrl
+} = require('./deployer');
+const { resolveEncodings, compressContent, variantKeys } = require('./compression');
+const { contentTypeFor } = require('./content-types');
+const { hashBytes, stableStringify } = require('./hash');
+const { createFileStateStore, createKVStateStore, detectChanges } = require('./state');
+const { storageType, validateStorage } = require('./storage');
+const { VERSION_MANIFEST_KEY, recordVersion, findRollbackTarget } = require('./versions');
+const {
+  RELEASE_POINTER_KEY,
+  DEFAULT_RELEASE_PREFIX,
+  createReleaseId,
+  releaseKey,
+  buildRelease,
+  expiredReleases,
+  releaseKeys
+} = require('./releases');
+const { MANIFEST_FILE, readManifest, markDeployed, resolveOutputDir } = require('./manifest');
+const { RUN_REPORT_FILE, recordDeploy } = require('./report');
+const { publishMetrics } = require('./metrics');
+const { deployNotification, validateNotifications, notify } = require('./notifier');
+const { fetchApiData } = require('./fetcher');
+const { applyTransforms } = require('./reshaper');
+const { outputFileFor } = require('./transformer');
+const { extractData, diffData } = require('./differ');
+const { resolveConfig, loadSyncConfig } = require('./configuration');
+const { deploymentConfig, loadDeploymentConfig, privateStorageConfig } = require('./deployment-config');
+const path = require('path');
+const fs = require('fs');
+const { createLogger, currentRunId, withLogContext } = require('./logger');
+
+// Local deploy state (settings.stateStore "file"), kept where earlier versions of the deploy CLI wrote it
+const DEPLOY_STATE_DIR = path.join(__dirname, '..', 'cloudflare', '.deploy-state');
+
+// Extensions of files the sync generates (esm/umd .js, cjs .cjs, json .json, declarations .d.ts)
+const GENERATED_EXTENSIONS = ['.js', '.cjs', '.mjs', '.json', '.ts'];
+
+const log = createLogger('deploy');
+
+/**
+ * Create the store that remembers what was last deployed to an environment
+ * @param {string} environment - Target environment
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @returns {Object} State store
+ */
+function createDeployStateStore(environment, deployConfig) {
+  if (deployConfig.settings?.stateStore === 'file') {
+    return createFileStateStore(path.join(DEPLOY_STATE_DIR, `${environment}.json`));
+  }
+
+  return createKVStateStore(privateStorageConfig(deployConfig));
+}
+
+/**
+ * Load the version manifest (history and "latest" pointer per file) from storage
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @returns {Promise<Object>} Version manifest
+ */
+async function loadVersionManifest(deployConfig) {
+  const value = await getObject(deployConfig, VERSION_MANIFEST_KEY);
+  const manifest = value ? JSON.parse(value) : {};
+  return { ...manifest, files: manifest.files || {} };
+}
+
+async function saveVersionManifest(deployConfig, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  await putObject(deployConfig, VERSION_MANIFEST_KEY, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Record freshly deployed versions in the manifest and delete versions beyond maxVersions
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Array} deployed - Successful deploy results with their payload contentHash
+ * @returns {Promise<Object>} Updated version manifest
+ */
+async function publishVersions(deployConfig, deployed) {
+  const manifest = await loadVersionManifest(deployConfig);
+  const maxVersions = deployConfig.versioning?.maxVersions;
+  const pruned = [];
+
+  for (const result of deployed) {
+    pruned.push(...recordVersion(manifest, result.fileName, {
+      version: result.version,
+      key: result.versionKey,
+      size: result.size,
+      contentHash: result.contentHash || null,
+      endpoint: result.endpoint,
+      generatedAt: result.generatedAt,
+      variants: result.versionVariants || [],
+      deployedAt: result.deployedAt
+    }, maxVersions));
+  }
+
+  await saveVersionManifest(deployConfig, manifest);
+
+  for (const entry of pruned) {
+    for (const key of [...(entry.variants || []), entry.key]) {
+      try {
+        await deleteObject(deployConfig, key);
+        log.info(`🗑️ Pruned old version ${key}`);
+      } catch (error) {
+        log.warn(`⚠️ Could not prune ${key}: ${error.message}`);
+      }
+    }
+  }
+
+  return manifest;
+}
+
+// Purging needs a Cloudflare zone: always there for KV, optional in front of S3 or a local directory
+function purgeEnabled(deployConfig) {
+  return deployConfig.settings?.purge?.enabled !== false && (storageType(deployConfig) === 'kv' || Boolean(deployConfig.zoneId));
+}
+
+/**
+ * Purge the alias URL and precompressed variant URLs of freshly deployed files.
+ * Versioned and staged release URLs are new and cannot be cached yet, so they are left alone.
+ * A purge failure is reported, not thrown: the uploads themselves succeeded.
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Array} deployed - Successful deploy results
+ * @returns {Promise<Object>} Purge result
+ */
+async function purgeDeployedUrls(deployConfig, deployed) {
+  const urls = deployed.flatMap(result => [
+    result.url,
+    ...(result.variants || []).map(variant =>
+      cdnUrl(deployConfig, `${result.fileName}${variant.key.slice((result.key || result.fileName).length)}`))
+  ]);
+
+  try {
+    return await purgeCache(deployConfig, urls);
+  } catch (error) {
+    log.warn(`⚠️ Cache purge failed: ${error.message}`);
+    return { success: false, total: urls.length, purged: 0, failed: urls.length, error: error.message };
+  }
+}
+
+/**
+ * List the generated files in an output directory with their sync manifest details
+ * @param {string} outputDir - Directory with generated files
+ * @param {Object} deployConfig - Deployment configuration the files are compared for
+ * @param {string} [endpoint] - Only list files generated for this endpoint
+ * @returns {Array} Files as { filePath, fileName, endpoint, contentHash, deployHash, generatedAt }
+ */
+function listOutputFiles(outputDir, deployConfig, endpoint) {
+  const manifest = readManifest(outputDir);
+  const encodings = resolveEncodings(deployConfig.settings?.compression);
+
+  return fs.readdirSync(outputDir)
+    .filter(file => ![MANIFEST_FILE, RUN_REPORT_FILE].includes(file) && GENERATED_EXTENSIONS.includes(path.extname(file)))
+    .filter(file => !endpoint || manifest.files[file]?.endpoint === endpoint)
+    .map(file => ({
+      filePath: path.join(outputDir, file),
+      fileName: file,
+      endpoint: manifest.files[file]?.endpoint,
+      contentHash: manifest.files[file]?.contentHash,
+      // What is uploaded: the file's bytes (output mode, formats, transforms) and its compressed variants
+      deployHash: hashBytes(stableStringify({ bytes: hashBytes(fs.readFileSync(path.join(outputDir, file))), encodings })),
+      generatedAt: manifest.files[file]?.generatedAt
+    }));
+}
+
+/**
+ * Load a release manifest from storage
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {string} [key] - Manifest key (defaults to the live release pointer)
+ * @returns {Promise<Object|null>} Release manifest, or null if none was published
+ */
+async function loadRelease(deployConfig, key = RELEASE_POINTER_KEY) {
+  const value = await getObject(deployConfig, key);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Check every staged key before a release goes live.
+ * With verify "kv" (default) each key and variant is read back and its sha256 compared with
+ * the local content; with "cdn" each staged URL is fetched through testCDNAccess.
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Array} staged - Files with their staging key
+ * @param {Array} uploaded - Successful deploy results for the staged files
+ * @returns {Promise<string|null>} Reason the release cannot go live, or null
+ */
+async function verifyRelease(deployConfig, staged, uploaded) {
+  const settings = deployConfig.settings;
+
+  for (const result of uploaded) {
+    if (settings.release.verify === 'cdn') {
+      const check = await testCDNAccess(result.url, {
+        contentType: contentTypeFor(result.fileName),
+        cacheControl: settings.cacheControl
+      });
+      if (!check.success || check.mismatches?.length > 0) {
+        return `${result.key} is not served correctly by the CDN`;
+      }
+      continue;
+    }
+
+    const file = staged.find(f => f.fileName === result.fileName);
+    const content = fs.readFileSync(file.filePath);
+    const expected = [
+      { key: result.key, content },
+      ...compressContent(content, resolveEncodings(settings.compression))
+        .map(variant => ({ key: `${result.key}${variant.extension}`, content: variant.content }))
+    ];
+
+    for (const { key, content: value } of expected) {
+      try {
+        const stored = await getObject(deployConfig, key, { binary: true });
+        if (stored === null || hashBytes(stored) !== hashBytes(value)) {
+          return `${key} does not match the uploaded content`;
+        }
+      } catch (error) {
+        return `Could not read back ${key}: ${error.message}`;
+      }
+    }
+  }
+
+  log.info(`🔒 Verified ${uploaded.length} staged files`);
+  return null;
+}
+
+// Delete what a failed release staged; the live pointer was never touched
+async function abortRelease(deployConfig, results, keys, reason) {
+  log.error(`❌ Release ${results.release.id} aborted: ${reason} - production untouched`);
+
+  for (const key of keys) {
+    try {
+      await deleteObject(deployConfig, key);
+    } catch (error) {
+      log.warn(`⚠️ Could not remove staged ${key}: ${error.message}`);
+    }
+  }
+
+  results.success = false;
+  results.release = { ...results.release, status: 'aborted', error: reason };
+  return results;
+}
+
+/**
+ * Delete the keys of releases that dropped out of the history.
+ * Keys still referenced by a kept release (files carried over unchanged) stay.
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Object|null} current - Release manifest that was live before
+ * @param {Object} release - Release manifest that is live now
+ */
+async function pruneReleases(deployConfig, current, release) {
+  const prefix = deployConfig.settings.release.prefix || DEFAULT_RELEASE_PREFIX;
+  const expired = expiredReleases(current, release);
+
+  if (expired.length === 0) {
+    return;
+  }
+
+  const referenced = releaseKeys(release);
+  for (const id of release.history.slice(1)) {
+    const kept = await loadRelease(deployConfig, releaseKey(prefix, id, RELEASE_POINTER_KEY));
+    if (kept) {
+      releaseKeys(kept).forEach(key => referenced.add(key));
+    }
+  }
+
+  for (const id of expired) {
+    const manifestKey = releaseKey(prefix, id, RELEASE_POINTER_KEY);
+    const manifest = await loadRelease(deployConfig, manifestKey);
+    const owned = manifest
+      ? [...releaseKeys(manifest)].filter(key => key.startsWith(releaseKey(prefix, id, '')) && !referenced.has(key))
+      : [];
+
+    for (const key of [...owned, manifestKey]) {
+      try {
+        await deleteObject(deployConfig, key);
+      } catch (error) {
+        log.warn(`⚠️ Could not prune ${key}: ${error.message}`);
+      }
+    }
+    log.info(`🗑️ Pruned release ${id}`);
+  }
+}
+
+/**
+ * Read published keys as they are now, so they can be put back if a release switch fails
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Array<string>} keys - Storage keys
+ * @returns {Promise<Array>} { key, content, metadata } per key, content null for keys that do not exist
+ */
+async function readPublished(deployConfig, keys) {
+  const published = [];
+
+  for (const key of keys) {
+    const content = await getObject(deployConfig, key, { binary: true });
+    const head = content === null ? null : await headObject(deployConfig, key);
+    published.push({ key, content, metadata: head?.metadata });
+  }
+
+  return published;
+}
+
+/**
+ * Put published keys back as readPublished found them, last read first, deleting keys that did not exist
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Array} published - Keys from readPublished
+ * @returns {Promise<Array<string>>} Keys that could not be restored
+ */
+async function restorePublished(deployConfig, published) {
+  const unrestored = [];
+
+  for (const { key, content, metadata } of [...published].reverse()) {
+    try {
+      if (content === null) {
+        await deleteObject(deployConfig, key);
+      } else {
+        await putObject(deployConfig, key, content, metadata);
+      }
+    } catch (error) {
+      unrestored.push(key);
+      log.error(`❌ Could not restore ${key}: ${error.message}`);
+    }
+  }
+
+  return unrestored;
+}
+
+function unrestoredNote(unrestored) {
+  return unrestored.length > 0 ? ` (could not restore ${unrestored.join(', ')})` : '';
+}
+
+/**
+ * Copy the staged files of a release to their published names with their variants, so a CDN that serves
+ * keys directly (any KV namespace or bucket without an edge resolving release.json) serves the release too.
+ * Runs before the pointer switches: when a copy fails, the keys already overwritten are restored, so the
+ * published names keep matching the live release.
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Object} release - Release manifest about to go live
+ * @param {Array<string>} fileNames - Files to publish
+ * @returns {Promise<Array>} The overwritten keys (see readPublished), to restore if the switch fails
+ * @throws {Error} When a file could not be published
+ */
+async function publishReleaseFiles(deployConfig, release, fileNames) {
+  const previous = [];
+
+  for (const fileName of fileNames) {
+    const entry = release.files[fileName];
+    try {
+      const content = await getObject(deployConfig, entry.key, { binary: true });
+      if (content === null) {
+        throw new Error(`${entry.key} is missing from storage`);
+      }
+      previous.push(...await readPublished(deployConfig, [fileName, ...variantKeys(fileName)]));
+      await uploadArtifact(deployConfig, fileName, content, {
+        endpoint: entry.endpoint,
+        contentHash: entry.contentHash,
+        generatedAt: entry.generatedAt
+      });
+    } catch (error) {
+      log.error(`❌ Could not publish ${fileName} from release ${release.id}: ${error.message}`);
+      const unrestored = await restorePublished(deployConfig, previous);
+      throw new Error(`${fileName} could not be published: ${error.message}${unrestoredNote(unrestored)}`);
+    }
+  }
+
+  return previous;
+}
+
+/**
+ * Deploy files as one release: stage them under a new release prefix, verify every staged key,
+ * copy the staged files to their published names, then switch the release pointer in a single write.
+ * A failed upload or verification leaves production as it was; a failed copy or switch puts the
+ * published keys and the pointer back as they were.
+ * @param {Object} deployConfig - Configuration from loadDeploymentConfig
+ * @param {Array} files - Files to deploy
+ * @param {Object|null} current - Live release manifest
+ * @returns {Promise<Object>} Deployment results with `release` as { id, status, previous?, error? }
+ */
+async function deployRelease(deployConfig, files, current) {
+  const prefix = deployConfig.settings.release.prefix || DEFAULT_RELEASE_PREFIX;
+  const releaseId = createReleaseId();
+  const staged = files.map(file => ({ ...file, key: releaseKey(prefix, releaseId, file.fileName) }));
+
+  log.info(`📦 Staging release ${releaseId} (${files.length} files)...`);
+
+  // Staged keys are unique per release, so per-file versioning has nothing to add
+  const results = await deployMultipleFiles({ ...deployConfig, versioning: { enabled: false } }, staged);
+  results.release = { id: releaseId, status: 'staged' };
+
+  const uploaded = results.results.filter(r => r.success);
+  const stagedKeys = uploaded.flatMap(r => [...(r.variants || []).map(v => v.key), r.key]);
+
+  const failure = results.failed > 0
+    ? `${results.failed} of ${results.total} files could not be staged`
+    : await verifyRelease(deployConfig, staged, uploaded);
+
+  if (failure) {
+    return abortRelease(deployConfig, results, stagedKeys, failure);
+  }
+
+  const entries = {};
+  for (const result of uploaded) {
+    const file = staged.find(f => f.fileName === result.fileName);
+    entries[result.fileName] = {
+      key: result.key,
+      variants: (result.variants || []).map(variant => variant.key),
+      size: result.size,
+      contentHash: file.contentHash || null,
+      endpoint: file.endpoint,
+      generatedAt: file.generatedAt
+    };
+  }
+
+  const release = buildRelease(current, releaseId, entries, deployConfig.settings.release.keep);
+  const archiveKey = releaseKey(prefix, releaseId, RELEASE_POINTER_KEY);
+  const body = JSON.stringify(release, null, 2);
+
+  let previous = [];
+  let pointer = [];
+  try {
+    previous = await publishReleaseFiles(deployConfig, release, uploaded.map(result => result.fileName));
+    pointer = await readPublished(deployConfig, [RELEASE_POINTER_KEY]);
+    await putObject(deployConfig, archiveKey, body);
+    await putObject(deployConfig, RELEASE_POINTER_KEY, body);
+  } catch (error) {
+    const unrestored = await restorePublished(deployConfig, [...previous, ...pointer]);
+    return abortRelease(deployConfig, results, [...stagedKeys, archiveKey], `Release switch failed: ${error.message}${unrestoredNote(unrestored)}`);
+  }
+
+  log.info(`🚦 Release ${releaseId} is live${release.previous ? ` (was ${release.previous})` : ''}`);
+  results.release = { id: releaseId, status: 'live', previous: release.previous };
+  results.results = results.results.map(result => ({ ...result, url: cdnUrl(deployConfig, result.fileName) }));
+
+  try {
+    await pruneReleases(deployConfig, current, release);
+  } catch (error) {
+    log.warn(`⚠️ Could not prune old releases: ${error.message}`);
+  }
+
+  return results;
+}
+
+/**
+ * Deploy all files from output directory to CDN.
+ * Files whose payload hash matches the last deploy are skipped unless `force` is set.
+ * With settings.release.enabled the files go live together as one release (see deployRelease).
+ * @param {string} environment - Target environment
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Deploy files even if unchanged
+ * @param {string} [options.outputDir] - Directory with generated files (see resolveOutputDir)
+ * @param {string} [options.endpoint] - Only deploy files generated for this endpoint
+ * @param {boolean} [options.dryRun] - Report what would be deployed without uploading anything
+ * @param {Object} [options.stateStore] - Deploy state store (defaults per settings.stateStore)
+ * @returns {Promise<Object>} Deployment results
+ */
+async function deployOutputFiles(environment = 'development', options = {}) {
+  const startedAt = new Date();
+  let results;
+
+  try {
+    results = await deployChangedFiles(environment, options);
+  } catch (error) {
+    await reportDeploy(environment, options, { startedAt, error: error.message });
+    await notifyDeploy(environment, { startedAt, error: error.message });
+    throw error;
+  }
+
+  if (!results.dryRun) {
+    await reportDeploy(environment, options, { startedAt, results });
+    await notifyDeploy(environment, { startedAt, results });
+  }
+
+  return results;
+}
+
+// Tell the environment's notification sinks how the deploy went
+async function notifyDeploy(environment, { startedAt, results, error }) {
+  // Also runs after a deploy that failed on its configuration, so read whatever resolves
+  const sinks = resolveConfig(environment, { only: 'deploy' }).deploy?.notifications;
+
+  if (!sinks || sinks.length === 0) {
+    return;
+  }
+
+  await notify(sinks, deployNotification({
+    environment,
+    runId: currentRunId(),
+    durationMs: Date.now() - startedAt.getTime(),
+    results,
+    error
+  }));
+}
+
+// Add the deploy to the run report next to the generated files and push metrics; never fails the deploy
+async function reportDeploy(environment, options, { startedAt, results, error }) {
+  const outputDir = resolveOutputDir(options.outputDir);
+
+  if (!fs.existsSync(outputDir)) {
+    return;
+  }
+
+  try {
+    const report = recordDeploy(outputDir, {
+      runId: currentRunId(),
+      environment,
+      startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      results,
+      error
+    });
+    await publishMetrics(report, loadSyncConfig(environment).metrics);
+  } catch (reportError) {
+    log.warn(`⚠️ Could not write run report: ${reportError.message}`);
+  }
+}
+
+async function deployChangedFiles(environment, options) {
+  log.info(`🚀 Starting CDN deployment for ${environment} environment...`);
+
+  try {
+    const deployConfig = loadDeploymentConfig(environment);
+    const outputDir = resolveOutputDir(options.outputDir);
+
+    // Check if output directory exists
+    if (!fs.existsSync(outputDir)) {
+      throw new Error(`Output directory not found: ${outputDir}`);
+    }
+
+    const files = listOutputFiles(outputDir, deployConfig, options.endpoint);
+
+    if (files.length === 0) {
+      log.warn('⚠️ No generated files found in output directory');
+      return { success: true, message: 'No files to deploy' };
+    }
+
+    log.info(`📁 Found ${files.length} files: ${files.map(f => f.fileName).join(', ')}`, { files: files.length });
+
+    // Compare payload hashes with the last deploy
+    const stateStore = options.stateStore || createDeployStateStore(environment, deployConfig);
+    const state = await stateStore.load();
+    const changes = detectChanges(files, state);
+
+    log.info(`🔍 Changes (${stateStore.description}): ${changes.new.length} new, ${changes.updated.length} updated, ${changes.unchanged.length} unchanged`, {
+      new: changes.new.length,
+      updated: changes.updated.length,
+      unchanged: changes.unchanged.length
+    });
+
+    // A file missing from the live release has to be staged even if its payload is unchanged
+    const releaseMode = deployConfig.settings?.release?.enabled === true;
+    const currentRelease = releaseMode ? await loadRelease(deployConfig) : null;
+
+    const toDeploy = options.force ? files : files.filter(f =>
+      !changes.unchanged.includes(f.fileName) || (releaseMode && !currentRelease?.files[f.fileName]));
+
+    if (options.dryRun) {
+      log.info(`🧪 Dry run - would deploy ${toDeploy.length} file(s): ${toDeploy.map(f => f.fileName).join(', ') || 'none'}`);
+      return {
+        success: true,
+        dryRun: true,
+        total: toDeploy.length,
+        files: toDeploy.map(f => f.fileName),
+        changes
+      };
+    }
+
+    if (toDeploy.length === 0) {
+      log.info('✅ All files unchanged - nothing to deploy');
+      return {
+        success: true,
+        message: 'No changes to deploy',
+        total: 0,
+        successful: 0,
+        failed: 0,
+        results: [],
+        changes
+      };
+    }
+
+    // Deploy files to CDN
+    const results = releaseMode
+      ? await deployRelease(deployConfig, toDeploy, currentRelease)
+      : await deployMultipleFiles(deployConfig, toDeploy);
+    results.changes = changes;
+
+    if (results.release?.status === 'aborted') {
+      return results;
+    }
+
+    // Remember what was deployed so the next run can skip it
+    const deployedAt = new Date().toISOString();
+    const deployed = results.results.filter(r => r.success).map(result => {
+      const file = toDeploy.find(f => f.fileName === result.fileName);
+      return { ...result, endpoint: file.endpoint, contentHash: file.contentHash, deployHash: file.deployHash, generatedAt: file.generatedAt, deployedAt };
+    });
+
+    for (const result of deployed) {
+      state.files[result.fileName] = { contentHash: result.contentHash || null, deployHash: result.deployHash, deployedAt };
+    }
+
+    const versioned = deployed.filter(result => result.version);
+    if (versioned.length > 0) {
+      try {
+        await publishVersions(deployConfig, versioned);
+        log.info(`📌 Latest versions: ${versioned.map(r => r.versionKey).join(', ')}`);
+      } catch (error) {
+        log.warn(`⚠️ Could not update version manifest: ${error.message}`);
+      }
+    }
+
+    if (results.successful > 0) {
+      try {
+        await stateStore.save(state);
+      } catch (error) {
+        log.warn(`⚠️ Could not save deploy state (${stateStore.description}): ${error.message}`);
+      }
+
+      try {
+        markDeployed(outputDir, deployed.map(result => result.fileName));
+      } catch (error) {
+        log.warn(`⚠️ Could not record deployed record counts in ${MANIFEST_FILE}: ${error.message}`);
+      }
+    }
+
+    // Drop stale edge copies before checking what the CDN serves
+    if (results.successful > 0 && purgeEnabled(deployConfig)) {
+      results.purge = await purgeDeployedUrls(deployConfig, deployed);
+    }
+
+    // Test CDN accessibility and served headers for successful deployments
+    if (results.successful > 0) {
+      log.info('🧪 Testing CDN accessibility...');
+
+      results.accessChecks = [];
+      for (const result of results.results) {
+        if (result.success) {
+          const check = await testCDNAccess(result.url, {
+            contentType: contentTypeFor(result.fileName),
+            cacheControl: deployConfig.settings?.cacheControl
+          });
+          results.accessChecks.push({ fileName: result.fileName, ...check });
+        }
+      }
+    }
+
+    return results;
+
+  } catch (error) {
+    log.error(`❌ Deployment failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Compare the generated files with what was last deployed to an environment
+ * @param {string} environment - Target environment
+ * @param {Object} [options]
+ * @param {string} [options.outputDir] - Directory with generated files (see resolveOutputDir)
+ * @param {Object} [options.stateStore] - Deploy state store (defaults per settings.stateStore)
+ * @returns {Promise<Object>} { environment, outputDir, files } with each file's sync and deploy details
+ */
+async function deploymentStatus(environment = 'development', options = {}) {
+  const deployConfig = loadDeploymentConfig(environment);
+  const outputDir = resolveOutputDir(options.outputDir);
+  const files = fs.existsSync(outputDir) ? listOutputFiles(outputDir, deployConfig) : [];
+  const stateStore = options.stateStore || createDeployStateStore(environment, deployConfig);
+  const state = await stateStore.load();
+  const changes = detectChanges(files, state);
+
+  return {
+    environment,
+    outputDir,
+    stateStore: stateStore.description,
+    files: files.map(file => ({
+      fileName: file.fileName,
+      endpoint: file.endpoint,
+      status: changes.unchanged.includes(file.fileName) ? 'deployed' : changes.new.includes(file.fileName) ? 'new' : 'updated',
+      contentHash: file.contentHash || null,
+      generatedAt: file.generatedAt || null,
+      deployedHash: state.files[file.fileName]?.contentHash || null,
+      deployedAt: state.files[file.fileName]?.deployedAt || null
+    }))
+  };
+}
+
+/**
+ * Diff freshly fetched API data against what is live, without generating or uploading anything.
+ * Each endpoint's JSON artifact is compared when it has one, otherwise its main output file.
+ * @param {string} environment - Target environment
+ * @param {Object} [options]
+ * @param {Array<string>} [options.endpoints] - Endpoint names (defaults to all)
+ * @param {string} [options.source] - 'cdn' (fetch the public URL, default) or 'kv' (read the stored value from the storage backend)
+ * @param {Object} [options.config] - Sync configuration (defaults to src/config.json with the environment's overlay)
+ * @returns {Promise<Object>} { environment, source, reports } with one report per endpoint
+ */
+async function diffLiveData(environment = 'development', options = {}) {
+  const deployConfig = loadDeploymentConfig(environment);
+  const config = options.config || loadSyncConfig(environment);
+  const source = options.source || 'cdn';
+  const names = options.endpoints || [];
+
+  if (!['cdn', 'kv'].includes(source)) {
+    throw new Error(`Unknown diff source '${source}' (expected cdn or kv)`);
+  }
+
+  const unknown = names.filter(name => !config.endpoints.some(endpoint => endpoint.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown endpoint(s): ${unknown.join(', ')}`);
+  }
+
+  const endpoints = config.endpoints.filter(endpoint => names.length === 0 || names.includes(endpoint.name));
+  const release = source === 'kv' && deployConfig.settings?.release?.enabled ? await loadRelease(deployConfig) : null;
+  const reports = [];
+
+  for (const endpoint of endpoints) {
+    reports.push(await withLogContext({ endpoint: endpoint.name },
+      () => diffEndpoint(endpoint, { config, deployConfig, source, release })));
+  }
+
+  return { environment, source, reports };
+}
+
+// Diff report of one endpoint; failures are reported rather than thrown
+async function diffEndpoint(endpoint, { config, deployConfig, source, release }) {
+  const fileName = (endpoint.formats || []).includes('json') ? outputFileFor(endpoint, 'json') : endpoint.outputFile;
+
+  try {
+    log.info(`🔍 [${endpoint.name}] Comparing fresh data with live ${fileName}...`);
+
+    const apiData = await fetchApiData({
+      apiBaseUrl: config.apiBaseUrl,
+      path: endpoint.path,
+      auth: endpoint.auth,
+      pagination: endpoint.pagination,
+      requests: endpoint.requests,
+      retry: config.retry
+    });
+    const published = endpoint.transforms ? applyTransforms(apiData, endpoint.transforms) : apiData;
+
+    // With releases, the published name resolves through the release pointer
+    const key = release?.files[fileName]?.key || fileName;
+    const content = source === 'kv' ? await getObject(deployConfig, key) : await fetchFromCDN(deployConfig, fileName);
+    const live = content === null ? null : extractData(content, fileName);
+
+    return {
+      endpoint: endpoint.name,
+      fileName,
+      location: source === 'kv' ? key : cdnUrl(deployConfig, fileName),
+      live: content !== null,
+      diff: diffData(live, published, { key: endpoint.diffKey })
+    };
+  } catch (error) {
+    log.error(`❌ [${endpoint.name}] Diff failed: ${error.message}`);
+    return { endpoint: endpoint.name, error: error.message };
+  }
+}
+
+/**
+ * Deploy a single file to CDN
+ * @param {string} filePath - Path to file to deploy
+ * @param {string} fileName - Name for file on CDN
+ * @param {string} environment - Target environment
+ * @returns {Promise<Object>} Deployment result
+ */
+async function deploySingleFile(filePath, fileName, environment = 'development') {
+  log.info(`🚀 Deploying ${fileName} to ${environment} environment...`);
+
+  try {
+    const deployConfig = loadDeploymentConfig(environment);
+    const result = await deployToCDN(deployConfig, filePath, fileName);
+
+    // Test CDN accessibility
+    if (result.success) {
+      await testCDNAccess(result.url);
+    }
+
+    return result;
+
+  } catch (error) {
+    log.error(`❌ Single file deployment failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Point a file's "latest" alias back at an earlier version
+ * @param {string} environment - Target environment
+ * @param {string} fileName - Published file name
+ * @param {string} [version] - Version identifier or key (defaults to the version before latest)
+ * @param {Object} [options]
+ * @param {Object} [options.stateStore] - Deploy state store (defaults per settings.stateStore)
+ * @returns {Promise<Object>} Rollback result
+ */
+async function rollbackFile(environment, fileName, version, options = {}) {
+  log.info(`⏪ Rolling back ${fileName} in ${environment} environment...`);
+
+  const deployConfig = loadDeploymentConfig(environment);
+  if (deployConfig.settings?.release?.enabled) {
+    throw new Error('Per-file rollback is not available while releases are enabled - use rollback-release');
+  }
+
+  const manifest = await loadVersionManifest(deployConfig);
+  const target = findRollbackTarget(manifest, fileName, version);
+  const previous = manifest.files[fileName].latest;
+
+  const content = await getObject(deployConfig, target.key);
+  if (content === null) {
+    throw new Error(`Version ${target.version} of ${fileName} is missing from storage (${target.key})`);
+  }
+
+  const { variants } = await uploadArtifact(deployConfig, fileName, content, {
+    endpoint: target.endpoint,
+    contentHash: target.contentHash,
+    generatedAt: target.generatedAt
+  });
+  manifest.files[fileName].latest = target.version;
+  await saveVersionManifest(deployConfig, manifest);
+
+  // Keep change detection in line with what is live now
+  const stateStore = options.stateStore || createDeployStateStore(environment, deployConfig);
+  const state = await stateStore.load();
+  state.files[fileName] = { contentHash: target.contentHash, deployedAt: new Date().toISOString() };
+  await stateStore.save(state);
+
+  const url = cdnUrl(deployConfig, fileName);
+  const purge = purgeEnabled(deployConfig)
+    ? await purgeDeployedUrls(deployConfig, [{ fileName, url, variants }])
+    : undefined;
+
+  log.info(`✅ ${fileName} now serves version ${target.version} (was ${previous})`);
+
+  return {
+    success: true,
+    fileName: fileName,
+    version: target.version,
+    previousVersion: previous,
+    url: url,
+    purge: purge
+  };
+}
+
+/**
+ * Point the release pointer back at an earlier release that is still in the history
+ * @param {string} environment - Target environment
+ * @param {string} [releaseId] - Release identifier (defaults to the release before the live one)
+ * @param {Object} [options]
+ * @param {Object} [options.stateStore] - Deploy state store (defaults per settings.stateStore)
+ * @returns {Promise<Object>} Rollback result
+ */
+async function rollbackRelease(environment, releaseId, options = {}) {
+  const deployConfig = loadDeploymentConfig(environment);
+  const prefix = deployConfig.settings?.release?.prefix || DEFAULT_RELEASE_PREFIX;
+  const current = await loadRelease(deployConfig);
+
+  if (!current) {
+    throw new Error(`No release has been published to ${environment}`);
+  }
+
+  const targetId = releaseId || current.previous;
+  if (!targetId || !current.history.includes(targetId) || targetId === current.id) {
+    throw new Error(targetId ? `Release ${targetId} is not in the kept history` : `No release older than ${current.id} recorded`);
+  }
+
+  log.info(`⏪ Rolling back ${environment} to release ${targetId}...`);
+
+  const target = await loadRelease(deployConfig, releaseKey(prefix, targetId, RELEASE_POINTER_KEY));
+  if (!target) {
+    throw new Error(`Release ${targetId} is missing from storage`);
+  }
+
+  // Same order as a deploy: publish the files, then switch; on failure both go back to the live release
+  let previous = [];
+  let pointer = [];
+  try {
+    previous = await publishReleaseFiles(deployConfig, target, Object.keys(target.files));
+    pointer = await readPublished(deployConfig, [RELEASE_POINTER_KEY]);
+    // Keep the history of the live release so its keys are still pruned in order
+    await putObject(deployConfig, RELEASE_POINTER_KEY, JSON.stringify({
+      ...target,
+      history: current.history,
+      rolledBackAt: new Date().toISOString()
+    }, null, 2));
+  } catch (error) {
+    const unrestored = await restorePublished(deployConfig, [...previous, ...pointer]);
+    throw new Error(`Could not roll back to release ${targetId}: ${error.message}${unrestoredNote(unrestored)}; ${current.id} is still live`);
+  }
+
+  // Keep change detection in line with what is live now
+  const stateStore = options.stateStore || createDeployStateStore(environment, deployConfig);
+  const state = await stateStore.load();
+  const deployedAt = new Date().toISOString();
+  for (const fileName of Object.keys(current.files)) {
+    const entry = target.files[fileName];
+    if (entry) {
+      state.files[fileName] = { contentHash: entry.contentHash, deployedAt };
+    } else {
+      delete state.files[fileName];
+    }
+  }
+  await stateStore.save(state);
+
+  const purge = purgeEnabled(deployConfig)
+    ? await purgeDeployedUrls(deployConfig, Object.entries(current.files).map(([fileName, entry]) => ({
+      fileName,
+      key: entry.key,
+      url: cdnUrl(deployConfig, fileName),
+      variants: (entry.variants || []).map(key => ({ key }))
+    })))
+    : undefined;
+
+  log.info(`✅ ${environment} now serves release ${targetId} (was ${current.id})`);
+
+  return {
+    success: true,
+    release: targetId,
+    previousRelease: current.id,
+    purge: purge
+  };
+}
+
+/**
+ * List recorded versions of a file, newest first
+ * @param {string} environment - Target environment
+ * @param {string} fileName - Published file name
+ * @returns {Promise<Array>} Version entries, the live one flagged with `latest: true`
+ */
+async function listVersions(environment, fileName) {
+  const deployConfig = loadDeploymentConfig(environment);
+  const manifest = await loadVersionManifest(deployConfig);
+  const history = manifest.files[fileName];
+
+  if (!history) {
+    return [];
+  }
+
+  return history.versions.map(entry => ({ ...entry, latest: entry.version === history.latest }));
+}
+
+// Problems with the private storage that holds the deploy state and KV snapshots
+function validatePrivateStorage(deployConfig) {
+  let privateConfig;
+  try {
+    privateConfig = privateStorageConfig(deployConfig);
+  } catch (error) {
+    return [`$.deploy.privateStorage: ${error.message}`];
+  }
+
+  if (storageType(privateConfig) !== 'kv') {
+    return validateStorage(privateConfig).map(message => `$.deploy.privateStorage: ${message}`);
+  }
+
+  if (!privateConfig.namespaceId) {
+    return ['$.deploy.privateStorage.namespaceId: is required for kv storage'];
+  }
+
+  return String(privateConfig.namespaceId).includes('your-')
+    ? [`$.deploy.privateStorage.namespaceId: is a placeholder ('${privateConfig.namespaceId}')`]
+    : [];
+}
+
+/**
+ * Validate the sync and deployment configuration of an environment: schema, ${VAR} references and overlays,
+ * placeholder values, credentials, storage and notification sinks
+ * @param {string} environment - Environment to validate
+ * @returns {Object} { valid, issues } - every issue at once, config problems as "<path>: <message>"
+ */
+function validateConfig(environment = 'development') {
+  log.info(`🔍 Validating ${environment} configuration...`);
+
+  const resolved = resolveConfig(environment);
+  const issues = resolved.problems.map(problem => `${problem.path}: ${problem.message}`);
+
+  if (resolved.deploy) {
+    const deployConfig = deploymentConfig(resolved.deploy);
+
+    if (storageType(deployConfig) === 'kv') {
+      for (const variable of ['CLOUDFLARE_API_TOKEN', 'CLOUDFLARE_ZONE_ID', 'CLOUDFLARE_ACCOUNT_ID']) {
+        if (!process.env[variable]) {
+          issues.push(`Missing ${variable} environment variable`);
+        }
+      }
+
+      if (!deployConfig.namespaceId) {
+        issues.push('$.deploy.namespaceId: is required for kv storage');
+      } else if (String(deployConfig.namespaceId).includes('your-')) {
+        issues.push(`$.deploy.namespaceId: is a placeholder ('${deployConfig.namespaceId}')`);
+      }
+    } else {
+      issues.push(...validateStorage(deployConfig).map(message => `$.deploy.storage: ${message}`));
+    }
+
+    if (deployConfig.settings?.stateStore !== 'file' || resolved.sync?.snapshots?.store === 'kv') {
+      issues.push(...validatePrivateStorage(deployConfig));
+    }
+
+    if (typeof deployConfig.cdnDomain === 'string' && deployConfig.cdnDomain.includes('example.com')) {
+      issues.push(`$.deploy.cdnDomain: is a placeholder ('${deployConfig.cdnDomain}')`);
+    }
+
+    if (Array.isArray(resolved.deploy.notifications)) {
+      issues.push(...validateNotifications(resolved.deploy.notifications).map(issue => `$.deploy.${issue}`));
+    }
+  }
+
+  if (issues.length === 0) {
+    log.info('✅ Configuration is valid');
+    return { valid: true, issues: [] };
+  }
+
+  log.error(`❌ Configuration issues found:`);
+  issues.forEach(issue => log.info(`  - ${issue}`));
+  return { valid: false, issues };
+}
+
+module.exports = {
+  deployOutputFiles,
+  deploySingleFile,
+  validateConfig,
+  loadDeploymentConfig,
+  createDeployStateStore,
+  deploymentStatus,
+  diffLiveData,
+  rollbackFile,
+  rollbackRelease,
+  listVersions
+};
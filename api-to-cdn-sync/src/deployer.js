@@ -1,6 +1,36 @@
 const axios = require('axios');
 const fs = require('fs');
-const FormData = require('form-data');
+const path = require('path');
+const { withRetry } = require('./retry');
+const { computeFileVersion, versionedKey } = require('./versions');
+const { resolveEncodings, compressContent, parseVariantKey } = require('./compression');
+const { contentTypeFor } = require('./content-types');
+const { mapWithConcurrency } = require('./concurrency');
+const { createLogger } = require('./logger');
+const { storageType, createStorage } = require('./storage');
+const {
+  cloudflareApi,
+  uploadToKV,
+  readFromKV,
+  deleteFromKV,
+  kvNamespaceUrl,
+  toCloudflareError
+} = require('./kv-storage');
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+// Purge-by-URL accepts at most 30 URLs per request on non-Enterprise plans
+const DEFAULT_PURGE_BATCH_SIZE = 30;
+
+// KV bulk writes take at most 10,000 pairs and 100 MB per request
+const BULK_MAX_KEYS = 10000;
+const BULK_MAX_BYTES = 100 * 1024 * 1024;
+const DEFAULT_UPLOAD_CONCURRENCY = 4;
+
+// Versioned keys never change content, so they can be cached indefinitely
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const log = createLogger('deployer');
 
 /**
  * Deploy files to Cloudflare CDN
@@ -8,121 +38,429 @@ const FormData = require('form-data');
  * @param {string} config.apiToken - Cloudflare API token
  * @param {string} config.zoneId - Cloudflare zone ID
  * @param {string} config.accountId - Cloudflare account ID
+ * @param {Object} [config.storage] - Storage backend settings (see storage.js); Workers KV when omitted
+ * @param {Object} [config.versioning] - When enabled, upload an immutable versioned copy before moving the alias
+ * @param {Object} [config.settings] - maxFileSize, allowedFileTypes, compression and cacheControl from cloudflare/config.json
  * @param {string} filePath - Path to file to deploy
  * @param {string} fileName - Name for the file on CDN
+ * @param {Object} [source] - Sync details stored as KV metadata: { endpoint, contentHash, generatedAt }
  * @returns {Promise<Object>} Deployment result
  */
-async function deployToCDN(config, filePath, fileName) {
-  console.log(`🚀 Deploying ${fileName} to Cloudflare CDN...`);
+async function deployToCDN(config, filePath, fileName, source = {}) {
+  log.info(`🚀 Deploying ${fileName} to Cloudflare CDN...`, { file: fileName });
+
+  const plan = planDeployment(config, filePath, fileName, source);
+
+  try {
+    return deploymentResult(config, plan, await uploadPlan(config, plan));
+
+  } catch (error) {
+    log.error(`❌ Failed to deploy ${fileName}: ${error.message}`, { file: fileName });
+    throw new Error(`CDN deployment failed: ${error.message}`);
+  }
+}
 
+/**
+ * Validate a file and list the storage writes that deploy it, in upload order:
+ * the versioned copy (when versioning is enabled) before the alias, and precompressed variants before their original,
+ * so the alias only ever points at content that exists.
+ * @param {Object} config - Deployment configuration
+ * @param {string} filePath - Path to file to deploy
+ * @param {string} fileName - Name for the file on CDN
+ * @param {Object} source - { endpoint, contentHash, generatedAt }
+ * @param {string} [key] - Storage key to publish under (defaults to fileName, e.g. a staging key for releases)
+ * @returns {Object} Plan as { fileName, key, content, version, versionKey, entries, variants, versionVariants }
+ */
+function planDeployment(config, filePath, fileName, source, key = fileName) {
   // Validate required configuration
-  if (!config.apiToken || !config.zoneId || !config.accountId) {
+  if (storageType(config) === 'kv' && (!config.apiToken || !config.zoneId || !config.accountId)) {
     throw new Error('Missing required Cloudflare configuration: apiToken, zoneId, accountId');
   }
+  createStorage(config);
 
   // Validate file exists
   if (!fs.existsSync(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
 
-  try {
-    const fileContent = fs.readFileSync(filePath, 'utf8');
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  checkFileAllowed(config.settings, fileName, Buffer.byteLength(fileContent));
 
-    // Upload to Cloudflare KV (Key-Value storage) for CDN serving
-    const kvResult = await uploadToKV(config, fileName, fileContent);
+  const plan = { fileName, key, content: fileContent, entries: [], variants: [], versionVariants: [] };
 
-    console.log(`✅ Successfully deployed ${fileName} to CDN`);
-    return {
-      success: true,
-      fileName: fileName,
-      size: fileContent.length,
-      url: `https://${config.cdnDomain}/${fileName}`,
-      kvResult: kvResult
-    };
+  if (config.versioning?.enabled) {
+    plan.version = computeFileVersion(fileContent);
+    plan.versionKey = versionedKey(key, plan.version);
+    const versioned = artifactEntries(config, plan.versionKey, fileContent, source, { immutable: true });
+    plan.entries.push(...versioned);
+    plan.versionVariants = versioned.filter(entry => entry.encoding).map(entry => entry.key);
+  }
 
-  } catch (error) {
-    console.error(`❌ Failed to deploy ${fileName}:`, error.message);
-    throw new Error(`CDN deployment failed: ${error.message}`);
+  const alias = artifactEntries(config, key, fileContent, source);
+  plan.entries.push(...alias);
+  plan.variants = alias.filter(entry => entry.encoding)
+    .map(entry => ({ encoding: entry.encoding, key: entry.key, size: entry.value.length }));
+
+  return plan;
+}
+
+// Write a plan's entries in order; resolves with the upload result of the file's own key
+async function uploadPlan(config, plan) {
+  const storage = createStorage(config);
+  let kvResult;
+  for (const entry of plan.entries) {
+    const result = await storage.put(entry.key, entry.value, entry.metadata);
+    if (entry.key === plan.key) {
+      kvResult = result;
+    }
   }
+  return kvResult;
+}
+
+function deploymentResult(config, plan, kvResult) {
+  const result = {
+    success: true,
+    fileName: plan.fileName,
+    size: plan.content.length,
+    url: cdnUrl(config, plan.key)
+  };
+
+  if (plan.key !== plan.fileName) {
+    result.key = plan.key;
+  }
+
+  if (plan.version) {
+    result.version = plan.version;
+    result.versionKey = plan.versionKey;
+    result.versionUrl = cdnUrl(config, plan.versionKey);
+  }
+
+  if (plan.variants.length > 0) {
+    result.variants = plan.variants;
+    if (plan.version) {
+      result.versionVariants = plan.versionVariants;
+    }
+  }
+
+  result.kvResult = kvResult;
+
+  log.info(`✅ Successfully deployed ${plan.fileName}${plan.version ? ` (version ${plan.version})` : ''} to CDN`, {
+    file: plan.fileName,
+    bytes: Buffer.byteLength(plan.content)
+  });
+  return result;
 }
 
 /**
- * Upload content to Cloudflare KV storage
+ * Reject files the CDN settings do not allow, before anything is uploaded
+ * @param {Object} [settings] - Settings from cloudflare/config.json
+ * @param {string} fileName - Name for the file on CDN
+ * @param {number} size - File size in bytes
+ */
+function checkFileAllowed(settings = {}, fileName, size) {
+  const extension = path.extname(fileName);
+
+  if (settings.allowedFileTypes && !settings.allowedFileTypes.includes(extension)) {
+    throw new Error(`File type '${extension || fileName}' is not allowed (allowedFileTypes: ${settings.allowedFileTypes.join(', ')})`);
+  }
+
+  if (settings.maxFileSize !== undefined) {
+    const maxBytes = parseFileSize(settings.maxFileSize);
+    if (size > maxBytes) {
+      throw new Error(`${fileName} is ${size} bytes, larger than maxFileSize ${settings.maxFileSize}`);
+    }
+  }
+}
+
+// "10MB" → 10485760; plain numbers are bytes
+function parseFileSize(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid maxFileSize '${value}' (expected e.g. 512KB or 10MB)`);
+  }
+
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Upload a served file with its metadata, plus the precompressed variants configured by
+ * settings.compression. Variants go first, so a client never sees a new original next to a stale .gz/.br.
  * @param {Object} config - Cloudflare configuration
- * @param {string} key - KV key name
- * @param {string} content - Content to store
- * @returns {Promise<Object>} Upload result
+ * @param {string} key - Storage key of the original
+ * @param {string} content - Original content
+ * @param {Object} [source] - { endpoint, contentHash, generatedAt }
+ * @param {Object} [options]
+ * @param {boolean} [options.immutable] - Serve with a long-lived immutable cache-control
+ * @returns {Promise<Object>} { kvResult, variants } with variants as { encoding, key, size }
  */
-async function uploadToKV(config, key, content) {
-  const url = `https://api.cloudflare.com/client/v4/accounts/${config.accountId}/storage/kv/namespaces/${config.namespaceId}/values/${key}`;
+async function uploadArtifact(config, key, content, source = {}, options = {}) {
+  const storage = createStorage(config);
+  const entries = artifactEntries(config, key, content, source, options);
+  const variants = [];
+  let kvResult;
 
-  const headers = {
-    'Authorization': `Bearer ${config.apiToken}`,
-    'Content-Type': 'application/javascript'
+  for (const entry of entries) {
+    const result = await storage.put(entry.key, entry.value, entry.metadata);
+    if (entry.encoding) {
+      variants.push({ encoding: entry.encoding, key: entry.key, size: entry.value.length });
+    } else {
+      kvResult = result;
+    }
+  }
+
+  return { kvResult, variants };
+}
+
+// Storage writes for one served file: precompressed variants first, then the original
+function artifactEntries(config, key, content, source = {}, options = {}) {
+  const encodings = resolveEncodings(config.settings?.compression);
+  const base = {
+    cacheControl: options.immutable ? IMMUTABLE_CACHE_CONTROL : config.settings?.cacheControl,
+    contentHash: source.contentHash,
+    endpoint: source.endpoint,
+    generatedAt: source.generatedAt
   };
 
+  const variants = compressContent(content, encodings).map(variant => {
+    const variantKey = `${key}${variant.extension}`;
+    return { key: variantKey, value: variant.content, metadata: objectMetadata(variantKey, base), encoding: variant.encoding };
+  });
+
+  return [...variants, { key, value: content, metadata: objectMetadata(key, base) }];
+}
+
+/**
+ * Metadata read by the edge (or mapped to headers by the storage backend) when serving a key
+ * @param {string} key - Storage key
+ * @param {Object} base - cacheControl and sync details shared by a file and its variants
+ * @returns {Object} Metadata without empty fields
+ */
+function objectMetadata(key, base) {
+  const metadata = {
+    contentType: contentTypeFor(key),
+    contentEncoding: parseVariantKey(key)?.contentEncoding,
+    ...base
+  };
+
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Store a value in the configured storage backend
+ * @param {Object} config - Deployment configuration
+ * @param {string} key - Storage key
+ * @param {string|Buffer} content - Content to store
+ * @param {Object} [metadata] - Metadata stored with the value (see objectMetadata)
+ * @returns {Promise<Object>} Upload result
+ */
+async function putObject(config, key, content, metadata) {
+  return createStorage(config).put(key, content, metadata);
+}
+
+/**
+ * Read a value from the configured storage backend
+ * @param {Object} config - Deployment configuration
+ * @param {string} key - Storage key
+ * @param {Object} [options]
+ * @param {boolean} [options.binary] - Return a Buffer instead of text (e.g. for .gz/.br variants)
+ * @returns {Promise<string|Buffer|null>} Stored value, or null if the key does not exist
+ */
+async function getObject(config, key, options) {
+  return createStorage(config).get(key, options);
+}
+
+/**
+ * Delete a value from the configured storage backend
+ * @param {Object} config - Deployment configuration
+ * @param {string} key - Storage key
+ * @returns {Promise<Object>} Delete result
+ */
+async function deleteObject(config, key) {
+  return createStorage(config).delete(key);
+}
+
+/**
+ * List keys in the configured storage backend
+ * @param {Object} config - Deployment configuration
+ * @param {string} [prefix] - Only keys starting with this prefix
+ * @returns {Promise<Array>} Keys as { key, ... }
+ */
+async function listObjects(config, prefix) {
+  return createStorage(config).list(prefix);
+}
+
+/**
+ * Read the metadata of a key in the configured storage backend
+ * @param {Object} config - Deployment configuration
+ * @param {string} key - Storage key
+ * @returns {Promise<Object|null>} { key, metadata, ... }, or null if the key does not exist
+ */
+async function headObject(config, key) {
+  return createStorage(config).head(key);
+}
+
+/**
+ * Public URL of a key on the CDN. With config.cdnBaseUrl the domain becomes a path segment under that base,
+ * which is how the edge in mock-cloudflare.js serves it.
+ * @param {Object} config - Cloudflare configuration
+ * @param {string} key - Published file name or KV key
+ * @returns {string} URL
+ */
+function cdnUrl(config, key) {
+  return config.cdnBaseUrl
+    ? `${config.cdnBaseUrl.replace(/\/+$/, '')}/${config.cdnDomain}/${key}`
+    : `https://${config.cdnDomain}/${key}`;
+}
+
+/**
+ * Download what the CDN currently serves for a file
+ * @param {Object} config - Cloudflare configuration
+ * @param {string} fileName - Published file name
+ * @returns {Promise<string|null>} Served content, or null if the CDN answers 404
+ */
+async function fetchFromCDN(config, fileName) {
+  const url = cdnUrl(config, fileName);
+
   try {
-    const response = await axios.put(url, content, {
-      headers,
-      timeout: 30000 // 30 second timeout for uploads
-    });
+    const response = await withRetry(() => axios.get(url, {
+      responseType: 'text',
+      headers: { 'Cache-Control': 'no-cache' },
+      timeout: 10000,
+      validateStatus: (status) => status === 200 || status === 404
+    }), config.retry, { label: `GET ${url}` });
 
-    if (response.data.success) {
-      return {
-        success: true,
-        key: key,
-        size: content.length
-      };
-    } else {
-      throw new Error(`KV upload failed: ${JSON.stringify(response.data.errors)}`);
-    }
+    return response.status === 404 ? null : response.data;
 
   } catch (error) {
-    if (error.response?.status === 401) {
-      throw new Error('Cloudflare authentication failed - check API token');
-    }
+    throw new Error(`Could not fetch ${url}: ${error.message}`);
+  }
+}
 
-    if (error.response?.status === 403) {
-      throw new Error('Cloudflare access denied - check account permissions');
-    }
+/**
+ * Purge URLs from the zone's edge cache, in batches sized to the API limit.
+ * A failed batch does not stop the others; every batch is reported.
+ * @param {Object} config - Cloudflare configuration
+ * @param {string} config.zoneId - Cloudflare zone ID
+ * @param {Object} [config.settings] - settings.purge.batchSize overrides the default of 30
+ * @param {Array<string>} urls - Exact URLs to purge
+ * @returns {Promise<Object>} Purge result with per-batch outcomes
+ */
+async function purgeCache(config, urls) {
+  const batchSize = config.settings?.purge?.batchSize || DEFAULT_PURGE_BATCH_SIZE;
+  const unique = [...new Set(urls)];
+  const batches = [];
 
-    if (error.response?.data?.errors) {
-      throw new Error(`Cloudflare API error: ${JSON.stringify(error.response.data.errors)}`);
-    }
+  if (!config.zoneId) {
+    throw new Error('Missing required Cloudflare configuration: zoneId');
+  }
 
-    throw new Error(`Network error: ${error.message}`);
+  log.info(`🧹 Purging ${unique.length} URL(s) from the CDN cache...`);
+
+  for (let i = 0; i < unique.length; i += batchSize) {
+    const batch = unique.slice(i, i + batchSize);
+
+    try {
+      const response = await withRetry(() => axios.post(`${cloudflareApi(config)}/zones/${config.zoneId}/purge_cache`, { files: batch }, {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      }), config.retry, { label: `PURGE ${batch.length} URL(s)` });
+
+      if (!response.data.success) {
+        throw new Error(`Purge failed: ${JSON.stringify(response.data.errors)}`);
+      }
+
+      batches.push({ success: true, urls: batch, id: response.data.result?.id });
+    } catch (error) {
+      const message = error.response ? toCloudflareError(error).message : error.message;
+      log.warn(`⚠️ Purge batch ${batches.length + 1} failed: ${message}`, { status: error.response?.status });
+      batches.push({ success: false, urls: batch, error: message });
+    }
   }
+
+  const purged = batches.filter(batch => batch.success).reduce((total, batch) => total + batch.urls.length, 0);
+  log.info(`🧹 Purged ${purged}/${unique.length} URL(s)`, { purged, failed: unique.length - purged });
+
+  return {
+    success: purged === unique.length,
+    total: unique.length,
+    purged: purged,
+    failed: unique.length - purged,
+    batches: batches
+  };
 }
 
 /**
- * Deploy multiple files to CDN
+ * Deploy multiple files to CDN.
+ * With settings.upload.bulk, every KV write goes through the bulk endpoint (versioned copies and variants first,
+ * aliases second); files the bulk write could not store fall back to individual uploads,
+ * run settings.upload.concurrency at a time.
  * @param {Object} config - Deployment configuration
- * @param {Array} files - Array of {filePath, fileName} objects
- * @returns {Promise<Object>} Deployment results
+ * @param {Array} files - Array of {filePath, fileName} objects, optionally with key, endpoint, contentHash and generatedAt
+ * @returns {Promise<Object>} Deployment results, one per file in input order
  */
 async function deployMultipleFiles(config, files) {
-  console.log(`🚀 Deploying ${files.length} files to CDN...`);
+  log.info(`🚀 Deploying ${files.length} files to CDN...`);
+  const startTime = Date.now();
 
-  const results = [];
-  let successCount = 0;
-  let failureCount = 0;
+  const results = new Array(files.length);
+  const plans = [];
 
-  for (const file of files) {
+  files.forEach((file, index) => {
     try {
-      const result = await deployToCDN(config, file.filePath, file.fileName);
-      results.push(result);
-      successCount++;
+      const plan = planDeployment(config, file.filePath, file.fileName, {
+        endpoint: file.endpoint,
+        contentHash: file.contentHash,
+        generatedAt: file.generatedAt
+      }, file.key);
+      plans.push({ index, plan });
     } catch (error) {
-      results.push({
-        success: false,
-        fileName: file.fileName,
-        error: error.message
-      });
-      failureCount++;
+      results[index] = { success: false, fileName: file.fileName, error: error.message };
+    }
+  });
+
+  // The bulk endpoint only exists for Workers KV; other backends always upload file by file
+  let pending = plans;
+  if (config.settings?.upload?.bulk && storageType(config) === 'kv' && plans.length > 0) {
+    const written = await bulkUploadPlans(config, plans.map(({ plan }) => plan));
+
+    for (const { index, plan } of plans) {
+      if (written.has(plan.key)) {
+        results[index] = deploymentResult(config, plan, { success: true, key: plan.key, size: plan.content.length });
+      }
+    }
+
+    pending = plans.filter(({ plan }) => !written.has(plan.key));
+    if (pending.length > 0) {
+      log.warn(`↩️ Falling back to individual uploads for ${pending.length} file(s)`);
     }
   }
 
-  console.log(`📊 Deployment Summary: ${successCount} successful, ${failureCount} failed`);
+  const concurrency = config.settings?.upload?.concurrency || DEFAULT_UPLOAD_CONCURRENCY;
+  await mapWithConcurrency(pending, concurrency, async ({ index, plan }) => {
+    try {
+      results[index] = deploymentResult(config, plan, await uploadPlan(config, plan));
+    } catch (error) {
+      log.error(`❌ Failed to deploy ${plan.fileName}: ${error.message}`, { file: plan.fileName });
+      results[index] = { success: false, fileName: plan.fileName, error: `CDN deployment failed: ${error.message}` };
+    }
+  });
+
+  const successCount = results.filter(result => result.success).length;
+  const failureCount = results.length - successCount;
+
+  log.info(`📊 Deployment Summary: ${successCount} successful, ${failureCount} failed`, {
+    successful: successCount,
+    failed: failureCount,
+    bytes: results.reduce((total, result) => total + (result.size || 0), 0),
+    duration_ms: Date.now() - startTime
+  });
 
   return {
     success: failureCount === 0,
@@ -133,13 +471,121 @@ async function deployMultipleFiles(config, files) {
   };
 }
 
+/**
+ * Write the planned KV entries of several files through the bulk endpoint, in two phases so aliases
+ * are only moved once their versioned copy and variants are stored
+ * @param {Object} config - Cloudflare configuration
+ * @param {Array} plans - Plans from planDeployment
+ * @returns {Promise<Set<string>>} Keys of the files whose entries were all written
+ */
+async function bulkUploadPlans(config, plans) {
+  const failedKeys = new Set();
+  const written = new Set();
+
+  const supporting = plans.flatMap(plan => plan.entries.filter(entry => entry.key !== plan.key));
+  await writeBulkChunks(config, supporting, failedKeys);
+
+  const ready = plans.filter(plan => plan.entries.every(entry => entry.key === plan.key || !failedKeys.has(entry.key)));
+  const aliases = ready.map(plan => plan.entries.find(entry => entry.key === plan.key));
+  await writeBulkChunks(config, aliases, failedKeys);
+
+  for (const plan of ready) {
+    if (!failedKeys.has(plan.key)) {
+      written.add(plan.key);
+    }
+  }
+
+  log.info(`📦 Bulk upload: ${written.size}/${plans.length} file(s) written in bulk`);
+  return written;
+}
+
+async function writeBulkChunks(config, entries, failedKeys) {
+  for (const chunk of bulkChunks(entries)) {
+    try {
+      const unsuccessful = await bulkWriteToKV(config, chunk);
+      unsuccessful.forEach(key => failedKeys.add(key));
+    } catch (error) {
+      log.warn(`⚠️ Bulk write of ${chunk.length} key(s) failed: ${error.message}`);
+      chunk.forEach(entry => failedKeys.add(entry.key));
+    }
+  }
+}
+
+// Split entries so no request exceeds the bulk key or size limit
+function bulkChunks(entries) {
+  const chunks = [];
+  let chunk = [];
+  let bytes = 0;
+
+  for (const entry of entries) {
+    const size = bulkPayloadSize(entry);
+    if (chunk.length > 0 && (chunk.length >= BULK_MAX_KEYS || bytes + size > BULK_MAX_BYTES)) {
+      chunks.push(chunk);
+      chunk = [];
+      bytes = 0;
+    }
+    chunk.push(entry);
+    bytes += size;
+  }
+
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+function bulkPayloadSize(entry) {
+  const valueBytes = Buffer.isBuffer(entry.value) ? Math.ceil(entry.value.length / 3) * 4 : Buffer.byteLength(entry.value);
+  return valueBytes + Buffer.byteLength(entry.key) + Buffer.byteLength(JSON.stringify(entry.metadata || {}));
+}
+
+/**
+ * Write several values in one request through the KV bulk endpoint.
+ * Binary values (precompressed variants) are sent base64-encoded.
+ * @param {Object} config - Cloudflare configuration
+ * @param {Array} entries - Entries as { key, value, metadata }
+ * @returns {Promise<Array<string>>} Keys Cloudflare reported as not written
+ */
+async function bulkWriteToKV(config, entries) {
+  const body = entries.map(entry => ({
+    key: entry.key,
+    value: Buffer.isBuffer(entry.value) ? entry.value.toString('base64') : entry.value,
+    ...(Buffer.isBuffer(entry.value) && { base64: true }),
+    ...(entry.metadata && { metadata: entry.metadata })
+  }));
+
+  try {
+    const response = await withRetry(() => axios.put(`${kvNamespaceUrl(config)}/bulk`, body, {
+      headers: {
+        'Authorization': `Bearer ${config.apiToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 120000
+    }), config.retry, { label: `KV BULK ${entries.length} key(s)` });
+
+    if (!response.data.success) {
+      throw new Error(`KV bulk write failed: ${JSON.stringify(response.data.errors)}`);
+    }
+
+    return response.data.result?.unsuccessful_keys || [];
+
+  } catch (error) {
+    throw error.response ? toCloudflareError(error) : error;
+  }
+}
+
 /**
  * Test CDN accessibility by making a GET request
  * @param {string} url - CDN URL to test
+ * @param {Object} [expected] - Headers the CDN should serve
+ * @param {string} [expected.contentType] - Expected media type (parameters such as charset are ignored)
+ * @param {string} [expected.cacheControl] - Expected cache-control value
  * @returns {Promise<Object>} Test result
  */
-async function testCDNAccess(url) {
-  console.log(`🧪 Testing CDN accessibility: ${url}`);
+async function testCDNAccess(url, expected = {}) {
+  log.info(`🧪 Testing CDN accessibility: ${url}`);
+  const startTime = Date.now();
 
   try {
     const response = await axios.get(url, {
@@ -147,8 +593,28 @@ async function testCDNAccess(url) {
       validateStatus: (status) => status < 500 // Accept 4xx as valid responses
     });
 
-    if (response.status === 200) {
-      console.log(`✅ CDN accessible: ${url} (${response.data.length} bytes)`);
+    const fields = { url, status: response.status, bytes: response.data?.length, duration_ms: Date.now() - startTime };
+
+    if (response.status === 200 && (expected.contentType || expected.cacheControl)) {
+      const mismatches = headerMismatches(response.headers, expected);
+
+      if (mismatches.length === 0) {
+        log.info(`✅ CDN accessible: ${url} (${response.data.length} bytes, headers match)`, fields);
+      } else {
+        log.warn(`⚠️ CDN headers differ for ${url}:`, fields);
+        mismatches.forEach(mismatch => log.warn(`  - ${mismatch.header}: "${mismatch.actual}" (expected "${mismatch.expected}")`, { url }));
+      }
+
+      return {
+        success: mismatches.length === 0,
+        status: response.status,
+        size: response.data.length,
+        contentType: response.headers['content-type'],
+        cacheControl: response.headers['cache-control'],
+        mismatches: mismatches
+      };
+    } else if (response.status === 200) {
+      log.info(`✅ CDN accessible: ${url} (${response.data.length} bytes)`, fields);
       return {
         success: true,
         status: response.status,
@@ -156,7 +622,7 @@ async function testCDNAccess(url) {
         contentType: response.headers['content-type']
       };
     } else {
-      console.log(`⚠️ CDN returned status ${response.status}: ${url}`);
+      log.warn(`⚠️ CDN returned status ${response.status}: ${url}`, fields);
       return {
         success: false,
         status: response.status,
@@ -165,7 +631,7 @@ async function testCDNAccess(url) {
     }
 
   } catch (error) {
-    console.error(`❌ CDN test failed: ${error.message}`);
+    log.error(`❌ CDN test failed: ${error.message}`, { url });
     return {
       success: false,
       error: error.message
@@ -173,8 +639,37 @@ async function testCDNAccess(url) {
   }
 }
 
+// Compare served headers with the configured ones; media types ignore parameters, cache-control ignores spacing
+function headerMismatches(headers = {}, expected) {
+  const mismatches = [];
+  const mediaType = (value) => (value || '').split(';')[0].trim().toLowerCase();
+  const directives = (value) => (value || '').split(',').map(part => part.trim().toLowerCase()).join(', ');
+
+  if (expected.contentType && mediaType(headers['content-type']) !== mediaType(expected.contentType)) {
+    mismatches.push({ header: 'content-type', expected: expected.contentType, actual: headers['content-type'] || null });
+  }
+
+  if (expected.cacheControl && directives(headers['cache-control']) !== directives(expected.cacheControl)) {
+    mismatches.push({ header: 'cache-control', expected: expected.cacheControl, actual: headers['cache-control'] || null });
+  }
+
+  return mismatches;
+}
+
 module.exports = {
   deployToCDN,
   deployMultipleFiles,
-  testCDNAccess
+  testCDNAccess,
+  uploadToKV,
+  uploadArtifact,
+  purgeCache,
+  readFromKV,
+  deleteFromKV,
+  putObject,
+  getObject,
+  deleteObject,
+  listObjects,
+  headObject,
+  fetchFromCDN,
+  cdnUrl
 };
@@ -0,0 +1,86 @@
+const path = require('path');
+const { loadDeployConfig } = require('./configuration');
+
+/**
+ * Deployment configuration of an environment: the environment's block of cloudflare/config.json
+ * (see configuration.js) with the Cloudflare credentials and endpoint overrides from the environment.
+ * This is the `config` every storage backend, deployer and state store takes.
+ */
+
+/**
+ * Deployment configuration of a resolved environment block
+ * @param {Object} envConfig - Environment block with merged `settings` (see loadDeployConfig)
+ * @returns {Object} Deployment configuration
+ */
+function deploymentConfig(envConfig) {
+  return {
+    apiToken: process.env.CLOUDFLARE_API_TOKEN,
+    zoneId: process.env.CLOUDFLARE_ZONE_ID,
+    accountId: process.env.CLOUDFLARE_ACCOUNT_ID,
+    namespaceId: envConfig.namespaceId,
+    cdnDomain: envConfig.cdnDomain,
+    apiBaseUrl: process.env.CLOUDFLARE_API_BASE_URL,
+    cdnBaseUrl: process.env.CDN_BASE_URL,
+    storage: envConfig.storage,
+    privateStorage: envConfig.privateStorage,
+    retry: envConfig.settings.retry,
+    versioning: envConfig.settings.versioning,
+    settings: envConfig.settings
+  };
+}
+
+/**
+ * Load deployment configuration from cloudflare/config.json and environment variables
+ * @param {string} environment - Environment name (development/staging/production)
+ * @returns {Object} Deployment configuration
+ * @throws {Error} Listing every problem when the configuration is invalid
+ */
+function loadDeploymentConfig(environment = 'development') {
+  return deploymentConfig(loadDeployConfig(environment));
+}
+
+// Whether a private storage block points at the namespace, bucket or directory the CDN serves
+function servesPrivateStorage(config, storage) {
+  const published = config.storage || { type: 'kv' };
+  const type = storage.type || 'kv';
+
+  if (type !== (published.type || 'kv')) {
+    return false;
+  }
+
+  if (type === 'kv') {
+    return storage.namespaceId === config.namespaceId;
+  }
+
+  if (type === 's3') {
+    return storage.endpoint === published.endpoint && storage.bucket === published.bucket;
+  }
+
+  const served = path.resolve(published.directory || '.');
+  const directory = path.resolve(storage.directory || '.');
+  return directory === served || directory.startsWith(`${served}${path.sep}`);
+}
+
+/**
+ * Deployment configuration of an environment's private storage: where the deploy state and KV snapshots are
+ * kept, so raw API payloads and deploy bookkeeping are never served by the CDN. Selected by `privateStorage`
+ * in the environment's block, with the same fields as `storage` plus `namespaceId` for Workers KV.
+ * @param {Object} config - Deployment configuration
+ * @returns {Object} Deployment configuration whose storage is the private one
+ * @throws {Error} When privateStorage is missing or is the published storage
+ */
+function privateStorageConfig(config) {
+  const storage = config.privateStorage;
+
+  if (!storage) {
+    throw new Error('Missing privateStorage: deploy state and snapshots are only kept outside the published storage');
+  }
+
+  if (servesPrivateStorage(config, storage)) {
+    throw new Error('privateStorage must not be the published namespace, bucket or directory');
+  }
+
+  return { ...config, storage: { type: 'kv', ...storage }, namespaceId: storage.namespaceId };
+}
+
+module.exports = { deploymentConfig, loadDeploymentConfig, privateStorageConfig };
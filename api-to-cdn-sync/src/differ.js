@@ -0,0 +1,291 @@
+const path = require('path');
+const { getPath } = require('./reshaper');
+
+const DIFF_FORMATS = ['text', 'json', 'markdown'];
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Extract the published data from a generated artifact.
+ * JSON files are parsed as a whole; JS modules (esm, cjs, umd, pretty or minified) carry the data
+ * as the first JSON literal assigned to a name, which is parsed without evaluating the module.
+ * @param {string} content - Artifact content
+ * @param {string} fileName - Artifact file name (selects the parser)
+ * @returns {*} Published data
+ */
+function extractData(content, fileName) {
+  if (fileName.endsWith('.d.ts')) {
+    throw new Error(`${fileName} is a type declaration and carries no data`);
+  }
+
+  if (path.extname(fileName) === '.json') {
+    return JSON.parse(content);
+  }
+
+  const assignment = /[A-Za-z_$][\w$]*\s*[:=]\s*(?=[[{])/g;
+  let match;
+
+  while ((match = assignment.exec(content)) !== null) {
+    const start = match.index + match[0].length;
+    const end = literalEnd(content, start);
+
+    if (end !== -1) {
+      try {
+        return JSON.parse(content.slice(start, end));
+      } catch (error) {
+        // Not a JSON literal (e.g. a function body); keep looking
+      }
+    }
+  }
+
+  throw new Error(`No data literal found in ${fileName}`);
+}
+
+// Index just past the object/array literal starting at `start`, or -1 when it is not closed
+function literalEnd(content, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Records of a payload: the `data` array of a raw API response, otherwise the payload itself
+ * @param {*} payload - Published data
+ * @returns {*} Records
+ */
+function recordsOf(payload) {
+  return Array.isArray(payload?.data) ? payload.data : payload;
+}
+
+/**
+ * Semantic diff of two payloads.
+ * Records are matched by key: object keys for keyed payloads (keyBy), the `key` field for arrays
+ * (or `id` when every record has one), otherwise their index.
+ * @param {*} before - Live payload (null when nothing is live yet)
+ * @param {*} after - New payload
+ * @param {Object} [options]
+ * @param {string} [options.key] - Field identifying array records
+ * @returns {Object} { summary, added, removed, changed } with paths in JSONPath notation
+ */
+function diffData(before, after, options = {}) {
+  const key = options.key || defaultKey(before, after);
+  const live = recordMap(recordsOf(before), key);
+  const next = recordMap(recordsOf(after), key);
+  const diff = { added: [], removed: [], changed: [] };
+  let unchanged = 0;
+
+  for (const [id, record] of next) {
+    if (!live.has(id)) {
+      diff.added.push({ path: record.path, value: record.value });
+      continue;
+    }
+
+    const changes = [];
+    diffValues(live.get(id).value, record.value, record.path, changes);
+    if (changes.length > 0) {
+      diff.changed.push({ path: record.path, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  for (const [id, record] of live) {
+    if (!next.has(id)) {
+      diff.removed.push({ path: record.path, value: record.value });
+    }
+  }
+
+  return {
+    summary: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length, unchanged },
+    ...diff
+  };
+}
+
+function defaultKey(...payloads) {
+  const arrays = payloads.map(recordsOf).filter(Array.isArray);
+  const records = arrays.flat();
+
+  return records.length > 0 && records.every(record => record && record.id !== undefined) ? 'id' : null;
+}
+
+// Map of record id → { path, value } for arrays, keyed objects and single values
+function recordMap(records, key) {
+  const map = new Map();
+
+  if (records === null || records === undefined) {
+    return map;
+  }
+
+  if (Array.isArray(records)) {
+    records.forEach((value, index) => {
+      const id = key ? getPath(value, key) : undefined;
+      if (id === undefined) {
+        map.set(`#${index}`, { path: `$[${index}]`, value });
+      } else {
+        map.set(`=${JSON.stringify(id)}`, { path: `$[?(@.${key}==${JSON.stringify(id)})]`, value });
+      }
+    });
+  } else if (typeof records === 'object') {
+    for (const [id, value] of Object.entries(records)) {
+      map.set(id, { path: `$${pathSegment(id)}`, value });
+    }
+  } else {
+    map.set('$', { path: '$', value: records });
+  }
+
+  return map;
+}
+
+// Collect field-level differences between two values below `basePath`
+function diffValues(before, after, basePath, changes) {
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    for (const key of keys) {
+      const childPath = `${basePath}${Array.isArray(before) ? `[${key}]` : pathSegment(key)}`;
+      const inBefore = Array.isArray(before) ? key < before.length : Object.prototype.hasOwnProperty.call(before, key);
+      const inAfter = Array.isArray(after) ? key < after.length : Object.prototype.hasOwnProperty.call(after, key);
+
+      if (!inBefore) {
+        changes.push({ path: childPath, type: 'added', after: after[key] });
+      } else if (!inAfter) {
+        changes.push({ path: childPath, type: 'removed', before: before[key] });
+      } else {
+        diffValues(before[key], after[key], childPath, changes);
+      }
+    }
+    return;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: basePath, type: 'changed', before, after });
+  }
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function pathSegment(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Render diff reports
+ * @param {Object} result - { environment, source, reports } where each report is
+ *   { endpoint, fileName, location, live, diff } or { endpoint, error }
+ * @param {string} format - 'text', 'json' or 'markdown' (e.g. for $GITHUB_STEP_SUMMARY)
+ * @returns {string} Rendered diff
+ */
+function formatDiff(result, format = 'text') {
+  if (!DIFF_FORMATS.includes(format)) {
+    throw new Error(`Unknown diff format '${format}' (expected one of: ${DIFF_FORMATS.join(', ')})`);
+  }
+
+  if (format === 'json') {
+    return JSON.stringify(result, null, 2);
+  }
+
+  return format === 'markdown' ? formatMarkdown(result) : formatText(result);
+}
+
+function formatText(result) {
+  const lines = [];
+
+  for (const report of result.reports) {
+    lines.push(`📋 ${report.endpoint}${report.fileName ? ` (${report.fileName} via ${result.source})` : ''}`);
+
+    if (report.error) {
+      lines.push(`  ❌ ${report.error}`, '');
+      continue;
+    }
+
+    const { summary } = report.diff;
+    lines.push(`  ${report.live ? '' : 'not live yet - '}${summaryText(summary)}`);
+
+    for (const change of changeRows(report.diff)) {
+      const sign = { added: '+', removed: '-', changed: '~' }[change.type];
+      const values = change.type === 'changed'
+        ? `${renderValue(change.before)} → ${renderValue(change.after)}`
+        : renderValue(change.type === 'added' ? change.after : change.before);
+      lines.push(`  ${sign} ${change.path}: ${values}`);
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function formatMarkdown(result) {
+  const lines = [`## CDN diff: ${result.environment}`, ''];
+  const cell = (value) => (value === undefined ? '' : `\`${renderValue(value).replace(/\|/g, '\\|')}\``);
+
+  for (const report of result.reports) {
+    lines.push(`### ${report.endpoint}`, '');
+
+    if (report.error) {
+      lines.push(`❌ ${report.error}`, '');
+      continue;
+    }
+
+    lines.push(`\`${report.fileName}\` from ${result.source}${report.live ? '' : ' (not live yet)'}: ${summaryText(report.diff.summary)}`, '');
+
+    const rows = changeRows(report.diff);
+    if (rows.length === 0) {
+      lines.push('No changes.', '');
+      continue;
+    }
+
+    lines.push('| Change | Path | Before | After |', '|--------|------|--------|-------|');
+    for (const row of rows) {
+      lines.push(`| ${row.type} | \`${row.path}\` | ${cell(row.before)} | ${cell(row.after)} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Added and removed records plus every changed field, as flat { type, path, before, after } rows
+function changeRows(diff) {
+  return [
+    ...diff.added.map(record => ({ type: 'added', path: record.path, after: record.value })),
+    ...diff.removed.map(record => ({ type: 'removed', path: record.path, before: record.value })),
+    ...diff.changed.flatMap(record => record.changes)
+  ];
+}
+
+function summaryText(summary) {
+  return `${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchanged} unchanged`;
+}
+
+function renderValue(value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+module.exports = { DIFF_FORMATS, extractData, recordsOf, diffData, formatDiff };
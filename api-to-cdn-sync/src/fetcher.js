@@ -1,28 +1,98 @@
 const axios = require('axios');
+const { withRetry } = require('./retry');
+const { createLogger } = require('./logger');
+const { authenticate, clearTokenCache } = require('./auth');
+const { resolvePagination, firstPage, nextPage } = require('./pagination');
 
+const log = createLogger('fetcher');
+
+/**
+ * Fetch an endpoint's payload from the source API.
+ * Paginated endpoints and endpoints made of several requests come back as one payload whose `data`
+ * holds every record in order; the rest of the payload is taken from the first response.
+ * @param {Object} config - Request settings
+ * @param {string} config.apiBaseUrl - Source API base URL
+ * @param {string} config.path - Endpoint path
+ * @param {Object} [config.auth] - Endpoint auth block (see auth.js; defaults to a bearer token from API_AUTH_TOKEN)
+ * @param {Object} [config.pagination] - Endpoint pagination block (see pagination.js)
+ * @param {Array} [config.requests] - Source requests as { path, params, set } used instead of path; `set` fields
+ *   are added to every record of that request (e.g. { "locale": "de" })
+ * @param {Object} [config.retry] - Retry policy overrides (see retry.js)
+ * @returns {Promise<Object>} Response body
+ */
 async function fetchApiData(config) {
-  const url = `${config.apiBaseUrl}${config.path}`;
-  const authToken = process.env.API_AUTH_TOKEN;
+  return (await fetchEndpoint(config, null)).data;
+}
 
-  if (!authToken) {
-    throw new Error('API_AUTH_TOKEN environment variable is required');
-  }
+/**
+ * Fetch an endpoint's payload unless it is unchanged since the previous response.
+ * Only single, unpaginated requests are conditional; the others are fetched in full and return no validators.
+ * @param {Object} config - Request settings (see fetchApiData)
+ * @param {Object} validators - { etag, lastModified } of the previous response, sent as If-None-Match /
+ *   If-Modified-Since
+ * @returns {Promise<Object>} { data, notModified, validators } where data is null when the API answered
+ *   304 Not Modified and validators are those of this response
+ */
+async function fetchIfModified(config, validators) {
+  return fetchEndpoint(config, validators || {});
+}
+
+// Fetch an endpoint, conditionally when validators are given
+async function fetchEndpoint(config, validators) {
+  const pagination = resolvePagination(config.pagination);
+  const requests = config.requests || [{ path: config.path }];
+
+  // Credentials are resolved up front so a missing variable fails before any request is made
+  let credentials = await authenticate(config.auth, { retry: config.retry });
+  const apiOrigin = new URL(config.apiBaseUrl).origin;
+
+  const get = async (url, params, headers = {}) => {
+    const request = () => {
+      const auth = credentialsFor(url, apiOrigin, credentials);
+      return withRetry(() => axios.get(url, {
+        headers: {
+          ...auth.headers,
+          ...headers,
+          'Content-Type': 'application/json'
+        },
+        params: { ...params, ...auth.params },
+        timeout: 10000, // 10 second timeout
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+      }), config.retry, { label: `GET ${url}` });
+    };
+
+    try {
+      return await request();
+    } catch (error) {
+      // A cached OAuth2 token can be revoked before it expires; fetch a new one and try once more
+      if (error.response?.status !== 401 || config.auth?.type !== 'oauth2') {
+        throw error;
+      }
+      log.warn(`🔑 OAuth2 token rejected by ${url}, requesting a new one`);
+      clearTokenCache(config.auth);
+      credentials = await authenticate(config.auth, { retry: config.retry });
+      return request();
+    }
+  };
 
   try {
-    console.log(`Fetching data from: ${url}`);
-
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${authToken}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
-    });
+    if (validators && !pagination && !config.requests) {
+      return await fetchConditional(get, `${config.apiBaseUrl}${config.path}`, validators);
+    }
 
-    console.log(`Successfully fetched data (${response.status})`);
-    return response.data;
+    const payloads = [];
+    for (const request of requests) {
+      payloads.push(await fetchPages(get, `${config.apiBaseUrl}${request.path}`, request.params, pagination));
+    }
+
+    return { data: config.requests ? mergeRequests(payloads, requests) : payloads[0], notModified: false, validators: {} };
 
   } catch (error) {
+    // Configuration, pagination and token errors are already readable
+    if (!error.isAxiosError) {
+      throw error;
+    }
+
     if (error.response?.status === 401) {
       throw new Error(`Authentication failed: ${error.response.data.error}`);
     }
@@ -35,4 +105,118 @@ async function fetchApiData(config) {
   }
 }
 
-module.exports = { fetchApiData };
+/**
+ * Credentials to send with a request. Link-header pages may point at another host, which must not see
+ * the API's credentials; query credentials the URL already carries are not appended a second time.
+ * @param {string} url - Request URL
+ * @param {string} apiOrigin - Origin of the endpoint's apiBaseUrl
+ * @param {Object} credentials - { headers, params } from authenticate()
+ * @returns {Object} { headers, params } to send
+ */
+function credentialsFor(url, apiOrigin, credentials) {
+  const target = new URL(url);
+  if (target.origin !== apiOrigin) {
+    return { headers: {}, params: {} };
+  }
+
+  const params = Object.fromEntries(Object.entries(credentials.params || {})
+    .filter(([name]) => !target.searchParams.has(name)));
+  return { headers: credentials.headers, params };
+}
+
+// Fetch one request with If-None-Match / If-Modified-Since, returning the validators of the response
+async function fetchConditional(get, url, validators) {
+  log.info(`Fetching data from: ${url}`, { url, conditional: Boolean(validators.etag || validators.lastModified) });
+  const startTime = Date.now();
+
+  const response = await get(url, {}, {
+    ...(validators.etag && { 'If-None-Match': validators.etag }),
+    ...(validators.lastModified && { 'If-Modified-Since': validators.lastModified })
+  });
+
+  if (response.status === 304) {
+    log.info('Not modified since the last sync (304)', { url, status: 304, duration_ms: Date.now() - startTime });
+    return { data: null, notModified: true, validators };
+  }
+
+  log.info(`Successfully fetched data (${response.status})`, {
+    url,
+    status: response.status,
+    duration_ms: Date.now() - startTime,
+    bytes: responseBytes(response)
+  });
+  return {
+    data: response.data,
+    notModified: false,
+    validators: { etag: response.headers?.etag, lastModified: response.headers?.['last-modified'] }
+  };
+}
+
+// Fetch one source request, following its pages
+async function fetchPages(get, url, params = {}, pagination) {
+  log.info(`Fetching data from: ${url}`, { url });
+  const startTime = Date.now();
+
+  if (!pagination) {
+    const response = await get(url, params);
+    log.info(`Successfully fetched data (${response.status})`, {
+      url,
+      status: response.status,
+      duration_ms: Date.now() - startTime,
+      bytes: responseBytes(response)
+    });
+    return response.data;
+  }
+
+  const pages = [];
+  let bytes = 0;
+  let page = { url, params: { ...params, ...firstPage(pagination) } };
+
+  while (page) {
+    if (pages.length === pagination.maxPages) {
+      throw new Error(`Pagination of ${url} exceeded maxPages (${pagination.maxPages})`);
+    }
+
+    const response = await get(page.url, page.params);
+    if (!Array.isArray(response.data?.data)) {
+      throw new Error(`Page ${pages.length + 1} of ${url} has no data array`);
+    }
+
+    pages.push(response.data);
+    bytes += responseBytes(response);
+    log.debug(`📄 Page ${pages.length} of ${url}: ${response.data.data.length} records`, { page: pages.length });
+
+    const next = nextPage(pagination, { ...page, body: response.data, headers: response.headers });
+    page = next && (next.url ? { url: next.url, params: {} } : { url: page.url, params: next.params });
+  }
+
+  const data = pages.flatMap(body => body.data);
+  log.info(`Successfully fetched ${pages.length} page(s) with ${data.length} records`, {
+    url,
+    pages: pages.length,
+    records: data.length,
+    duration_ms: Date.now() - startTime,
+    bytes
+  });
+
+  return { ...pages[0], data };
+}
+
+// Combine the payloads of an endpoint's requests into one
+function mergeRequests(payloads, requests) {
+  const data = payloads.flatMap((payload, index) => {
+    if (!Array.isArray(payload?.data)) {
+      throw new Error(`Response of ${requests[index].path} has no data array`);
+    }
+    const set = requests[index].set;
+    return set ? payload.data.map(record => ({ ...record, ...set })) : payload.data;
+  });
+
+  return { ...payloads[0], data };
+}
+
+function responseBytes(response) {
+  return Number(response.headers?.['content-length']) || Buffer.byteLength(JSON.stringify(response.data ?? null));
+}
+
+module.exports = { fetchApiData, fetchIfModified };
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+/**
+ * JSON.stringify with object keys sorted, so equal data always serializes identically
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash the data an API returned.
+ * Only the `data` field is hashed when present: the response `metadata` block carries a
+ * per-request timestamp and would make every run look like a change.
+ * @param {Object} apiData - Response body from fetchApiData
+ * @returns {string} sha256 hex digest
+ */
+function computeContentHash(apiData) {
+  const payload = apiData && apiData.data !== undefined ? apiData.data : apiData;
+
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+/**
+ * Hash file content byte for byte, e.g. to compare a stored KV value with what was uploaded
+ * @param {string|Buffer} content - File content
+ * @returns {string} sha256 hex digest
+ */
+function hashBytes(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = { stableStringify, computeContentHash, hashBytes };
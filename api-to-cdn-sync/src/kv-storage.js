@@ -0,0 +1,254 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { withRetry } = require('./retry');
+const { contentTypeFor } = require('./content-types');
+const { createLogger } = require('./logger');
+
+const CLOUDFLARE_API = 'https://api.cloudflare.com/client/v4';
+
+// Key listings return at most 1000 names per page
+const LIST_PAGE_SIZE = 1000;
+
+const log = createLogger('kv-storage');
+
+/**
+ * Upload content to Cloudflare KV storage
+ * @param {Object} config - Cloudflare configuration
+ * @param {Object} [config.retry] - Retry policy overrides (see retry.js)
+ * @param {string} key - KV key name
+ * @param {string|Buffer} content - Content to store
+ * @param {Object} [metadata] - KV metadata stored with the value (sent as multipart/form-data)
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadToKV(config, key, content, metadata) {
+  const url = `${kvValuesUrl(config)}/${encodeURIComponent(key)}`;
+  const startTime = Date.now();
+
+  try {
+    const response = await withRetry(() => {
+      // A form stream can only be sent once, so every attempt builds its own body
+      const body = metadata ? kvFormData(content, metadata) : content;
+      const headers = {
+        'Authorization': `Bearer ${config.apiToken}`,
+        ...(metadata ? body.getHeaders() : { 'Content-Type': contentTypeFor(key) })
+      };
+
+      return axios.put(url, body, {
+        headers,
+        timeout: 30000 // 30 second timeout for uploads
+      });
+    }, config.retry, { label: `KV PUT ${key}` });
+
+    if (response.data.success) {
+      log.debug(`📤 KV PUT ${key} (${content.length} bytes)`, {
+        key,
+        status: response.status,
+        bytes: content.length,
+        duration_ms: Date.now() - startTime
+      });
+      return {
+        success: true,
+        key: key,
+        size: content.length
+      };
+    } else {
+      throw new Error(`KV upload failed: ${JSON.stringify(response.data.errors)}`);
+    }
+
+  } catch (error) {
+    throw toCloudflareError(error);
+  }
+}
+
+/**
+ * Read a value from Cloudflare KV storage
+ * @param {Object} config - Cloudflare configuration
+ * @param {string} key - KV key name
+ * @param {Object} [options]
+ * @param {boolean} [options.binary] - Return a Buffer instead of text (e.g. for .gz/.br variants)
+ * @returns {Promise<string|Buffer|null>} Stored value, or null if the key does not exist
+ */
+async function readFromKV(config, key, options = {}) {
+  const url = `${kvValuesUrl(config)}/${encodeURIComponent(key)}`;
+
+  try {
+    const response = await withRetry(() => axios.get(url, {
+      headers: { 'Authorization': `Bearer ${config.apiToken}` },
+      responseType: options.binary ? 'arraybuffer' : 'text',
+      timeout: 30000,
+      validateStatus: (status) => status === 200 || status === 404
+    }), config.retry, { label: `KV GET ${key}` });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    return options.binary ? Buffer.from(response.data) : response.data;
+
+  } catch (error) {
+    throw toCloudflareError(error);
+  }
+}
+
+/**
+ * Delete a value from Cloudflare KV storage
+ * @param {Object} config - Cloudflare configuration
+ * @param {string} key - KV key name
+ * @returns {Promise<Object>} Delete result
+ */
+async function deleteFromKV(config, key) {
+  const url = `${kvValuesUrl(config)}/${encodeURIComponent(key)}`;
+
+  try {
+    await withRetry(() => axios.delete(url, {
+      headers: { 'Authorization': `Bearer ${config.apiToken}` },
+      timeout: 30000
+    }), config.retry, { label: `KV DELETE ${key}` });
+
+    return { success: true, key: key };
+
+  } catch (error) {
+    throw toCloudflareError(error);
+  }
+}
+
+function kvFormData(content, metadata) {
+  const form = new FormData();
+  form.append('value', content);
+  form.append('metadata', JSON.stringify(metadata));
+  return form;
+}
+
+/**
+ * Base URL of the Cloudflare API; config.apiBaseUrl points it elsewhere (e.g. the local emulator in mock-cloudflare.js)
+ * @param {Object} config - Cloudflare configuration
+ * @returns {string} Base URL without a trailing slash
+ */
+function cloudflareApi(config) {
+  return (config.apiBaseUrl || CLOUDFLARE_API).replace(/\/+$/, '');
+}
+
+function kvNamespaceUrl(config) {
+  return `${cloudflareApi(config)}/accounts/${config.accountId}/storage/kv/namespaces/${config.namespaceId}`;
+}
+
+function kvValuesUrl(config) {
+  return `${kvNamespaceUrl(config)}/values`;
+}
+
+
+/**
+ * List keys of the KV namespace, following the cursor across pages
+ * @param {Object} config - Cloudflare configuration
+ * @param {string} [prefix] - Only keys starting with this prefix
+ * @returns {Promise<Array>} Keys as { key, metadata }
+ */
+async function listKVKeys(config, prefix = '') {
+  const keys = [];
+  let cursor = '';
+
+  try {
+    do {
+      const params = new URLSearchParams({ limit: String(LIST_PAGE_SIZE) });
+      if (prefix) {
+        params.set('prefix', prefix);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await withRetry(() => axios.get(`${kvNamespaceUrl(config)}/keys?${params}`, {
+        headers: { 'Authorization': `Bearer ${config.apiToken}` },
+        timeout: 30000
+      }), config.retry, { label: `KV LIST ${prefix || '*'}` });
+
+      for (const entry of response.data.result || []) {
+        keys.push({ key: entry.name, metadata: entry.metadata || {} });
+      }
+      cursor = response.data.result_info?.cursor || '';
+    } while (cursor);
+
+    return keys;
+
+  } catch (error) {
+    throw toCloudflareError(error);
+  }
+}
+
+/**
+ * Read the metadata stored with a KV key, without its value
+ * @param {Object} config - Cloudflare configuration
+ * @param {string} key - KV key name
+ * @returns {Promise<Object|null>} { key, metadata }, or null if the key does not exist
+ */
+async function readKVMetadata(config, key) {
+  const url = `${kvNamespaceUrl(config)}/metadata/${encodeURIComponent(key)}`;
+
+  try {
+    const response = await withRetry(() => axios.get(url, {
+      headers: { 'Authorization': `Bearer ${config.apiToken}` },
+      timeout: 30000,
+      validateStatus: (status) => status === 200 || status === 404
+    }), config.retry, { label: `KV HEAD ${key}` });
+
+    return response.status === 404 ? null : { key, metadata: response.data.result || {} };
+
+  } catch (error) {
+    throw toCloudflareError(error);
+  }
+}
+
+/**
+ * Storage backend for a Workers KV namespace (see storage.js for the interface)
+ * @param {Object} config - Cloudflare configuration: apiToken, accountId, namespaceId, retry
+ * @returns {Object} Storage backend
+ */
+function createKVStorage(config) {
+  if (!config.apiToken || !config.accountId || !config.namespaceId) {
+    throw new Error('Missing required Cloudflare configuration: apiToken, accountId, namespaceId');
+  }
+
+  return {
+    type: 'kv',
+    description: `kv:${config.namespaceId}`,
+    put: (key, content, metadata) => uploadToKV(config, key, content, metadata),
+    get: (key, options) => readFromKV(config, key, options),
+    delete: (key) => deleteFromKV(config, key),
+    list: (prefix) => listKVKeys(config, prefix),
+    head: (key) => readKVMetadata(config, key)
+  };
+}
+
+/**
+ * Map an axios error from the Cloudflare API to a readable Error
+ * @param {Error} error - Error thrown by axios
+ * @returns {Error} Error with a user-facing message
+ */
+function toCloudflareError(error) {
+  if (error.response?.status === 401) {
+    return new Error('Cloudflare authentication failed - check API token');
+  }
+
+  if (error.response?.status === 403) {
+    return new Error('Cloudflare access denied - check account permissions');
+  }
+
+  if (error.response?.data?.errors) {
+    return new Error(`Cloudflare API error: ${JSON.stringify(error.response.data.errors)}`);
+  }
+
+  return new Error(`Network error: ${error.message}`);
+}
+
+module.exports = {
+  CLOUDFLARE_API,
+  cloudflareApi,
+  createKVStorage,
+  uploadToKV,
+  readFromKV,
+  deleteFromKV,
+  listKVKeys,
+  readKVMetadata,
+  kvNamespaceUrl,
+  toCloudflareError
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage backend for a local directory, e.g. the document root of an nginx server.
+ * Keys are files under the directory; precompressed variants (<key>.gz, <key>.br) sit next to their original,
+ * which is what nginx's gzip_static/brotli_static expect. Metadata is kept in `.metadata/<key>.json`.
+ */
+
+const METADATA_DIR = '.metadata';
+
+// Resolve a key inside the directory; keys may contain "/" but must not escape it
+function keyPath(directory, key) {
+  const filePath = path.resolve(directory, key);
+
+  if (!filePath.startsWith(`${directory}${path.sep}`) || key.split('/').includes(METADATA_DIR)) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+
+  return filePath;
+}
+
+function readMetadata(directory, key) {
+  const metadataPath = path.join(directory, METADATA_DIR, `${key}.json`);
+  return fs.existsSync(metadataPath) ? JSON.parse(fs.readFileSync(metadataPath, 'utf8')) : {};
+}
+
+function listFiles(directory, relative = '') {
+  const dir = path.join(directory, relative);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !(relative === '' && entry.name === METADATA_DIR))
+    .flatMap(entry => {
+      const key = relative ? `${relative}/${entry.name}` : entry.name;
+      return entry.isDirectory() ? listFiles(directory, key) : [key];
+    });
+}
+
+/**
+ * Storage backend for a local directory (see storage.js for the interface)
+ * @param {Object} config - Deployment configuration; reads `storage.directory` (relative paths resolve from the cwd)
+ * @returns {Object} Storage backend
+ */
+function createLocalStorage(config) {
+  if (!config.storage?.directory) {
+    throw new Error('Missing required local storage configuration: directory');
+  }
+
+  const directory = path.resolve(config.storage.directory);
+
+  return {
+    type: 'local',
+    description: `local:${directory}`,
+
+    async put(key, content, metadata) {
+      const filePath = keyPath(directory, key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+
+      const metadataPath = path.join(directory, METADATA_DIR, `${key}.json`);
+      if (metadata) {
+        fs.mkdirSync(path.dirname(metadataPath), { recursive: true });
+        fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2), 'utf8');
+      } else {
+        fs.rmSync(metadataPath, { force: true });
+      }
+
+      return { success: true, key, size: content.length };
+    },
+
+    async get(key, options = {}) {
+      const filePath = keyPath(directory, key);
+
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      return options.binary ? fs.readFileSync(filePath) : fs.readFileSync(filePath, 'utf8');
+    },
+
+    async delete(key) {
+      fs.rmSync(keyPath(directory, key), { force: true });
+      fs.rmSync(path.join(directory, METADATA_DIR, `${key}.json`), { force: true });
+      return { success: true, key };
+    },
+
+    async list(prefix = '') {
+      return listFiles(directory)
+        .filter(key => key.startsWith(prefix))
+        .sort()
+        .map(key => ({ key, size: fs.statSync(path.join(directory, key)).size }));
+    },
+
+    async head(key) {
+      const filePath = keyPath(directory, key);
+
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      return { key, size: fs.statSync(filePath).size, metadata: readMetadata(directory, key) };
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
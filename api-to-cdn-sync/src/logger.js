@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Leveled logger shared by the sync and deploy modules.
+ *
+ *   LOG_LEVEL  - debug, info (default), warn or error
+ *   LOG_FORMAT - pretty (default): the message behind a short run ID, e.g. "[3f2a9c1b] 📡 Fetching..."
+ *                json: one object per line with time, level, run_id, module, msg and fields
+ *   LOG_STREAM - stdout (default): errors on stderr, everything else on stdout
+ *                stderr: every line on stderr, leaving stdout to the CLI's documents
+ *
+ * Fields bound with withLogContext() (run_id, endpoint) are added to every line logged
+ * inside the callback, including lines from nested async calls.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['pretty', 'json'];
+const LOG_STREAMS = ['stdout', 'stderr'];
+
+const context = new AsyncLocalStorage();
+const processRunId = process.env.SYNC_RUN_ID || createRunId();
+
+/**
+ * New run identifier, e.g. 20260101T120000Z-3f2a9c1b
+ * @returns {string} Run identifier
+ */
+function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${timestamp}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Run ID of the current run: the one bound with withLogContext, otherwise SYNC_RUN_ID or
+ * an ID generated when the process started
+ * @returns {string} Run identifier
+ */
+function currentRunId() {
+  return context.getStore()?.run_id || processRunId;
+}
+
+/**
+ * Run a function with fields added to every line it logs
+ * @param {Object} fields - e.g. { run_id } or { endpoint }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function resolveSetting(name, allowed, fallback) {
+  const value = (process.env[name] || fallback).toLowerCase();
+  return allowed.includes(value) ? value : fallback;
+}
+
+// Random part of a generated run ID; IDs set through SYNC_RUN_ID or withLogContext are shown in full
+function shortRunId(runId) {
+  return runId.match(/^\d{8}T\d{6}Z-([0-9a-f]{8})$/)?.[1] || runId;
+}
+
+// Prefix a message with its run ID, after any leading blank lines
+function prettyMessage(message) {
+  return message.replace(/^(\s*)/, `$1[${shortRunId(currentRunId())}] `);
+}
+
+// Strip the leading emoji of a message for JSON lines
+function plainMessage(message) {
+  return message.replace(/^\s*(?:[\p{Extended_Pictographic}\u{FE0F}\u{200D}]+\s*)*/u, '').trim();
+}
+
+function write(level, module, message, fields) {
+  const threshold = resolveSetting('LOG_LEVEL', LOG_LEVELS, 'info');
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(threshold)) {
+    return;
+  }
+
+  const stream = level === 'error' || resolveSetting('LOG_STREAM', LOG_STREAMS, 'stdout') === 'stderr'
+    ? console.error
+    : console.log;
+
+  if (resolveSetting('LOG_FORMAT', LOG_FORMATS, 'pretty') === 'pretty') {
+    stream(prettyMessage(message));
+    return;
+  }
+
+  stream(JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    run_id: currentRunId(),
+    module,
+    msg: plainMessage(message),
+    ...context.getStore(),
+    ...fields
+  }));
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name, e.g. 'fetcher'
+ * @param {Object} [bound] - Fields added to every line
+ * @returns {Object} { debug, info, warn, error, child } where each level takes (message, fields)
+ */
+function createLogger(module, bound = {}) {
+  const logger = { child: (fields) => createLogger(module, { ...bound, ...fields }) };
+
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, fields = {}) => write(level, module, message, { ...bound, ...fields });
+  }
+
+  return logger;
+}
+
+module.exports = { LOG_LEVELS, LOG_FORMATS, LOG_STREAMS, createLogger, createRunId, currentRunId, withLogContext };
@@ -1,61 +1,504 @@
-const { fetchApiData } = require('./fetcher');
-const { transformToJS, saveToFile } = require('./transformer');
-const config = require('./config');
+const { fetchIfModified } = require('./fetcher');
+const { generateOutputs, saveToFile, outputFileFor } = require('./transformer');
+const { mapWithConcurrency } = require('./concurrency');
+const { computeContentHash, stableStringify, hashBytes } = require('./hash');
+const { readManifest, updateManifest, resolveOutputDir } = require('./manifest');
+const { validateSchema, loadSchema, checkGuardrails, formatErrors } = require('./validator');
+const { applyTransforms } = require('./reshaper');
+const { createLogger, currentRunId, withLogContext } = require('./logger');
+const { recordSync } = require('./report');
+const { publishMetrics } = require('./metrics');
+const { loadNotifications, syncNotification, notify } = require('./notifier');
+const { createSnapshotStore } = require('./snapshot');
+const { loadSyncConfig } = require('./configuration');
+const fs = require('fs');
 const path = require('path');
 
-async function main() {
-  console.log('🚀 Starting API-to-CDN sync process...');
-  console.log(`Timestamp: ${new Date().toISOString()}`);
+const FAILURE_POLICIES = ['any', 'all', 'never'];
+const OUTPUT_MODES = ['pretty', 'minified'];
+const DEFAULT_CONCURRENCY = 2;
+
+const logger = createLogger('main');
+
+/**
+ * Validate a fetched payload against the endpoint's schema and guardrails
+ * @param {Object} apiData - Response body from fetchApiData
+ * @param {Object} endpoint - Endpoint entry from config.endpoints
+ * @param {Object} [previous] - Guardrail baseline: manifest entry of the previous sync of this endpoint, whose
+ *   `deployedRecords` (the last deployed record count) is preferred over its `records`
+ * @param {string} [configDir] - Directory relative schema paths are resolved from
+ * @returns {Array} Errors as { path, message }; empty when valid
+ */
+function validateEndpointData(apiData, endpoint, previous, configDir = __dirname) {
+  const errors = [];
+
+  if (endpoint.schema) {
+    errors.push(...validateSchema(apiData, loadSchema(endpoint.schema, configDir)));
+  }
+
+  if (endpoint.guardrails) {
+    const records = Array.isArray(apiData?.data) ? apiData.data.length : 0;
+    errors.push(...checkGuardrails(records, endpoint.guardrails, previous?.deployedRecords ?? previous?.records));
+  }
+
+  return errors;
+}
+
+/**
+ * Run fetch → validate → reshape → transform → save for a single endpoint.
+ * Errors are caught and reported in the result so one endpoint cannot fail the others.
+ * @param {Object} endpoint - Endpoint entry from config.endpoints
+ * @param {Object} config - Sync configuration
+ * @param {Object} [context]
+ * @param {string} [context.outputDir] - Directory generated files are written to
+ * @param {Object} [context.previous] - Manifest entry of the previous sync of this endpoint
+ * @param {Object} [context.previousFiles] - Manifest entries of every file of that sync, by file name
+ * @param {boolean} [context.minify] - Generate minified output
+ * @param {boolean} [context.dryRun] - Generate outputs without writing them
+ * @param {Object} [context.snapshots] - Snapshot store that keeps the last valid payload of the endpoint
+ * @param {boolean} [context.useLastKnownGood] - Republish the snapshot when fetching or validation fails
+ * @returns {Promise<Object>} Per-endpoint result
+ */
+async function syncEndpoint(endpoint, config, context = {}) {
+  const outputDir = resolveOutputDir(context.outputDir);
+  const startTime = Date.now();
+  const log = logger.child({ endpoint: endpoint.name });
+  log.debug(`Processing endpoint: ${endpoint.name}`);
 
   try {
-    // Process single endpoint for MVP
-    const endpoint = config.endpoints[0];
-    console.log(`Processing endpoint: ${endpoint.name}`);
-
-    // Step 1: Fetch data from API
-    console.log('📡 Fetching data from API...');
-    const apiData = await fetchApiData({
-      apiBaseUrl: config.apiBaseUrl,
-      path: endpoint.path
+    // Step 1: Fetch data from API, conditionally when the last sync's outputs can be reused as they are
+    log.info(`📡 [${endpoint.name}] Fetching data from API...`);
+    const fetchStart = Date.now();
+    const settingsHash = hashBytes(stableStringify({ endpoint, minify: Boolean(context.minify) }));
+    const reusable = reusableOutputs(endpoint, outputDir, settingsHash, context.previousFiles);
+    let validators = {};
+    let apiData;
+    let fetchMs;
+    let snapshot = null;
+
+    try {
+      const fetched = await fetchIfModified({
+        apiBaseUrl: config.apiBaseUrl,
+        path: endpoint.path,
+        auth: endpoint.auth,
+        pagination: endpoint.pagination,
+        requests: endpoint.requests,
+        retry: config.retry
+      }, { etag: reusable?.[0].entry.etag, lastModified: reusable?.[0].entry.lastModified });
+      fetchMs = Date.now() - fetchStart;
+      apiData = fetched.data;
+      validators = fetched.validators;
+
+      if (fetched.notModified) {
+        log.info(`⏭️ [${endpoint.name}] Not modified since the last sync - keeping ${reusable.length} output file(s)`);
+        return notModifiedResult(endpoint, reusable, { fetchMs, durationMs: Date.now() - startTime, settingsHash });
+      }
+
+      log.info(`✅ [${endpoint.name}] Successfully fetched ${apiData.data?.length || 0} records`, { records: apiData.data?.length || 0 });
+
+      // Step 2: Validate payload before anything is generated from it
+      const validationErrors = validateEndpointData(apiData, endpoint, await guardrailBaseline(endpoint, context, log));
+      if (validationErrors.length > 0) {
+        const error = new Error(`Validation failed with ${validationErrors.length} error(s):\n${formatErrors(validationErrors)}`);
+        error.validationErrors = validationErrors;
+        throw error;
+      }
+    } catch (error) {
+      snapshot = await lastKnownGood(endpoint, error, context, log);
+      apiData = snapshot.data;
+      fetchMs = fetchMs ?? Date.now() - fetchStart;
+    }
+
+    const records = apiData.data?.length || 0;
+
+    if (!snapshot && context.snapshots && !context.dryRun) {
+      await saveSnapshot(context.snapshots, endpoint, apiData, log);
+    }
+
+    // Step 3: Reshape records into what clients need; the hash covers the published data,
+    // so editing the transforms alone still produces a deployable change
+    let published = apiData;
+    let contentHash = computeContentHash(apiData);
+    if (endpoint.transforms) {
+      published = applyTransforms(apiData, endpoint.transforms);
+      contentHash = computeContentHash({ data: published });
+      log.info(`✂️ [${endpoint.name}] Applied ${endpoint.transforms.length} transform(s)`);
+    }
+    log.debug(`🔑 [${endpoint.name}] Content hash ${contentHash.slice(0, 12)}`, { content_hash: contentHash });
+
+    // Step 4: Transform data into every configured output format
+    const formats = endpoint.formats || ['esm'];
+    log.info(`🔄 [${endpoint.name}] Transforming data (${formats.join(', ')})...`, { formats });
+    const generatedAt = new Date().toISOString();
+    const outputs = generateOutputs(published, endpoint, { contentHash, minify: context.minify, timestamp: generatedAt, stale: Boolean(snapshot) });
+
+    // Step 5: Save output files
+    log.info(context.dryRun
+      ? `🧪 [${endpoint.name}] Dry run - not saving ${outputs.length} output file(s)`
+      : `💾 [${endpoint.name}] Saving ${outputs.length} output file(s)...`);
+    const files = outputs.map(output => {
+      const outputPath = path.join(outputDir, output.fileName);
+      if (!context.dryRun) {
+        saveToFile(output.content, outputPath);
+      }
+      return { format: output.format, fileName: output.fileName, path: outputPath, size: output.content.length };
     });
 
-    console.log(`✅ Successfully fetched ${apiData.data?.length || 0} records`);
+    const size = files.reduce((total, file) => total + file.size, 0);
+    const durationMs = Date.now() - startTime;
+    log.info(`✅ [${endpoint.name}] Synced in ${durationMs}ms`, { duration_ms: durationMs, bytes: size });
 
-    // Step 2: Transform data to JavaScript module
-    console.log('🔄 Transforming data to JavaScript module...');
-    const jsContent = transformToJS(apiData, endpoint);
+    const result = {
+      endpoint: endpoint.name,
+      success: true,
+      records: records,
+      fetchMs: fetchMs,
+      outputFile: files[0].fileName,
+      output: files[0].path,
+      files: files,
+      size: size,
+      contentHash: contentHash,
+      changed: context.previous?.contentHash !== contentHash,
+      generatedAt: generatedAt,
+      durationMs: durationMs,
+      etag: validators.etag,
+      lastModified: validators.lastModified,
+      settingsHash: settingsHash
+    };
 
-    // Step 3: Save to output file
-    console.log('💾 Saving to output file...');
-    const outputPath = path.join('output', endpoint.outputFile);
-    saveToFile(jsContent, outputPath);
+    // Stale outputs carry no validators, so the next sync fetches the endpoint in full
+    return snapshot
+      ? { ...result, etag: undefined, lastModified: undefined, stale: true, staleReason: snapshot.reason, snapshotSavedAt: snapshot.savedAt }
+      : result;
 
-    console.log('🎉 Sync process completed successfully!');
-    console.log(`📄 Generated file: ${outputPath}`);
+  } catch (error) {
+    log.error(`❌ [${endpoint.name}] Sync failed: ${error.message}`, { duration_ms: Date.now() - startTime });
+
+    const result = {
+      endpoint: endpoint.name,
+      success: false,
+      error: error.message,
+      durationMs: Date.now() - startTime
+    };
 
-    // Display summary
-    console.log('\n📊 Summary:');
-    console.log(`- Endpoint: ${endpoint.name}`);
-    console.log(`- Records: ${apiData.data?.length || 0}`);
-    console.log(`- Output: ${outputPath}`);
-    console.log(`- Size: ${jsContent.length} bytes`);
+    if (error.validationErrors) {
+      result.validationErrors = error.validationErrors;
+    }
 
+    return result;
+  }
+}
+
+/**
+ * What the shrink guardrail compares against: the manifest entry of the last sync, or the last-known-good
+ * snapshot when this output directory has none (e.g. a fresh checkout with KV snapshots)
+ * @param {Object} endpoint - Endpoint entry from config.endpoints
+ * @param {Object} context - syncEndpoint context
+ * @param {Object} log - Endpoint logger
+ * @returns {Promise<Object|undefined>} Baseline with `records` and possibly `deployedRecords`
+ */
+async function guardrailBaseline(endpoint, context, log) {
+  if (context.previous || endpoint.guardrails?.maxShrinkPercent === undefined || !context.snapshots) {
+    return context.previous;
+  }
+
+  try {
+    const snapshot = await context.snapshots.load(endpoint.name);
+    return snapshot ? { records: snapshot.records } : undefined;
   } catch (error) {
-    console.error('❌ Sync process failed:');
-    console.error(`Error: ${error.message}`);
+    log.warn(`⚠️ [${endpoint.name}] Could not load last-known-good snapshot (${context.snapshots.description}): ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Last-known-good snapshot to republish after fetching or validating an endpoint failed
+ * @param {Object} endpoint - Endpoint entry from config.endpoints
+ * @param {Error} error - Why the endpoint could not be synced
+ * @param {Object} context - syncEndpoint context
+ * @param {Object} log - Endpoint logger
+ * @returns {Promise<Object>} Snapshot with the failure as `reason`
+ * @throws {Error} The original error when the mode is off or there is no snapshot
+ */
+async function lastKnownGood(endpoint, error, context, log) {
+  if (!context.useLastKnownGood || !context.snapshots) {
+    throw error;
+  }
+
+  let snapshot;
+  try {
+    snapshot = await context.snapshots.load(endpoint.name);
+  } catch (loadError) {
+    log.warn(`⚠️ [${endpoint.name}] Could not load last-known-good snapshot (${context.snapshots.description}): ${loadError.message}`);
+  }
+
+  if (!snapshot) {
+    error.message = `${error.message} (no last-known-good snapshot)`;
+    throw error;
+  }
+
+  log.warn(`♻️ [${endpoint.name}] Republishing last-known-good snapshot from ${snapshot.savedAt}: ${error.message}`, {
+    snapshot_saved_at: snapshot.savedAt
+  });
+  return { ...snapshot, reason: error.message };
+}
+
+// Keep a validated payload as the endpoint's last-known-good snapshot; a failed write only warns
+async function saveSnapshot(snapshots, endpoint, apiData, log) {
+  try {
+    await snapshots.save({
+      endpoint: endpoint.name,
+      savedAt: new Date().toISOString(),
+      contentHash: computeContentHash(apiData),
+      records: apiData.data?.length || 0,
+      data: apiData
+    });
+  } catch (error) {
+    log.warn(`⚠️ [${endpoint.name}] Could not save last-known-good snapshot (${snapshots.description}): ${error.message}`);
+  }
+}
 
-    if (error.stack) {
-      console.error('\nStack trace:');
-      console.error(error.stack);
+/**
+ * Files of the last sync that a 304 would leave valid: every output the endpoint generates is on disk and
+ * was produced with the same endpoint settings from a response that carried a validator
+ * @param {Object} endpoint - Endpoint entry from config.endpoints
+ * @param {string} outputDir - Directory generated files are written to
+ * @param {string} settingsHash - Hash of the endpoint settings and output mode
+ * @param {Object} [previousFiles] - Manifest entries of the last sync of this endpoint, by file name
+ * @returns {Array|null} Files as { format, fileName, path, entry }, or null when the endpoint must be fetched in full
+ */
+function reusableOutputs(endpoint, outputDir, settingsHash, previousFiles = {}) {
+  const files = (endpoint.formats || ['esm']).map(format => {
+    const fileName = outputFileFor(endpoint, format);
+    return { format, fileName, path: path.join(outputDir, fileName), entry: previousFiles[fileName] };
+  });
+
+  const reusable = files.every(file => file.entry?.settingsHash === settingsHash &&
+    (file.entry.etag || file.entry.lastModified) && fs.existsSync(file.path));
+
+  return reusable ? files : null;
+}
+
+// Result of an endpoint whose data did not change since the last sync, described by that sync
+function notModifiedResult(endpoint, reusable, { fetchMs, durationMs, settingsHash }) {
+  const [first] = reusable;
+  const files = reusable.map(file => ({ format: file.format, fileName: file.fileName, path: file.path, size: fs.statSync(file.path).size }));
+
+  return {
+    endpoint: endpoint.name,
+    success: true,
+    notModified: true,
+    records: first.entry.records,
+    fetchMs: fetchMs,
+    outputFile: files[0].fileName,
+    output: files[0].path,
+    files: files,
+    size: files.reduce((total, file) => total + file.size, 0),
+    contentHash: first.entry.contentHash,
+    changed: false,
+    generatedAt: first.entry.generatedAt,
+    durationMs: durationMs,
+    etag: first.entry.etag,
+    lastModified: first.entry.lastModified,
+    settingsHash: settingsHash
+  };
+}
+
+/**
+ * Sync every configured endpoint with bounded concurrency
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Sync configuration (defaults to config.json with the environment's overlay)
+ * @param {string} [options.outputDir] - Directory generated files are written to
+ * @param {string} [options.outputMode] - 'pretty' or 'minified' (overrides config.outputMode)
+ * @param {Array<string>} [options.endpoints] - Names of the endpoints to sync (defaults to all)
+ * @param {boolean} [options.dryRun] - Fetch, validate and transform without writing files, the manifest or the run report
+ * @param {boolean} [options.useLastKnownGood] - Republish the last-known-good snapshot of endpoints that fail
+ * @param {string} [options.environment] - Environment whose overlay applies and whose notification sinks hear about the run (defaults to SYNC_ENVIRONMENT)
+ * @returns {Promise<Object>} Run summary with per-endpoint results
+ */
+async function main(options = {}) {
+  const environment = options.environment || process.env.SYNC_ENVIRONMENT;
+  const config = options.config || loadSyncConfig(environment);
+  const endpoints = selectEndpoints(config.endpoints || [], options.endpoints);
+  const concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+  const outputDir = resolveOutputDir(options.outputDir);
+  const outputMode = options.outputMode || config.outputMode || 'pretty';
+  const startedAt = new Date();
+  const startTime = startedAt.getTime();
+
+  if (!OUTPUT_MODES.includes(outputMode)) {
+    throw new Error(`Unknown output mode '${outputMode}' (expected one of: ${OUTPUT_MODES.join(', ')})`);
+  }
+
+  logger.info('🚀 Starting API-to-CDN sync process...');
+  logger.info(`Run: ${currentRunId()}`);
+  logger.info(`Timestamp: ${new Date().toISOString()}`);
+  logger.info(`Endpoints: ${endpoints.length} (concurrency: ${concurrency}, output: ${outputMode})`, { endpoints: endpoints.length });
+
+  const snapshots = config.snapshots ? createSnapshotStore(config.snapshots, { outputDir, environment }) : null;
+  if (options.useLastKnownGood && !snapshots) {
+    throw new Error("--use-last-known-good needs a 'snapshots' store in the sync configuration");
+  }
+
+  const manifestFiles = readManifest(outputDir).files;
+  const previous = Object.entries(manifestFiles);
+  const results = await mapWithConcurrency(endpoints, concurrency,
+    endpoint => withLogContext({ endpoint: endpoint.name }, () => syncEndpoint(endpoint, config, {
+      outputDir,
+      previous: previous.find(([, entry]) => entry.endpoint === endpoint.name)?.[1],
+      previousFiles: Object.fromEntries(previous.filter(([, entry]) => entry.endpoint === endpoint.name)),
+      minify: outputMode === 'minified',
+      dryRun: options.dryRun,
+      snapshots,
+      useLastKnownGood: options.useLastKnownGood
+    })));
+
+  const successful = results.filter(result => result.success).length;
+
+  // Record payload hashes so deploy can skip files whose data did not change
+  if (successful > 0 && !options.dryRun) {
+    const entries = {};
+    for (const result of results.filter(r => r.success)) {
+      for (const file of result.files) {
+        entries[file.fileName] = {
+          endpoint: result.endpoint,
+          format: file.format,
+          contentHash: result.contentHash,
+          records: result.records,
+          generatedAt: result.generatedAt,
+          ...(result.stale && { stale: true }),
+          // Guardrail baseline until the new outputs are deployed
+          ...(manifestFiles[file.fileName]?.deployedRecords !== undefined && { deployedRecords: manifestFiles[file.fileName].deployedRecords }),
+          // Validators for the next conditional request, valid only for the same endpoint settings
+          ...((result.etag || result.lastModified) && {
+            etag: result.etag,
+            lastModified: result.lastModified,
+            settingsHash: result.settingsHash
+          })
+        };
+      }
+    }
+    updateManifest(outputDir, entries);
+  }
+  const summary = {
+    runId: currentRunId(),
+    success: successful === results.length,
+    dryRun: Boolean(options.dryRun),
+    total: results.length,
+    successful: successful,
+    failed: results.length - successful,
+    durationMs: Date.now() - startTime,
+    results: results
+  };
+
+  printSummary(summary);
+
+  // Machine-readable trace of the run, picked up by deploy and the metrics push
+  if (!options.dryRun) {
+    try {
+      const report = recordSync(outputDir, summary, startedAt);
+      await publishMetrics(report, config.metrics);
+    } catch (error) {
+      logger.warn(`⚠️ Could not write run report: ${error.message}`);
+    }
+  }
+
+  if (environment && !options.dryRun) {
+    try {
+      await notify(loadNotifications(environment), syncNotification(summary, environment));
+    } catch (error) {
+      logger.warn(`⚠️ Could not send notifications: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+// Restrict a run to the named endpoints, keeping config order
+function selectEndpoints(endpoints, names) {
+  if (!names || names.length === 0) {
+    return endpoints;
+  }
+
+  const unknown = names.filter(name => !endpoints.some(endpoint => endpoint.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown endpoint(s): ${unknown.join(', ')} (expected one of: ${endpoints.map(e => e.name).join(', ')})`);
+  }
+
+  return endpoints.filter(endpoint => names.includes(endpoint.name));
+}
+
+/**
+ * Print a human readable run summary
+ * @param {Object} summary - Summary returned by main()
+ */
+function printSummary(summary) {
+  logger.info('\n📊 Summary:');
+  logger.info(`- Endpoints: ${summary.total} (${summary.successful} successful, ${summary.failed} failed)`, {
+    total: summary.total,
+    successful: summary.successful,
+    failed: summary.failed
+  });
+  logger.info(`- Duration: ${summary.durationMs}ms`, { duration_ms: summary.durationMs });
+
+  for (const result of summary.results) {
+    if (result.success) {
+      const files = result.files.map(file => path.basename(file.path)).join(', ');
+      logger.info(`  ✅ ${result.endpoint}: ${result.records} records → ${files} (${result.size} bytes${result.notModified ? ', not modified' : ''}${result.stale ? `, stale snapshot from ${result.snapshotSavedAt}` : ''})`, {
+        endpoint: result.endpoint,
+        records: result.records,
+        bytes: result.size,
+        duration_ms: result.durationMs
+      });
+    } else {
+      logger.info(`  ❌ ${result.endpoint}: ${result.error}`, { endpoint: result.endpoint, duration_ms: result.durationMs });
     }
+  }
 
-    process.exit(1);
+  if (summary.total === 0) {
+    logger.warn('⚠️ No endpoints configured');
+  } else if (summary.success) {
+    logger.info('🎉 Sync process completed successfully!');
   }
 }
 
+/**
+ * Resolve the process exit code for a run summary
+ * @param {Object} summary - Summary returned by main()
+ * @param {string} policy - 'any' (fail if any endpoint failed), 'all' (fail only if every endpoint failed) or 'never'
+ * @returns {number} Exit code
+ */
+function getExitCode(summary, policy = 'any') {
+  if (!FAILURE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown failure policy '${policy}' (expected one of: ${FAILURE_POLICIES.join(', ')})`);
+  }
+
+  if (policy === 'never' || summary.failed === 0) {
+    return 0;
+  }
+
+  if (policy === 'all') {
+    return summary.failed === summary.total ? 1 : 0;
+  }
+
+  return 1;
+}
+
 // Run if called directly
 if (require.main === module) {
-  main();
+  main({ outputMode: process.env.SYNC_OUTPUT_MODE })
+    .then(summary => process.exit(getExitCode(summary, process.env.SYNC_FAILURE_POLICY || loadSyncConfig(process.env.SYNC_ENVIRONMENT).failurePolicy || 'any')))
+    .catch(error => {
+      logger.error('❌ Sync process failed:');
+      logger.error(`Error: ${error.message}`);
+
+      if (error.stack) {
+        logger.debug('\nStack trace:');
+        logger.debug(error.stack);
+      }
+
+      process.exit(1);
+    });
 }
 
-module.exports = { main };
+module.exports = { main, syncEndpoint, validateEndpointData, getExitCode };
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('manifest');
+
+// Written next to the generated files; records which endpoint and payload hash produced each one
+const MANIFEST_FILE = 'sync-manifest.json';
+
+// Shared by sync and deploy so both agree on where generated files live, whatever the cwd
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, 'output');
+
+/**
+ * Resolve the output directory: an explicit directory, then SYNC_OUTPUT_DIR, then src/output.
+ * Relative paths resolve against the current working directory.
+ * @param {string} [outputDir] - Directory passed by the caller
+ * @returns {string} Absolute output directory
+ */
+function resolveOutputDir(outputDir) {
+  return path.resolve(outputDir || process.env.SYNC_OUTPUT_DIR || DEFAULT_OUTPUT_DIR);
+}
+
+/**
+ * Read the sync manifest from an output directory
+ * @param {string} outputDir - Directory containing generated files
+ * @returns {Object} Manifest ({ files: {} } when none exists yet)
+ */
+function readManifest(outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    return { files: {} };
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return { ...manifest, files: manifest.files || {} };
+  } catch (error) {
+    log.warn(`⚠️ Ignoring unreadable manifest ${manifestPath}: ${error.message}`);
+    return { files: {} };
+  }
+}
+
+/**
+ * Merge entries into the sync manifest, keeping entries of files not synced this run
+ * @param {string} outputDir - Directory containing generated files
+ * @param {Object} entries - Map of output file name to { endpoint, contentHash, records }
+ * @returns {Object} Updated manifest
+ */
+function updateManifest(outputDir, entries) {
+  const manifest = readManifest(outputDir);
+  const updated = {
+    updatedAt: new Date().toISOString(),
+    files: { ...manifest.files, ...entries }
+  };
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(updated, null, 2), 'utf8');
+
+  return updated;
+}
+
+/**
+ * Record that files were deployed: their record count becomes the baseline of the shrink guardrail,
+ * so syncs that are never deployed cannot lower it step by step
+ * @param {string} outputDir - Directory containing generated files
+ * @param {Array<string>} fileNames - Deployed file names
+ * @returns {Object} Updated manifest
+ */
+function markDeployed(outputDir, fileNames) {
+  const manifest = readManifest(outputDir);
+  const entries = {};
+
+  for (const fileName of fileNames) {
+    const entry = manifest.files[fileName];
+    if (entry && typeof entry.records === 'number') {
+      entries[fileName] = { ...entry, deployedRecords: entry.records };
+    }
+  }
+
+  return Object.keys(entries).length > 0 ? updateManifest(outputDir, entries) : manifest;
+}
+
+module.exports = { MANIFEST_FILE, DEFAULT_OUTPUT_DIR, resolveOutputDir, readManifest, updateManifest, markDeployed };
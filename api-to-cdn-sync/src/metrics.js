@@ -0,0 +1,134 @@
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { createLogger } = require('./logger');
+
+const METRIC_PREFIX = 'api_to_cdn_sync';
+const DEFAULT_JOB = 'api_to_cdn_sync';
+
+const log = createLogger('metrics');
+
+// [name, help] of every exported gauge, in output order
+const METRICS = [
+  ['last_run_timestamp_seconds', 'When the stage last finished'],
+  ['success', 'Whether the stage succeeded (1) or failed (0)'],
+  ['duration_seconds', 'Duration of the stage'],
+  ['run_duration_seconds', 'Sync plus deploy duration of the run'],
+  ['endpoint_success', 'Whether the endpoint synced (1) or failed (0)'],
+  ['endpoint_fetch_duration_seconds', 'API fetch latency of the endpoint'],
+  ['endpoint_records', 'Records returned by the endpoint'],
+  ['endpoint_output_bytes', 'Size of the files generated for the endpoint'],
+  ['deploy_files', 'Files by deploy result'],
+  ['purge_urls', 'Purged URLs by result']
+];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function sample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`);
+  return `${METRIC_PREFIX}_${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+const seconds = (ms) => ms / 1000;
+const flag = (value) => (value ? 1 : 0);
+
+/**
+ * Render a run report in the Prometheus text exposition format (version 0.0.4)
+ * @param {Object} report - Run report from report.js
+ * @returns {string} Metrics text
+ */
+function formatPrometheus(report) {
+  const samples = Object.fromEntries(METRICS.map(([name]) => [name, []]));
+  const add = (name, labels, value) => {
+    if (value !== undefined && value !== null) {
+      samples[name].push(sample(name, labels, value));
+    }
+  };
+
+  for (const [stage, section] of [['sync', report.sync], ['deploy', report.deploy]]) {
+    if (section) {
+      const labels = section.environment ? { stage, environment: section.environment } : { stage };
+      add('last_run_timestamp_seconds', labels, Math.floor(Date.parse(section.finishedAt) / 1000));
+      add('success', labels, flag(section.success));
+      add('duration_seconds', labels, seconds(section.durationMs));
+    }
+  }
+
+  add('run_duration_seconds', {}, seconds(report.durationMs || 0));
+
+  for (const entry of report.endpoints || []) {
+    const labels = { endpoint: entry.endpoint };
+    add('endpoint_success', labels, flag(entry.success));
+    add('endpoint_fetch_duration_seconds', labels, entry.fetchMs === undefined ? null : seconds(entry.fetchMs));
+    add('endpoint_records', labels, entry.records);
+    add('endpoint_output_bytes', labels, entry.bytes);
+  }
+
+  if (report.deploy) {
+    const environment = report.deploy.environment;
+    add('deploy_files', { environment, result: 'successful' }, report.deploy.successful);
+    add('deploy_files', { environment, result: 'failed' }, report.deploy.failed);
+
+    if (report.deploy.purge) {
+      add('purge_urls', { environment, result: 'purged' }, report.deploy.purge.purged);
+      add('purge_urls', { environment, result: 'failed' }, report.deploy.purge.failed);
+    }
+  }
+
+  const lines = [];
+  for (const [name, help] of METRICS) {
+    if (samples[name].length > 0) {
+      lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`, `# TYPE ${METRIC_PREFIX}_${name} gauge`, ...samples[name]);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Push a run report to a Prometheus Pushgateway (or anything speaking its API).
+ * PUT replaces the job's metrics, so each push reflects the latest sync and deploy.
+ * @param {Object} report - Run report
+ * @param {Object} [settings] - `metrics` from config.json: { pushgatewayUrl, job }
+ * @returns {Promise<Object|null>} { url, status }, or null when no Pushgateway is configured
+ */
+async function pushMetrics(report, settings = {}) {
+  const baseUrl = process.env.METRICS_PUSHGATEWAY_URL || settings.pushgatewayUrl;
+
+  if (!baseUrl) {
+    return null;
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/metrics/job/${encodeURIComponent(settings.job || DEFAULT_JOB)}`;
+
+  try {
+    const response = await withRetry(() => axios.put(url, formatPrometheus(report), {
+      headers: { 'Content-Type': 'text/plain; version=0.0.4' },
+      timeout: 10000
+    }), settings.retry, { label: `PUT ${url}` });
+
+    log.info(`📈 Pushed metrics to ${url}`, { url, status: response.status });
+    return { url, status: response.status };
+
+  } catch (error) {
+    throw new Error(`Could not push metrics to ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Push metrics without failing the run; errors are logged as warnings
+ * @param {Object} report - Run report
+ * @param {Object} [settings] - `metrics` from config.json
+ * @returns {Promise<Object|null>} Push result, or null when skipped or failed
+ */
+async function publishMetrics(report, settings) {
+  try {
+    return await pushMetrics(report, settings);
+  } catch (error) {
+    log.warn(`⚠️ ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = { formatPrometheus, pushMetrics, publishMetrics };
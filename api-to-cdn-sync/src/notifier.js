@@ -0,0 +1,315 @@
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { sendMail } = require('./smtp');
+const { createLogger } = require('./logger');
+const { loadDeployConfig } = require('./configuration');
+
+/**
+ * Notifications about sync and deploy runs.
+ *
+ * Sinks are configured per environment under `notifications` in cloudflare/config.json:
+ *
+ *   { "type": "slack", "urlEnv": "SLACK_WEBHOOK_URL", "on": ["failure", "changed"], "events": ["deploy"] }
+ *
+ *   type   - webhook (JSON POST of the notification), slack (incoming webhook) or email (SMTP)
+ *   on     - always (default), success, failure and/or changed; a notification is sent when any rule matches
+ *   events - sync and/or deploy (default: both)
+ *
+ * Secrets stay out of the file: `url`, `user` and `password` can be read from the variables named by
+ * `urlEnv`, `userEnv` and `passwordEnv`.
+ */
+
+const NOTIFIER_TYPES = ['webhook', 'slack', 'email'];
+const NOTIFY_RULES = ['always', 'success', 'failure', 'changed'];
+const NOTIFY_EVENTS = ['sync', 'deploy'];
+
+const log = createLogger('notifier');
+
+// A sink setting, or the environment variable named by `<name>Env`
+function setting(sink, name) {
+  return sink[name] || (sink[`${name}Env`] ? process.env[sink[`${name}Env`]] : undefined);
+}
+
+/**
+ * Notification sinks of an environment, from cloudflare/config.json
+ * @param {string} environment - Environment name
+ * @param {Object} [deployConfigFile] - Parsed cloudflare/config.json (default: the validated deployment configuration)
+ * @returns {Array} Sink configurations
+ */
+function loadNotifications(environment, deployConfigFile) {
+  if (!deployConfigFile) {
+    return loadDeployConfig(environment).notifications || [];
+  }
+
+  if (!deployConfigFile[environment]) {
+    throw new Error(`Environment '${environment}' not found in config`);
+  }
+
+  return deployConfigFile[environment].notifications || [];
+}
+
+/**
+ * Notification for a finished sync
+ * @param {Object} summary - Summary returned by main()
+ * @param {string} environment - Environment the sync feeds
+ * @returns {Object} Notification as { event, environment, runId, success, changed, title, summary }
+ */
+function syncNotification(summary, environment) {
+  const changed = summary.results.filter(result => result.changed).map(result => result.endpoint);
+  const stale = summary.results.filter(result => result.stale).map(result => result.endpoint);
+
+  return {
+    event: 'sync',
+    environment,
+    runId: summary.runId,
+    success: summary.success,
+    changed: changed.length > 0,
+    title: `${summary.success ? '✅' : '❌'} [${environment}] Sync ${summary.success ? 'succeeded' : 'failed'}: ` +
+      `${summary.successful}/${summary.total} endpoints${changed.length > 0 ? `, data changed for ${changed.join(', ')}` : ''}` +
+      `${stale.length > 0 ? `, last-known-good data republished for ${stale.join(', ')}` : ''}`,
+    summary: {
+      total: summary.total,
+      successful: summary.successful,
+      failed: summary.failed,
+      durationMs: summary.durationMs,
+      endpoints: summary.results.map(result => (result.success
+        ? { endpoint: result.endpoint, success: true, records: result.records, changed: Boolean(result.changed),
+          ...(result.stale && { stale: true, error: result.staleReason }) }
+        : { endpoint: result.endpoint, success: false, error: result.error }))
+    }
+  };
+}
+
+/**
+ * Notification for a finished (or failed) deploy
+ * @param {Object} deploy - { environment, runId, durationMs, results } or { ..., error } when the deploy threw
+ * @returns {Object} Notification as { event, environment, runId, success, changed, title, summary }
+ */
+function deployNotification({ environment, runId, durationMs, results = {}, error }) {
+  const success = !error && results.success !== false;
+  const deployed = (results.results || []).filter(result => result.success).map(result => result.fileName);
+  const failures = (results.results || []).filter(result => !result.success)
+    .map(result => ({ fileName: result.fileName, error: result.error }));
+  const problem = error || results.release?.error;
+
+  const summary = {
+    total: results.total || 0,
+    successful: results.successful || 0,
+    failed: results.failed || 0,
+    durationMs,
+    deployed,
+    failures
+  };
+  if (results.changes) {
+    summary.changes = {
+      new: results.changes.new.length,
+      updated: results.changes.updated.length,
+      unchanged: results.changes.unchanged.length
+    };
+  }
+  if (results.release) {
+    summary.release = { id: results.release.id, status: results.release.status };
+  }
+  if (results.purge) {
+    summary.purge = { purged: results.purge.purged, failed: results.purge.failed };
+  }
+  if (problem) {
+    summary.error = problem;
+  }
+
+  return {
+    event: 'deploy',
+    environment,
+    runId,
+    success,
+    changed: deployed.length > 0,
+    title: `${success ? '✅' : '❌'} [${environment}] Deploy ${success ? 'succeeded' : 'failed'}: ` +
+      (problem ? problem : `${summary.successful}/${summary.total} files deployed`),
+    summary
+  };
+}
+
+/**
+ * Plain-text body of a notification (Slack message, email body)
+ * @param {Object} notification - From syncNotification or deployNotification
+ * @returns {string} Text
+ */
+function formatNotification(notification) {
+  const { summary } = notification;
+  const lines = [notification.title];
+
+  for (const entry of summary.endpoints || []) {
+    lines.push(entry.success
+      ? `- ${entry.endpoint}: ${entry.records} records${entry.changed ? ' (changed)' : ''}`
+      : `- ${entry.endpoint}: ❌ ${entry.error}`);
+  }
+
+  if (summary.changes) {
+    lines.push(`- Changes: ${summary.changes.new} new, ${summary.changes.updated} updated, ${summary.changes.unchanged} unchanged`);
+  }
+  if (summary.deployed?.length > 0) {
+    lines.push(`- Deployed: ${summary.deployed.join(', ')}`);
+  }
+  for (const failure of summary.failures || []) {
+    lines.push(`- ${failure.fileName}: ❌ ${failure.error}`);
+  }
+  if (summary.release) {
+    lines.push(`- Release: ${summary.release.id} (${summary.release.status})`);
+  }
+  if (summary.purge) {
+    lines.push(`- Purge: ${summary.purge.purged} purged, ${summary.purge.failed} failed`);
+  }
+
+  lines.push(`Duration: ${summary.durationMs}ms, run ${notification.runId}`);
+  return lines.join('\n');
+}
+
+/**
+ * Whether a sink wants a notification, per its `events` and `on` rules
+ * @param {Object} sink - Sink configuration
+ * @param {Object} notification - Notification
+ * @returns {boolean} True when the notification should be sent
+ */
+function shouldNotify(sink, notification) {
+  const events = [].concat(sink.events || NOTIFY_EVENTS);
+  const rules = [].concat(sink.on || 'always');
+
+  if (!events.includes(notification.event)) {
+    return false;
+  }
+
+  return rules.some(rule => rule === 'always' ||
+    (rule === 'success' && notification.success) ||
+    (rule === 'failure' && !notification.success) ||
+    (rule === 'changed' && notification.changed));
+}
+
+/**
+ * Create a notifier for a sink
+ * @param {Object} sink - Sink configuration
+ * @returns {Object} { type, send(notification) }
+ */
+function createNotifier(sink) {
+  switch (sink.type) {
+    case 'webhook':
+      return {
+        type: 'webhook',
+        async send(notification) {
+          const url = setting(sink, 'url');
+          await withRetry(() => axios.post(url, notification, {
+            headers: { 'Content-Type': 'application/json', ...sink.headers },
+            timeout: 10000
+          }), sink.retry, { label: `POST ${new URL(url).host} notification` });
+        }
+      };
+
+    case 'slack':
+      return {
+        type: 'slack',
+        async send(notification) {
+          const url = setting(sink, 'url');
+          await withRetry(() => axios.post(url, { text: formatNotification(notification) }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 10000
+          }), sink.retry, { label: 'POST Slack notification' });
+        }
+      };
+
+    case 'email':
+      return {
+        type: 'email',
+        async send(notification) {
+          await sendMail({
+            host: sink.host,
+            port: sink.port,
+            secure: sink.secure,
+            starttls: sink.starttls,
+            allowInsecureAuth: sink.allowInsecureAuth,
+            user: setting(sink, 'user'),
+            password: setting(sink, 'password'),
+            from: sink.from,
+            to: [].concat(sink.to),
+            subject: notification.title,
+            text: formatNotification(notification)
+          });
+        }
+      };
+
+    default:
+      throw new Error(`Unknown notifier type '${sink.type}' (expected one of: ${NOTIFIER_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Problems with an environment's notification sinks
+ * @param {Array} sinks - `notifications` of an environment
+ * @returns {Array<string>} Issues; empty when valid
+ */
+function validateNotifications(sinks = []) {
+  const issues = [];
+
+  sinks.forEach((sink, index) => {
+    const name = `notifications[${index}]`;
+
+    if (!NOTIFIER_TYPES.includes(sink.type)) {
+      issues.push(`${name}: unknown type '${sink.type}' (expected one of: ${NOTIFIER_TYPES.join(', ')})`);
+      return;
+    }
+
+    const unknownRules = [].concat(sink.on || []).filter(rule => !NOTIFY_RULES.includes(rule));
+    if (unknownRules.length > 0) {
+      issues.push(`${name}: unknown rule(s) ${unknownRules.join(', ')} (expected: ${NOTIFY_RULES.join(', ')})`);
+    }
+
+    const unknownEvents = [].concat(sink.events || []).filter(event => !NOTIFY_EVENTS.includes(event));
+    if (unknownEvents.length > 0) {
+      issues.push(`${name}: unknown event(s) ${unknownEvents.join(', ')} (expected: ${NOTIFY_EVENTS.join(', ')})`);
+    }
+
+    if (sink.type === 'email') {
+      if (!sink.host || !sink.from || [].concat(sink.to || []).length === 0) {
+        issues.push(`${name}: email needs host, from and to`);
+      }
+    } else if (!setting(sink, 'url')) {
+      issues.push(`${name}: missing url${sink.urlEnv ? ` (${sink.urlEnv} is not set)` : ''}`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Send a notification to every sink whose rules match. Failures are logged, never thrown,
+ * so a broken sink cannot fail a sync or deploy.
+ * @param {Array} sinks - `notifications` of an environment
+ * @param {Object} notification - From syncNotification or deployNotification
+ * @returns {Promise<Array>} One { type, sent, error } per matching sink
+ */
+async function notify(sinks = [], notification) {
+  const matching = sinks.filter(sink => shouldNotify(sink, notification));
+
+  return Promise.all(matching.map(async (sink) => {
+    try {
+      await createNotifier(sink).send(notification);
+      log.info(`📣 Sent ${notification.event} notification via ${sink.type}`, { sink: sink.type, event: notification.event });
+      return { type: sink.type, sent: true };
+    } catch (error) {
+      log.warn(`⚠️ Could not send ${notification.event} notification via ${sink.type}: ${error.message}`, { sink: sink.type });
+      return { type: sink.type, sent: false, error: error.message };
+    }
+  }));
+}
+
+module.exports = {
+  NOTIFIER_TYPES,
+  NOTIFY_RULES,
+  NOTIFY_EVENTS,
+  loadNotifications,
+  syncNotification,
+  deployNotification,
+  formatNotification,
+  shouldNotify,
+  createNotifier,
+  validateNotifications,
+  notify
+};
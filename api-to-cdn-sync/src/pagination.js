@@ -0,0 +1,123 @@
+const { getPath } = require('./reshaper');
+
+/**
+ * Pagination of source API responses, set per endpoint with `pagination` in src/config.json:
+ *
+ *   { "type": "cursor", "cursorParam": "cursor", "cursorPath": "meta.next_cursor", "limitParam": "limit", "limit": 100 }
+ *   { "type": "page", "pageParam": "page", "start": 1, "sizeParam": "per_page", "size": 100 }
+ *   { "type": "offset", "offsetParam": "offset", "limitParam": "limit", "limit": 100 }
+ *   { "type": "link" }                                   (follows rel="next" in the Link header)
+ *
+ * Every page must carry its records in `data`. cursor pagination stops when the cursor is empty, page and offset
+ * pagination at the first short (or empty) page, link pagination when there is no next link.
+ * `maxPages` (default 100) caps the number of requests; an endpoint with pages left beyond it fails.
+ */
+
+const PAGINATION_TYPES = ['cursor', 'page', 'offset', 'link'];
+const DEFAULT_MAX_PAGES = 100;
+
+const DEFAULTS = {
+  cursor: { cursorParam: 'cursor', cursorPath: 'next_cursor', limitParam: 'limit' },
+  page: { pageParam: 'page', start: 1, sizeParam: 'per_page' },
+  offset: { offsetParam: 'offset', limitParam: 'limit', limit: 100 },
+  link: {}
+};
+
+/**
+ * Pagination settings with defaults applied
+ * @param {Object} [pagination] - Endpoint pagination block
+ * @returns {Object|null} Settings, or null for a single request
+ */
+function resolvePagination(pagination) {
+  if (!pagination) {
+    return null;
+  }
+
+  if (!DEFAULTS[pagination.type]) {
+    throw new Error(`Unknown pagination type '${pagination.type}' (expected one of: ${PAGINATION_TYPES.join(', ')})`);
+  }
+
+  return { maxPages: DEFAULT_MAX_PAGES, ...DEFAULTS[pagination.type], ...pagination };
+}
+
+/**
+ * Query parameters of the first page
+ * @param {Object} pagination - Resolved pagination settings
+ * @returns {Object} Query parameters
+ */
+function firstPage(pagination) {
+  switch (pagination.type) {
+    case 'cursor':
+      return pagination.limit ? { [pagination.limitParam]: pagination.limit } : {};
+    case 'page':
+      return { [pagination.pageParam]: pagination.start, ...(pagination.size && { [pagination.sizeParam]: pagination.size }) };
+    case 'offset':
+      return { [pagination.offsetParam]: 0, [pagination.limitParam]: pagination.limit };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Where the next page is, given the page just fetched
+ * @param {Object} pagination - Resolved pagination settings
+ * @param {Object} page - { url, params, body, headers } of the fetched page
+ * @returns {Object|null} { params } or { url } of the next page, or null on the last page
+ */
+function nextPage(pagination, page) {
+  const records = Array.isArray(page.body?.data) ? page.body.data.length : 0;
+
+  switch (pagination.type) {
+    case 'cursor': {
+      const cursor = getPath(page.body, pagination.cursorPath);
+      return cursor ? { params: { ...page.params, [pagination.cursorParam]: cursor } } : null;
+    }
+
+    case 'page':
+      if (records === 0 || (pagination.size && records < pagination.size)) {
+        return null;
+      }
+      return { params: { ...page.params, [pagination.pageParam]: Number(page.params[pagination.pageParam]) + 1 } };
+
+    case 'offset':
+      if (records < pagination.limit) {
+        return null;
+      }
+      return { params: { ...page.params, [pagination.offsetParam]: Number(page.params[pagination.offsetParam]) + records } };
+
+    case 'link': {
+      const next = parseLinkHeader(page.headers?.link).next;
+      return next ? { url: new URL(next, page.url).toString() } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an RFC 8288 Link header
+ * @param {string} [header] - Link header value
+ * @returns {Object} URL per relation, e.g. { next, last }
+ */
+function parseLinkHeader(header) {
+  const links = {};
+
+  for (const match of (header || '').matchAll(/<([^>]*)>((?:\s*;\s*[^;,]+)*)/g)) {
+    const rel = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+    for (const name of rel ? rel[1].trim().split(/\s+/) : []) {
+      links[name.toLowerCase()] = match[1];
+    }
+  }
+
+  return links;
+}
+
+module.exports = {
+  PAGINATION_TYPES,
+  DEFAULT_MAX_PAGES,
+  resolvePagination,
+  firstPage,
+  nextPage,
+  parseLinkHeader
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// KV key of the release pointer: the manifest of what is live, used for rollbacks, pruning and change detection
+const RELEASE_POINTER_KEY = 'release.json';
+const DEFAULT_RELEASE_PREFIX = 'releases/';
+const DEFAULT_KEEP_RELEASES = 5;
+
+/**
+ * Release identifier: UTC timestamp plus a random suffix, e.g. 20260101T120000Z-3f2a9c
+ * @param {Date} [date] - Release time
+ * @returns {string} Release identifier
+ */
+function createReleaseId(date = new Date()) {
+  const timestamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Staging key of a file inside a release, e.g. releases/20260101T120000Z-3f2a9c/account-specifications.js
+ * @param {string} prefix - Release prefix (settings.release.prefix)
+ * @param {string} releaseId - Release identifier
+ * @param {string} fileName - Published file name
+ * @returns {string} KV key
+ */
+function releaseKey(prefix, releaseId, fileName) {
+  return `${prefix}${releaseId}/${fileName}`;
+}
+
+/**
+ * Build the manifest of a new release on top of the live one.
+ * Files that were not part of this release keep pointing at the keys of earlier releases.
+ * @param {Object|null} current - Live release manifest
+ * @param {string} releaseId - Release identifier
+ * @param {Object} files - New entries per file name, as { key, variants, size, contentHash, endpoint, generatedAt }
+ * @param {number} [keep] - Number of releases to keep in the history
+ * @returns {Object} Release manifest as { id, createdAt, previous, history, files }
+ */
+function buildRelease(current, releaseId, files, keep = DEFAULT_KEEP_RELEASES) {
+  const history = [releaseId, ...(current?.history || [])];
+
+  return {
+    id: releaseId,
+    createdAt: new Date().toISOString(),
+    previous: current?.id || null,
+    history: history.slice(0, keep),
+    files: { ...(current?.files || {}), ...files }
+  };
+}
+
+/**
+ * Releases that dropped out of the history of a new release (their keys can be deleted)
+ * @param {Object|null} current - Release manifest that was live before
+ * @param {Object} release - Release manifest that is live now
+ * @returns {Array<string>} Release identifiers
+ */
+function expiredReleases(current, release) {
+  return (current?.history || []).filter(id => !release.history.includes(id));
+}
+
+/**
+ * Every KV key a release manifest serves, including precompressed variants
+ * @param {Object} release - Release manifest
+ * @returns {Set<string>} KV keys
+ */
+function releaseKeys(release) {
+  return new Set(Object.values(release.files).flatMap(entry => [entry.key, ...(entry.variants || [])]));
+}
+
+module.exports = {
+  RELEASE_POINTER_KEY,
+  DEFAULT_RELEASE_PREFIX,
+  DEFAULT_KEEP_RELEASES,
+  createReleaseId,
+  releaseKey,
+  buildRelease,
+  expiredReleases,
+  releaseKeys
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// Written next to the generated files (and the manifest) after every sync and deploy
+const RUN_REPORT_FILE = 'run-report.json';
+
+/**
+ * Read the run report of an output directory
+ * @param {string} outputDir - Directory with generated files
+ * @returns {Object|null} Run report, or null if none was written yet
+ */
+function readRunReport(outputDir) {
+  const reportPath = path.join(outputDir, RUN_REPORT_FILE);
+
+  if (!fs.existsSync(reportPath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+}
+
+function writeRunReport(outputDir, report) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, RUN_REPORT_FILE), JSON.stringify(report, null, 2), 'utf8');
+  return report;
+}
+
+// Sync plus deploy time of a report
+function totalDuration(report) {
+  return (report.sync?.durationMs || 0) + (report.deploy?.durationMs || 0);
+}
+
+/**
+ * Start a new run report from a sync summary; any earlier report in the directory is replaced
+ * @param {string} outputDir - Directory with generated files
+ * @param {Object} summary - Summary returned by main()
+ * @param {Date} startedAt - When the sync started
+ * @returns {Object} Run report
+ */
+function recordSync(outputDir, summary, startedAt) {
+  const sync = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date(startedAt.getTime() + summary.durationMs).toISOString(),
+    durationMs: summary.durationMs,
+    success: summary.success,
+    total: summary.total,
+    successful: summary.successful,
+    failed: summary.failed
+  };
+
+  const endpoints = summary.results.map(result => (result.success
+    ? {
+      endpoint: result.endpoint,
+      success: true,
+      fetchMs: result.fetchMs,
+      records: result.records,
+      bytes: result.size,
+      contentHash: result.contentHash,
+      ...(result.notModified && { notModified: true }),
+      ...(result.stale && { stale: true, staleReason: result.staleReason, snapshotSavedAt: result.snapshotSavedAt }),
+      files: result.files.map(file => file.fileName),
+      durationMs: result.durationMs
+    }
+    : { endpoint: result.endpoint, success: false, error: result.error, durationMs: result.durationMs }));
+
+  const report = { runId: summary.runId, updatedAt: new Date().toISOString(), sync, endpoints, deploy: null };
+  return writeRunReport(outputDir, { ...report, durationMs: totalDuration(report) });
+}
+
+/**
+ * Add a deploy to the run report of the sync that generated the files.
+ * Per-file results are also summarised under the endpoint that generated them.
+ * @param {string} outputDir - Directory with generated files
+ * @param {Object} deploy - { runId, environment, startedAt, durationMs, results } or { ..., error } when the deploy threw
+ * @returns {Object} Run report
+ */
+function recordDeploy(outputDir, deploy) {
+  const current = readRunReport(outputDir) || { runId: deploy.runId, sync: null, endpoints: [] };
+  const results = deploy.results || {};
+  const endpointOf = (fileName) => current.endpoints.find(entry => entry.files?.includes(fileName))?.endpoint;
+  const files = (results.results || []).map(result => ({
+    fileName: result.fileName,
+    endpoint: endpointOf(result.fileName),
+    success: result.success,
+    ...(result.success ? { url: result.url, size: result.size } : { error: result.error })
+  }));
+
+  const section = {
+    runId: deploy.runId,
+    environment: deploy.environment,
+    startedAt: deploy.startedAt.toISOString(),
+    finishedAt: new Date(deploy.startedAt.getTime() + deploy.durationMs).toISOString(),
+    durationMs: deploy.durationMs,
+    success: deploy.error ? false : results.success !== false,
+    total: results.total || 0,
+    successful: results.successful || 0,
+    failed: results.failed || 0,
+    files
+  };
+
+  if (deploy.error || results.release?.error) {
+    section.error = deploy.error || results.release.error;
+  }
+  if (results.release) {
+    section.release = { id: results.release.id, status: results.release.status };
+  }
+  if (results.purge) {
+    const { success, total, purged, failed } = results.purge;
+    section.purge = { success, total, purged, failed };
+  }
+
+  const endpoints = current.endpoints.map(entry => {
+    const deployed = files.filter(file => file.endpoint === entry.endpoint);
+    return deployed.length === 0 ? entry : {
+      ...entry,
+      deploy: { success: deployed.every(file => file.success), files: deployed.length, failed: deployed.filter(file => !file.success).length }
+    };
+  });
+
+  const report = { ...current, updatedAt: new Date().toISOString(), endpoints, deploy: section };
+  return writeRunReport(outputDir, { ...report, durationMs: totalDuration(report) });
+}
+
+module.exports = { RUN_REPORT_FILE, readRunReport, recordSync, recordDeploy };
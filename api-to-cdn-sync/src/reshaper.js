@@ -0,0 +1,196 @@
+/**
+ * Declarative reshaping of API records, configured per endpoint as an ordered list of steps:
+ *
+ *   "transforms": [
+ *     { "flatten": "account.specification" },
+ *     { "filter": { "path": "max_leverage", "gte": 100 } },
+ *     { "pick": ["display_name", "markets_offered", "max_leverage"] },
+ *     { "rename": { "display_name": "name" } },
+ *     { "sort": { "by": "name", "order": "asc" } },
+ *     { "keyBy": "name" }
+ *   ]
+ *
+ * Steps run against the response's `data` array, so the API's own `metadata` block is dropped.
+ * Paths use dot notation (`account.specification.display_name`).
+ */
+
+const FILTER_OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  notEquals: (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  contains: (actual, expected) => (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+  exists: (actual, expected) => (actual !== undefined) === expected
+};
+
+const STEPS = {
+  pick: (records, paths) => records.map(record => {
+    const picked = {};
+    for (const path of toArray(paths)) {
+      const value = getPath(record, path);
+      if (value !== undefined) {
+        setPath(picked, path, value);
+      }
+    }
+    return picked;
+  }),
+
+  omit: (records, paths) => records.map(record => {
+    const copy = structuredClone(record);
+    for (const path of toArray(paths)) {
+      unsetPath(copy, path);
+    }
+    return copy;
+  }),
+
+  flatten: (records, paths) => records.map(record => {
+    let flattened = structuredClone(record);
+    for (const path of toArray(paths)) {
+      const nested = getPath(flattened, path);
+      if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+        unsetPath(flattened, path);
+        flattened = { ...flattened, ...nested };
+      }
+    }
+    return flattened;
+  }),
+
+  rename: (records, mapping) => records.map(record => {
+    const copy = structuredClone(record);
+    for (const [from, to] of Object.entries(mapping)) {
+      const value = getPath(copy, from);
+      if (value !== undefined) {
+        unsetPath(copy, from);
+        setPath(copy, to, value);
+      }
+    }
+    return copy;
+  }),
+
+  filter: (records, conditions) => records.filter(record =>
+    toArray(conditions).every(condition => matchesCondition(record, condition))),
+
+  sort: (records, options) => {
+    const { by, order = 'asc' } = typeof options === 'string' ? { by: options } : options;
+    const direction = order === 'desc' ? -1 : 1;
+
+    return [...records].sort((a, b) => compareValues(getPath(a, by), getPath(b, by), direction));
+  },
+
+  keyBy: (records, path) => {
+    const keyed = {};
+    for (const record of records) {
+      const key = getPath(record, path);
+      if (key === undefined || key === null) {
+        throw new Error(`keyBy: record has no value at '${path}'`);
+      }
+      if (Object.prototype.hasOwnProperty.call(keyed, key)) {
+        throw new Error(`keyBy: duplicate key '${key}' at '${path}'`);
+      }
+      keyed[key] = record;
+    }
+    return keyed;
+  }
+};
+
+/**
+ * Apply an endpoint's transform steps to an API response
+ * @param {Object} apiData - Response body from fetchApiData
+ * @param {Array} steps - Transform steps from config.json
+ * @returns {Array|Object} Reshaped records (an object after keyBy)
+ */
+function applyTransforms(apiData, steps) {
+  let result = Array.isArray(apiData?.data) ? apiData.data : apiData;
+
+  steps.forEach((step, index) => {
+    const [name, ...extra] = Object.keys(step);
+
+    if (!STEPS[name] || extra.length > 0) {
+      throw new Error(`Invalid transform at index ${index}: expected one of ${Object.keys(STEPS).join(', ')}`);
+    }
+
+    if (!Array.isArray(result)) {
+      throw new Error(`Transform '${name}' at index ${index} needs an array of records (keyBy must be the last step)`);
+    }
+
+    result = STEPS[name](result, step[name]);
+  });
+
+  return result;
+}
+
+function matchesCondition(record, condition) {
+  const actual = getPath(record, condition.path);
+  const operators = Object.keys(condition).filter(key => key !== 'path');
+
+  return operators.every(operator => {
+    if (!FILTER_OPERATORS[operator]) {
+      throw new Error(`Unknown filter operator '${operator}' (expected one of: ${Object.keys(FILTER_OPERATORS).join(', ')})`);
+    }
+    return FILTER_OPERATORS[operator](actual, condition[operator]);
+  });
+}
+
+// Missing values sort last in either direction; strings compare by locale
+function compareValues(a, b, direction) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'string' && typeof b === 'string') return direction * a.localeCompare(b);
+  return direction * (a < b ? -1 : 1);
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let node = object;
+
+  for (const key of keys) {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+
+  node[last] = value;
+}
+
+// Remove the value at path, then drop parent objects left empty
+function unsetPath(object, path) {
+  const keys = path.split('.');
+  const parents = [];
+  let node = object;
+
+  for (const key of keys.slice(0, -1)) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    parents.push([node, key]);
+    node = node[key];
+  }
+
+  if (node && typeof node === 'object') {
+    delete node[keys[keys.length - 1]];
+  }
+
+  for (const [parent, key] of parents.reverse()) {
+    const child = parent[key];
+    if (child && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length === 0) {
+      delete parent[key];
+    }
+  }
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = { applyTransforms, getPath };
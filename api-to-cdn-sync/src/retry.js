@@ -0,0 +1,144 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('retry');
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  jitter: 0.5,
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  maxRetryAfterMs: 60000
+};
+
+// Transient network failures worth another attempt (DNS misses like ENOTFOUND are not)
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Statuses where the server may tell us how long to wait
+const RETRY_AFTER_STATUSES = [429, 503];
+
+/**
+ * Merge a partial retry policy with the defaults
+ * @param {Object} [overrides] - Partial policy, e.g. from config.json
+ * @returns {Object} Complete retry policy
+ */
+function resolveRetryPolicy(overrides = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...overrides };
+}
+
+/**
+ * Decide whether a failed request should be attempted again
+ * @param {Error} error - Error thrown by axios
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} True when the failure is transient
+ */
+function isRetryableError(error, policy) {
+  const status = error.response?.status;
+
+  if (status) {
+    return policy.retryableStatuses.includes(status);
+  }
+
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string} value - Header value
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Delay in ms, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+
+  return Math.max(0, date - now);
+}
+
+/**
+ * Compute the wait before the next attempt.
+ * Honors Retry-After on 429/503, otherwise exponential backoff with jitter.
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @param {Error} [error] - Error from the failed attempt
+ * @param {Function} [random] - Random source, injectable for tests
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt, policy, error, random = Math.random) {
+  if (RETRY_AFTER_STATUSES.includes(error?.response?.status)) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxRetryAfterMs);
+    }
+  }
+
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential * (1 - policy.jitter * random()));
+}
+
+function describeError(error) {
+  if (error.response?.status) {
+    return `HTTP ${error.response.status}`;
+  }
+
+  return error.code ? `${error.code} ${error.message}` : error.message;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an async operation, retrying transient failures according to the policy
+ * @param {Function} operation - Async function called with the attempt number
+ * @param {Object} [policy] - Partial retry policy
+ * @param {Object} [options]
+ * @param {string} [options.label] - Name used in log lines
+ * @param {Function} [options.sleep] - Delay function, injectable for tests
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry(operation, policy, options = {}) {
+  const resolved = resolveRetryPolicy(policy);
+  const label = options.label || 'request';
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 1; ; attempt++) {
+    log.debug(`🔁 ${label}: attempt ${attempt}/${resolved.maxAttempts}`, { attempt });
+
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= resolved.maxAttempts || !isRetryableError(error, resolved)) {
+        if (attempt > 1) {
+          log.error(`❌ ${label}: giving up after ${attempt} attempts (${describeError(error)})`, { attempt, status: error.response?.status });
+        }
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, resolved, error);
+      log.warn(`⏳ ${label}: attempt ${attempt} failed (${describeError(error)}), retrying in ${delay}ms`, {
+        attempt,
+        status: error.response?.status,
+        delay_ms: delay
+      });
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  withRetry
+};
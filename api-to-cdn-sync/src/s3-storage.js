@@ -0,0 +1,260 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { withRetry } = require('./retry');
+const { contentTypeFor } = require('./content-types');
+const { createLogger } = require('./logger');
+
+/**
+ * Storage backend for S3-compatible object storage: Cloudflare R2, AWS S3, MinIO.
+ * Requests use path-style URLs (<endpoint>/<bucket>/<key>) signed with AWS Signature Version 4.
+ */
+
+const DEFAULT_REGION = 'us-east-1';
+
+// ListObjectsV2 returns at most 1000 keys per page
+const LIST_PAGE_SIZE = 1000;
+
+// KV metadata fields stored as x-amz-meta-* headers; the others map to standard headers
+const META_HEADERS = { endpoint: 'x-amz-meta-endpoint', contentHash: 'x-amz-meta-content-hash', generatedAt: 'x-amz-meta-generated-at' };
+
+const log = createLogger('s3-storage');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL, with the query string
+ * @param {Object} [request.headers] - Headers to sign besides host and x-amz-date
+ * @param {string|Buffer} [request.body] - Payload (hashed unless x-amz-content-sha256 is given)
+ * @param {Object} credentials - { accessKeyId, secretAccessKey }
+ * @param {Object} scope - { region, service }
+ * @param {Date} [date] - Signing time
+ * @returns {Object} Headers to send: the given ones plus x-amz-date and Authorization
+ */
+function signRequest({ method, url, headers = {}, body = '' }, credentials, scope, date = new Date()) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const credentialScope = `${amzDate.slice(0, 8)}/${scope.region}/${scope.service}/aws4_request`;
+
+  const signed = { ...headers, host, 'x-amz-date': amzDate };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(signed).map(([name, value]) =>
+    [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')]));
+
+  const canonicalPath = pathname.split('/').map(segment => encodeRfc3986(decodeURIComponent(segment))).join('/');
+  const canonicalQuery = [...searchParams]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalPath || '/',
+    canonicalQuery,
+    names.map(name => `${name}:${values[name]}\n`).join(''),
+    names.join(';'),
+    values['x-amz-content-sha256'] || sha256(body)
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [amzDate.slice(0, 8), scope.region, scope.service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    'x-amz-date': amzDate,
+    'Authorization': `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${credentialScope}, ` +
+      `SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * Map an axios error from an S3 endpoint to a readable Error, using the XML <Code> and <Message>
+ * @param {Error} error - Error thrown by axios
+ * @returns {Error} Error with a user-facing message
+ */
+function toS3Error(error) {
+  if (!error.response) {
+    return new Error(`Network error: ${error.message}`);
+  }
+
+  const body = Buffer.isBuffer(error.response.data) ? error.response.data.toString('utf8') : String(error.response.data || '');
+  const code = /<Code>([^<]*)<\/Code>/.exec(body)?.[1];
+  const message = /<Message>([^<]*)<\/Message>/.exec(body)?.[1];
+
+  return new Error(`S3 error (${error.response.status}): ${[code, message].filter(Boolean).join(' - ') || 'no details'}`);
+}
+
+// First <tag>value</tag> of an XML document; ListObjectsV2 responses are flat enough for this
+const xmlValue = (xml, tag) => new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml)?.[1];
+
+function unescapeXml(value) {
+  return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Storage backend for an S3-compatible bucket (see storage.js for the interface)
+ * @param {Object} config - Deployment configuration; reads `storage` and `retry`
+ * @param {Object} config.storage - { endpoint, bucket, region, accessKeyId, secretAccessKey } where the credentials
+ *   default to S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (or the variables named by accessKeyIdEnv / secretAccessKeyEnv)
+ * @returns {Object} Storage backend
+ */
+function createS3Storage(config) {
+  const settings = config.storage || {};
+  const credentials = {
+    accessKeyId: settings.accessKeyId || process.env[settings.accessKeyIdEnv || 'S3_ACCESS_KEY_ID'],
+    secretAccessKey: settings.secretAccessKey || process.env[settings.secretAccessKeyEnv || 'S3_SECRET_ACCESS_KEY']
+  };
+  const scope = { region: settings.region || DEFAULT_REGION, service: 's3' };
+
+  if (!settings.endpoint || !settings.bucket || !credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('Missing required S3 configuration: endpoint, bucket, accessKeyId, secretAccessKey');
+  }
+
+  const bucketUrl = `${settings.endpoint.replace(/\/+$/, '')}/${encodeRfc3986(settings.bucket)}`;
+
+  // Sign and send one request; every attempt is signed afresh so retries do not reuse a stale x-amz-date
+  const send = (method, url, { body, headers = {}, label, ...options }) => withRetry(() => {
+    const payload = body === undefined ? '' : body;
+    const amzHeaders = { 'x-amz-content-sha256': sha256(payload), ...headers.amz };
+
+    return axios({
+      method,
+      url,
+      data: body,
+      headers: { ...headers.plain, ...signRequest({ method, url, headers: amzHeaders, body: payload }, credentials, scope) },
+      timeout: 30000,
+      ...options
+    });
+  }, config.retry, { label });
+
+  const objectUrl = (key) => `${bucketUrl}/${encodeKey(key)}`;
+
+  return {
+    type: 's3',
+    description: `s3:${settings.bucket}`,
+
+    async put(key, content, metadata = {}) {
+      const amz = Object.fromEntries(Object.entries(META_HEADERS)
+        .filter(([field]) => metadata[field] !== undefined && metadata[field] !== null)
+        .map(([field, header]) => [header, String(metadata[field])]));
+      const plain = {
+        'Content-Type': metadata.contentType || contentTypeFor(key),
+        ...(metadata.contentEncoding && { 'Content-Encoding': metadata.contentEncoding }),
+        ...(metadata.cacheControl && { 'Cache-Control': metadata.cacheControl })
+      };
+
+      try {
+        const response = await send('PUT', objectUrl(key), { body: content, headers: { amz, plain }, label: `S3 PUT ${key}` });
+        const size = Buffer.byteLength(content);
+        log.debug(`📤 S3 PUT ${key} (${size} bytes)`, { key, status: response.status, bytes: size });
+        return { success: true, key, size, etag: response.headers?.etag };
+      } catch (error) {
+        throw toS3Error(error);
+      }
+    },
+
+    async get(key, options = {}) {
+      try {
+        const response = await send('GET', objectUrl(key), {
+          label: `S3 GET ${key}`,
+          responseType: options.binary ? 'arraybuffer' : 'text',
+          // Precompressed variants are stored with Content-Encoding; return their bytes as stored
+          decompress: false,
+          validateStatus: (status) => status === 200 || status === 404
+        });
+
+        if (response.status === 404) {
+          return null;
+        }
+        return options.binary ? Buffer.from(response.data) : response.data;
+      } catch (error) {
+        throw toS3Error(error);
+      }
+    },
+
+    async delete(key) {
+      try {
+        await send('DELETE', objectUrl(key), { label: `S3 DELETE ${key}` });
+        return { success: true, key };
+      } catch (error) {
+        throw toS3Error(error);
+      }
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      let token = null;
+
+      try {
+        do {
+          const params = { 'list-type': '2', 'max-keys': String(LIST_PAGE_SIZE), prefix, ...(token && { 'continuation-token': token }) };
+          const query = Object.entries(params).map(([name, value]) => `${name}=${encodeRfc3986(value)}`).join('&');
+
+          const response = await send('GET', `${bucketUrl}?${query}`, { label: `S3 LIST ${prefix || '*'}`, responseType: 'text' });
+          const xml = String(response.data);
+
+          for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+            keys.push({
+              key: unescapeXml(xmlValue(entry, 'Key')),
+              size: Number(xmlValue(entry, 'Size')),
+              etag: unescapeXml(xmlValue(entry, 'ETag') || '')
+            });
+          }
+
+          token = xmlValue(xml, 'IsTruncated') === 'true' ? unescapeXml(xmlValue(xml, 'NextContinuationToken')) : null;
+        } while (token);
+
+        return keys;
+      } catch (error) {
+        throw toS3Error(error);
+      }
+    },
+
+    async head(key) {
+      try {
+        const response = await send('HEAD', objectUrl(key), {
+          label: `S3 HEAD ${key}`,
+          validateStatus: (status) => status === 200 || status === 404
+        });
+
+        if (response.status === 404) {
+          return null;
+        }
+
+        const headers = response.headers;
+        const metadata = {
+          contentType: headers['content-type'],
+          contentEncoding: headers['content-encoding'],
+          cacheControl: headers['cache-control'],
+          ...Object.fromEntries(Object.entries(META_HEADERS).map(([field, header]) => [field, headers[header]]))
+        };
+
+        return {
+          key,
+          size: Number(headers['content-length']),
+          etag: headers.etag,
+          metadata: Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined))
+        };
+      } catch (error) {
+        throw toS3Error(error);
+      }
+    }
+  };
+}
+
+module.exports = { createS3Storage, signRequest };
@@ -0,0 +1,179 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Minimal SMTP client: EHLO, optional STARTTLS, AUTH PLAIN, one plain-text message
+ */
+
+// Read SMTP replies from a socket; multi-line replies ("250-...") are joined into one
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  };
+
+  const onError = (error) => {
+    failure = failure || error;
+    settle();
+  };
+
+  const attach = (target) => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', () => onError(new Error('Connection closed by SMTP server')));
+  };
+
+  attach(socket);
+
+  return {
+    attach,
+    detach: (target) => target.removeAllListeners('data'),
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    })
+  };
+}
+
+// Subject header value: a single line, with non-ASCII text sent as RFC 2047 encoded words
+// (at most 39 bytes each, so every line of the header, "Subject: " included, stays under 76 characters)
+function encodeSubject(subject) {
+  const line = String(subject).replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(line)) {
+    return line;
+  }
+
+  const words = [''];
+  for (const char of line) {
+    if (Buffer.byteLength(words[words.length - 1] + char) > 39) {
+      words.push('');
+    }
+    words[words.length - 1] += char;
+  }
+
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeSubject(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} [options.port] - Port (default 465 with `secure`, otherwise 587)
+ * @param {boolean} [options.secure] - Connect with TLS from the start (SMTPS)
+ * @param {boolean} [options.starttls] - Upgrade with STARTTLS when offered (default true)
+ * @param {boolean} [options.allowInsecureAuth] - Send credentials over an unencrypted connection
+ *   (default false: without TLS, a message with a `user` is not sent)
+ * @param {string} [options.user] - Login for AUTH PLAIN
+ * @param {string} [options.password] - Password for AUTH PLAIN
+ * @param {string} options.from - Sender address
+ * @param {Array<string>} options.to - Recipient addresses
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Message body
+ * @param {number} [options.timeoutMs] - Socket inactivity timeout
+ * @returns {Promise<Object>} { accepted, response }
+ */
+async function sendMail(options) {
+  const port = options.port || (options.secure ? 465 : 587);
+  let socket = options.secure
+    ? tls.connect({ host: options.host, port, servername: options.host })
+    : net.connect({ host: options.host, port });
+  socket.setTimeout(options.timeoutMs || DEFAULT_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+
+  const reader = replyReader(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = Boolean(options.secure);
+
+    if (!options.secure && options.starttls !== false && /^STARTTLS$/mi.test(ehlo.text)) {
+      await command('STARTTLS', [220]);
+      reader.detach(socket);
+      socket = tls.connect({ socket, servername: options.host });
+      reader.attach(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (options.user && !encrypted && !options.allowInsecureAuth) {
+      throw new Error(`SMTP server ${options.host} offers no TLS; not sending credentials in cleartext (set allowInsecureAuth to allow it)`);
+    }
+
+    if (options.user) {
+      const credentials = Buffer.from(`\u0000${options.user}\u0000${options.password || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${options.from}>`, [250]);
+    for (const recipient of options.to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    const response = await command(`${formatMessage(options)}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+
+    return { accepted: options.to, response: `${response.code} ${response.text}` };
+
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { putObject, getObject } = require('./deployer');
+const { storageType } = require('./storage');
+const { loadDeploymentConfig, privateStorageConfig } = require('./deployment-config');
+
+/**
+ * Last-known-good snapshots: the last payload of each endpoint that passed validation, kept so
+ * `sync --use-last-known-good` can republish it when the source API fails. Selected by `snapshots`
+ * in src/config.json (no snapshots are kept without it):
+ *
+ *   { "store": "file" }                                  - <outputDir>/.snapshots/<endpoint>.json ("directory" overrides)
+ *   { "store": "kv", "environment": "production" }       - _sync/snapshots/<endpoint>.json in that environment's
+ *                                                          privateStorage, which the CDN does not serve
+ *
+ * KV snapshots survive a fresh checkout or container, so a new environment can publish before the API answers.
+ * A snapshot is { endpoint, savedAt, contentHash, records, data } with the raw API response as `data`;
+ * transforms and output formats are applied again when it is republished.
+ */
+
+const SNAPSHOT_STORES = ['file', 'kv'];
+const SNAPSHOT_DIR = '.snapshots';
+const KV_SNAPSHOT_PREFIX = '_sync/snapshots/';
+
+const snapshotName = (endpoint) => `${encodeURIComponent(endpoint)}.json`;
+
+/**
+ * Snapshots kept as JSON files in a local directory
+ * @param {string} directory - Snapshot directory
+ * @returns {Object} Snapshot store with load(endpoint) and save(snapshot)
+ */
+function createFileSnapshotStore(directory) {
+  return {
+    description: directory,
+
+    async load(endpoint) {
+      const filePath = path.join(directory, snapshotName(endpoint));
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+
+    async save(snapshot) {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(path.join(directory, snapshotName(snapshot.endpoint)), JSON.stringify(snapshot), 'utf8');
+    }
+  };
+}
+
+/**
+ * Snapshots kept as JSON values in a storage backend (KV namespace, bucket or directory)
+ * @param {Object} config - Deployment configuration of the private storage (see privateStorageConfig)
+ * @param {string} [prefix] - Storage key prefix of the snapshots
+ * @returns {Object} Snapshot store with load(endpoint) and save(snapshot)
+ */
+function createKVSnapshotStore(config, prefix = KV_SNAPSHOT_PREFIX) {
+  return {
+    description: `${storageType(config)}:${prefix}`,
+
+    async load(endpoint) {
+      const value = await getObject(config, `${prefix}${snapshotName(endpoint)}`);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async save(snapshot) {
+      await putObject(config, `${prefix}${snapshotName(snapshot.endpoint)}`, JSON.stringify(snapshot));
+    }
+  };
+}
+
+/**
+ * Create the snapshot store configured by `snapshots` in src/config.json
+ * @param {Object} settings - Snapshot settings ({ store, directory, environment })
+ * @param {Object} [options]
+ * @param {string} [options.outputDir] - Output directory file snapshots are kept in by default
+ * @param {string} [options.environment] - Environment of KV snapshots when the settings name none
+ * @returns {Object} Snapshot store
+ */
+function createSnapshotStore(settings, options = {}) {
+  const store = settings.store || 'file';
+
+  if (store === 'file') {
+    return createFileSnapshotStore(path.resolve(options.outputDir || '.', settings.directory || SNAPSHOT_DIR));
+  }
+
+  if (store === 'kv') {
+    return createKVSnapshotStore(privateStorageConfig(loadDeploymentConfig(settings.environment || options.environment || 'development')));
+  }
+
+  throw new Error(`Unknown snapshot store '${store}' (expected one of: ${SNAPSHOT_STORES.join(', ')})`);
+}
+
+module.exports = {
+  SNAPSHOT_STORES,
+  KV_SNAPSHOT_PREFIX,
+  createFileSnapshotStore,
+  createKVSnapshotStore,
+  createSnapshotStore
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { putObject, getObject } = require('./deployer');
+const { storageType } = require('./storage');
+
+// Key holding the deploy state in the environment's private storage
+const KV_STATE_KEY = '_sync/deploy-state.json';
+
+const emptyState = () => ({ files: {} });
+
+/**
+ * Deploy state kept in a local JSON file
+ * @param {string} filePath - Path of the state file
+ * @returns {Object} State store with load() and save(state)
+ */
+function createFileStateStore(filePath) {
+  return {
+    description: filePath,
+
+    async load() {
+      if (!fs.existsSync(filePath)) {
+        return emptyState();
+      }
+
+      const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { ...state, files: state.files || {} };
+    },
+
+    async save(state) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(state, null, 2), 'utf8');
+    }
+  };
+}
+
+/**
+ * Deploy state kept as a JSON value in a storage backend (KV namespace, bucket or directory)
+ * @param {Object} config - Deployment configuration of the private storage (see privateStorageConfig)
+ * @param {string} [key] - Storage key for the state document
+ * @returns {Object} State store with load() and save(state)
+ */
+function createKVStateStore(config, key = KV_STATE_KEY) {
+  return {
+    description: `${storageType(config)}:${key}`,
+
+    async load() {
+      const value = await getObject(config, key);
+      if (!value) {
+        return emptyState();
+      }
+
+      const state = JSON.parse(value);
+      return { ...state, files: state.files || {} };
+    },
+
+    async save(state) {
+      await putObject(config, key, JSON.stringify(state));
+    }
+  };
+}
+
+/**
+ * Classify files against the last deployed state. A file is unchanged only if both its payload hash and
+ * its deploy hash (bytes and upload settings) match; state written before deploy hashes were recorded,
+ * or by a rollback, is compared by payload hash alone.
+ * @param {Array} files - Array of {fileName, contentHash, deployHash} objects
+ * @param {Object} state - Deploy state ({ files: { [fileName]: { contentHash, deployHash } } })
+ * @returns {Object} File names grouped as { new, updated, unchanged }
+ */
+function detectChanges(files, state) {
+  const changes = { new: [], updated: [], unchanged: [] };
+
+  for (const file of files) {
+    const previous = state.files[file.fileName];
+
+    if (!previous) {
+      changes.new.push(file.fileName);
+    } else if (file.contentHash && previous.contentHash === file.contentHash &&
+      (!previous.deployHash || previous.deployHash === file.deployHash)) {
+      changes.unchanged.push(file.fileName);
+    } else {
+      changes.updated.push(file.fileName);
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  KV_STATE_KEY,
+  createFileStateStore,
+  createKVStateStore,
+  detectChanges
+};
@@ -0,0 +1,70 @@
+const { createKVStorage } = require('./kv-storage');
+const { createS3Storage } = require('./s3-storage');
+const { createLocalStorage } = require('./local-storage');
+
+/**
+ * Where deployed files are stored, selected per environment by `storage` in cloudflare/config.json:
+ *
+ *   { "type": "kv" }                                                   - Workers KV namespace (default)
+ *   { "type": "s3", "endpoint": "...", "bucket": "...", "region": "..." } - Cloudflare R2 or any S3-compatible store
+ *   { "type": "local", "directory": "/var/www/cdn" }                   - a directory served by nginx or similar
+ *
+ * Every backend implements the same interface:
+ *
+ *   put(key, content, metadata?)  → { success, key, size }
+ *   get(key, { binary }?)         → string | Buffer | null
+ *   delete(key)                   → { success, key }
+ *   list(prefix?)                 → [{ key, ... }]
+ *   head(key)                     → { key, metadata, ... } | null
+ *
+ * `metadata` is the object built by deployer.js (contentType, contentEncoding, cacheControl and sync details).
+ */
+
+const STORAGE_BACKENDS = {
+  kv: createKVStorage,
+  s3: createS3Storage,
+  local: createLocalStorage
+};
+
+const STORAGE_TYPES = Object.keys(STORAGE_BACKENDS);
+
+/**
+ * Storage type of a deployment configuration
+ * @param {Object} config - Deployment configuration
+ * @returns {string} One of STORAGE_TYPES
+ */
+function storageType(config) {
+  return config.storage?.type || 'kv';
+}
+
+/**
+ * Create the storage backend of a deployment configuration
+ * @param {Object} config - Deployment configuration (see loadDeploymentConfig); `storage` selects the backend
+ * @returns {Object} Storage backend
+ */
+function createStorage(config) {
+  const type = storageType(config);
+  const create = STORAGE_BACKENDS[type];
+
+  if (!create) {
+    throw new Error(`Unknown storage type '${type}' (expected one of: ${STORAGE_TYPES.join(', ')})`);
+  }
+
+  return create(config);
+}
+
+/**
+ * Problems with a deployment configuration's storage settings
+ * @param {Object} config - Deployment configuration
+ * @returns {Array<string>} Issues; empty when valid
+ */
+function validateStorage(config) {
+  try {
+    createStorage(config);
+    return [];
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+module.exports = { STORAGE_TYPES, storageType, createStorage, validateStorage };
@@ -1,20 +1,27 @@
 const fs = require('fs');
 const path = require('path');
+const { computeContentHash } = require('./hash');
+const { createLogger } = require('./logger');
 
-function transformToJS(data, config) {
+const log = createLogger('transformer');
+
+const OUTPUT_FORMATS = ['esm', 'cjs', 'umd', 'json', 'dts'];
+
+function transformToJS(data, config, options = {}) {
   const varName = toCamelCase(config.name);
-  const timestamp = new Date().toISOString();
+  const meta = buildMetadata(data, config, options);
 
-  const jsContent = `// Generated on ${timestamp}
+  if (options.minify) {
+    return `export const ${varName}=${JSON.stringify(data)};export const metadata=${JSON.stringify(meta)};\n`;
+  }
+
+  const jsContent = `// Generated on ${meta.timestamp}
 // Source: ${config.name}
 
 export const ${varName} = ${JSON.stringify(data, null, 2)};
 
 export const metadata = {
-  timestamp: "${timestamp}",
-  source: "${config.name}",
-  generator: "api-to-cdn-sync",
-  version: "1.0.0"
+${metadataFields(meta, '  ')}
 };
 
 // Usage example:
@@ -25,22 +32,242 @@ export const metadata = {
   return jsContent;
 }
 
+function transformToCommonJS(data, config, options = {}) {
+  const varName = toCamelCase(config.name);
+  const meta = buildMetadata(data, config, options);
+
+  if (options.minify) {
+    return `const ${varName}=${JSON.stringify(data)};const metadata=${JSON.stringify(meta)};module.exports={${varName},metadata};\n`;
+  }
+
+  return `// Generated on ${meta.timestamp}
+// Source: ${config.name}
+
+const ${varName} = ${JSON.stringify(data, null, 2)};
+
+const metadata = {
+${metadataFields(meta, '  ')}
+};
+
+module.exports = { ${varName}, metadata };
+
+// Usage example:
+// const { ${varName}, metadata } = require('./${outputFileFor(config, 'cjs')}');
+`;
+}
+
+function transformToUMD(data, config, options = {}) {
+  const varName = toCamelCase(config.name);
+  const globalName = config.globalName || toPascalCase(config.name);
+  const meta = buildMetadata(data, config, options);
+
+  if (options.minify) {
+    return `(function(r,f){if(typeof define==='function'&&define.amd){define([],f)}` +
+      `else if(typeof module==='object'&&module.exports){module.exports=f()}` +
+      `else{r.${globalName}=f()}}(typeof self!=='undefined'?self:this,function(){` +
+      `return{${varName}:${JSON.stringify(data)},metadata:${JSON.stringify(meta)}}}));\n`;
+  }
+
+  const body = JSON.stringify(data, null, 2).replace(/\n/g, '\n    ');
+
+  return `// Generated on ${meta.timestamp}
+// Source: ${config.name}
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.${globalName} = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  return {
+    ${varName}: ${body},
+    metadata: {
+${metadataFields(meta, '      ')}
+    }
+  };
+}));
+
+// Usage example:
+// <script src="${outputFileFor(config, 'umd')}"></script>
+// console.log(window.${globalName}.${varName});
+`;
+}
+
+function transformToJSON(data, config, options = {}) {
+  return options.minify ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+}
+
+function transformToTypeDeclarations(data, config, options = {}) {
+  const varName = toCamelCase(config.name);
+  const typeName = toPascalCase(config.name);
+  const meta = buildMetadata(data, config, options);
+
+  return `// Generated on ${meta.timestamp}
+// Source: ${config.name}
+// Types inferred from the API payload
+
+export type ${typeName} = ${inferType([data], '')};
+
+export declare const ${varName}: ${typeName};
+
+export declare const metadata: {
+  timestamp: string;
+  source: string;
+  generator: string;
+  version: string;
+  contentHash: string;
+  stale?: boolean;
+};
+`;
+}
+
+const FORMAT_TRANSFORMS = {
+  esm: transformToJS,
+  cjs: transformToCommonJS,
+  umd: transformToUMD,
+  json: transformToJSON,
+  dts: transformToTypeDeclarations
+};
+
+// Generate every format configured for the endpoint (defaults to ESM only).
+// options.minify drops indentation and comment banners; type declarations are always readable.
+// options.stale marks the data as republished from a snapshot (metadata.stale: true).
+function generateOutputs(data, config, options = {}) {
+  const formats = config.formats || ['esm'];
+  const timestamp = options.timestamp || new Date().toISOString();
+  const contentHash = options.contentHash || computeContentHash(data);
+
+  return formats.map(format => {
+    const transform = FORMAT_TRANSFORMS[format];
+    if (!transform) {
+      throw new Error(`Unknown output format '${format}' for ${config.name} (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    return {
+      format,
+      fileName: outputFileFor(config, format),
+      content: transform(data, config, { ...options, timestamp, contentHash })
+    };
+  });
+}
+
+// account-specifications.js → .js (esm), .cjs, .umd.js, .json, .d.ts
+function outputFileFor(config, format) {
+  const base = config.outputFile.replace(/\.(m?js|cjs)$/, '');
+
+  switch (format) {
+    case 'cjs':
+      return `${base}.cjs`;
+    case 'umd':
+      return `${base}.umd.js`;
+    case 'json':
+      return `${base}.json`;
+    case 'dts':
+      return `${base}.d.ts`;
+    default:
+      return config.outputFile;
+  }
+}
+
+function buildMetadata(data, config, options) {
+  return {
+    timestamp: options.timestamp || new Date().toISOString(),
+    source: config.name,
+    generator: 'api-to-cdn-sync',
+    version: '1.0.0',
+    contentHash: options.contentHash || computeContentHash(data),
+    // Republished from a last-known-good snapshot because the source API could not be synced
+    ...(options.stale && { stale: true })
+  };
+}
+
+function metadataFields(meta, indent) {
+  return Object.entries(meta)
+    .map(([key, value]) => `${indent}${key}: ${JSON.stringify(value)}`)
+    .join(',\n');
+}
+
+// Infer a TypeScript type covering every sample value; object keys missing from some samples become optional
+function inferType(values, indent) {
+  const kinds = new Map();
+
+  for (const value of values) {
+    const kind = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (!kinds.has(kind)) {
+      kinds.set(kind, []);
+    }
+    kinds.get(kind).push(value);
+  }
+
+  const types = [];
+  for (const [kind, samples] of kinds) {
+    if (kind === 'array') {
+      const items = samples.flat();
+      const itemType = items.length > 0 ? inferType(items, indent) : 'unknown';
+      types.push(itemType.includes(' | ') ? `(${itemType})[]` : `${itemType}[]`);
+    } else if (kind === 'object') {
+      types.push(inferObjectType(samples, indent));
+    } else if (kind === 'undefined') {
+      types.push('undefined');
+    } else {
+      types.push(kind);
+    }
+  }
+
+  return types.length > 0 ? types.join(' | ') : 'unknown';
+}
+
+function inferObjectType(samples, indent) {
+  const keys = [...new Set(samples.flatMap(sample => Object.keys(sample)))];
+  if (keys.length === 0) {
+    return 'Record<string, unknown>';
+  }
+
+  const inner = `${indent}  `;
+  const fields = keys.map(key => {
+    const present = samples.filter(sample => key in sample);
+    const optional = present.length < samples.length ? '?' : '';
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    return `${inner}${name}${optional}: ${inferType(present.map(sample => sample[key]), inner)};`;
+  });
+
+  return `{\n${fields.join('\n')}\n${indent}}`;
+}
+
 function saveToFile(content, outputPath) {
   const dir = path.dirname(outputPath);
 
   // Create directory if it doesn't exist
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
-    console.log(`Created directory: ${dir}`);
+    log.debug(`Created directory: ${dir}`);
   }
 
   // Write file
   fs.writeFileSync(outputPath, content, 'utf8');
-  console.log(`Saved file: ${outputPath} (${content.length} bytes)`);
+  log.info(`Saved file: ${outputPath} (${content.length} bytes)`, { file: path.basename(outputPath), bytes: Buffer.byteLength(content) });
 }
 
 function toCamelCase(str) {
   return str.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
 }
 
-module.exports = { transformToJS, saveToFile };
+function toPascalCase(str) {
+  const camel = toCamelCase(str);
+  return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  transformToJS,
+  transformToCommonJS,
+  transformToUMD,
+  transformToJSON,
+  transformToTypeDeclarations,
+  generateOutputs,
+  outputFileFor,
+  saveToFile
+};
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { stableStringify } = require('./hash');
+
+/**
+ * Minimal JSON Schema (draft 2020-12) validator.
+ * Supports the assertion keywords used to describe API payloads: type, enum, const,
+ * properties, patternProperties, additionalProperties, required, min/maxProperties,
+ * prefixItems, items, contains, min/maxItems, uniqueItems, string and number bounds,
+ * pattern, allOf/anyOf/oneOf/not, if/then/else and local $ref ("#/$defs/...").
+ * Annotation-only keywords such as format, title and description are ignored.
+ */
+
+/**
+ * Validate data against a schema
+ * @param {*} data - Value to validate
+ * @param {Object|boolean} schema - JSON Schema
+ * @returns {Array} Errors as { path, message }; empty when valid
+ */
+function validateSchema(data, schema) {
+  const errors = [];
+  validateNode(data, schema, '$', schema, errors);
+  return errors;
+}
+
+function validateNode(value, schema, at, root, errors) {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+
+  if (schema === false) {
+    errors.push({ path: at, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), at, root, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => stableStringify(option) === stableStringify(value))) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (schema.const !== undefined && stableStringify(schema.const) !== stableStringify(value)) {
+    errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    validateString(value, schema, at, errors);
+  } else if (typeof value === 'number') {
+    validateNumber(value, schema, at, errors);
+  } else if (Array.isArray(value)) {
+    validateArray(value, schema, at, root, errors);
+  } else if (value && typeof value === 'object') {
+    validateObject(value, schema, at, root, errors);
+  }
+
+  validateCombinators(value, schema, at, root, errors);
+}
+
+function validateString(value, schema, at, errors) {
+  const length = [...value].length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+  }
+
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+  }
+}
+
+function validateNumber(value, schema, at, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+  }
+
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push({ path: at, message: `must be < ${schema.exclusiveMaximum}` });
+  }
+
+  if (schema.multipleOf !== undefined) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push({ path: at, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+}
+
+function validateArray(value, schema, at, root, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path: at, message: `must have at least ${schema.minItems} items (got ${value.length})` });
+  }
+
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path: at, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+  }
+
+  const prefixItems = schema.prefixItems || [];
+  value.forEach((item, index) => {
+    const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+    validateNode(item, itemSchema, `${at}[${index}]`, root, errors);
+  });
+
+  if (schema.uniqueItems) {
+    const seen = new Set();
+    value.forEach((item, index) => {
+      const key = stableStringify(item);
+      if (seen.has(key)) {
+        errors.push({ path: `${at}[${index}]`, message: 'must be unique' });
+      }
+      seen.add(key);
+    });
+  }
+
+  if (schema.contains !== undefined) {
+    const matches = value.filter(item => isValid(item, schema.contains, root)).length;
+    const minContains = schema.minContains !== undefined ? schema.minContains : 1;
+
+    if (matches < minContains) {
+      errors.push({ path: at, message: `must contain at least ${minContains} matching item(s)` });
+    }
+
+    if (schema.maxContains !== undefined && matches > schema.maxContains) {
+      errors.push({ path: at, message: `must contain at most ${schema.maxContains} matching item(s)` });
+    }
+  }
+}
+
+function validateObject(value, schema, at, root, errors) {
+  const keys = Object.keys(value);
+  const properties = schema.properties || {};
+  const patterns = Object.entries(schema.patternProperties || {})
+    .map(([pattern, patternSchema]) => [new RegExp(pattern, 'u'), patternSchema]);
+
+  for (const key of schema.required || []) {
+    if (!(key in value)) {
+      errors.push({ path: childPath(at, key), message: 'is required' });
+    }
+  }
+
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    errors.push({ path: at, message: `must have at least ${schema.minProperties} properties` });
+  }
+
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    errors.push({ path: at, message: `must have at most ${schema.maxProperties} properties` });
+  }
+
+  for (const key of keys) {
+    let matched = false;
+
+    if (key in properties) {
+      matched = true;
+      validateNode(value[key], properties[key], childPath(at, key), root, errors);
+    }
+
+    for (const [regex, patternSchema] of patterns) {
+      if (regex.test(key)) {
+        matched = true;
+        validateNode(value[key], patternSchema, childPath(at, key), root, errors);
+      }
+    }
+
+    if (!matched && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(at, key), message: 'is not an allowed property' });
+      } else {
+        validateNode(value[key], schema.additionalProperties, childPath(at, key), root, errors);
+      }
+    }
+  }
+}
+
+function validateCombinators(value, schema, at, root, errors) {
+  for (const subschema of schema.allOf || []) {
+    validateNode(value, subschema, at, root, errors);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(subschema => isValid(value, subschema, root))) {
+    errors.push({ path: at, message: 'must match at least one schema in anyOf' });
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => isValid(value, subschema, root)).length;
+    if (matches !== 1) {
+      errors.push({ path: at, message: `must match exactly one schema in oneOf (matched ${matches})` });
+    }
+  }
+
+  if (schema.not !== undefined && isValid(value, schema.not, root)) {
+    errors.push({ path: at, message: 'must not match the schema in not' });
+  }
+
+  if (schema.if !== undefined) {
+    const branch = isValid(value, schema.if, root) ? schema.then : schema.else;
+    validateNode(value, branch, at, root, errors);
+  }
+}
+
+function isValid(value, schema, root) {
+  const errors = [];
+  validateNode(value, schema, '$', root, errors);
+  return errors.length === 0;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref '${ref}' (only local references are supported)`);
+  }
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, token) => {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === undefined || !(key in node)) {
+      throw new Error(`Cannot resolve $ref '${ref}'`);
+    }
+    return node[key];
+  }, root);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function childPath(at, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Load a schema file
+ * @param {string} schemaPath - Path to the schema, relative paths resolve against baseDir
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @returns {Object} Parsed schema
+ */
+function loadSchema(schemaPath, baseDir) {
+  const fullPath = path.resolve(baseDir, schemaPath);
+
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Schema not found: ${fullPath}`);
+  }
+
+  return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+}
+
+/**
+ * Check record-count guardrails
+ * @param {number} records - Record count of the new payload
+ * @param {Object} guardrails - { minRecords, maxShrinkPercent }
+ * @param {number} [previousRecords] - Record count of the previous sync, if known
+ * @returns {Array} Errors as { path, message }; empty when within limits
+ */
+function checkGuardrails(records, guardrails = {}, previousRecords) {
+  const errors = [];
+
+  if (guardrails.minRecords !== undefined && records < guardrails.minRecords) {
+    errors.push({ path: '$.data', message: `has ${records} records, minimum is ${guardrails.minRecords}` });
+  }
+
+  if (guardrails.maxShrinkPercent !== undefined && previousRecords > 0) {
+    const shrinkPercent = ((previousRecords - records) / previousRecords) * 100;
+    if (shrinkPercent > guardrails.maxShrinkPercent) {
+      errors.push({
+        path: '$.data',
+        message: `shrank by ${shrinkPercent.toFixed(1)}% (${previousRecords} → ${records}), maximum is ${guardrails.maxShrinkPercent}%`
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors as one readable line per path
+ * @param {Array} errors - Errors as { path, message }
+ * @returns {string} Formatted errors
+ */
+function formatErrors(errors) {
+  return errors.map(error => `  - ${error.path}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  validateSchema,
+  loadSchema,
+  checkGuardrails,
+  formatErrors,
+  childPath
+};
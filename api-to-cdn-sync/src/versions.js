@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// KV key of the version manifest, served next to the files it describes
+const VERSION_MANIFEST_KEY = 'manifest.json';
+const DEFAULT_MAX_VERSIONS = 10;
+
+/**
+ * Version identifier for a file: first 12 hex chars of the sha256 of its content
+ * @param {string} content - File content
+ * @returns {string} Version identifier
+ */
+function computeFileVersion(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Immutable key for a file version, e.g. account-specifications.3f2a9c1b2d4e.js
+ * @param {string} fileName - Published file name (the "latest" alias key)
+ * @param {string} version - Version identifier
+ * @returns {string} Versioned key
+ */
+function versionedKey(fileName, version) {
+  const ext = path.extname(fileName);
+  return `${fileName.slice(0, fileName.length - ext.length)}.${version}${ext}`;
+}
+
+/**
+ * Record a deployed version and point "latest" at it.
+ * Versions are kept newest first; entries beyond maxVersions are dropped.
+ * @param {Object} manifest - Version manifest ({ files: {} })
+ * @param {string} fileName - Published file name
+ * @param {Object} entry - { version, key, size, contentHash, deployedAt }
+ * @param {number} [maxVersions] - Number of versions to keep per file
+ * @returns {Array} Entries pruned from the history (their keys can be deleted)
+ */
+function recordVersion(manifest, fileName, entry, maxVersions = DEFAULT_MAX_VERSIONS) {
+  const history = manifest.files[fileName] || { latest: null, versions: [] };
+  const versions = [entry, ...history.versions.filter(v => v.version !== entry.version)];
+
+  manifest.files[fileName] = {
+    latest: entry.version,
+    versions: versions.slice(0, maxVersions)
+  };
+
+  return versions.slice(maxVersions);
+}
+
+/**
+ * Find the version to roll back to
+ * @param {Object} manifest - Version manifest
+ * @param {string} fileName - Published file name
+ * @param {string} [version] - Version identifier or versioned key; defaults to the one before latest
+ * @returns {Object} Version entry
+ */
+function findRollbackTarget(manifest, fileName, version) {
+  const history = manifest.files[fileName];
+
+  if (!history || history.versions.length === 0) {
+    throw new Error(`No versions recorded for ${fileName}`);
+  }
+
+  if (version) {
+    const target = history.versions.find(v => v.version === version || v.key === version);
+    if (!target) {
+      throw new Error(`Version ${version} not found for ${fileName}`);
+    }
+    return target;
+  }
+
+  const latestIndex = history.versions.findIndex(v => v.version === history.latest);
+  const target = history.versions[latestIndex + 1];
+
+  if (!target) {
+    throw new Error(`No version older than ${history.latest} recorded for ${fileName}`);
+  }
+
+  return target;
+}
+
+module.exports = {
+  VERSION_MANIFEST_KEY,
+  DEFAULT_MAX_VERSIONS,
+  computeFileVersion,
+  versionedKey,
+  recordVersion,
+  findRollbackTarget
+};
@@ -0,0 +1,364 @@
+const http = require('http');
+const crypto = require('crypto');
+const { main } = require('./main');
+const { deployOutputFiles } = require('./deploy');
+const { resolveOutputDir } = require('./manifest');
+const { createLogger, createRunId, withLogContext } = require('./logger');
+const { loadSyncConfig } = require('./configuration');
+
+const SIGNATURE_HEADER = 'x-sync-signature';
+const TIMESTAMP_HEADER = 'x-sync-timestamp';
+const DEFAULT_PORT = 8787;
+const DEFAULT_DEBOUNCE_MS = 5000;
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const log = createLogger('webhook');
+
+/**
+ * Sign a webhook body: hex HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix time in seconds, sent as X-Sync-Timestamp
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} Signature as sent in X-Sync-Signature ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Check a webhook's signature and timestamp.
+ * The timestamp is part of the signed string, so an old request cannot be replayed with a fresh one.
+ * @param {string} secret - Shared webhook secret
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Buffer} body - Raw request body
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Maximum clock difference accepted
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {string|null} Reason the request is rejected, or null when it is authentic
+ */
+function verifySignature(secret, headers, body, options = {}) {
+  const tolerance = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now ?? Date.now();
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = headers[TIMESTAMP_HEADER];
+
+  if (!signature || !timestamp) {
+    return `Missing ${SIGNATURE_HEADER} or ${TIMESTAMP_HEADER} header`;
+  }
+
+  if (!/^\d+$/.test(timestamp) || Math.abs(now / 1000 - Number(timestamp)) > tolerance) {
+    return `Timestamp outside the ${tolerance}s tolerance`;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Invalid signature';
+  }
+
+  return null;
+}
+
+/**
+ * Map a webhook payload to a configured endpoint.
+ * Accepts the endpoint name ({ "endpoint": "account-specs" }) or its API path ({ "path": "/api/account-specs" }).
+ * @param {Object} payload - Parsed webhook body
+ * @param {Object} config - Sync configuration
+ * @returns {Object|null} Endpoint entry from config.endpoints
+ */
+function resolveEndpoint(payload, config) {
+  const endpoints = config.endpoints || [];
+
+  return endpoints.find(endpoint =>
+    (payload?.endpoint && endpoint.name === payload.endpoint) ||
+    (payload?.path && endpoint.path === payload.path)) || null;
+}
+
+/**
+ * Sync one endpoint and deploy the files it generated
+ * @param {string} endpointName - Endpoint to run
+ * @param {Object} options - { environment, outputDir, outputMode, config }; config is the sync configuration
+ *   the receiver was started with (main() loads config.json when it is missing)
+ * @returns {Promise<Object>} { sync, deploy }
+ */
+async function runEndpointPipeline(endpointName, options) {
+  const sync = await main({
+    endpoints: [endpointName],
+    outputDir: options.outputDir,
+    outputMode: options.outputMode,
+    environment: options.environment,
+    ...(options.config && { config: options.config })
+  });
+  if (!sync.success) {
+    throw new Error(`Sync failed: ${sync.results[0].error}`);
+  }
+
+  const deploy = await deployOutputFiles(options.environment, { outputDir: options.outputDir, endpoint: endpointName });
+  if (!deploy.success) {
+    throw new Error(deploy.release?.error || `Deploy failed: ${deploy.failed} of ${deploy.total} files`);
+  }
+
+  return { sync, deploy };
+}
+
+/**
+ * Create the webhook receiver.
+ * Verified deliveries are debounced per endpoint: a burst schedules a single run, and a delivery
+ * that arrives while the endpoint is queued or running queues exactly one follow-up run.
+ * Runs of different endpoints wait for each other, since they deploy to the same state, version
+ * manifest and release pointer.
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Shared webhook secret (defaults to WEBHOOK_SECRET)
+ * @param {Object} [options.config] - Sync configuration (defaults to config.json with the environment's overlay)
+ * @param {number} [options.debounceMs] - Quiet period before a run starts
+ * @param {number} [options.toleranceSeconds] - Accepted timestamp skew
+ * @param {string} [options.environment] - Deploy environment
+ * @param {Function} [options.pipeline] - (endpointName, options) => Promise, defaults to sync + deploy
+ * @returns {Object} { server, status, close }
+ */
+function createWebhookServer(options = {}) {
+  const config = options.config || loadSyncConfig(options.environment || process.env.WEBHOOK_ENVIRONMENT);
+  const settings = config.webhook || {};
+  const secret = options.secret ?? process.env.WEBHOOK_SECRET;
+  const debounceMs = options.debounceMs ?? settings.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+  const toleranceSeconds = options.toleranceSeconds ?? settings.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const pipeline = options.pipeline || runEndpointPipeline;
+  const pipelineOptions = {
+    environment: options.environment || process.env.WEBHOOK_ENVIRONMENT || settings.environment || 'development',
+    outputDir: resolveOutputDir(options.outputDir),
+    outputMode: options.outputMode || process.env.SYNC_OUTPUT_MODE,
+    config
+  };
+
+  if (!secret) {
+    throw new Error('Missing webhook secret (set WEBHOOK_SECRET)');
+  }
+
+  const startedAt = new Date();
+  const seenSignatures = new Map();
+  const endpoints = {};
+
+  // Tail of the pipeline runs; every run starts once the previous one has settled
+  let pipelineQueue = Promise.resolve();
+
+  const inTurn = (task) => {
+    const turn = pipelineQueue.then(task);
+    pipelineQueue = turn.catch(() => {});
+    return turn;
+  };
+
+  const endpointState = (name) => {
+    endpoints[name] = endpoints[name] || { state: 'idle', deliveries: 0, runs: 0, lastDeliveryAt: null, lastRun: null };
+    return endpoints[name];
+  };
+
+  const run = async (name) => {
+    const entry = endpointState(name);
+    entry.timer = null;
+    entry.state = 'queued';
+    // Every triggered run gets its own run ID so interleaved runs can be told apart
+    const runId = createRunId();
+
+    await withLogContext({ run_id: runId, endpoint: name }, () => inTurn(async () => {
+      entry.state = 'running';
+      const startTime = Date.now();
+      log.info(`🔔 [${name}] Running webhook-triggered sync...`);
+
+      try {
+        await pipeline(name, pipelineOptions);
+        entry.lastRun = { runId, success: true, finishedAt: new Date().toISOString(), durationMs: Date.now() - startTime };
+        log.info(`✅ [${name}] Webhook-triggered sync completed`, { duration_ms: entry.lastRun.durationMs });
+      } catch (error) {
+        entry.lastRun = { runId, success: false, finishedAt: new Date().toISOString(), durationMs: Date.now() - startTime, error: error.message };
+        log.error(`❌ [${name}] Webhook-triggered sync failed: ${error.message}`, { duration_ms: entry.lastRun.durationMs });
+      }
+    }));
+
+    entry.runs++;
+    entry.state = 'idle';
+    entry.running = null;
+
+    if (entry.followUp) {
+      entry.followUp = false;
+      schedule(name);
+    }
+  };
+
+  const schedule = (name) => {
+    const entry = endpointState(name);
+
+    if (entry.state === 'queued' || entry.state === 'running') {
+      entry.followUp = true;
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.state = 'pending';
+    entry.timer = setTimeout(() => { entry.running = run(name); }, debounceMs);
+  };
+
+  // Remember signatures for the tolerance window so a captured request cannot be resent
+  const isReplay = (signature) => {
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenSignatures) {
+      if (expiresAt <= now) {
+        seenSignatures.delete(seen);
+      }
+    }
+
+    if (seenSignatures.has(signature)) {
+      return true;
+    }
+
+    seenSignatures.set(signature, now + toleranceSeconds * 2000);
+    return false;
+  };
+
+  const status = () => ({
+    status: 'healthy',
+    service: 'webhook-receiver',
+    timestamp: new Date().toISOString(),
+    startedAt: startedAt.toISOString(),
+    environment: pipelineOptions.environment,
+    debounceMs,
+    endpoints: Object.fromEntries(Object.entries(endpoints).map(([name, entry]) => [name, {
+      state: entry.state,
+      deliveries: entry.deliveries,
+      runs: entry.runs,
+      lastDeliveryAt: entry.lastDeliveryAt,
+      lastRun: entry.lastRun
+    }]))
+  });
+
+  const respond = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const handleWebhook = (req, res, body) => {
+    const rejection = verifySignature(secret, req.headers, body, { toleranceSeconds });
+    if (rejection) {
+      log.warn(`⚠️ Rejected webhook: ${rejection}`, { status: 401 });
+      return respond(res, 401, { error: rejection });
+    }
+
+    if (isReplay(req.headers[SIGNATURE_HEADER])) {
+      log.warn('⚠️ Rejected webhook: replayed delivery', { status: 409 });
+      return respond(res, 409, { error: 'Delivery already received' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return respond(res, 400, { error: `Invalid JSON body: ${error.message}` });
+    }
+
+    const endpoint = resolveEndpoint(payload, config);
+    if (!endpoint) {
+      return respond(res, 422, {
+        error: 'Payload does not match a configured endpoint',
+        endpoints: (config.endpoints || []).map(e => e.name)
+      });
+    }
+
+    const entry = endpointState(endpoint.name);
+    entry.deliveries++;
+    entry.lastDeliveryAt = new Date().toISOString();
+    schedule(endpoint.name);
+
+    log.info(`📨 [${endpoint.name}] Webhook accepted (${entry.state})`, { endpoint: endpoint.name, status: 202, bytes: body.length });
+    respond(res, 202, { accepted: true, endpoint: endpoint.name, state: entry.state, debounceMs });
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
+
+    if (url === '/health' && req.method === 'GET') {
+      return respond(res, 200, status());
+    }
+
+    if (url !== '/webhook') {
+      return respond(res, 404, { error: `Not found: ${req.method} ${url}`, routes: ['GET /health', 'POST /webhook'] });
+    }
+
+    if (req.method !== 'POST') {
+      return respond(res, 405, { error: 'Use POST' });
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        respond(res, 413, { error: `Body larger than ${MAX_BODY_BYTES} bytes` });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (!res.headersSent) {
+        handleWebhook(req, res, Buffer.concat(chunks));
+      }
+    });
+  });
+
+  /**
+   * Stop listening, cancel pending runs and wait for running ones to finish
+   * @returns {Promise<void>}
+   */
+  const close = async () => {
+    for (const entry of Object.values(endpoints)) {
+      clearTimeout(entry.timer);
+      if (entry.state === 'pending') {
+        entry.state = 'idle';
+      }
+      entry.followUp = false;
+    }
+
+    await Promise.all(Object.values(endpoints).map(entry => entry.running));
+    if (server.listening) {
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  return { server, status, close };
+}
+
+// Run if called directly
+if (require.main === module) {
+  try {
+    const config = loadSyncConfig(process.env.WEBHOOK_ENVIRONMENT);
+    const port = Number(process.env.WEBHOOK_PORT) || config.webhook?.port || DEFAULT_PORT;
+    const receiver = createWebhookServer({ config });
+
+    receiver.server.listen(port, () => {
+      log.info(`🔔 Webhook receiver listening on http://localhost:${port}`, { port });
+      log.info(`Webhook: POST http://localhost:${port}/webhook`);
+      log.info(`Health check: http://localhost:${port}/health`);
+    });
+
+    process.on('SIGINT', () => {
+      log.info('\nShutting down webhook receiver...');
+      receiver.close().then(() => process.exit(0));
+    });
+  } catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  verifySignature,
+  resolveEndpoint,
+  runEndpointPipeline,
+  createWebhookServer
+};
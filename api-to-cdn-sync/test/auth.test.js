@@ -0,0 +1,146 @@
+const { authenticate, oauth2Token, clearTokenCache } = require('../src/auth');
+const http = require('http');
+
+describe('Auth Module', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    clearTokenCache();
+    jest.restoreAllMocks();
+  });
+
+  describe('authenticate', () => {
+    test('should default to a bearer token from API_AUTH_TOKEN', async () => {
+      process.env.API_AUTH_TOKEN = 'test-token-123';
+
+      await expect(authenticate()).resolves.toEqual({ headers: { Authorization: 'Bearer test-token-123' }, params: {} });
+      await expect(authenticate({ type: 'bearer' })).resolves.toEqual({ headers: { Authorization: 'Bearer test-token-123' }, params: {} });
+    });
+
+    test('should read bearer tokens from the named variable', async () => {
+      process.env.RATES_TOKEN = 'rates-token';
+
+      await expect(authenticate({ type: 'bearer', tokenEnv: 'RATES_TOKEN' }))
+        .resolves.toEqual({ headers: { Authorization: 'Bearer rates-token' }, params: {} });
+    });
+
+    test('should send API keys as a header or query parameter', async () => {
+      process.env.RATES_API_KEY = 'key-1';
+
+      await expect(authenticate({ type: 'apiKey', keyEnv: 'RATES_API_KEY' }))
+        .resolves.toEqual({ headers: { 'X-API-Key': 'key-1' }, params: {} });
+      await expect(authenticate({ type: 'apiKey', keyEnv: 'RATES_API_KEY', header: 'Api-Key' }))
+        .resolves.toEqual({ headers: { 'Api-Key': 'key-1' }, params: {} });
+      await expect(authenticate({ type: 'apiKey', keyEnv: 'RATES_API_KEY', query: 'api_key' }))
+        .resolves.toEqual({ headers: {}, params: { api_key: 'key-1' } });
+    });
+
+    test('should encode basic credentials', async () => {
+      process.env.LEGACY_USER = 'user';
+      process.env.LEGACY_PASSWORD = 'p:ss';
+
+      await expect(authenticate({ type: 'basic', usernameEnv: 'LEGACY_USER', passwordEnv: 'LEGACY_PASSWORD' }))
+        .resolves.toEqual({ headers: { Authorization: `Basic ${Buffer.from('user:p:ss').toString('base64')}` }, params: {} });
+    });
+
+    test('should name missing settings and variables', async () => {
+      delete process.env.API_AUTH_TOKEN;
+      delete process.env.LEGACY_PASSWORD;
+      process.env.LEGACY_USER = 'user';
+
+      await expect(authenticate()).rejects.toThrow('API_AUTH_TOKEN environment variable is required');
+      await expect(authenticate({ type: 'apiKey' })).rejects.toThrow("Missing 'keyEnv' in apiKey auth configuration");
+      await expect(authenticate({ type: 'basic', usernameEnv: 'LEGACY_USER', passwordEnv: 'LEGACY_PASSWORD' }))
+        .rejects.toThrow('LEGACY_PASSWORD environment variable is required');
+      await expect(authenticate({ type: 'digest' }))
+        .rejects.toThrow("Unknown auth type 'digest' (expected one of: bearer, apiKey, basic, oauth2)");
+    });
+  });
+
+  describe('oauth2Token', () => {
+    let server;
+    let auth;
+    let requests;
+    let tokenResponse;
+
+    beforeEach(async () => {
+      requests = [];
+      tokenResponse = [200, { access_token: 'token-1', token_type: 'Bearer', expires_in: 600 }];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ authorization: req.headers.authorization, body: new URLSearchParams(body) });
+          res.writeHead(tokenResponse[0], { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(tokenResponse[1]));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      process.env.PARTNER_CLIENT_ID = 'client';
+      process.env.PARTNER_CLIENT_SECRET = 'secret';
+      auth = {
+        type: 'oauth2',
+        tokenUrl: `http://127.0.0.1:${server.address().port}/oauth2/token`,
+        clientIdEnv: 'PARTNER_CLIENT_ID',
+        clientSecretEnv: 'PARTNER_CLIENT_SECRET',
+        scope: 'read:specs'
+      };
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should request a client-credentials token', async () => {
+      await expect(authenticate(auth)).resolves.toEqual({ headers: { Authorization: 'Bearer token-1' }, params: {} });
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].authorization).toBe(`Basic ${Buffer.from('client:secret').toString('base64')}`);
+      expect(Object.fromEntries(requests[0].body)).toEqual({ grant_type: 'client_credentials', scope: 'read:specs' });
+    });
+
+    test('should reuse the cached token until shortly before it expires', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await expect(oauth2Token(auth)).resolves.toBe('token-1');
+      await expect(Promise.all([oauth2Token(auth), oauth2Token(auth)])).resolves.toEqual(['token-1', 'token-1']);
+      expect(requests).toHaveLength(1);
+
+      // 600s lifetime, refreshed 60s early
+      tokenResponse = [200, { access_token: 'token-2', expires_in: 600 }];
+      Date.now.mockReturnValue(now + 539 * 1000);
+      await expect(oauth2Token(auth)).resolves.toBe('token-1');
+      Date.now.mockReturnValue(now + 541 * 1000);
+      await expect(oauth2Token(auth)).resolves.toBe('token-2');
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should share one token request between concurrent callers', async () => {
+      await expect(Promise.all([oauth2Token(auth), oauth2Token(auth), oauth2Token(auth)]))
+        .resolves.toEqual(['token-1', 'token-1', 'token-1']);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should cache tokens per scope and fetch again after clearTokenCache', async () => {
+      await oauth2Token(auth);
+      await oauth2Token({ ...auth, scope: 'read:rates' });
+      clearTokenCache(auth);
+      await oauth2Token(auth);
+
+      expect(requests.map(request => request.body.get('scope'))).toEqual(['read:specs', 'read:rates', 'read:specs']);
+    });
+
+    test('should report token endpoint errors and not cache them', async () => {
+      tokenResponse = [401, { error: 'invalid_client', error_description: 'Unknown client' }];
+
+      await expect(oauth2Token(auth, { retry: { maxAttempts: 1 } }))
+        .rejects.toThrow(`OAuth2 token request to ${auth.tokenUrl} failed: 401 Unknown client`);
+
+      tokenResponse = [200, { access_token: 'token-1' }];
+      await expect(oauth2Token(auth)).resolves.toBe('token-1');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { run, parseCommandLine, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } = require('../src/cli');
+const { main } = require('../src/main');
+const { deployOutputFiles, deploymentStatus, diffLiveData, validateConfig } = require('../src/deploy');
+const { RUN_REPORT_FILE } = require('../src/report');
+const { createLogger } = require('../src/logger');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/main', () => ({
+  ...jest.requireActual('../src/main'),
+  main: jest.fn()
+}));
+jest.mock('../src/deploy');
+
+describe('cli', () => {
+  let stdout;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stdout = '';
+    jest.spyOn(process.stdout, 'write').mockImplementation(chunk => { stdout += chunk; return true; });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_STREAM;
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCommandLine', () => {
+    test('should split the command, its arguments and flags', () => {
+      expect(parseCommandLine(['sync', 'account-specs', 'payment-methods', '--dry-run', '--mode', 'minified'])).toEqual({
+        command: 'sync',
+        args: ['account-specs', 'payment-methods'],
+        flags: { 'dry-run': true, mode: 'minified' }
+      });
+    });
+
+    test('should reject unknown commands and options a command does not support', () => {
+      expect(() => parseCommandLine(['publish'])).toThrow("Unknown command 'publish'");
+      expect(() => parseCommandLine(['sync', '--force'])).toThrow("Option --force is not supported by 'sync'");
+      expect(() => parseCommandLine(['deploy', '--verbose'])).toThrow("Unknown option '--verbose'");
+    });
+
+    test('should take the environment of every command from --env', () => {
+      for (const command of ['sync', 'deploy', 'diff', 'validate', 'status']) {
+        expect(parseCommandLine([command, '--env', 'production']).flags).toEqual({ env: 'production' });
+      }
+      expect(() => parseCommandLine(['deploy', 'production']))
+        .toThrow("'deploy' takes no arguments (pass the environment with --env)");
+    });
+  });
+
+  test('should sync the named endpoints and print JSON', async () => {
+    main.mockResolvedValue({ success: true, total: 1, successful: 1, failed: 0, results: [] });
+
+    const exitCode = await run(['sync', 'account-specs', '--dry-run', '--json']);
+
+    expect(exitCode).toBe(EXIT_OK);
+    expect(main).toHaveBeenCalledWith(expect.objectContaining({ endpoints: ['account-specs'], dryRun: true }));
+    expect(JSON.parse(stdout)).toMatchObject({ command: 'sync', exitCode: 0, success: true, total: 1 });
+  });
+
+  test('should keep module logs off stdout in JSON mode', async () => {
+    const log = createLogger('main');
+    main.mockImplementation(async () => {
+      log.info('🚀 Starting API-to-CDN sync process...');
+      setImmediate(() => log.info('📤 Late progress line'));
+      return { success: true, total: 0, successful: 0, failed: 0, results: [] };
+    });
+
+    await run(['sync', '--json']);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('🚀 Starting API-to-CDN sync process...'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('📤 Late progress line'));
+    expect(console.log).not.toHaveBeenCalled();
+    expect(() => JSON.parse(stdout)).not.toThrow();
+  });
+
+  test('should exit with 1 when an endpoint fails', async () => {
+    main.mockResolvedValue({ success: false, total: 2, successful: 1, failed: 1, results: [] });
+
+    expect(await run(['sync'])).toBe(EXIT_FAILURE);
+  });
+
+  test('should deploy to the given environment', async () => {
+    deployOutputFiles.mockResolvedValue({ success: false, total: 2, successful: 1, failed: 1, results: [] });
+
+    const exitCode = await run(['deploy', '--env', 'production', '--force', '--output-dir', '/tmp/out']);
+
+    expect(exitCode).toBe(EXIT_FAILURE);
+    expect(deployOutputFiles).toHaveBeenCalledWith('production', { outputDir: '/tmp/out', force: true, dryRun: undefined });
+  });
+
+  test('should print the last run report as Prometheus metrics', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-metrics-'));
+    fs.writeFileSync(path.join(outputDir, RUN_REPORT_FILE), JSON.stringify({
+      durationMs: 1500,
+      sync: { finishedAt: '2026-01-01T12:00:01.500Z', durationMs: 1500, success: true },
+      endpoints: [{ endpoint: 'account-specs', success: true, fetchMs: 200, records: 2, bytes: 900 }],
+      deploy: null
+    }));
+
+    expect(await run(['metrics', '--output-dir', outputDir])).toBe(EXIT_OK);
+    expect(stdout).toContain('api_to_cdn_sync_endpoint_records{endpoint="account-specs"} 2\n');
+
+    fs.rmSync(path.join(outputDir, RUN_REPORT_FILE));
+    expect(await run(['metrics', '--output-dir', outputDir])).toBe(EXIT_FAILURE);
+    expect(console.error).toHaveBeenCalledWith(`❌ metrics failed: No run report in ${outputDir} (run sync first)`);
+    fs.rmSync(outputDir, { recursive: true });
+  });
+
+  describe('diff', () => {
+    const result = {
+      environment: 'production',
+      source: 'cdn',
+      reports: [{
+        endpoint: 'account-specs',
+        fileName: 'account-specifications.json',
+        live: true,
+        diff: {
+          summary: { added: 0, removed: 0, changed: 1, unchanged: 1 },
+          added: [],
+          removed: [],
+          changed: [{ path: '$.Standard', changes: [{ path: '$.Standard.pips', type: 'changed', before: 0.6, after: 0.7 }] }]
+        }
+      }]
+    };
+
+    test('should diff the named endpoints against the live data', async () => {
+      diffLiveData.mockResolvedValue(result);
+
+      expect(await run(['diff', 'account-specs', '--env', 'production', '--source', 'kv'])).toBe(EXIT_OK);
+      expect(diffLiveData).toHaveBeenCalledWith('production', { endpoints: ['account-specs'], source: 'kv' });
+      expect(stdout).toContain('~ $.Standard.pips: 0.6 → 0.7');
+    });
+
+    test('should render Markdown for job summaries with logs on stderr', async () => {
+      diffLiveData.mockImplementation(async () => {
+        createLogger('deploy').info('🔍 [account-specs] Comparing fresh data with live account-specifications.json...');
+        return result;
+      });
+
+      await run(['diff', '--env', 'production', '--format', 'markdown']);
+
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('🔍 [account-specs] Comparing fresh data'));
+      expect(stdout).toMatch(/^## CDN diff: production/);
+      expect(stdout).toContain('| changed | `$.Standard.pips` | `0.6` | `0.7` |');
+    });
+
+    test('should fail when an endpoint could not be diffed', async () => {
+      diffLiveData.mockResolvedValue({ environment: 'development', source: 'cdn', reports: [{ endpoint: 'account-specs', error: 'Network error' }] });
+
+      expect(await run(['diff'])).toBe(EXIT_FAILURE);
+    });
+
+    test('should reject unknown formats as usage errors', async () => {
+      expect(await run(['diff', '--format', 'html'])).toBe(EXIT_USAGE);
+    });
+  });
+
+  test('should report validation and status results', async () => {
+    validateConfig.mockReturnValue({ valid: false, issues: ['Missing CLOUDFLARE_API_TOKEN environment variable'] });
+    deploymentStatus.mockResolvedValue({ environment: 'development', outputDir: '/tmp/out', stateStore: 'memory', files: [] });
+
+    expect(await run(['validate', '--env', 'production'])).toBe(EXIT_FAILURE);
+    expect(validateConfig).toHaveBeenCalledWith('production');
+    expect(await run(['status', '--json'])).toBe(EXIT_OK);
+    expect(JSON.parse(stdout)).toMatchObject({ command: 'status', environment: 'development', files: [] });
+  });
+
+  test('should report thrown errors as failures', async () => {
+    deployOutputFiles.mockRejectedValue(new Error('Output directory not found: /tmp/missing'));
+
+    expect(await run(['deploy', '--json'])).toBe(EXIT_FAILURE);
+    expect(JSON.parse(stdout)).toEqual({ command: 'deploy', exitCode: 1, success: false, error: 'Output directory not found: /tmp/missing' });
+  });
+
+  test('should exit with 2 on usage errors', async () => {
+    expect(await run([])).toBe(EXIT_USAGE);
+    expect(await run(['sync', '--bogus'])).toBe(EXIT_USAGE);
+    expect(await run(['--help'])).toBe(EXIT_OK);
+  });
+});
@@ -0,0 +1,53 @@
+const { resolveEncodings, compressContent, parseVariantKey, variantKeys } = require('../src/compression');
+const zlib = require('zlib');
+
+describe('resolveEncodings', () => {
+  test('should accept a single encoding or a list', () => {
+    expect(resolveEncodings('gzip')).toEqual(['gzip']);
+    expect(resolveEncodings(['gzip', 'brotli'])).toEqual(['gzip', 'brotli']);
+  });
+
+  test('should disable compression when unset or none', () => {
+    expect(resolveEncodings()).toEqual([]);
+    expect(resolveEncodings('none')).toEqual([]);
+    expect(resolveEncodings(false)).toEqual([]);
+  });
+
+  test('should reject unknown encodings', () => {
+    expect(() => resolveEncodings(['gzip', 'zstd']))
+      .toThrow("Unknown compression 'zstd' (expected one of: gzip, brotli, none)");
+  });
+});
+
+describe('compressContent', () => {
+  const content = JSON.stringify(Array.from({ length: 50 }, (_, i) => ({ id: i, market: 'Forex' })));
+
+  test('should produce smaller variants that decompress to the original', () => {
+    const [gzip, brotli] = compressContent(content, ['gzip', 'brotli']);
+
+    expect(gzip).toMatchObject({ encoding: 'gzip', extension: '.gz' });
+    expect(brotli).toMatchObject({ encoding: 'brotli', extension: '.br' });
+    expect(zlib.gunzipSync(gzip.content).toString()).toBe(content);
+    expect(zlib.brotliDecompressSync(brotli.content).toString()).toBe(content);
+    expect(gzip.content.length).toBeLessThan(content.length);
+    expect(brotli.content.length).toBeLessThan(content.length);
+  });
+
+  test('should return no variants without encodings', () => {
+    expect(compressContent(content, [])).toEqual([]);
+  });
+});
+
+describe('parseVariantKey', () => {
+  test('should recognize precompressed variants', () => {
+    expect(parseVariantKey('data.js.gz')).toEqual({ contentEncoding: 'gzip', originalKey: 'data.js' });
+    expect(parseVariantKey('data.json.br')).toEqual({ contentEncoding: 'br', originalKey: 'data.json' });
+    expect(parseVariantKey('data.js')).toBeNull();
+  });
+});
+
+describe('variantKeys', () => {
+  test('should list the key of every supported encoding', () => {
+    expect(variantKeys('data.js')).toEqual(['data.js.gz', 'data.js.br']);
+  });
+});
@@ -0,0 +1,41 @@
+const { mapWithConcurrency } = require('../src/concurrency');
+
+describe('mapWithConcurrency', () => {
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should preserve input order in results', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await delay(5);
+      inFlight--;
+    });
+
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('should handle empty input', async () => {
+    const iterator = jest.fn();
+
+    await expect(mapWithConcurrency([], 4, iterator)).resolves.toEqual([]);
+    expect(iterator).not.toHaveBeenCalled();
+  });
+
+  test('should treat invalid limits as sequential', async () => {
+    const results = await mapWithConcurrency(['a', 'b'], 0, async (item) => item.toUpperCase());
+
+    expect(results).toEqual(['A', 'B']);
+  });
+});
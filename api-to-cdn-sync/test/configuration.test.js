@@ -0,0 +1,323 @@
+const {
+  mergeConfig,
+  interpolate,
+  deployEnvironments,
+  resolveConfig,
+  loadSyncConfig,
+  loadDeployConfig
+} = require('../src/configuration');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Configuration Module', () => {
+  const syncConfig = {
+    apiBaseUrl: 'http://localhost:3001',
+    outputMode: 'pretty',
+    retry: { maxAttempts: 3, retryableStatuses: [500, 502] },
+    endpoints: [
+      { name: 'account-specs', path: '/api/account-specs', outputFile: 'account-specifications.js' }
+    ]
+  };
+
+  const deployConfig = {
+    development: { cdnDomain: 'dev-cdn.test', namespaceId: 'dev-ns', notifications: [] },
+    production: { cdnDomain: 'cdn.test', namespaceId: 'prod-ns', settings: { cacheControl: 'public, max-age=86400' } },
+    settings: { cacheControl: 'public, max-age=60', compression: ['gzip'], purge: { enabled: true, batchSize: 30 } }
+  };
+
+  let tmpDir;
+  let files;
+
+  // Write sync and deploy configuration files; objects become JSON, strings are written as they are
+  const writeConfig = (sync, deploy, extensions = { sync: '.json', deploy: '.json' }) => {
+    files = { syncFile: path.join(tmpDir, `config${extensions.sync}`), deployFile: path.join(tmpDir, `deploy${extensions.deploy}`) };
+    fs.writeFileSync(files.syncFile, typeof sync === 'string' ? sync : JSON.stringify(sync));
+    fs.writeFileSync(files.deployFile, typeof deploy === 'string' ? deploy : JSON.stringify(deploy));
+    return files;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'configuration-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('shipped configuration', () => {
+    test.each(['development', 'staging', 'production'])('should be valid for %s', (environment) => {
+      const resolved = resolveConfig(environment, { env: {} });
+
+      expect(resolved.problems).toEqual([]);
+      expect(resolved.sync.apiBaseUrl).toBe('http://localhost:3001');
+      expect(resolved.deploy.settings.compression).toEqual(['gzip', 'brotli']);
+    });
+
+    test('should minify production output', () => {
+      expect(loadSyncConfig('development').outputMode).toBe('pretty');
+      expect(loadSyncConfig('production').outputMode).toBe('minified');
+    });
+  });
+
+  describe('mergeConfig', () => {
+    test('should merge objects key by key and replace arrays and values', () => {
+      expect(mergeConfig(
+        { retry: { maxAttempts: 3, retryableStatuses: [500, 502] }, outputMode: 'pretty', endpoints: [{ name: 'a' }] },
+        { retry: { retryableStatuses: [503] }, outputMode: 'minified', endpoints: [] }
+      )).toEqual({ retry: { maxAttempts: 3, retryableStatuses: [503] }, outputMode: 'minified', endpoints: [] });
+    });
+
+    test('should keep the base when there is no overlay', () => {
+      const base = { a: 1 };
+      expect(mergeConfig(base, undefined)).toBe(base);
+    });
+  });
+
+  describe('interpolate', () => {
+    test('should resolve variables and defaults in nested strings', () => {
+      const problems = [];
+      const env = { API_HOST: 'api.test', EMPTY: '' };
+
+      expect(interpolate({
+        url: 'https://${API_HOST}/v1',
+        fallback: '${API_PORT:-8080}',
+        empty: '${EMPTY:-default}',
+        list: ['${API_HOST}', 3],
+        plain: 'no references'
+      }, '$.sync', problems, env)).toEqual({
+        url: 'https://api.test/v1',
+        fallback: '8080',
+        empty: 'default',
+        list: ['api.test', 3],
+        plain: 'no references'
+      });
+      expect(problems).toEqual([]);
+    });
+
+    test('should report unset variables with their path', () => {
+      const problems = [];
+
+      interpolate({ endpoints: [{ path: '/api/${TENANT}' }], 'cache-key': '${KEY}' }, '$.sync', problems, {});
+
+      expect(problems).toEqual([
+        { path: '$.sync.endpoints[0].path', message: 'references unset environment variable TENANT' },
+        { path: '$.sync["cache-key"]', message: 'references unset environment variable KEY' }
+      ]);
+    });
+  });
+
+  describe('resolveConfig', () => {
+    test('should combine both files into one model', () => {
+      const resolved = resolveConfig('development', writeConfig(syncConfig, deployConfig));
+
+      expect(resolved.problems).toEqual([]);
+      expect(resolved).toMatchObject({
+        environment: 'development',
+        sync: syncConfig,
+        deploy: { cdnDomain: 'dev-cdn.test', namespaceId: 'dev-ns', settings: deployConfig.settings },
+        files: { sync: files.syncFile, deploy: files.deployFile }
+      });
+    });
+
+    test('should apply environment overlays', () => {
+      writeConfig({
+        ...syncConfig,
+        environments: {
+          production: { apiBaseUrl: 'https://api.test', retry: { maxAttempts: 5 } }
+        }
+      }, deployConfig);
+
+      const development = resolveConfig('development', files);
+      const production = resolveConfig('production', files);
+
+      expect(development.sync.apiBaseUrl).toBe('http://localhost:3001');
+      expect(development.sync.environments).toBeUndefined();
+      expect(production.sync.apiBaseUrl).toBe('https://api.test');
+      expect(production.sync.retry).toEqual({ maxAttempts: 5, retryableStatuses: [500, 502] });
+      expect(production.deploy.settings).toEqual({ ...deployConfig.settings, cacheControl: 'public, max-age=86400' });
+      expect(development.deploy.settings.cacheControl).toBe('public, max-age=60');
+    });
+
+    test('should interpolate after overlays so only the environment in use needs its variables', () => {
+      writeConfig({
+        ...syncConfig,
+        apiBaseUrl: '${API_BASE_URL:-http://localhost:3001}',
+        environments: { production: { apiBaseUrl: 'https://${PROD_API_HOST}' } }
+      }, { ...deployConfig, production: { ...deployConfig.production, namespaceId: '${PROD_NAMESPACE_ID}' } });
+
+      expect(resolveConfig('development', { ...files, env: {} }).problems).toEqual([]);
+      expect(resolveConfig('production', { ...files, env: {} }).problems).toEqual([
+        { path: '$.sync.apiBaseUrl', message: 'references unset environment variable PROD_API_HOST' },
+        { path: '$.deploy.namespaceId', message: 'references unset environment variable PROD_NAMESPACE_ID' }
+      ]);
+
+      const production = resolveConfig('production', { ...files, env: { PROD_API_HOST: 'api.test', PROD_NAMESPACE_ID: 'ns-1' } });
+      expect(production.sync.apiBaseUrl).toBe('https://api.test');
+      expect(production.deploy.namespaceId).toBe('ns-1');
+    });
+
+    test('should read YAML files', () => {
+      writeConfig([
+        'apiBaseUrl: ${API_BASE_URL:-http://localhost:3001}',
+        'concurrency: 4',
+        'endpoints:',
+        '  - name: account-specs',
+        '    path: /api/account-specs',
+        '    outputFile: account-specifications.js',
+        '    formats: [esm, json]',
+        'environments:',
+        '  staging:',
+        '    concurrency: 1'
+      ].join('\n'), [
+        'staging:',
+        '  cdnDomain: staging-cdn.test',
+        '  namespaceId: staging-ns',
+        'settings:',
+        '  compression: none'
+      ].join('\n'), { sync: '.yaml', deploy: '.yml' });
+
+      const resolved = resolveConfig('staging', { ...files, env: {} });
+
+      expect(resolved.problems).toEqual([]);
+      expect(resolved.sync).toEqual({
+        apiBaseUrl: 'http://localhost:3001',
+        concurrency: 1,
+        endpoints: [{ name: 'account-specs', path: '/api/account-specs', outputFile: 'account-specifications.js', formats: ['esm', 'json'] }]
+      });
+      expect(resolved.deploy).toEqual({ cdnDomain: 'staging-cdn.test', namespaceId: 'staging-ns', settings: { compression: 'none' } });
+    });
+
+    test('should report malformed files', () => {
+      writeConfig('{ "apiBaseUrl": "http://localhost:3001", }', 'staging: [unclosed', { sync: '.json', deploy: '.yaml' });
+
+      const { problems } = resolveConfig('staging', files);
+
+      expect(problems).toHaveLength(2);
+      expect(problems[0].path).toBe('$.sync');
+      expect(problems[0].message).toContain(`Could not parse ${files.syncFile}`);
+      expect(problems[1].path).toBe('$.deploy');
+      expect(problems[1].message).toContain(`Could not parse ${files.deployFile}`);
+    });
+
+    test('should report missing files and files that are not objects', () => {
+      const missing = resolveConfig('development', { syncFile: path.join(tmpDir, 'missing.json'), only: 'sync' });
+      expect(missing.problems).toEqual([{ path: '$.sync', message: `${path.join(tmpDir, 'missing.json')} not found` }]);
+
+      writeConfig([], { settings: {} });
+      expect(resolveConfig('development', files).problems).toEqual([
+        { path: '$.sync', message: 'must be an object' },
+        { path: '$.deploy', message: "environment 'development' is not defined (expected one of: )" }
+      ]);
+    });
+
+    test('should report every problem of a partial config with its path', () => {
+      writeConfig({
+        concurrency: 0,
+        outputMode: 'compact',
+        retries: 3,
+        endpoints: [
+          { name: 'account-specs', path: 'api/account-specs', outputFile: 'account-specifications.js', formats: ['esm', 'xml'] },
+          { name: 'account-specs', outputFile: 'account-specifications.js', auth: { type: 'digest' } }
+        ]
+      }, {
+        development: { namespaceId: 'dev-ns', settings: { compression: ['zstd'], purge: { batchSize: 100 } } },
+        settings: {}
+      });
+
+      const { problems } = resolveConfig('development', files);
+
+      expect(problems).toEqual(expect.arrayContaining([
+        { path: '$.sync.apiBaseUrl', message: 'is required' },
+        { path: '$.sync.concurrency', message: 'must be >= 1' },
+        { path: '$.sync.outputMode', message: 'must be one of "pretty", "minified"' },
+        { path: '$.sync.retries', message: 'is not an allowed property' },
+        { path: '$.sync.endpoints[0].path', message: 'must match pattern ^/' },
+        { path: '$.sync.endpoints[0].formats[1]', message: 'must be one of "esm", "cjs", "umd", "json", "dts"' },
+        { path: '$.sync.endpoints[1].path', message: 'is required' },
+        { path: '$.sync.endpoints[1].auth.type', message: 'must be one of "bearer", "apiKey", "basic", "oauth2"' },
+        { path: '$.sync.endpoints[1].name', message: "duplicates endpoints[0].name 'account-specs'" },
+        { path: '$.sync.endpoints[1].outputFile', message: "duplicates endpoints[0].outputFile 'account-specifications.js'" },
+        { path: '$.deploy.cdnDomain', message: 'is required' },
+        { path: '$.deploy.settings.purge.batchSize', message: 'must be <= 30' }
+      ]));
+      expect(problems.map(problem => problem.path)).toContain('$.deploy.settings.compression');
+    });
+
+    test('should report overlays that are not objects', () => {
+      writeConfig({ ...syncConfig, environments: { production: 'minified' } }, deployConfig);
+
+      expect(resolveConfig('production', files).problems)
+        .toEqual([{ path: '$.sync.environments.production', message: 'must be an object' }]);
+    });
+
+    test('should resolve endpoint schemas relative to the sync file', () => {
+      writeConfig({ ...syncConfig, endpoints: [{ ...syncConfig.endpoints[0], schema: 'specs.schema.json' }] }, deployConfig);
+      fs.writeFileSync(path.join(tmpDir, 'specs.schema.json'), '{ "type": "object" }');
+
+      const resolved = resolveConfig('development', files);
+
+      expect(resolved.problems).toEqual([]);
+      expect(resolved.sync.endpoints[0].schema).toBe(path.join(tmpDir, 'specs.schema.json'));
+    });
+
+    test('should report endpoint schemas that do not exist', () => {
+      writeConfig({ ...syncConfig, endpoints: [{ ...syncConfig.endpoints[0], schema: 'schemas/missing.schema.json' }] }, deployConfig);
+
+      expect(resolveConfig('development', files).problems)
+        .toEqual([{ path: '$.sync.endpoints[0].schema', message: 'file not found: schemas/missing.schema.json' }]);
+    });
+  });
+
+  describe('deployEnvironments', () => {
+    test('should list the environments of the deploy file', () => {
+      writeConfig(syncConfig, deployConfig);
+
+      expect(deployEnvironments(files)).toEqual(['development', 'production']);
+      expect(deployEnvironments()).toEqual(['development', 'staging', 'production']);
+    });
+  });
+
+  describe('loadSyncConfig / loadDeployConfig', () => {
+    test('should return the resolved parts', () => {
+      writeConfig(syncConfig, deployConfig);
+
+      expect(loadSyncConfig('production', files)).toEqual(syncConfig);
+      expect(loadDeployConfig('production', files)).toMatchObject({ cdnDomain: 'cdn.test', settings: { cacheControl: 'public, max-age=86400' } });
+    });
+
+    test('should only check the part they load', () => {
+      writeConfig(syncConfig, '{');
+
+      expect(loadSyncConfig('development', files)).toEqual(syncConfig);
+      expect(() => loadDeployConfig('development', files)).toThrow(`Invalid deploy configuration for development (${files.deployFile})`);
+    });
+
+    test('should list every problem in the error', () => {
+      writeConfig({ endpoints: [{ name: 'a' }] }, deployConfig);
+
+      expect(() => loadSyncConfig('development', files)).toThrow([
+        `Invalid sync configuration for development (${files.syncFile}):`,
+        '  - $.sync.apiBaseUrl: is required',
+        '  - $.sync.endpoints[0].path: is required',
+        '  - $.sync.endpoints[0].outputFile: is required'
+      ].join('\n'));
+    });
+
+    test('should default to SYNC_ENVIRONMENT', () => {
+      const original = process.env.SYNC_ENVIRONMENT;
+      process.env.SYNC_ENVIRONMENT = 'production';
+      writeConfig(syncConfig, deployConfig);
+
+      try {
+        expect(loadDeployConfig(undefined, files).cdnDomain).toBe('cdn.test');
+      } finally {
+        if (original === undefined) {
+          delete process.env.SYNC_ENVIRONMENT;
+        } else {
+          process.env.SYNC_ENVIRONMENT = original;
+        }
+      }
+    });
+  });
+});
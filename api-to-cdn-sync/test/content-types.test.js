@@ -0,0 +1,22 @@
+const { contentTypeFor } = require('../src/content-types');
+
+describe('contentTypeFor', () => {
+  test('should derive the type from the extension', () => {
+    expect(contentTypeFor('account-specifications.js')).toBe('application/javascript; charset=utf-8');
+    expect(contentTypeFor('account-specifications.cjs')).toBe('application/javascript; charset=utf-8');
+    expect(contentTypeFor('account-specifications.umd.js')).toBe('application/javascript; charset=utf-8');
+    expect(contentTypeFor('account-specifications.json')).toBe('application/json; charset=utf-8');
+    expect(contentTypeFor('account-specifications.d.ts')).toBe('application/typescript; charset=utf-8');
+    expect(contentTypeFor('theme.css')).toBe('text/css; charset=utf-8');
+  });
+
+  test('should keep the original type for precompressed variants', () => {
+    expect(contentTypeFor('account-specifications.json.gz')).toBe('application/json; charset=utf-8');
+    expect(contentTypeFor('account-specifications.js.br')).toBe('application/javascript; charset=utf-8');
+  });
+
+  test('should fall back to a binary type', () => {
+    expect(contentTypeFor('archive.tar')).toBe('application/octet-stream');
+    expect(contentTypeFor('README')).toBe('application/octet-stream');
+  });
+});
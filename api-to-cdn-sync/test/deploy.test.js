@@ -0,0 +1,881 @@
+const { deployOutputFiles, deploymentStatus, diffLiveData, rollbackFile, rollbackRelease, listVersions, validateConfig } = require('../src/deploy');
+const deployConfigFile = require('../cloudflare/config.json');
+const { deployMultipleFiles, testCDNAccess, putObject, uploadArtifact, purgeCache, getObject, headObject, deleteObject, fetchFromCDN, cdnUrl } = require('../src/deployer');
+const { fetchApiData } = require('../src/fetcher');
+const { updateManifest, readManifest } = require('../src/manifest');
+const { readRunReport } = require('../src/report');
+const { compressContent } = require('../src/compression');
+const { notify } = require('../src/notifier');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/deployer');
+jest.mock('../src/fetcher');
+jest.mock('../src/notifier', () => ({
+  ...jest.requireActual('../src/notifier'),
+  notify: jest.fn()
+}));
+
+describe('deployOutputFiles', () => {
+  let outputDir;
+  let stateStore;
+  let savedState;
+
+  const memoryStateStore = (initial) => {
+    savedState = null;
+    return {
+      description: 'memory',
+      load: jest.fn(async () => JSON.parse(JSON.stringify(initial))),
+      save: jest.fn(async (state) => { savedState = state; })
+    };
+  };
+
+  const writeOutput = (fileName, contentHash) => {
+    fs.writeFileSync(path.join(outputDir, fileName), `export const data = "${contentHash}";`);
+    updateManifest(outputDir, { [fileName]: { endpoint: fileName, contentHash, records: 1 } });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-output-'));
+    cdnUrl.mockImplementation((deployConfig, key) => `https://${deployConfig.cdnDomain}/${key}`);
+
+    deployMultipleFiles.mockImplementation(async (config, files) => ({
+      success: true,
+      total: files.length,
+      successful: files.length,
+      failed: 0,
+      results: files.map(file => ({ success: true, fileName: file.fileName, url: `https://cdn/${file.fileName}` }))
+    }));
+    testCDNAccess.mockResolvedValue({ success: true });
+    purgeCache.mockImplementation(async (config, urls) => ({ success: true, total: urls.length, purged: urls.length, failed: 0 }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should skip files whose payload hash is unchanged', async () => {
+    writeOutput('unchanged.js', 'hash-1');
+    writeOutput('updated.js', 'hash-2-new');
+    writeOutput('new.js', 'hash-3');
+    stateStore = memoryStateStore({
+      files: {
+        'unchanged.js': { contentHash: 'hash-1' },
+        'updated.js': { contentHash: 'hash-2-old' }
+      }
+    });
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore });
+
+    const deployed = deployMultipleFiles.mock.calls[0][1].map(file => file.fileName).sort();
+    expect(deployed).toEqual(['new.js', 'updated.js']);
+    expect(results.changes).toEqual({ new: ['new.js'], updated: ['updated.js'], unchanged: ['unchanged.js'] });
+    expect(savedState.files['updated.js'].contentHash).toBe('hash-2-new');
+    expect(savedState.files['new.js'].contentHash).toBe('hash-3');
+    expect(savedState.files['unchanged.js'].contentHash).toBe('hash-1');
+  });
+
+  test('should redeploy files whose output or compression changed with the same data', async () => {
+    writeOutput('data.js', 'hash-1');
+    stateStore = memoryStateStore({ files: {} });
+    await deployOutputFiles('development', { outputDir, stateStore });
+    const firstState = savedState;
+
+    // Same payload hash, different bytes, e.g. after switching the output mode
+    fs.writeFileSync(path.join(outputDir, 'data.js'), 'export const data="hash-1";');
+    stateStore = memoryStateStore(firstState);
+    const reformatted = await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(reformatted.changes.updated).toEqual(['data.js']);
+    const secondState = savedState;
+    expect(secondState.files['data.js'].deployHash).not.toBe(firstState.files['data.js'].deployHash);
+
+    stateStore = memoryStateStore(secondState);
+    expect((await deployOutputFiles('development', { outputDir, stateStore })).changes.unchanged).toEqual(['data.js']);
+
+    const compression = deployConfigFile.settings.compression;
+    deployConfigFile.settings.compression = 'none';
+    try {
+      stateStore = memoryStateStore(secondState);
+      expect((await deployOutputFiles('development', { outputDir, stateStore })).changes.updated).toEqual(['data.js']);
+    } finally {
+      deployConfigFile.settings.compression = compression;
+    }
+  });
+
+  test('should record the deployed record counts as the guardrail baseline', async () => {
+    writeOutput('unchanged.js', 'hash-1');
+    writeOutput('new.js', 'hash-2');
+    stateStore = memoryStateStore({ files: { 'unchanged.js': { contentHash: 'hash-1' } } });
+
+    await deployOutputFiles('development', { outputDir, stateStore });
+
+    const { files } = readManifest(outputDir);
+    expect(files['new.js']).toMatchObject({ records: 1, deployedRecords: 1 });
+    expect(files['unchanged.js'].deployedRecords).toBeUndefined();
+  });
+
+  test('should deploy every generated format but not the sync manifest', async () => {
+    for (const fileName of ['data.js', 'data.cjs', 'data.umd.js', 'data.json', 'data.d.ts']) {
+      writeOutput(fileName, 'hash-1');
+    }
+    fs.writeFileSync(path.join(outputDir, 'notes.txt'), 'ignored');
+    stateStore = memoryStateStore({ files: {} });
+
+    await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(deployMultipleFiles.mock.calls[0][1].map(file => file.fileName).sort())
+      .toEqual(['data.cjs', 'data.d.ts', 'data.js', 'data.json', 'data.umd.js']);
+  });
+
+  test('should not deploy anything when every file is unchanged', async () => {
+    writeOutput('unchanged.js', 'hash-1');
+    stateStore = memoryStateStore({ files: { 'unchanged.js': { contentHash: 'hash-1' } } });
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(deployMultipleFiles).not.toHaveBeenCalled();
+    expect(stateStore.save).not.toHaveBeenCalled();
+    expect(results).toMatchObject({ success: true, message: 'No changes to deploy', total: 0 });
+    expect(results.changes.unchanged).toEqual(['unchanged.js']);
+  });
+
+  test('should redeploy unchanged files when forced', async () => {
+    writeOutput('unchanged.js', 'hash-1');
+    stateStore = memoryStateStore({ files: { 'unchanged.js': { contentHash: 'hash-1' } } });
+
+    await deployOutputFiles('development', { outputDir, stateStore, force: true });
+
+    expect(deployMultipleFiles.mock.calls[0][1].map(file => file.fileName)).toEqual(['unchanged.js']);
+  });
+
+  test('should only report what would be deployed in a dry run', async () => {
+    writeOutput('unchanged.js', 'hash-1');
+    writeOutput('new.js', 'hash-2');
+    stateStore = memoryStateStore({ files: { 'unchanged.js': { contentHash: 'hash-1' } } });
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore, dryRun: true });
+
+    expect(results).toMatchObject({ success: true, dryRun: true, total: 1, files: ['new.js'] });
+    expect(deployMultipleFiles).not.toHaveBeenCalled();
+    expect(stateStore.save).not.toHaveBeenCalled();
+    expect(readRunReport(outputDir)).toBeNull();
+  });
+
+  test('should report the deploy status of every generated file', async () => {
+    writeOutput('unchanged.js', 'hash-1');
+    writeOutput('updated.js', 'hash-2-new');
+    writeOutput('new.js', 'hash-3');
+    stateStore = memoryStateStore({
+      files: {
+        'unchanged.js': { contentHash: 'hash-1', deployedAt: '2026-01-01T00:00:00.000Z' },
+        'updated.js': { contentHash: 'hash-2-old' }
+      }
+    });
+
+    const status = await deploymentStatus('development', { outputDir, stateStore });
+
+    expect(status).toMatchObject({ environment: 'development', outputDir, stateStore: 'memory' });
+    expect(status.files.map(file => [file.fileName, file.status]).sort()).toEqual([
+      ['new.js', 'new'],
+      ['unchanged.js', 'deployed'],
+      ['updated.js', 'updated']
+    ]);
+    expect(status.files.find(file => file.fileName === 'updated.js')).toMatchObject({
+      contentHash: 'hash-2-new',
+      deployedHash: 'hash-2-old'
+    });
+  });
+
+  test('should deploy only the files of one endpoint when asked', async () => {
+    writeOutput('a.js', 'hash-1');
+    writeOutput('b.js', 'hash-2');
+    stateStore = memoryStateStore({ files: {} });
+
+    await deployOutputFiles('development', { outputDir, stateStore, endpoint: 'b.js' });
+
+    expect(deployMultipleFiles.mock.calls[0][1].map(file => file.fileName)).toEqual(['b.js']);
+  });
+
+  test('should pass sync details to the upload and check served headers', async () => {
+    fs.writeFileSync(path.join(outputDir, 'data.json'), '{}');
+    updateManifest(outputDir, {
+      'data.json': { endpoint: 'account-specs', contentHash: 'hash-1', records: 1, generatedAt: '2026-01-01T00:00:00.000Z' }
+    });
+    stateStore = memoryStateStore({ files: {} });
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(deployMultipleFiles.mock.calls[0][1][0]).toMatchObject({
+      fileName: 'data.json',
+      endpoint: 'account-specs',
+      contentHash: 'hash-1',
+      generatedAt: '2026-01-01T00:00:00.000Z'
+    });
+    expect(testCDNAccess).toHaveBeenCalledWith('https://cdn/data.json', {
+      contentType: 'application/json; charset=utf-8',
+      cacheControl: 'public, max-age=3600'
+    });
+    expect(results.accessChecks).toEqual([{ fileName: 'data.json', success: true }]);
+  });
+
+  test('should purge the deployed URLs and report the result', async () => {
+    writeOutput('a.js', 'hash-1');
+    writeOutput('b.js', 'hash-2');
+    stateStore = memoryStateStore({ files: { 'b.js': { contentHash: 'hash-2' } } });
+    deployMultipleFiles.mockImplementation(async (config, files) => ({
+      success: true,
+      total: files.length,
+      successful: files.length,
+      failed: 0,
+      results: files.map(file => ({
+        success: true,
+        fileName: file.fileName,
+        url: `https://cdn/${file.fileName}`,
+        variants: [{ encoding: 'gzip', key: `${file.fileName}.gz` }]
+      }))
+    }));
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(purgeCache).toHaveBeenCalledWith(expect.objectContaining({ cdnDomain: 'dev-cdn.example.com' }),
+      ['https://cdn/a.js', 'https://dev-cdn.example.com/a.js.gz']);
+    expect(results.purge).toEqual({ success: true, total: 2, purged: 2, failed: 0 });
+    expect(purgeCache.mock.invocationCallOrder[0]).toBeLessThan(testCDNAccess.mock.invocationCallOrder[0]);
+  });
+
+  test('should report a failed purge without failing the deploy', async () => {
+    writeOutput('a.js', 'hash-1');
+    stateStore = memoryStateStore({ files: {} });
+    purgeCache.mockRejectedValue(new Error('Missing required Cloudflare configuration: zoneId'));
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(results.success).toBe(true);
+    expect(results.purge).toMatchObject({ success: false, purged: 0, failed: 1, error: 'Missing required Cloudflare configuration: zoneId' });
+  });
+
+  test('should not record failed uploads as deployed', async () => {
+    writeOutput('new.js', 'hash-3');
+    stateStore = memoryStateStore({ files: {} });
+    deployMultipleFiles.mockResolvedValue({
+      success: false,
+      total: 1,
+      successful: 0,
+      failed: 1,
+      results: [{ success: false, fileName: 'new.js', error: 'Upload failed' }]
+    });
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(results.success).toBe(false);
+    expect(stateStore.save).not.toHaveBeenCalled();
+    expect(purgeCache).not.toHaveBeenCalled();
+  });
+
+  test('should add the deploy and purge results to the run report', async () => {
+    writeOutput('a.js', 'hash-1');
+    stateStore = memoryStateStore({ files: {} });
+
+    await deployOutputFiles('development', { outputDir, stateStore });
+    writeOutput('a.js', 'hash-2');
+    await deployOutputFiles('development', { outputDir, stateStore });
+
+    expect(deployMultipleFiles.mock.calls[1][1].map(file => file.fileName)).toEqual(['a.js']);
+    expect(readRunReport(outputDir).deploy).toMatchObject({
+      environment: 'development',
+      success: true,
+      successful: 1,
+      files: [{ fileName: 'a.js', success: true, url: 'https://cdn/a.js' }],
+      purge: { success: true, purged: 1 }
+    });
+  });
+
+  test('should record a deploy that threw in the run report', async () => {
+    writeOutput('a.js', 'hash-1');
+    stateStore = memoryStateStore({ files: {} });
+    stateStore.load.mockRejectedValue(new Error('KV GET failed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(deployOutputFiles('development', { outputDir, stateStore })).rejects.toThrow('KV GET failed');
+    expect(readRunReport(outputDir).deploy).toMatchObject({ success: false, error: 'KV GET failed' });
+  });
+
+  describe('notifications', () => {
+    const sinks = [{ type: 'webhook', url: 'https://hooks.example.test/deploys', on: ['failure'] }];
+
+    beforeEach(() => {
+      deployConfigFile.development.notifications = sinks;
+    });
+
+    afterEach(() => {
+      deployConfigFile.development.notifications = [];
+    });
+
+    test('should send a deploy notification with the results', async () => {
+      writeOutput('a.js', 'hash-1');
+      stateStore = memoryStateStore({ files: {} });
+
+      await deployOutputFiles('development', { outputDir, stateStore });
+
+      expect(notify).toHaveBeenCalledWith(sinks, expect.objectContaining({
+        event: 'deploy',
+        environment: 'development',
+        success: true,
+        changed: true,
+        summary: expect.objectContaining({ successful: 1, deployed: ['a.js'] })
+      }));
+    });
+
+    test('should send a failure notification when the deploy throws', async () => {
+      writeOutput('a.js', 'hash-1');
+      stateStore = memoryStateStore({ files: {} });
+      stateStore.load.mockRejectedValue(new Error('KV GET failed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(deployOutputFiles('development', { outputDir, stateStore })).rejects.toThrow('KV GET failed');
+      expect(notify).toHaveBeenCalledWith(sinks, expect.objectContaining({
+        success: false,
+        title: '❌ [development] Deploy failed: KV GET failed'
+      }));
+    });
+
+    test('should not notify on a dry run', async () => {
+      writeOutput('a.js', 'hash-1');
+      stateStore = memoryStateStore({ files: {} });
+
+      await deployOutputFiles('development', { outputDir, stateStore, dryRun: true });
+
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('versioned deploys', () => {
+  let kv;
+  let outputDir;
+
+  const stateStore = () => {
+    const store = { description: 'memory', state: { files: {} } };
+    store.load = jest.fn(async () => JSON.parse(JSON.stringify(store.state)));
+    store.save = jest.fn(async (state) => { store.state = state; });
+    return store;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-output-'));
+    cdnUrl.mockImplementation((deployConfig, key) => `https://${deployConfig.cdnDomain}/${key}`);
+
+    kv = {};
+    getObject.mockImplementation(async (config, key) => (key in kv ? kv[key] : null));
+    putObject.mockImplementation(async (config, key, content) => { kv[key] = content; return { success: true, key }; });
+    uploadArtifact.mockImplementation(async (config, key, content) => {
+      kv[key] = content;
+      return { kvResult: { success: true, key }, variants: [] };
+    });
+    deleteObject.mockImplementation(async (config, key) => { delete kv[key]; return { success: true, key }; });
+    testCDNAccess.mockResolvedValue({ success: true });
+    purgeCache.mockResolvedValue({ success: true });
+
+    let counter = 0;
+    deployMultipleFiles.mockImplementation(async (config, files) => {
+      const results = files.map(file => {
+        const version = `v${++counter}`;
+        const versionKey = file.fileName.replace('.js', `.${version}.js`);
+        const content = fs.readFileSync(file.filePath, 'utf8');
+        kv[versionKey] = content;
+        kv[file.fileName] = content;
+        return { success: true, fileName: file.fileName, size: content.length, url: `https://cdn/${file.fileName}`, version, versionKey };
+      });
+      return { success: true, total: files.length, successful: files.length, failed: 0, results };
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true });
+    jest.restoreAllMocks();
+  });
+
+  const deployPayload = async (store, contentHash) => {
+    fs.writeFileSync(path.join(outputDir, 'account-specifications.js'), `export const data = "${contentHash}";`);
+    updateManifest(outputDir, { 'account-specifications.js': { endpoint: 'account-specs', contentHash, records: 1 } });
+    return deployOutputFiles('development', { outputDir, stateStore: store });
+  };
+
+  test('should record each deploy in the version manifest', async () => {
+    const store = stateStore();
+
+    await deployPayload(store, 'hash-1');
+    await deployPayload(store, 'hash-2');
+
+    const manifest = JSON.parse(kv['manifest.json']);
+    expect(manifest.files['account-specifications.js'].latest).toBe('v2');
+    expect(manifest.files['account-specifications.js'].versions.map(v => v.contentHash)).toEqual(['hash-2', 'hash-1']);
+
+    const versions = await listVersions('development', 'account-specifications.js');
+    expect(versions.map(v => [v.version, v.latest])).toEqual([['v2', true], ['v1', false]]);
+  });
+
+  test('should roll back the alias to the previous version', async () => {
+    const store = stateStore();
+    await deployPayload(store, 'hash-1');
+    await deployPayload(store, 'hash-2');
+
+    const result = await rollbackFile('development', 'account-specifications.js', undefined, { stateStore: store });
+
+    expect(result).toMatchObject({ success: true, version: 'v1', previousVersion: 'v2' });
+    expect(uploadArtifact).toHaveBeenCalledWith(expect.any(Object), 'account-specifications.js', 'export const data = "hash-1";',
+      expect.objectContaining({ endpoint: 'account-specs', contentHash: 'hash-1' }));
+    expect(kv['account-specifications.js']).toBe('export const data = "hash-1";');
+    expect(JSON.parse(kv['manifest.json']).files['account-specifications.js'].latest).toBe('v1');
+    expect(store.state.files['account-specifications.js'].contentHash).toBe('hash-1');
+    expect(purgeCache).toHaveBeenLastCalledWith(expect.any(Object), ['https://dev-cdn.example.com/account-specifications.js']);
+  });
+
+  test('should roll back to an explicit version', async () => {
+    const store = stateStore();
+    await deployPayload(store, 'hash-1');
+    await deployPayload(store, 'hash-2');
+    await rollbackFile('development', 'account-specifications.js', 'v1', { stateStore: store });
+
+    await rollbackFile('development', 'account-specifications.js', 'v2', { stateStore: store });
+
+    expect(kv['account-specifications.js']).toBe('export const data = "hash-2";');
+  });
+
+  test('should refuse to roll back to a version missing from storage', async () => {
+    const store = stateStore();
+    await deployPayload(store, 'hash-1');
+    await deployPayload(store, 'hash-2');
+    delete kv['account-specifications.v1.js'];
+
+    await expect(rollbackFile('development', 'account-specifications.js', 'v1', { stateStore: store }))
+      .rejects.toThrow('Version v1 of account-specifications.js is missing from storage');
+    expect(kv['account-specifications.js']).toBe('export const data = "hash-2";');
+  });
+});
+
+describe('release deploys', () => {
+  let kv;
+  let metadata;
+  let outputDir;
+  let store;
+  let failUpload;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-output-'));
+    cdnUrl.mockImplementation((deployConfig, key) => `https://${deployConfig.cdnDomain}/${key}`);
+    deployConfigFile.settings.release.enabled = true;
+
+    kv = {};
+    metadata = {};
+    failUpload = null;
+    store = { description: 'memory', state: { files: {} } };
+    store.load = jest.fn(async () => JSON.parse(JSON.stringify(store.state)));
+    store.save = jest.fn(async (state) => { store.state = state; });
+
+    getObject.mockImplementation(async (config, key, options = {}) => {
+      if (!(key in kv)) return null;
+      return options.binary ? Buffer.from(kv[key]) : kv[key].toString();
+    });
+    headObject.mockImplementation(async (config, key) => (key in kv ? { key, metadata: metadata[key] } : null));
+    putObject.mockImplementation(async (config, key, content, meta) => {
+      kv[key] = content;
+      metadata[key] = meta;
+      return { success: true, key };
+    });
+    deleteObject.mockImplementation(async (config, key) => {
+      delete kv[key];
+      delete metadata[key];
+      return { success: true, key };
+    });
+    uploadArtifact.mockImplementation(async (config, key, content, source) => {
+      kv[key] = content;
+      metadata[key] = { contentHash: source.contentHash };
+      return { kvResult: { success: true }, variants: [] };
+    });
+    testCDNAccess.mockResolvedValue({ success: true });
+    purgeCache.mockImplementation(async (config, urls) => ({ success: true, total: urls.length, purged: urls.length, failed: 0 }));
+
+    // Emulates the deployer writing each staged key and its precompressed variants
+    deployMultipleFiles.mockImplementation(async (config, files) => {
+      const results = files.map(file => {
+        if (file.fileName === failUpload) {
+          return { success: false, fileName: file.fileName, error: 'CDN deployment failed: KV upload failed (500)' };
+        }
+        const content = fs.readFileSync(file.filePath);
+        const variants = compressContent(content, ['gzip', 'brotli']).map(variant => {
+          kv[`${file.key}${variant.extension}`] = variant.content;
+          return { encoding: variant.encoding, key: `${file.key}${variant.extension}`, size: variant.content.length };
+        });
+        kv[file.key] = content;
+        return { success: true, fileName: file.fileName, key: file.key, size: content.length, url: `https://cdn/${file.key}`, variants };
+      });
+      const failed = results.filter(result => !result.success).length;
+      return { success: failed === 0, total: files.length, successful: files.length - failed, failed, results };
+    });
+  });
+
+  afterEach(() => {
+    deployConfigFile.settings.release.enabled = false;
+    fs.rmSync(outputDir, { recursive: true });
+    jest.restoreAllMocks();
+  });
+
+  const writeOutput = (fileName, contentHash) => {
+    fs.writeFileSync(path.join(outputDir, fileName), `export const data = "${contentHash}";`);
+    updateManifest(outputDir, { [fileName]: { endpoint: fileName, contentHash, records: 1 } });
+  };
+
+  const liveRelease = () => JSON.parse(kv['release.json']);
+
+  // Every published file name holds the content of the staged key the live release points it at
+  const expectPublishedToMatchRelease = () => {
+    for (const [fileName, entry] of Object.entries(liveRelease().files)) {
+      expect(kv[fileName].toString()).toBe(kv[entry.key].toString());
+      expect(metadata[fileName].contentHash).toBe(entry.contentHash);
+    }
+  };
+
+  test('should stage, verify and switch every file in one release', async () => {
+    writeOutput('a.js', 'hash-a');
+    writeOutput('b.js', 'hash-b');
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    const staged = deployMultipleFiles.mock.calls[0][1];
+    expect(staged.map(file => file.key)).toEqual([
+      `releases/${results.release.id}/a.js`,
+      `releases/${results.release.id}/b.js`
+    ]);
+    expect(deployMultipleFiles.mock.calls[0][0].versioning).toEqual({ enabled: false });
+    expect(getObject).toHaveBeenCalledWith(expect.any(Object), `releases/${results.release.id}/a.js.br`, { binary: true });
+
+    expect(results.release).toEqual({ id: results.release.id, status: 'live', previous: null });
+    expect(liveRelease().files['a.js']).toMatchObject({
+      key: `releases/${results.release.id}/a.js`,
+      variants: [`releases/${results.release.id}/a.js.gz`, `releases/${results.release.id}/a.js.br`],
+      contentHash: 'hash-a'
+    });
+    expect(kv[`releases/${results.release.id}/release.json`]).toBe(kv['release.json']);
+    expect(putObject.mock.calls.map(call => call[1]).pop()).toBe('release.json');
+
+    expect(results.results[0].url).toBe('https://dev-cdn.example.com/a.js');
+    expect(purgeCache.mock.calls[0][1]).toContain('https://dev-cdn.example.com/a.js.br');
+    expect(store.state.files['b.js'].contentHash).toBe('hash-b');
+  });
+
+  test('should publish the release under the file names before the switch', async () => {
+    writeOutput('a.js', 'hash-a');
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    expect(kv['a.js'].toString()).toBe('export const data = "hash-a";');
+    expect(uploadArtifact).toHaveBeenCalledWith(expect.any(Object), 'a.js', expect.any(Buffer),
+      { endpoint: 'a.js', contentHash: 'hash-a', generatedAt: undefined });
+    expect(uploadArtifact.mock.invocationCallOrder[0]).toBeLessThan(putObject.mock.invocationCallOrder.pop());
+    expect(results.success).toBe(true);
+  });
+
+  test('should restore the published files and keep the live release when a copy fails', async () => {
+    writeOutput('a.js', 'hash-a1');
+    writeOutput('b.js', 'hash-b1');
+    await deployOutputFiles('development', { outputDir, stateStore: store });
+    const live = kv['release.json'];
+
+    writeOutput('a.js', 'hash-a2');
+    writeOutput('b.js', 'hash-b2');
+    const upload = uploadArtifact.getMockImplementation();
+    uploadArtifact.mockImplementation(async (config, key, content, source) => {
+      if (key === 'b.js') throw new Error('KV upload failed (500)');
+      return upload(config, key, content, source);
+    });
+    const results = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    expect(results.success).toBe(false);
+    expect(results.release).toMatchObject({
+      status: 'aborted',
+      error: 'Release switch failed: b.js could not be published: KV upload failed (500)'
+    });
+    expect(kv['release.json']).toBe(live);
+    expect(kv['a.js'].toString()).toBe('export const data = "hash-a1";');
+    expectPublishedToMatchRelease();
+    expect(Object.keys(kv).filter(key => key.includes(results.release.id))).toEqual([]);
+    expect(store.state.files['a.js'].contentHash).toBe('hash-a1');
+  });
+
+  test('should remove newly published files when the switch fails', async () => {
+    writeOutput('a.js', 'hash-a');
+    putObject.mockImplementation(async (config, key, content) => {
+      if (key === 'release.json') throw new Error('KV upload failed (500)');
+      kv[key] = content;
+      return { success: true, key };
+    });
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    expect(results.release).toMatchObject({ status: 'aborted', error: 'Release switch failed: KV upload failed (500)' });
+    expect(kv['a.js']).toBeUndefined();
+    expect(kv['release.json']).toBeUndefined();
+    expect(store.save).not.toHaveBeenCalled();
+  });
+
+  test('should leave production untouched when a file cannot be staged', async () => {
+    writeOutput('a.js', 'hash-a');
+    await deployOutputFiles('development', { outputDir, stateStore: store });
+    const live = kv['release.json'];
+
+    writeOutput('a.js', 'hash-a2');
+    writeOutput('b.js', 'hash-b');
+    failUpload = 'b.js';
+    const results = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    expect(results.success).toBe(false);
+    expect(results.release).toMatchObject({ status: 'aborted', error: '1 of 2 files could not be staged' });
+    expect(kv['release.json']).toBe(live);
+    expect(Object.keys(kv).filter(key => key.includes(results.release.id))).toEqual([]);
+    expect(store.state.files['a.js'].contentHash).toBe('hash-a');
+    expect(purgeCache).toHaveBeenCalledTimes(1);
+  });
+
+  test('should abort when a staged key does not match what was uploaded', async () => {
+    writeOutput('a.js', 'hash-a');
+    const upload = deployMultipleFiles.getMockImplementation();
+    deployMultipleFiles.mockImplementation(async (config, files) => {
+      const results = await upload(config, files);
+      kv[`${files[0].key}.gz`] = Buffer.from('truncated');
+      return results;
+    });
+
+    const results = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    expect(results.release).toMatchObject({
+      status: 'aborted',
+      error: `releases/${results.release.id}/a.js.gz does not match the uploaded content`
+    });
+    expect(kv['release.json']).toBeUndefined();
+    expect(store.save).not.toHaveBeenCalled();
+  });
+
+  test('should carry unchanged files over from the live release', async () => {
+    writeOutput('a.js', 'hash-a');
+    writeOutput('b.js', 'hash-b');
+    const first = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    writeOutput('b.js', 'hash-b2');
+    const second = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    expect(deployMultipleFiles.mock.calls[1][1].map(file => file.fileName)).toEqual(['b.js']);
+    expect(liveRelease()).toMatchObject({ id: second.release.id, previous: first.release.id, history: [second.release.id, first.release.id] });
+    expect(liveRelease().files['a.js'].key).toBe(`releases/${first.release.id}/a.js`);
+    expect(liveRelease().files['b.js'].key).toBe(`releases/${second.release.id}/b.js`);
+  });
+
+  test('should prune releases beyond keep, except keys still served', async () => {
+    deployConfigFile.settings.release.keep = 2;
+    writeOutput('a.js', 'hash-a');
+    writeOutput('b.js', 'hash-b1');
+    const first = await deployOutputFiles('development', { outputDir, stateStore: store });
+    writeOutput('b.js', 'hash-b2');
+    await deployOutputFiles('development', { outputDir, stateStore: store });
+    writeOutput('b.js', 'hash-b3');
+    await deployOutputFiles('development', { outputDir, stateStore: store });
+    deployConfigFile.settings.release.keep = 5;
+
+    expect(liveRelease().history).toHaveLength(2);
+    expect(kv[`releases/${first.release.id}/release.json`]).toBeUndefined();
+    expect(kv[`releases/${first.release.id}/b.js`]).toBeUndefined();
+    expect(kv[`releases/${first.release.id}/a.js`]).toBeDefined();
+  });
+
+  test('should roll back to the previous release', async () => {
+    writeOutput('a.js', 'hash-a1');
+    const first = await deployOutputFiles('development', { outputDir, stateStore: store });
+    writeOutput('a.js', 'hash-a2');
+    const second = await deployOutputFiles('development', { outputDir, stateStore: store });
+
+    const result = await rollbackRelease('development', undefined, { stateStore: store });
+
+    expect(result).toMatchObject({ success: true, release: first.release.id, previousRelease: second.release.id });
+    expect(liveRelease().files['a.js'].key).toBe(`releases/${first.release.id}/a.js`);
+    expect(liveRelease().history).toEqual([second.release.id, first.release.id]);
+    expect(store.state.files['a.js'].contentHash).toBe('hash-a1');
+    expect(kv['a.js'].toString()).toBe('export const data = "hash-a1";');
+    expect(purgeCache).toHaveBeenLastCalledWith(expect.any(Object), [
+      'https://dev-cdn.example.com/a.js',
+      'https://dev-cdn.example.com/a.js.gz',
+      'https://dev-cdn.example.com/a.js.br'
+    ]);
+    await expect(rollbackFile('development', 'a.js', undefined, { stateStore: store }))
+      .rejects.toThrow('Per-file rollback is not available while releases are enabled');
+  });
+
+  test('should keep the live release when a rollback cannot publish a file', async () => {
+    writeOutput('a.js', 'hash-a1');
+    writeOutput('b.js', 'hash-b1');
+    const first = await deployOutputFiles('development', { outputDir, stateStore: store });
+    writeOutput('a.js', 'hash-a2');
+    writeOutput('b.js', 'hash-b2');
+    const second = await deployOutputFiles('development', { outputDir, stateStore: store });
+    const live = kv['release.json'];
+
+    const upload = uploadArtifact.getMockImplementation();
+    uploadArtifact.mockImplementation(async (config, key, content, source) => {
+      if (key === 'b.js') throw new Error('KV upload failed (500)');
+      return upload(config, key, content, source);
+    });
+
+    await expect(rollbackRelease('development', undefined, { stateStore: store })).rejects.toThrow(
+      `Could not roll back to release ${first.release.id}: b.js could not be published: KV upload failed (500); ${second.release.id} is still live`
+    );
+    expect(kv['release.json']).toBe(live);
+    expect(kv['a.js'].toString()).toBe('export const data = "hash-a2";');
+    expectPublishedToMatchRelease();
+    expect(store.state.files['a.js'].contentHash).toBe('hash-a2');
+  });
+});
+
+describe('diffLiveData', () => {
+  const config = {
+    apiBaseUrl: 'http://localhost:3001',
+    endpoints: [
+      {
+        name: 'account-specs',
+        path: '/api/account-specs',
+        outputFile: 'account-specifications.js',
+        formats: ['esm', 'json'],
+        transforms: [{ keyBy: 'name' }]
+      },
+      { name: 'currencies', path: '/api/currencies', outputFile: 'currencies.js', diffKey: 'code' }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    cdnUrl.mockImplementation((deployConfig, key) => `https://${deployConfig.cdnDomain}/${key}`);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should compare transformed API data with the live CDN files', async () => {
+    fetchApiData.mockImplementation(async ({ path: apiPath }) => (apiPath === '/api/account-specs'
+      ? { data: [{ name: 'Standard', pips: 0.7 }] }
+      : { data: [{ code: 'EUR' }, { code: 'USD' }] }));
+    fetchFromCDN.mockImplementation(async (deployConfig, fileName) => (fileName === 'account-specifications.json'
+      ? '{"Standard":{"name":"Standard","pips":0.6}}'
+      : 'export const currencies = [{"code":"EUR"}];'));
+
+    const result = await diffLiveData('development', { config });
+
+    expect(fetchFromCDN.mock.calls.map(call => call[1])).toEqual(['account-specifications.json', 'currencies.js']);
+    expect(result.source).toBe('cdn');
+    expect(result.reports[0]).toMatchObject({
+      endpoint: 'account-specs',
+      location: 'https://dev-cdn.example.com/account-specifications.json',
+      live: true,
+      diff: { changed: [{ path: '$.Standard', changes: [{ path: '$.Standard.pips', before: 0.6, after: 0.7 }] }] }
+    });
+    expect(result.reports[1].diff.added).toEqual([{ path: '$[?(@.code=="USD")]', value: { code: 'USD' } }]);
+  });
+
+  test('should read KV through the live release and report failures per endpoint', async () => {
+    deployConfigFile.settings.release.enabled = true;
+    fetchApiData.mockResolvedValueOnce({ data: [{ name: 'Standard', pips: 0.6 }] })
+      .mockRejectedValueOnce(new Error('API error (500): Internal server error'));
+    getObject.mockImplementation(async (deployConfig, key) => (key === 'release.json'
+      ? JSON.stringify({ id: 'r1', files: { 'account-specifications.json': { key: 'releases/r1/account-specifications.json' } } })
+      : null));
+
+    const result = await diffLiveData('development', { config, source: 'kv' });
+    deployConfigFile.settings.release.enabled = false;
+
+    expect(result.reports[0]).toMatchObject({ location: 'releases/r1/account-specifications.json', live: false });
+    expect(result.reports[0].diff.summary.added).toBe(1);
+    expect(result.reports[1]).toEqual({ endpoint: 'currencies', error: 'API error (500): Internal server error' });
+  });
+
+  test('should reject unknown endpoints and sources', async () => {
+    await expect(diffLiveData('development', { config, endpoints: ['orders'] })).rejects.toThrow('Unknown endpoint(s): orders');
+    await expect(diffLiveData('development', { config, source: 'r2' })).rejects.toThrow("Unknown diff source 'r2'");
+  });
+});
+
+describe('validateConfig', () => {
+  const variables = ['CLOUDFLARE_API_TOKEN', 'CLOUDFLARE_ZONE_ID', 'CLOUDFLARE_ACCOUNT_ID', 'DEPLOY_CONFIG_FILE'];
+  const original = {};
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+    variables.forEach(variable => {
+      original[variable] = process.env[variable];
+      delete process.env[variable];
+    });
+  });
+
+  afterEach(() => {
+    variables.forEach(variable => {
+      if (original[variable] === undefined) {
+        delete process.env[variable];
+      } else {
+        process.env[variable] = original[variable];
+      }
+    });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should report placeholders and missing credentials with their paths', () => {
+    const result = validateConfig('development');
+
+    expect(result.valid).toBe(false);
+    expect(result.issues).toEqual([
+      'Missing CLOUDFLARE_API_TOKEN environment variable',
+      'Missing CLOUDFLARE_ZONE_ID environment variable',
+      'Missing CLOUDFLARE_ACCOUNT_ID environment variable',
+      "$.deploy.namespaceId: is a placeholder ('your-dev-namespace-id')",
+      "$.deploy.privateStorage.namespaceId: is a placeholder ('your-dev-private-namespace-id')",
+      "$.deploy.cdnDomain: is a placeholder ('dev-cdn.example.com')"
+    ]);
+  });
+
+  test('should report every problem of a partial deploy config', () => {
+    process.env.DEPLOY_CONFIG_FILE = path.join(tmpDir, 'deploy.json');
+    fs.writeFileSync(process.env.DEPLOY_CONFIG_FILE, JSON.stringify({
+      staging: {
+        cdnDomain: 'staging-cdn.test',
+        storage: { type: 's3' },
+        notifications: [{ type: 'pager' }]
+      },
+      settings: { compression: 'zstd', purge: { batchSize: 50 }, cache: 'public' }
+    }));
+
+    const result = validateConfig('staging');
+
+    expect(result.valid).toBe(false);
+    expect(result.issues).toEqual(expect.arrayContaining([
+      '$.deploy.settings.cache: is not an allowed property',
+      '$.deploy.settings.compression: must match at least one schema in anyOf',
+      '$.deploy.settings.purge.batchSize: must be <= 30',
+      expect.stringMatching(/^\$\.deploy\.storage: /),
+      '$.deploy.privateStorage: Missing privateStorage: deploy state and snapshots are only kept outside the published storage',
+      expect.stringMatching(/^\$\.deploy\.notifications\[0\]: unknown type 'pager'/)
+    ]));
+  });
+
+  test('should report undefined environments', () => {
+    expect(validateConfig('qa').issues)
+      .toEqual(['$.deploy: environment \'qa\' is not defined (expected one of: development, staging, production)']);
+  });
+});
@@ -1,11 +1,19 @@
-const { deployToCDN, deployMultipleFiles, testCDNAccess } = require('../src/deployer');
+const { deployToCDN, deployMultipleFiles, testCDNAccess, uploadToKV, purgeCache, readFromKV, fetchFromCDN } = require('../src/deployer');
 const fs = require('fs');
 const axios = require('axios');
+const zlib = require('zlib');
 
 // Mock dependencies
 jest.mock('fs');
 jest.mock('axios');
 
+// Extract one field of a multipart body built by uploadToKV
+function formField(form, name) {
+  const body = form.getBuffer();
+  const start = body.indexOf('\r\n\r\n', body.indexOf(`name="${name}"`)) + 4;
+  return body.subarray(start, body.indexOf(`\r\n--${form.getBoundary()}`, start));
+}
+
 describe('Deployer Module', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -71,6 +79,223 @@ describe('Deployer Module', () => {
       await expect(deployToCDN(mockConfig, 'test.js', 'test.js'))
         .rejects.toThrow('CDN deployment failed: Network error: Network timeout');
     });
+
+    it('should upload an immutable version before moving the alias', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('test content');
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      const result = await deployToCDN({ ...mockConfig, versioning: { enabled: true } }, 'test.js', 'test.js');
+
+      expect(result.version).toMatch(/^[a-f0-9]{12}$/);
+      expect(result.versionKey).toBe(`test.${result.version}.js`);
+      expect(result.versionUrl).toBe(`https://test-cdn.com/test.${result.version}.js`);
+      expect(result.url).toBe('https://test-cdn.com/test.js');
+      expect(axios.put.mock.calls[0][0]).toMatch(new RegExp(`/values/test\\.${result.version}\\.js$`));
+      expect(axios.put.mock.calls[1][0]).toMatch(/\/values\/test\.js$/);
+    });
+
+    it('should reject file types outside allowedFileTypes', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('body {}');
+
+      await expect(deployToCDN({ ...mockConfig, settings: { allowedFileTypes: ['.js', '.json'] } }, 'test.html', 'test.html'))
+        .rejects.toThrow("File type '.html' is not allowed (allowedFileTypes: .js, .json)");
+      expect(axios.put).not.toHaveBeenCalled();
+    });
+
+    it('should reject files larger than maxFileSize', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('x'.repeat(2049));
+
+      await expect(deployToCDN({ ...mockConfig, settings: { maxFileSize: '2KB' } }, 'test.js', 'test.js'))
+        .rejects.toThrow('test.js is 2049 bytes, larger than maxFileSize 2KB');
+      expect(axios.put).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unreadable maxFileSize', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('test content');
+
+      await expect(deployToCDN({ ...mockConfig, settings: { maxFileSize: 'ten megabytes' } }, 'test.js', 'test.js'))
+        .rejects.toThrow("Invalid maxFileSize 'ten megabytes'");
+    });
+
+    it('should upload precompressed variants before the original', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('export const data = "compress me compress me compress me";');
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      const result = await deployToCDN({ ...mockConfig, settings: { compression: ['gzip', 'brotli'] } }, 'test.js', 'test.js');
+
+      expect(axios.put.mock.calls.map(call => call[0].split('/values/')[1])).toEqual(['test.js.gz', 'test.js.br', 'test.js']);
+      expect(zlib.gunzipSync(formField(axios.put.mock.calls[0][1], 'value')).toString()).toBe('export const data = "compress me compress me compress me";');
+      expect(zlib.brotliDecompressSync(formField(axios.put.mock.calls[1][1], 'value')).toString()).toBe('export const data = "compress me compress me compress me";');
+      expect(result.variants.map(variant => [variant.encoding, variant.key])).toEqual([['gzip', 'test.js.gz'], ['brotli', 'test.js.br']]);
+    });
+
+    it('should compress versioned copies too', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('test content');
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      const result = await deployToCDN({ ...mockConfig, versioning: { enabled: true }, settings: { compression: 'gzip' } }, 'test.js', 'test.js');
+
+      expect(result.versionVariants).toEqual([`${result.versionKey}.gz`]);
+      expect(axios.put.mock.calls.map(call => call[0].split('/values/')[1]))
+        .toEqual([`${result.versionKey}.gz`, result.versionKey, 'test.js.gz', 'test.js']);
+    });
+
+    it('should store content type, cache-control and sync details as KV metadata', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{"a":1}');
+      axios.put.mockResolvedValue({ data: { success: true } });
+      const source = { endpoint: 'account-specs', contentHash: 'abc123', generatedAt: '2026-01-01T00:00:00.000Z' };
+
+      await deployToCDN({ ...mockConfig, settings: { cacheControl: 'public, max-age=3600', compression: 'gzip' } },
+        'data.json', 'data.json', source);
+
+      const [variantMetadata, metadata] = axios.put.mock.calls.map(call => JSON.parse(formField(call[1], 'metadata')));
+      expect(metadata).toEqual({
+        contentType: 'application/json; charset=utf-8',
+        cacheControl: 'public, max-age=3600',
+        ...source
+      });
+      expect(variantMetadata).toEqual({ ...metadata, contentEncoding: 'gzip' });
+      expect(formField(axios.put.mock.calls[1][1], 'value').toString()).toBe('{"a":1}');
+      expect(axios.put.mock.calls[1][2].headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+    });
+
+    it('should serve versioned copies as immutable', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('test content');
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      await deployToCDN({ ...mockConfig, versioning: { enabled: true }, settings: { cacheControl: 'public, max-age=60' } },
+        'test.js', 'test.js');
+
+      const [versioned, alias] = axios.put.mock.calls.map(call => JSON.parse(formField(call[1], 'metadata')));
+      expect(versioned.cacheControl).toBe('public, max-age=31536000, immutable');
+      expect(alias.cacheControl).toBe('public, max-age=60');
+    });
+
+    it('should retry transient upload failures', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('test content');
+      axios.put
+        .mockRejectedValueOnce({ response: { status: 503, headers: { 'retry-after': '0' } } })
+        .mockRejectedValueOnce({ code: 'ECONNRESET', message: 'socket hang up' })
+        .mockResolvedValueOnce({ data: { success: true } });
+
+      const result = await deployToCDN({ ...mockConfig, retry: { baseDelayMs: 0 } }, 'test.js', 'test.js');
+
+      expect(result.success).toBe(true);
+      expect(axios.put).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('uploadToKV', () => {
+    it('should send plain values with a content type derived from the key', async () => {
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      await uploadToKV({ apiToken: 'test-token', accountId: 'a', namespaceId: 'n' }, 'manifest.json', '{}');
+
+      expect(axios.put).toHaveBeenCalledWith(
+        'https://api.cloudflare.com/client/v4/accounts/a/storage/kv/namespaces/n/values/manifest.json',
+        '{}',
+        expect.objectContaining({ headers: { 'Authorization': 'Bearer test-token', 'Content-Type': 'application/json; charset=utf-8' } })
+      );
+    });
+  });
+
+  describe('readFromKV', () => {
+    const config = { apiToken: 'test-token', accountId: 'a', namespaceId: 'n', retry: { baseDelayMs: 0 } };
+
+    it('should return binary values as a Buffer', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: new Uint8Array([0x1f, 0x8b]).buffer });
+
+      const value = await readFromKV(config, 'releases/r1/a.js.gz', { binary: true });
+
+      expect(axios.get.mock.calls[0][1].responseType).toBe('arraybuffer');
+      expect(value).toEqual(Buffer.from([0x1f, 0x8b]));
+    });
+
+    it('should return null for a missing key', async () => {
+      axios.get.mockResolvedValue({ status: 404, data: '' });
+
+      expect(await readFromKV(config, 'missing.js', { binary: true })).toBeNull();
+    });
+  });
+
+  describe('fetchFromCDN', () => {
+    const config = { cdnDomain: 'cdn.example.com', retry: { baseDelayMs: 0 } };
+
+    it('should bypass caches when reading the served file', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: '{"a":1}' });
+
+      expect(await fetchFromCDN(config, 'data.json')).toBe('{"a":1}');
+      expect(axios.get).toHaveBeenCalledWith('https://cdn.example.com/data.json', expect.objectContaining({
+        responseType: 'text',
+        headers: { 'Cache-Control': 'no-cache' }
+      }));
+    });
+
+    it('should return null when nothing is served yet', async () => {
+      axios.get.mockResolvedValue({ status: 404, data: 'Not found' });
+
+      expect(await fetchFromCDN(config, 'data.json')).toBeNull();
+    });
+  });
+
+  describe('purgeCache', () => {
+    const config = { apiToken: 'test-token', zoneId: 'test-zone', retry: { baseDelayMs: 0 } };
+    const urls = Array.from({ length: 65 }, (_, i) => `https://test-cdn.com/file-${i}.js`);
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should purge URLs in batches of 30 through the zone API', async () => {
+      axios.post.mockResolvedValue({ data: { success: true, result: { id: 'purge-id' } } });
+
+      const result = await purgeCache(config, urls);
+
+      expect(axios.post.mock.calls.map(call => call[1].files.length)).toEqual([30, 30, 5]);
+      expect(axios.post.mock.calls[0][0]).toBe('https://api.cloudflare.com/client/v4/zones/test-zone/purge_cache');
+      expect(axios.post.mock.calls[0][2].headers.Authorization).toBe('Bearer test-token');
+      expect(result).toMatchObject({ success: true, total: 65, purged: 65, failed: 0 });
+      expect(result.batches[0]).toMatchObject({ success: true, id: 'purge-id' });
+    });
+
+    it('should honor a configured batch size and skip duplicate URLs', async () => {
+      axios.post.mockResolvedValue({ data: { success: true, result: {} } });
+
+      await purgeCache({ ...config, settings: { purge: { batchSize: 500 } } }, [...urls, urls[0]]);
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(axios.post.mock.calls[0][1].files).toHaveLength(65);
+    });
+
+    it('should keep purging after a failed batch', async () => {
+      axios.post
+        .mockRejectedValueOnce({ response: { status: 400, data: { errors: [{ code: 1012, message: 'Request must contain one of purge_everything, files, tags' }] } } })
+        .mockResolvedValue({ data: { success: true, result: {} } });
+
+      const result = await purgeCache(config, urls);
+
+      expect(axios.post).toHaveBeenCalledTimes(3);
+      expect(result).toMatchObject({ success: false, total: 65, purged: 35, failed: 30 });
+      expect(result.batches[0].error).toContain('Cloudflare API error');
+    });
+
+    it('should require a zone ID', async () => {
+      await expect(purgeCache({ apiToken: 'test-token' }, urls))
+        .rejects.toThrow('Missing required Cloudflare configuration: zoneId');
+    });
   });
 
   describe('deployMultipleFiles', () => {
@@ -123,6 +348,172 @@ describe('Deployer Module', () => {
       expect(result.successful).toBe(1);
       expect(result.failed).toBe(1);
     });
+
+    it('should upload files in parallel up to the configured concurrency', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockImplementation(filePath => `content of ${filePath}`);
+      let inFlight = 0;
+      let maxInFlight = 0;
+      axios.put.mockImplementation(async (url) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Earlier files finish last, results must still follow the input order
+        await new Promise(resolve => setTimeout(resolve, url.endsWith('file0.js') ? 20 : 1));
+        inFlight--;
+        return { data: { success: true } };
+      });
+
+      const files = Array.from({ length: 5 }, (_, i) => ({ filePath: `file${i}.js`, fileName: `file${i}.js` }));
+      const result = await deployMultipleFiles({ ...mockConfig, settings: { upload: { concurrency: 3 } } }, files);
+
+      expect(maxInFlight).toBe(3);
+      expect(result.results.map(r => r.fileName)).toEqual(files.map(f => f.fileName));
+      expect(result.successful).toBe(5);
+    });
+
+    it('should report files that fail validation without uploading them', async () => {
+      fs.existsSync.mockImplementation(filePath => filePath !== 'missing.js');
+      fs.readFileSync.mockReturnValue('test content');
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      const result = await deployMultipleFiles(mockConfig, [
+        { filePath: 'missing.js', fileName: 'missing.js' },
+        { filePath: 'test.js', fileName: 'test.js' }
+      ]);
+
+      expect(result.results).toEqual([
+        { success: false, fileName: 'missing.js', error: 'File not found: missing.js' },
+        expect.objectContaining({ success: true, fileName: 'test.js' })
+      ]);
+      expect(axios.put).toHaveBeenCalledTimes(1);
+    });
+
+    it('should publish files under a custom key', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('test content');
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      const result = await deployMultipleFiles(mockConfig, [
+        { filePath: 'test1.js', fileName: 'test1.js', key: 'releases/r1/test1.js' }
+      ]);
+
+      expect(axios.put.mock.calls[0][0]).toMatch(/\/values\/releases%2Fr1%2Ftest1\.js$/);
+      expect(result.results[0]).toMatchObject({
+        success: true,
+        fileName: 'test1.js',
+        key: 'releases/r1/test1.js',
+        url: 'https://test-cdn.com/releases/r1/test1.js'
+      });
+      console.log.mockRestore();
+    });
+
+    describe('bulk upload', () => {
+      const bulkConfig = {
+        ...mockConfig,
+        versioning: { enabled: true },
+        settings: { upload: { bulk: true }, compression: 'gzip', cacheControl: 'public, max-age=60' }
+      };
+      const files = [
+        { filePath: 'a.js', fileName: 'a.js', endpoint: 'account-specs', contentHash: 'hash-a' },
+        { filePath: 'b.json', fileName: 'b.json', endpoint: 'account-specs', contentHash: 'hash-b' }
+      ];
+      const bulkCalls = () => axios.put.mock.calls.filter(call => call[0].endsWith('/bulk'));
+      const singleCalls = () => axios.put.mock.calls.filter(call => !call[0].endsWith('/bulk'));
+
+      beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockImplementation(filePath => `content of ${filePath}`);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should write versioned copies and variants before moving the aliases', async () => {
+        axios.put.mockResolvedValue({ data: { success: true, result: { successful_key_count: 1, unsuccessful_keys: [] } } });
+
+        const result = await deployMultipleFiles(bulkConfig, files);
+
+        expect(singleCalls()).toHaveLength(0);
+        const [supporting, aliases] = bulkCalls();
+        expect(supporting[0]).toBe('https://api.cloudflare.com/client/v4/accounts/test-account/storage/kv/namespaces/test-namespace/bulk');
+        expect(supporting[1].map(entry => entry.key)).toEqual([
+          `${result.results[0].versionKey}.gz`, result.results[0].versionKey, 'a.js.gz',
+          `${result.results[1].versionKey}.gz`, result.results[1].versionKey, 'b.json.gz'
+        ]);
+        expect(aliases[1].map(entry => entry.key)).toEqual(['a.js', 'b.json']);
+
+        const variant = supporting[1][2];
+        expect(variant.base64).toBe(true);
+        expect(zlib.gunzipSync(Buffer.from(variant.value, 'base64')).toString()).toBe('content of a.js');
+        expect(variant.metadata).toMatchObject({ contentEncoding: 'gzip', contentHash: 'hash-a', endpoint: 'account-specs' });
+        expect(aliases[1][1]).toMatchObject({
+          value: 'content of b.json',
+          metadata: { contentType: 'application/json; charset=utf-8', cacheControl: 'public, max-age=60' }
+        });
+        expect(aliases[1][1].base64).toBeUndefined();
+
+        expect(result).toMatchObject({ success: true, total: 2, successful: 2, failed: 0 });
+        expect(result.results[1]).toMatchObject({
+          success: true,
+          fileName: 'b.json',
+          url: 'https://test-cdn.com/b.json',
+          variants: [{ encoding: 'gzip', key: 'b.json.gz' }],
+          kvResult: { success: true, key: 'b.json', size: 17 }
+        });
+      });
+
+      it('should fall back to individual uploads for keys the bulk write rejected', async () => {
+        axios.put.mockImplementation(async (url, body) => {
+          const rejected = url.endsWith('/bulk') ? body.filter(entry => entry.key.startsWith('b.json')).map(entry => entry.key) : [];
+          return { data: { success: true, result: { unsuccessful_keys: rejected } } };
+        });
+
+        const result = await deployMultipleFiles(bulkConfig, files);
+
+        // b.json.gz failed in the first phase, so the b.json alias is not moved in bulk
+        expect(bulkCalls()[1][1].map(entry => entry.key)).toEqual(['a.js']);
+        expect(singleCalls().map(call => call[0].split('/values/')[1])).toEqual([
+          `${result.results[1].versionKey}.gz`, result.results[1].versionKey, 'b.json.gz', 'b.json'
+        ]);
+        expect(result.successful).toBe(2);
+      });
+
+      it('should fall back when the bulk endpoint is unavailable', async () => {
+        axios.put.mockImplementation(async (url) => {
+          if (url.endsWith('/bulk')) {
+            throw { response: { status: 403, data: {} } };
+          }
+          return { data: { success: true } };
+        });
+
+        const result = await deployMultipleFiles(bulkConfig, files);
+
+        expect(bulkCalls()).toHaveLength(1);
+        expect(singleCalls()).toHaveLength(8);
+        expect(result).toMatchObject({ success: true, successful: 2 });
+      });
+
+      it('should report per-file failures after the fallback', async () => {
+        axios.put.mockImplementation(async (url) => {
+          if (url.endsWith('/bulk')) {
+            return { data: { success: false, errors: [{ code: 10001, message: 'bulk disabled' }] } };
+          }
+          if (url.includes('/values/b.json')) {
+            throw new Error('Upload failed');
+          }
+          return { data: { success: true } };
+        });
+
+        const result = await deployMultipleFiles(bulkConfig, files);
+
+        expect(result).toMatchObject({ success: false, successful: 1, failed: 1 });
+        expect(result.results[1]).toEqual({ success: false, fileName: 'b.json', error: 'CDN deployment failed: Network error: Upload failed' });
+      });
+    });
   });
 
   describe('testCDNAccess', () => {
@@ -143,6 +534,40 @@ describe('Deployer Module', () => {
       });
     });
 
+    it('should pass when served headers match the configured ones', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: '{}',
+        headers: { 'content-type': 'application/json', 'cache-control': 'public,max-age=3600' }
+      });
+
+      const result = await testCDNAccess('https://test-cdn.com/data.json', {
+        contentType: 'application/json; charset=utf-8',
+        cacheControl: 'public, max-age=3600'
+      });
+
+      expect(result).toMatchObject({ success: true, mismatches: [] });
+    });
+
+    it('should report headers that differ from the configured ones', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: '{}',
+        headers: { 'content-type': 'application/javascript' }
+      });
+
+      const result = await testCDNAccess('https://test-cdn.com/data.json', {
+        contentType: 'application/json; charset=utf-8',
+        cacheControl: 'public, max-age=3600'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.mismatches).toEqual([
+        { header: 'content-type', expected: 'application/json; charset=utf-8', actual: 'application/javascript' },
+        { header: 'cache-control', expected: 'public, max-age=3600', actual: null }
+      ]);
+    });
+
     it('should handle HTTP errors', async () => {
       axios.get.mockResolvedValue({
         status: 404
@@ -0,0 +1,67 @@
+const { deploymentConfig, loadDeploymentConfig, privateStorageConfig } = require('../src/deployment-config');
+
+describe('Deployment Config Module', () => {
+  const variables = ['CLOUDFLARE_API_TOKEN', 'CLOUDFLARE_ZONE_ID', 'CLOUDFLARE_ACCOUNT_ID', 'CLOUDFLARE_API_BASE_URL', 'CDN_BASE_URL'];
+  const original = {};
+
+  beforeEach(() => {
+    variables.forEach(variable => {
+      original[variable] = process.env[variable];
+    });
+  });
+
+  afterEach(() => {
+    variables.forEach(variable => {
+      if (original[variable] === undefined) {
+        delete process.env[variable];
+      } else {
+        process.env[variable] = original[variable];
+      }
+    });
+  });
+
+  test('should combine the environment block with credentials from the environment', () => {
+    process.env.CLOUDFLARE_API_TOKEN = 'token';
+    process.env.CLOUDFLARE_ACCOUNT_ID = 'account';
+    process.env.CDN_BASE_URL = 'http://localhost:3001/cdn';
+    const settings = { retry: { maxAttempts: 2 }, versioning: { enabled: true }, cacheControl: 'no-cache' };
+
+    expect(deploymentConfig({ cdnDomain: 'cdn.test', namespaceId: 'ns', storage: { type: 'kv' }, settings })).toMatchObject({
+      apiToken: 'token',
+      accountId: 'account',
+      namespaceId: 'ns',
+      cdnDomain: 'cdn.test',
+      cdnBaseUrl: 'http://localhost:3001/cdn',
+      storage: { type: 'kv' },
+      retry: { maxAttempts: 2 },
+      versioning: { enabled: true },
+      settings
+    });
+  });
+
+  test('should load an environment of the deployment configuration', () => {
+    expect(loadDeploymentConfig('staging')).toMatchObject({ cdnDomain: 'staging-cdn.example.com', namespaceId: 'your-staging-namespace-id' });
+    expect(() => loadDeploymentConfig('qa')).toThrow("environment 'qa' is not defined");
+  });
+
+  describe('privateStorageConfig', () => {
+    test('should point the storage at the private namespace', () => {
+      const config = { namespaceId: 'public', storage: { type: 'kv' }, privateStorage: { namespaceId: 'private' }, settings: {} };
+
+      expect(privateStorageConfig(config)).toMatchObject({ namespaceId: 'private', storage: { type: 'kv', namespaceId: 'private' } });
+      expect(config.namespaceId).toBe('public');
+    });
+
+    test('should reject a missing private storage and the published one', () => {
+      const published = { type: 's3', endpoint: 'https://r2.test', bucket: 'cdn' };
+
+      expect(() => privateStorageConfig({ namespaceId: 'ns' })).toThrow('Missing privateStorage');
+      expect(() => privateStorageConfig({ namespaceId: 'ns', privateStorage: { type: 'kv', namespaceId: 'ns' } }))
+        .toThrow('privateStorage must not be the published namespace, bucket or directory');
+      expect(() => privateStorageConfig({ storage: published, privateStorage: { ...published } })).toThrow('must not be the published');
+      expect(() => privateStorageConfig({ storage: { type: 'local', directory: '/srv/cdn' }, privateStorage: { type: 'local', directory: '/srv/cdn/_sync' } }))
+        .toThrow('must not be the published');
+      expect(privateStorageConfig({ storage: published, privateStorage: { ...published, bucket: 'cdn-sync' } }).storage.bucket).toBe('cdn-sync');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { extractData, recordsOf, diffData, formatDiff } = require('../src/differ');
+const { generateOutputs } = require('../src/transformer');
+
+describe('extractData', () => {
+  const endpoint = { name: 'account-specs', outputFile: 'account-specifications.js', formats: ['esm', 'cjs', 'umd', 'json'] };
+  const data = { Standard: { display_name: 'Standard', information: 'Braces } and "quotes" [inside]', pips: 0.6 } };
+
+  test.each([false, true])('should read the data back from every generated format (minify: %s)', (minify) => {
+    for (const output of generateOutputs(data, endpoint, { minify })) {
+      expect(extractData(output.content, output.fileName)).toEqual(data);
+    }
+  });
+
+  test('should refuse type declarations and content without data', () => {
+    expect(() => extractData('export type A = {};', 'a.d.ts')).toThrow('a.d.ts is a type declaration and carries no data');
+    expect(() => extractData('// nothing here', 'a.js')).toThrow('No data literal found in a.js');
+  });
+});
+
+describe('recordsOf', () => {
+  test('should unwrap raw API responses only', () => {
+    expect(recordsOf({ data: [1], metadata: {} })).toEqual([1]);
+    expect(recordsOf({ Standard: {} })).toEqual({ Standard: {} });
+  });
+});
+
+describe('diffData', () => {
+  test('should report added, removed and changed records of keyed payloads', () => {
+    const before = { Standard: { pips: 0.6, markets: ['Forex'] }, 'Swap-Free': { pips: 2.2 } };
+    const after = { Standard: { pips: 0.7, markets: ['Forex', 'ETFs'] }, Zero: { pips: 0 } };
+
+    const diff = diffData(before, after);
+
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 0 });
+    expect(diff.added).toEqual([{ path: '$.Zero', value: { pips: 0 } }]);
+    expect(diff.removed).toEqual([{ path: '$["Swap-Free"]', value: { pips: 2.2 } }]);
+    expect(diff.changed[0].changes).toEqual([
+      { path: '$.Standard.pips', type: 'changed', before: 0.6, after: 0.7 },
+      { path: '$.Standard.markets[1]', type: 'added', after: 'ETFs' }
+    ]);
+  });
+
+  test('should match array records by id, then by index', () => {
+    const byId = diffData({ data: [{ id: 1, a: 1 }, { id: 2, a: 2 }] }, { data: [{ id: 2, a: 3 }, { id: 1, a: 1 }] });
+    expect(byId.summary).toEqual({ added: 0, removed: 0, changed: 1, unchanged: 1 });
+    expect(byId.changed[0].changes[0].path).toBe('$[?(@.id==2)].a');
+
+    const byIndex = diffData([{ a: 1 }], [{ a: 1 }, { a: 2 }]);
+    expect(byIndex.added).toEqual([{ path: '$[1]', value: { a: 2 } }]);
+  });
+
+  test('should use a configured key and treat a missing live payload as all added', () => {
+    const diff = diffData(null, [{ code: 'EUR' }, { code: 'USD' }], { key: 'code' });
+
+    expect(diff.summary).toEqual({ added: 2, removed: 0, changed: 0, unchanged: 0 });
+    expect(diff.added[0].path).toBe('$[?(@.code=="EUR")]');
+  });
+
+  test('should report removed fields', () => {
+    const diff = diffData({ a: { x: 1, y: 2 } }, { a: { x: 1 } });
+
+    expect(diff.changed[0].changes).toEqual([{ path: '$.a.y', type: 'removed', before: 2 }]);
+  });
+});
+
+describe('formatDiff', () => {
+  const result = {
+    environment: 'production',
+    source: 'cdn',
+    reports: [
+      {
+        endpoint: 'account-specs',
+        fileName: 'account-specifications.json',
+        live: true,
+        diff: diffData({ Standard: { pips: 0.6 }, Old: { note: 'a|b' } }, { Standard: { pips: 0.7 } })
+      },
+      { endpoint: 'payment-methods', error: 'API error (500): Internal server error' }
+    ]
+  };
+
+  test('should render text', () => {
+    const text = formatDiff(result, 'text');
+
+    expect(text).toContain('📋 account-specs (account-specifications.json via cdn)');
+    expect(text).toContain('  0 added, 1 removed, 1 changed, 0 unchanged');
+    expect(text).toContain('  - $.Old: {"note":"a|b"}');
+    expect(text).toContain('  ~ $.Standard.pips: 0.6 → 0.7');
+    expect(text).toContain('  ❌ API error (500): Internal server error');
+  });
+
+  test('should render Markdown tables', () => {
+    const markdown = formatDiff(result, 'markdown');
+
+    expect(markdown).toMatch(/^## CDN diff: production\n/);
+    expect(markdown).toContain('| removed | `$.Old` | `{"note":"a\\|b"}` |  |');
+    expect(markdown).toContain('| changed | `$.Standard.pips` | `0.6` | `0.7` |');
+  });
+
+  test('should render JSON and reject unknown formats', () => {
+    expect(JSON.parse(formatDiff(result, 'json')).reports[0].diff.summary.changed).toBe(1);
+    expect(() => formatDiff(result, 'html')).toThrow("Unknown diff format 'html'");
+  });
+});
@@ -1,4 +1,6 @@
-const { fetchApiData } = require('../src/fetcher');
+const { fetchApiData, fetchIfModified } = require('../src/fetcher');
+const { clearTokenCache } = require('../src/auth');
+const http = require('http');
 
 describe('fetchApiData', () => {
   test('should fetch data from valid URL with auth', async () => {
@@ -54,3 +56,371 @@ describe('fetchApiData', () => {
     process.env.API_AUTH_TOKEN = originalToken;
   });
 });
+
+describe('fetchApiData retries', () => {
+  let server;
+  let baseUrl;
+  let responses;
+  let requestCount;
+  const originalToken = process.env.API_AUTH_TOKEN;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const [status, headers, body] = responses[Math.min(requestCount, responses.length - 1)];
+      requestCount++;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requestCount = 0;
+    process.env.API_AUTH_TOKEN = 'test-token-123';
+  });
+
+  afterEach(() => {
+    process.env.API_AUTH_TOKEN = originalToken;
+  });
+
+  test('should retry 5xx responses and return the eventual payload', async () => {
+    responses = [
+      [503, { 'Retry-After': '0' }, { error: 'Service unavailable' }],
+      [502, {}, { error: 'Bad gateway' }],
+      [200, {}, { data: [{ id: 1 }] }]
+    ];
+
+    const result = await fetchApiData({
+      apiBaseUrl: baseUrl,
+      path: '/api/account-specs',
+      retry: { baseDelayMs: 0 }
+    });
+
+    expect(result).toEqual({ data: [{ id: 1 }] });
+    expect(requestCount).toBe(3);
+  });
+
+  test('should report the last error after exhausting attempts', async () => {
+    responses = [[500, {}, { error: 'Internal server error' }]];
+
+    await expect(fetchApiData({
+      apiBaseUrl: baseUrl,
+      path: '/api/account-specs',
+      retry: { maxAttempts: 2, baseDelayMs: 0 }
+    })).rejects.toThrow('API error (500): Internal server error');
+    expect(requestCount).toBe(2);
+  });
+
+  test('should not retry authentication failures', async () => {
+    responses = [[401, {}, { error: 'Invalid authentication token' }]];
+
+    await expect(fetchApiData({
+      apiBaseUrl: baseUrl,
+      path: '/api/account-specs',
+      retry: { baseDelayMs: 0 }
+    })).rejects.toThrow('Authentication failed: Invalid authentication token');
+    expect(requestCount).toBe(1);
+  });
+});
+
+describe('fetchApiData auth strategies', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let rejectToken;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+
+      if (req.url === '/oauth2/token') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ access_token: `token-${requests.length}`, expires_in: 3600 }));
+        return;
+      }
+
+      if (rejectToken && req.headers.authorization === `Bearer ${rejectToken}`) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid access token' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ id: 1 }] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    rejectToken = null;
+    process.env.RATES_API_KEY = 'key-1';
+    process.env.PARTNER_CLIENT_ID = 'client';
+    process.env.PARTNER_CLIENT_SECRET = 'secret';
+    clearTokenCache();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should send the endpoint API key as a query parameter', async () => {
+    await expect(fetchApiData({
+      apiBaseUrl: baseUrl,
+      path: '/api-key/rates',
+      auth: { type: 'apiKey', keyEnv: 'RATES_API_KEY', query: 'api_key' }
+    })).resolves.toEqual({ data: [{ id: 1 }] });
+
+    expect(requests[0].url).toBe('/api-key/rates?api_key=key-1');
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test('should reuse the OAuth2 token across endpoints', async () => {
+    const auth = { type: 'oauth2', tokenUrl: `${baseUrl}/oauth2/token`, clientIdEnv: 'PARTNER_CLIENT_ID', clientSecretEnv: 'PARTNER_CLIENT_SECRET' };
+
+    await fetchApiData({ apiBaseUrl: baseUrl, path: '/oauth2/a', auth });
+    await fetchApiData({ apiBaseUrl: baseUrl, path: '/oauth2/b', auth });
+
+    expect(requests.map(request => request.url)).toEqual(['/oauth2/token', '/oauth2/a', '/oauth2/b']);
+    expect(requests[2].headers.authorization).toBe('Bearer token-1');
+  });
+
+  test('should fetch a new OAuth2 token once when the API rejects the cached one', async () => {
+    const auth = { type: 'oauth2', tokenUrl: `${baseUrl}/oauth2/token`, clientIdEnv: 'PARTNER_CLIENT_ID', clientSecretEnv: 'PARTNER_CLIENT_SECRET' };
+    rejectToken = 'token-1';
+
+    await expect(fetchApiData({ apiBaseUrl: baseUrl, path: '/oauth2/a', auth, retry: { baseDelayMs: 0 } }))
+      .resolves.toEqual({ data: [{ id: 1 }] });
+
+    expect(requests.map(request => request.url)).toEqual(['/oauth2/token', '/oauth2/a', '/oauth2/token', '/oauth2/a']);
+    expect(requests[3].headers.authorization).toBe('Bearer token-3');
+  });
+
+  test('should not request anything without the credentials', async () => {
+    delete process.env.RATES_API_KEY;
+
+    await expect(fetchApiData({ apiBaseUrl: baseUrl, path: '/api-key/rates', auth: { type: 'apiKey', keyEnv: 'RATES_API_KEY' } }))
+      .rejects.toThrow('RATES_API_KEY environment variable is required');
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('fetchApiData pagination', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let credentials;
+  const records = Array.from({ length: 5 }, (value, index) => ({ id: index + 1 }));
+  const originalToken = process.env.API_AUTH_TOKEN;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, baseUrl);
+      requests.push(url.pathname + url.search);
+      const send = (body, headers = {}) => {
+        res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+      };
+
+      if (url.pathname === '/cursor') {
+        const start = Number(url.searchParams.get('cursor') || 0);
+        const end = start + Number(url.searchParams.get('limit'));
+        return send({ data: records.slice(start, end), meta: { next: end < records.length ? String(end) : null } });
+      }
+
+      if (url.pathname === '/pages') {
+        const page = Number(url.searchParams.get('page'));
+        return send({ data: records.slice((page - 1) * 2, page * 2), metadata: { page } });
+      }
+
+      if (url.pathname === '/linked') {
+        const page = Number(url.searchParams.get('p') || 1);
+        return send({ data: records.slice((page - 1) * 2, page * 2) }, page < 3 ? { Link: `</linked?p=${page + 1}>; rel="next"` } : {});
+      }
+
+      if (url.pathname === '/specs') {
+        return send({ data: [{ id: 1, locale: url.searchParams.get('locale') }], metadata: { source: 'specs' } });
+      }
+
+      if (url.pathname === '/handoff') {
+        credentials.push({ authorization: req.headers.authorization, key: url.searchParams.getAll('api_key') });
+        const next = url.searchParams.get('next');
+        return send({ data: [{ id: 1 }] }, next ? { Link: `<${next}>; rel="next"` } : {});
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    credentials = [];
+    process.env.API_AUTH_TOKEN = 'test-token-123';
+  });
+
+  afterEach(() => {
+    process.env.API_AUTH_TOKEN = originalToken;
+    delete process.env.RATES_API_KEY;
+  });
+
+  test('should merge cursor pages into one data array', async () => {
+    const result = await fetchApiData({
+      apiBaseUrl: baseUrl,
+      path: '/cursor',
+      pagination: { type: 'cursor', cursorPath: 'meta.next', limit: 2 }
+    });
+
+    expect(result.data).toEqual(records);
+    expect(requests).toEqual(['/cursor?limit=2', '/cursor?limit=2&cursor=2', '/cursor?limit=2&cursor=4']);
+  });
+
+  test('should keep the first page metadata', async () => {
+    const result = await fetchApiData({ apiBaseUrl: baseUrl, path: '/pages', pagination: { type: 'page', size: 2 } });
+
+    expect(result).toEqual({ data: records, metadata: { page: 1 } });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should follow Link headers', async () => {
+    const result = await fetchApiData({ apiBaseUrl: baseUrl, path: '/linked', pagination: { type: 'link' } });
+
+    expect(result.data).toEqual(records);
+    expect(requests).toEqual(['/linked', '/linked?p=2', '/linked?p=3']);
+  });
+
+  test('should not send credentials to Link pages on another host', async () => {
+    const other = http.createServer((req, res) => {
+      credentials.push({ authorization: req.headers.authorization, key: [] });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ id: 2 }] }));
+    });
+    await new Promise(resolve => other.listen(0, '127.0.0.1', resolve));
+    const elsewhere = `http://127.0.0.1:${other.address().port}/continued`;
+
+    try {
+      const result = await fetchApiData({ apiBaseUrl: baseUrl, path: `/handoff?next=${encodeURIComponent(elsewhere)}`, pagination: { type: 'link' } });
+      expect(result.data).toEqual([{ id: 1 }, { id: 2 }]);
+    } finally {
+      await new Promise(resolve => other.close(resolve));
+    }
+
+    expect(credentials).toEqual([
+      { authorization: 'Bearer test-token-123', key: [] },
+      { authorization: undefined, key: [] }
+    ]);
+  });
+
+  test('should not append query credentials a Link page already carries', async () => {
+    process.env.RATES_API_KEY = 'key-1';
+    const auth = { type: 'apiKey', keyEnv: 'RATES_API_KEY', query: 'api_key' };
+
+    await fetchApiData({ apiBaseUrl: baseUrl, path: `/handoff?next=${encodeURIComponent('/handoff?api_key=key-1')}`, auth, pagination: { type: 'link' } });
+
+    expect(credentials.map(request => request.key)).toEqual([['key-1'], ['key-1']]);
+  });
+
+  test('should fail when pages remain beyond maxPages', async () => {
+    await expect(fetchApiData({ apiBaseUrl: baseUrl, path: '/linked', pagination: { type: 'link', maxPages: 2 } }))
+      .rejects.toThrow(`Pagination of ${baseUrl}/linked exceeded maxPages (2)`);
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should combine several source requests into one payload', async () => {
+    const result = await fetchApiData({
+      apiBaseUrl: baseUrl,
+      requests: [
+        { path: '/specs', params: { locale: 'en' }, set: { locale: 'en' } },
+        { path: '/specs?locale=de', set: { locale: 'de', region: 'eu' } }
+      ]
+    });
+
+    expect(result).toEqual({
+      data: [{ id: 1, locale: 'en' }, { id: 1, locale: 'de', region: 'eu' }],
+      metadata: { source: 'specs' }
+    });
+    expect(requests).toEqual(['/specs?locale=en', '/specs?locale=de']);
+  });
+});
+
+describe('fetchApiData conditional requests', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  const originalToken = process.env.API_AUTH_TOKEN;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.headers);
+      const validators = { 'ETag': '"v2"', 'Last-Modified': 'Fri, 02 Jan 2026 00:00:00 GMT' };
+
+      if (req.headers['if-none-match'] === '"v2"') {
+        res.writeHead(304, validators);
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json', ...validators });
+      res.end(JSON.stringify({ data: [{ id: 1 }] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    process.env.API_AUTH_TOKEN = 'test-token-123';
+  });
+
+  afterEach(() => {
+    process.env.API_AUTH_TOKEN = originalToken;
+  });
+
+  test('should send the previous validators and return the new ones', async () => {
+    const validators = { etag: '"v1"', lastModified: 'Thu, 01 Jan 2026 00:00:00 GMT' };
+
+    await expect(fetchIfModified({ apiBaseUrl: baseUrl, path: '/api/account-specs' }, validators)).resolves.toEqual({
+      data: { data: [{ id: 1 }] },
+      notModified: false,
+      validators: { etag: '"v2"', lastModified: 'Fri, 02 Jan 2026 00:00:00 GMT' }
+    });
+
+    expect(requests[0]).toMatchObject({ 'if-none-match': '"v1"', 'if-modified-since': 'Thu, 01 Jan 2026 00:00:00 GMT' });
+    expect(validators).toEqual({ etag: '"v1"', lastModified: 'Thu, 01 Jan 2026 00:00:00 GMT' });
+  });
+
+  test('should return no data on 304 Not Modified', async () => {
+    await expect(fetchIfModified({ apiBaseUrl: baseUrl, path: '/api/account-specs' }, { etag: '"v2"' }))
+      .resolves.toEqual({ data: null, notModified: true, validators: { etag: '"v2"' } });
+  });
+
+  test('should send no conditions without previous validators or for paginated endpoints', async () => {
+    await fetchIfModified({ apiBaseUrl: baseUrl, path: '/api/account-specs' }, {});
+    const paginated = await fetchIfModified({ apiBaseUrl: baseUrl, path: '/api/account-specs', pagination: { type: 'link' } }, { etag: '"v2"' });
+    await fetchApiData({ apiBaseUrl: baseUrl, path: '/api/account-specs' });
+
+    expect(requests.map(headers => headers['if-none-match'])).toEqual([undefined, undefined, undefined]);
+    expect(paginated).toMatchObject({ notModified: false, validators: {} });
+  });
+});
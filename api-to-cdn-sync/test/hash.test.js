@@ -0,0 +1,49 @@
+const { stableStringify, computeContentHash } = require('../src/hash');
+
+describe('stableStringify', () => {
+  test('should sort object keys at every level', () => {
+    expect(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: 'x' } }))
+      .toBe('{"a":{"c":"x","d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+
+  test('should match JSON.stringify for undefined values', () => {
+    expect(stableStringify({ a: undefined, b: [undefined] })).toBe('{"b":[null]}');
+  });
+});
+
+describe('computeContentHash', () => {
+  const payload = {
+    data: [{ account: { specification: { display_name: 'Standard', pips: 0.6 } } }]
+  };
+
+  test('should produce a sha256 hex digest', () => {
+    expect(computeContentHash(payload)).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('should ignore key order', () => {
+    const reordered = {
+      data: [{ account: { specification: { pips: 0.6, display_name: 'Standard' } } }]
+    };
+
+    expect(computeContentHash(reordered)).toBe(computeContentHash(payload));
+  });
+
+  test('should ignore the response metadata block', () => {
+    const first = { ...payload, metadata: { timestamp: '2025-06-17T10:00:00.000Z' } };
+    const second = { ...payload, metadata: { timestamp: '2025-06-18T10:00:00.000Z' } };
+
+    expect(computeContentHash(first)).toBe(computeContentHash(second));
+  });
+
+  test('should change when the data changes', () => {
+    const changed = {
+      data: [{ account: { specification: { display_name: 'Standard', pips: 0.7 } } }]
+    };
+
+    expect(computeContentHash(changed)).not.toBe(computeContentHash(payload));
+  });
+
+  test('should hash responses without a data field as a whole', () => {
+    expect(computeContentHash({ items: [1] })).not.toBe(computeContentHash({ items: [2] }));
+  });
+});
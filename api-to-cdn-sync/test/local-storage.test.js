@@ -0,0 +1,64 @@
+const { createLocalStorage } = require('../src/local-storage');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Local Storage Module', () => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+    storage = createLocalStorage({ storage: { type: 'local', directory } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should write files under the directory with their metadata alongside', async () => {
+    await storage.put('releases/r1/a.js', 'export default 1;', { contentType: 'application/javascript', endpoint: 'a' });
+
+    expect(fs.readFileSync(path.join(directory, 'releases/r1/a.js'), 'utf8')).toBe('export default 1;');
+    await expect(storage.head('releases/r1/a.js')).resolves.toEqual({
+      key: 'releases/r1/a.js',
+      size: 17,
+      metadata: { contentType: 'application/javascript', endpoint: 'a' }
+    });
+  });
+
+  test('should read text and binary values, and null for missing keys', async () => {
+    await storage.put('a.js.br', Buffer.from([0x0b, 0x02]));
+
+    await expect(storage.get('a.js.br', { binary: true })).resolves.toEqual(Buffer.from([0x0b, 0x02]));
+    await expect(storage.get('missing.js')).resolves.toBeNull();
+    await expect(storage.head('missing.js')).resolves.toBeNull();
+  });
+
+  test('should delete files and their metadata', async () => {
+    await storage.put('a.json', '{}', { contentType: 'application/json' });
+
+    await storage.delete('a.json');
+    await storage.delete('never-written.json');
+
+    expect(fs.existsSync(path.join(directory, 'a.json'))).toBe(false);
+    expect(fs.existsSync(path.join(directory, '.metadata', 'a.json.json'))).toBe(false);
+  });
+
+  test('should list keys by prefix without the metadata directory', async () => {
+    await storage.put('b.js', 'b', { contentType: 'application/javascript' });
+    await storage.put('releases/r1/a.js', 'a');
+
+    await expect(storage.list()).resolves.toEqual([{ key: 'b.js', size: 1 }, { key: 'releases/r1/a.js', size: 1 }]);
+    await expect(storage.list('releases/')).resolves.toEqual([{ key: 'releases/r1/a.js', size: 1 }]);
+  });
+
+  test('should reject keys outside the directory', async () => {
+    await expect(storage.put('../escape.js', 'x')).rejects.toThrow("Invalid storage key '../escape.js'");
+    await expect(storage.get('.metadata/a.js.json')).rejects.toThrow('Invalid storage key');
+  });
+
+  test('should require a directory', () => {
+    expect(() => createLocalStorage({ storage: { type: 'local' } })).toThrow('Missing required local storage configuration: directory');
+  });
+});
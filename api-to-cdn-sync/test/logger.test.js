@@ -0,0 +1,98 @@
+const { createLogger, createRunId, currentRunId, withLogContext } = require('../src/logger');
+
+describe('Logger Module', () => {
+  const log = createLogger('fetcher');
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_FORMAT;
+    delete process.env.LOG_STREAM;
+    jest.restoreAllMocks();
+  });
+
+  const jsonLines = () => [...console.log.mock.calls, ...console.error.mock.calls].map(([line]) => JSON.parse(line));
+
+  describe('pretty format', () => {
+    test('should print the message behind the short run ID, errors on stderr', () => {
+      const shortId = currentRunId().split('-').pop();
+      log.info('📡 Fetching data', { endpoint: 'account-specs' });
+      log.error('\n❌ Sync failed');
+
+      expect(console.log).toHaveBeenCalledWith(`[${shortId}] 📡 Fetching data`);
+      expect(console.error).toHaveBeenCalledWith(`\n[${shortId}] ❌ Sync failed`);
+    });
+
+    test('should print every line on stderr with LOG_STREAM=stderr', () => {
+      process.env.LOG_STREAM = 'stderr';
+      log.info('📡 Fetching data');
+      log.error('❌ Sync failed');
+
+      expect(console.log).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    test('should show the run ID bound with withLogContext', async () => {
+      await withLogContext({ run_id: '20260101T120000Z-3f2a9c1b' }, async () => log.info('generated'));
+      await withLogContext({ run_id: '123456789-1' }, async () => log.info('from the workflow'));
+
+      expect(console.log.mock.calls).toEqual([['[3f2a9c1b] generated'], ['[123456789-1] from the workflow']]);
+    });
+
+    test('should drop lines below LOG_LEVEL', () => {
+      log.debug('hidden by default');
+      process.env.LOG_LEVEL = 'warn';
+      log.info('hidden at warn');
+      log.warn('⚠️ shown');
+      process.env.LOG_LEVEL = 'debug';
+      log.debug('shown at debug');
+
+      expect(console.log.mock.calls.map(([line]) => line.replace(/^\[\S+\] /, ''))).toEqual(['⚠️ shown', 'shown at debug']);
+    });
+  });
+
+  describe('json format', () => {
+    beforeEach(() => {
+      process.env.LOG_FORMAT = 'json';
+    });
+
+    test('should write one object per line with level, run ID and fields', () => {
+      log.info('✅ Successfully fetched data (200)', { status: 200, duration_ms: 12, bytes: 345 });
+
+      expect(jsonLines()).toEqual([{
+        time: expect.any(String),
+        level: 'info',
+        run_id: currentRunId(),
+        module: 'fetcher',
+        msg: 'Successfully fetched data (200)',
+        status: 200,
+        duration_ms: 12,
+        bytes: 345
+      }]);
+    });
+
+    test('should add context and bound fields to nested calls', async () => {
+      const child = log.child({ file: 'a.js' });
+
+      await withLogContext({ run_id: 'run-1', endpoint: 'account-specs' }, async () => {
+        await Promise.resolve();
+        child.warn('⚠️ Purge batch 1 failed');
+      });
+      log.info('outside');
+
+      const [inside, outside] = jsonLines();
+      expect(inside).toMatchObject({ level: 'warn', run_id: 'run-1', endpoint: 'account-specs', file: 'a.js', msg: 'Purge batch 1 failed' });
+      expect(outside.run_id).toBe(currentRunId());
+      expect(outside.endpoint).toBeUndefined();
+    });
+  });
+
+  test('should create sortable, unique run IDs', () => {
+    expect(createRunId()).toMatch(/^\d{8}T\d{6}Z-[0-9a-f]{8}$/);
+    expect(createRunId()).not.toBe(createRunId());
+  });
+});
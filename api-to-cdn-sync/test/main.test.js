@@ -0,0 +1,616 @@
+const { main, getExitCode } = require('../src/main');
+const { fetchApiData, fetchIfModified } = require('../src/fetcher');
+const { saveToFile } = require('../src/transformer');
+const { readManifest, updateManifest } = require('../src/manifest');
+const { recordSync } = require('../src/report');
+const { publishMetrics } = require('../src/metrics');
+const { loadNotifications, notify } = require('../src/notifier');
+const { stableStringify, hashBytes } = require('../src/hash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dependencies
+jest.mock('../src/fetcher');
+jest.mock('../src/report');
+jest.mock('../src/metrics');
+jest.mock('../src/notifier', () => ({
+  ...jest.requireActual('../src/notifier'),
+  loadNotifications: jest.fn(),
+  notify: jest.fn()
+}));
+jest.mock('../src/manifest', () => ({
+  ...jest.requireActual('../src/manifest'),
+  readManifest: jest.fn(),
+  updateManifest: jest.fn()
+}));
+jest.mock('../src/transformer', () => ({
+  ...jest.requireActual('../src/transformer'),
+  saveToFile: jest.fn()
+}));
+
+describe('main', () => {
+  const config = {
+    apiBaseUrl: 'http://mock-api:3001',
+    concurrency: 2,
+    endpoints: [
+      { name: 'account-specs', path: '/api/account-specs', outputFile: 'account-specifications.js' },
+      { name: 'trading-instruments', path: '/api/trading-instruments', outputFile: 'trading-instruments.js' },
+      { name: 'payment-methods', path: '/api/payment-methods', outputFile: 'payment-methods.js' }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    readManifest.mockReturnValue({ files: {} });
+    // Full responses with the payload mocked on fetchApiData, unless a test mocks fetchIfModified itself
+    fetchIfModified.mockImplementation(async (request) => ({ data: await fetchApiData(request), notModified: false, validators: {} }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should process every configured endpoint', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }, { id: 2 }] });
+
+    const summary = await main({ config });
+
+    expect(fetchApiData).toHaveBeenCalledTimes(3);
+    expect(fetchApiData).toHaveBeenCalledWith({
+      apiBaseUrl: 'http://mock-api:3001',
+      path: '/api/trading-instruments'
+    });
+    expect(saveToFile).toHaveBeenCalledTimes(3);
+    expect(summary.success).toBe(true);
+    expect(summary.total).toBe(3);
+    expect(summary.successful).toBe(3);
+    expect(summary.results.map(result => result.endpoint))
+      .toEqual(['account-specs', 'trading-instruments', 'payment-methods']);
+    expect(summary.results[0]).toMatchObject({
+      success: true,
+      records: 2,
+      output: path.join(__dirname, '../src/output/account-specifications.js')
+    });
+  });
+
+  test('should fetch with the endpoint auth block', async () => {
+    const auth = { type: 'apiKey', keyEnv: 'RATES_API_KEY', header: 'X-API-Key' };
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+    await main({ config: { ...config, endpoints: [{ ...config.endpoints[0], auth }] } });
+
+    expect(fetchApiData).toHaveBeenCalledWith({
+      apiBaseUrl: 'http://mock-api:3001',
+      path: '/api/account-specs',
+      auth
+    });
+  });
+
+  test('should record payload hashes of synced files in the manifest', async () => {
+    fetchApiData.mockImplementation(async ({ path }) => {
+      if (path === '/api/payment-methods') {
+        throw new Error('Network error: socket hang up');
+      }
+      return { data: [{ id: 1 }], metadata: { timestamp: new Date().toISOString() } };
+    });
+
+    const summary = await main({ config, outputDir: '/tmp/sync-output' });
+
+    expect(summary.results[0].contentHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(summary.results[0].generatedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(updateManifest).toHaveBeenCalledWith('/tmp/sync-output', {
+      'account-specifications.js': {
+        endpoint: 'account-specs',
+        format: 'esm',
+        contentHash: summary.results[0].contentHash,
+        records: 1,
+        generatedAt: summary.results[0].generatedAt
+      },
+      'trading-instruments.js': {
+        endpoint: 'trading-instruments',
+        format: 'esm',
+        contentHash: summary.results[1].contentHash,
+        records: 1,
+        generatedAt: summary.results[1].generatedAt
+      }
+    });
+  });
+
+  test('should isolate failures per endpoint', async () => {
+    fetchApiData.mockImplementation(async ({ path }) => {
+      if (path === '/api/trading-instruments') {
+        throw new Error('API error (500): Internal server error');
+      }
+      return { data: [] };
+    });
+
+    const summary = await main({ config });
+
+    expect(summary.success).toBe(false);
+    expect(summary.successful).toBe(2);
+    expect(summary.failed).toBe(1);
+    expect(summary.results[1]).toMatchObject({
+      endpoint: 'trading-instruments',
+      success: false,
+      error: 'API error (500): Internal server error'
+    });
+    expect(saveToFile).toHaveBeenCalledTimes(2);
+  });
+
+  test('should respect the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    fetchApiData.mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      inFlight--;
+      return { data: [] };
+    });
+
+    await main({ config: { ...config, concurrency: 2 } });
+
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('should write every configured output format', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+    const summary = await main({
+      config: {
+        ...config,
+        endpoints: [{ ...config.endpoints[0], formats: ['esm', 'cjs', 'json', 'dts'] }]
+      },
+      outputDir: '/tmp/sync-output'
+    });
+
+    expect(saveToFile.mock.calls.map(call => call[1])).toEqual([
+      '/tmp/sync-output/account-specifications.js',
+      '/tmp/sync-output/account-specifications.cjs',
+      '/tmp/sync-output/account-specifications.json',
+      '/tmp/sync-output/account-specifications.d.ts'
+    ]);
+    expect(summary.results[0].files.map(file => file.format)).toEqual(['esm', 'cjs', 'json', 'dts']);
+    expect(Object.keys(updateManifest.mock.calls[0][1])).toEqual([
+      'account-specifications.js',
+      'account-specifications.cjs',
+      'account-specifications.json',
+      'account-specifications.d.ts'
+    ]);
+  });
+
+  test('should abort an endpoint whose payload fails schema validation', async () => {
+    fetchApiData.mockResolvedValue({
+      data: [{ account: { specification: { display_name: 'Standard', markets_offered: ['Forex'], max_leverage: '500' } } }]
+    });
+
+    const summary = await main({
+      config: {
+        ...config,
+        endpoints: [{ ...config.endpoints[0], schema: 'schemas/account-specs.schema.json' }]
+      }
+    });
+
+    expect(summary.success).toBe(false);
+    expect(saveToFile).not.toHaveBeenCalled();
+    expect(summary.results[0].validationErrors).toEqual([
+      { path: '$.data[0].account.specification.max_leverage', message: 'must be number (got string)' }
+    ]);
+    expect(summary.results[0].error).toContain('$.data[0].account.specification.max_leverage: must be number (got string)');
+  });
+
+  test('should enforce guardrails against the previous sync', async () => {
+    readManifest.mockReturnValue({
+      files: { 'account-specifications.js': { endpoint: 'account-specs', records: 10 } }
+    });
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }, { id: 2 }] });
+
+    const summary = await main({
+      config: {
+        ...config,
+        endpoints: [{ ...config.endpoints[0], guardrails: { minRecords: 1, maxShrinkPercent: 50 } }]
+      }
+    });
+
+    expect(summary.results[0]).toMatchObject({
+      success: false,
+      validationErrors: [{ path: '$.data', message: 'shrank by 80.0% (10 → 2), maximum is 50%' }]
+    });
+  });
+
+  test('should enforce guardrails against the last deployed records', async () => {
+    // The previous sync already shrank to 6 records but was never deployed
+    readManifest.mockReturnValue({
+      files: { 'account-specifications.js': { endpoint: 'account-specs', records: 6, deployedRecords: 10 } }
+    });
+    const endpoint = { ...config.endpoints[0], guardrails: { maxShrinkPercent: 50 } };
+
+    fetchApiData.mockResolvedValueOnce({ data: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }] });
+    const shrunk = await main({ config: { ...config, endpoints: [endpoint] } });
+
+    expect(shrunk.results[0].validationErrors).toEqual([{ path: '$.data', message: 'shrank by 60.0% (10 → 4), maximum is 50%' }]);
+
+    fetchApiData.mockResolvedValueOnce({ data: Array.from({ length: 8 }, (value, index) => ({ id: index })) });
+    const synced = await main({ config: { ...config, endpoints: [endpoint] } });
+
+    expect(synced.results[0].success).toBe(true);
+    expect(updateManifest.mock.calls[0][1]['account-specifications.js']).toMatchObject({ records: 8, deployedRecords: 10 });
+  });
+
+  test('should publish reshaped records without the API metadata', async () => {
+    const transforms = [{ flatten: 'account.specification' }, { keyBy: 'display_name' }];
+    const apiData = {
+      data: [{ account: { specification: { display_name: 'Standard', pips: 0.6 } } }],
+      metadata: { timestamp: '2026-01-01T00:00:00.000Z' }
+    };
+    fetchApiData.mockResolvedValue(apiData);
+
+    const summary = await main({
+      config: { ...config, endpoints: [{ ...config.endpoints[0], formats: ['json'], transforms }] }
+    });
+
+    expect(JSON.parse(saveToFile.mock.calls[0][0])).toEqual({ Standard: { display_name: 'Standard', pips: 0.6 } });
+    expect(summary.results[0].records).toBe(1);
+
+    // Changing only the transforms must change the hash, or deploy would skip the new shape
+    await main({ config: { ...config, endpoints: [{ ...config.endpoints[0], formats: ['json'], transforms: transforms.slice(0, 1) }] } });
+    const hashes = updateManifest.mock.calls.map(call => call[1]['account-specifications.json'].contentHash);
+    expect(hashes[0]).not.toBe(hashes[1]);
+  });
+
+  test('should report transform errors as endpoint failures', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ name: 'a' }, { name: 'a' }] });
+
+    const summary = await main({
+      config: { ...config, endpoints: [{ ...config.endpoints[0], transforms: [{ keyBy: 'name' }] }] }
+    });
+
+    expect(summary.results[0]).toMatchObject({ success: false, error: "keyBy: duplicate key 'a' at 'name'" });
+    expect(saveToFile).not.toHaveBeenCalled();
+  });
+
+  test('should generate minified output in minified mode', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+    await main({ config: { ...config, endpoints: [config.endpoints[0]] }, outputMode: 'minified' });
+
+    expect(saveToFile.mock.calls[0][0]).toMatch(/^export const accountSpecs=\{"data":\[\{"id":1\}\]\};/);
+  });
+
+  test('should reject unknown output modes', async () => {
+    await expect(main({ config, outputMode: 'compact' }))
+      .rejects.toThrow("Unknown output mode 'compact' (expected one of: pretty, minified)");
+    expect(fetchApiData).not.toHaveBeenCalled();
+  });
+
+  test('should not write files or the manifest in a dry run', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+    const summary = await main({ config, dryRun: true });
+
+    expect(summary).toMatchObject({ success: true, dryRun: true, successful: 3 });
+    expect(summary.results[0].files[0].size).toBeGreaterThan(0);
+    expect(saveToFile).not.toHaveBeenCalled();
+    expect(updateManifest).not.toHaveBeenCalled();
+    expect(recordSync).not.toHaveBeenCalled();
+  });
+
+  test('should write a run report and push metrics', async () => {
+    fetchApiData.mockResolvedValueOnce({ data: [{ id: 1 }] })
+      .mockRejectedValueOnce(new Error('Network error: timeout'))
+      .mockResolvedValueOnce({ data: [{ id: 2 }] });
+    recordSync.mockReturnValue({ runId: 'run-1' });
+
+    const summary = await main({ config: { ...config, metrics: { pushgatewayUrl: 'http://localhost:9091' } } });
+
+    expect(summary.runId).toEqual(expect.any(String));
+    expect(recordSync).toHaveBeenCalledWith(path.join(__dirname, '../src/output'), summary, expect.any(Date));
+    expect(summary.results[0].fetchMs).toEqual(expect.any(Number));
+    expect(publishMetrics).toHaveBeenCalledWith({ runId: 'run-1' }, { pushgatewayUrl: 'http://localhost:9091' });
+  });
+
+  test('should not fail the sync when the run report cannot be written', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+    recordSync.mockImplementationOnce(() => { throw new Error('EACCES: permission denied'); });
+
+    const summary = await main({ config });
+
+    expect(summary.success).toBe(true);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('⚠️ Could not write run report: EACCES: permission denied'));
+  });
+
+  test('should notify the sinks of the given environment', async () => {
+    const sinks = [{ type: 'slack', url: 'https://hooks.slack.test/1', on: 'changed' }];
+    loadNotifications.mockReturnValue(sinks);
+    readManifest.mockReturnValue({ files: {} });
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+    const summary = await main({ config, environment: 'production' });
+
+    expect(loadNotifications).toHaveBeenCalledWith('production');
+    expect(notify).toHaveBeenCalledWith(sinks, expect.objectContaining({
+      event: 'sync',
+      environment: 'production',
+      runId: summary.runId,
+      success: true,
+      changed: true
+    }));
+    expect(summary.results.every(result => result.changed)).toBe(true);
+  });
+
+  test('should not flag endpoints whose payload hash did not change', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+    const first = await main({ config });
+    readManifest.mockReturnValue({
+      files: Object.fromEntries(first.results.map(result => [result.endpoint, { endpoint: result.endpoint, contentHash: result.contentHash }]))
+    });
+
+    const second = await main({ config });
+
+    expect(second.results.map(result => result.changed)).toEqual([false, false, false]);
+  });
+
+  test('should not notify without an environment or in a dry run', async () => {
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+    await main({ config });
+    await main({ config, environment: 'production', dryRun: true });
+
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('should not fail the sync when notifications cannot be loaded', async () => {
+    loadNotifications.mockImplementationOnce(() => { throw new Error("Environment 'staging' not found in config"); });
+    fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+    const summary = await main({ config, environment: 'staging' });
+
+    expect(summary.success).toBe(true);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining("⚠️ Could not send notifications: Environment 'staging' not found in config"));
+  });
+
+  test('should resolve the output directory the same way regardless of the cwd', async () => {
+    fetchApiData.mockResolvedValue({ data: [] });
+    const cwd = process.cwd();
+
+    try {
+      process.chdir(path.join(__dirname, '..'));
+      await main({ config: { ...config, endpoints: [config.endpoints[0]] } });
+    } finally {
+      process.chdir(cwd);
+    }
+
+    expect(saveToFile.mock.calls[0][1]).toBe(path.join(__dirname, '../src/output/account-specifications.js'));
+    expect(updateManifest.mock.calls[0][0]).toBe(path.join(__dirname, '../src/output'));
+  });
+
+  test('should sync only the named endpoints', async () => {
+    fetchApiData.mockResolvedValue({ data: [] });
+
+    const summary = await main({ config, endpoints: ['payment-methods', 'account-specs'] });
+
+    expect(summary.results.map(result => result.endpoint)).toEqual(['account-specs', 'payment-methods']);
+    expect(fetchApiData).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject unknown endpoint names', async () => {
+    await expect(main({ config, endpoints: ['orders'] }))
+      .rejects.toThrow('Unknown endpoint(s): orders (expected one of: account-specs, trading-instruments, payment-methods)');
+    expect(fetchApiData).not.toHaveBeenCalled();
+  });
+
+  test('should handle a config without endpoints', async () => {
+    const summary = await main({ config: { apiBaseUrl: 'http://mock-api:3001', endpoints: [] } });
+
+    expect(summary).toMatchObject({ success: true, total: 0, successful: 0, failed: 0 });
+    expect(fetchApiData).not.toHaveBeenCalled();
+  });
+
+  describe('conditional requests', () => {
+    const endpoint = config.endpoints[0];
+    const settingsHash = hashBytes(stableStringify({ endpoint, minify: false }));
+    let outputDir;
+
+    const previousSync = (overrides = {}) => ({
+      files: {
+        'account-specifications.js': {
+          endpoint: 'account-specs',
+          format: 'esm',
+          contentHash: 'abc123',
+          records: 2,
+          generatedAt: '2026-01-01T00:00:00.000Z',
+          etag: '"v1"',
+          lastModified: 'Thu, 01 Jan 2026 00:00:00 GMT',
+          settingsHash,
+          ...overrides
+        }
+      }
+    });
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-conditional-'));
+      fs.writeFileSync(path.join(outputDir, 'account-specifications.js'), 'export const accountSpecs = {};');
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    test('should keep the previous outputs when the API answers 304', async () => {
+      readManifest.mockReturnValue(previousSync());
+      fetchIfModified.mockImplementation(async (request, validators) => ({ data: null, notModified: true, validators }));
+
+      const summary = await main({ config: { ...config, endpoints: [endpoint] }, outputDir });
+
+      expect(fetchIfModified.mock.calls[0][1]).toEqual({ etag: '"v1"', lastModified: 'Thu, 01 Jan 2026 00:00:00 GMT' });
+      expect(summary.results[0]).toMatchObject({
+        success: true,
+        notModified: true,
+        changed: false,
+        records: 2,
+        contentHash: 'abc123',
+        generatedAt: '2026-01-01T00:00:00.000Z',
+        files: [{ format: 'esm', fileName: 'account-specifications.js', size: 31 }]
+      });
+      expect(saveToFile).not.toHaveBeenCalled();
+      expect(updateManifest).toHaveBeenCalledWith(outputDir, previousSync().files);
+    });
+
+    test('should record the validators of a full response', async () => {
+      readManifest.mockReturnValue({ files: {} });
+      fetchIfModified.mockResolvedValue({
+        data: { data: [{ id: 1 }] },
+        notModified: false,
+        validators: { etag: '"v2"', lastModified: 'Fri, 02 Jan 2026 00:00:00 GMT' }
+      });
+
+      await main({ config: { ...config, endpoints: [endpoint] }, outputDir });
+
+      expect(updateManifest.mock.calls[0][1]['account-specifications.js'])
+        .toMatchObject({ etag: '"v2"', lastModified: 'Fri, 02 Jan 2026 00:00:00 GMT', settingsHash });
+    });
+
+    test('should fetch in full when the outputs cannot be reused', async () => {
+      fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+      readManifest.mockReturnValue(previousSync({ settingsHash: 'other-settings' }));
+      await main({ config: { ...config, endpoints: [endpoint] }, outputDir });
+
+      fs.rmSync(path.join(outputDir, 'account-specifications.js'));
+      readManifest.mockReturnValue(previousSync());
+      await main({ config: { ...config, endpoints: [endpoint] }, outputDir });
+
+      expect(fetchIfModified.mock.calls.map(call => call[1])).toEqual([{}, {}]);
+    });
+  });
+
+  describe('last-known-good snapshots', () => {
+    const endpoint = { ...config.endpoints[0], guardrails: { minRecords: 1 } };
+    let outputDir;
+    let snapshotConfig;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-snapshots-'));
+      snapshotConfig = { ...config, endpoints: [endpoint], snapshots: { store: 'file' } };
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    const readSnapshot = () => JSON.parse(fs.readFileSync(path.join(outputDir, '.snapshots', 'account-specs.json'), 'utf8'));
+
+    test('should keep the last valid payload of each endpoint', async () => {
+      fetchApiData.mockResolvedValueOnce({ data: [{ id: 1 }, { id: 2 }] });
+      await main({ config: snapshotConfig, outputDir });
+
+      fetchApiData.mockResolvedValueOnce({ data: [] });
+      const summary = await main({ config: snapshotConfig, outputDir });
+
+      expect(summary.results[0].success).toBe(false);
+      expect(readSnapshot()).toMatchObject({ endpoint: 'account-specs', records: 2, data: { data: [{ id: 1 }, { id: 2 }] } });
+    });
+
+    test('should not keep snapshots in dry runs or without a snapshot store', async () => {
+      fetchApiData.mockResolvedValue({ data: [{ id: 1 }] });
+
+      await main({ config: snapshotConfig, outputDir, dryRun: true });
+      await main({ config: { ...config, endpoints: [endpoint] }, outputDir });
+
+      expect(fs.existsSync(path.join(outputDir, '.snapshots'))).toBe(false);
+    });
+
+    test('should republish the snapshot marked stale when the fetch fails', async () => {
+      fetchApiData.mockResolvedValueOnce({ data: [{ id: 1 }] });
+      await main({ config: snapshotConfig, outputDir });
+      const { savedAt } = readSnapshot();
+      saveToFile.mockClear();
+      updateManifest.mockClear();
+
+      fetchApiData.mockRejectedValueOnce(new Error('API request failed: 503 Service Unavailable'));
+      const summary = await main({ config: snapshotConfig, outputDir, useLastKnownGood: true });
+
+      expect(summary.success).toBe(true);
+      expect(summary.results[0]).toMatchObject({
+        success: true,
+        stale: true,
+        staleReason: 'API request failed: 503 Service Unavailable',
+        snapshotSavedAt: savedAt,
+        records: 1
+      });
+      expect(saveToFile.mock.calls[0][0]).toContain('stale: true');
+      expect(updateManifest.mock.calls[0][1]['account-specifications.js']).toMatchObject({ stale: true });
+      expect(updateManifest.mock.calls[0][1]['account-specifications.js'].etag).toBeUndefined();
+      expect(readSnapshot().savedAt).toBe(savedAt);
+    });
+
+    test('should republish the snapshot when validation fails', async () => {
+      fetchApiData.mockResolvedValueOnce({ data: [{ id: 1 }] });
+      await main({ config: snapshotConfig, outputDir });
+
+      fetchApiData.mockResolvedValueOnce({ data: [] });
+      const summary = await main({ config: snapshotConfig, outputDir, useLastKnownGood: true });
+
+      expect(summary.results[0]).toMatchObject({ success: true, stale: true, records: 1 });
+      expect(summary.results[0].staleReason).toContain('Validation failed');
+    });
+
+    test('should fail endpoints without a snapshot', async () => {
+      fetchApiData.mockRejectedValue(new Error('API request failed: 503 Service Unavailable'));
+
+      const summary = await main({ config: snapshotConfig, outputDir, useLastKnownGood: true });
+
+      expect(summary.results[0]).toMatchObject({
+        success: false,
+        error: 'API request failed: 503 Service Unavailable (no last-known-good snapshot)'
+      });
+      expect(saveToFile).not.toHaveBeenCalled();
+    });
+
+    test('should measure shrinkage against the snapshot when there is no previous sync', async () => {
+      const guarded = { ...snapshotConfig, endpoints: [{ ...endpoint, guardrails: { maxShrinkPercent: 50 } }] };
+      fetchApiData.mockResolvedValueOnce({ data: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }] });
+      await main({ config: guarded, outputDir });
+
+      // readManifest is mocked empty, as in a fresh checkout
+      fetchApiData.mockResolvedValueOnce({ data: [{ id: 1 }] });
+      const summary = await main({ config: guarded, outputDir });
+
+      expect(summary.results[0].validationErrors).toEqual([{ path: '$.data', message: 'shrank by 75.0% (4 → 1), maximum is 50%' }]);
+    });
+
+    test('should require a snapshot store', async () => {
+      await expect(main({ config: { ...config, endpoints: [endpoint] }, outputDir, useLastKnownGood: true }))
+        .rejects.toThrow("--use-last-known-good needs a 'snapshots' store in the sync configuration");
+    });
+  });
+});
+
+describe('getExitCode', () => {
+  const allPassed = { total: 2, successful: 2, failed: 0 };
+  const someFailed = { total: 2, successful: 1, failed: 1 };
+  const allFailed = { total: 2, successful: 0, failed: 2 };
+
+  test('should fail on any failure by default', () => {
+    expect(getExitCode(allPassed)).toBe(0);
+    expect(getExitCode(someFailed)).toBe(1);
+    expect(getExitCode(allFailed)).toBe(1);
+  });
+
+  test('should fail only when every endpoint failed with the "all" policy', () => {
+    expect(getExitCode(someFailed, 'all')).toBe(0);
+    expect(getExitCode(allFailed, 'all')).toBe(1);
+  });
+
+  test('should never fail with the "never" policy', () => {
+    expect(getExitCode(allFailed, 'never')).toBe(0);
+  });
+
+  test('should reject unknown policies', () => {
+    expect(() => getExitCode(allPassed, 'sometimes')).toThrow("Unknown failure policy 'sometimes'");
+  });
+});
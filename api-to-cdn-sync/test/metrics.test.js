@@ -0,0 +1,88 @@
+const { formatPrometheus, pushMetrics, publishMetrics } = require('../src/metrics');
+const axios = require('axios');
+
+jest.mock('axios');
+
+const report = {
+  runId: 'run-1',
+  durationMs: 2000,
+  sync: { finishedAt: '2026-01-01T12:00:01.200Z', durationMs: 1200, success: false },
+  endpoints: [
+    { endpoint: 'account-specs', success: true, fetchMs: 340, records: 2, bytes: 2048 },
+    { endpoint: 'payment-"methods"', success: false }
+  ],
+  deploy: {
+    environment: 'production',
+    finishedAt: '2026-01-01T12:00:02.800Z',
+    durationMs: 800,
+    success: true,
+    successful: 2,
+    failed: 0,
+    purge: { purged: 3, failed: 0 }
+  }
+};
+
+describe('formatPrometheus', () => {
+  test('should export stage, endpoint, deploy and purge gauges', () => {
+    const text = formatPrometheus(report);
+
+    expect(text).toContain('# TYPE api_to_cdn_sync_success gauge\n');
+    expect(text).toContain('api_to_cdn_sync_success{stage="sync"} 0\n');
+    expect(text).toContain('api_to_cdn_sync_success{stage="deploy",environment="production"} 1\n');
+    expect(text).toContain('api_to_cdn_sync_last_run_timestamp_seconds{stage="sync"} 1767268801\n');
+    expect(text).toContain('api_to_cdn_sync_run_duration_seconds 2\n');
+    expect(text).toContain('api_to_cdn_sync_endpoint_fetch_duration_seconds{endpoint="account-specs"} 0.34\n');
+    expect(text).toContain('api_to_cdn_sync_endpoint_records{endpoint="account-specs"} 2\n');
+    expect(text).toContain('api_to_cdn_sync_endpoint_output_bytes{endpoint="account-specs"} 2048\n');
+    expect(text).toContain('api_to_cdn_sync_endpoint_success{endpoint="payment-\\"methods\\""} 0\n');
+    expect(text).toContain('api_to_cdn_sync_deploy_files{environment="production",result="failed"} 0\n');
+    expect(text).toContain('api_to_cdn_sync_purge_urls{environment="production",result="purged"} 3\n');
+  });
+
+  test('should leave out metrics without samples', () => {
+    const text = formatPrometheus({ ...report, deploy: null, endpoints: [{ endpoint: 'payment-methods', success: false }] });
+
+    expect(text).not.toContain('stage="deploy"');
+    expect(text).not.toContain('deploy_files');
+    expect(text).not.toContain('endpoint_records');
+  });
+});
+
+describe('pushMetrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.METRICS_PUSHGATEWAY_URL;
+    jest.restoreAllMocks();
+  });
+
+  test('should skip the push without a Pushgateway', async () => {
+    expect(await pushMetrics(report, {})).toBeNull();
+    expect(axios.put).not.toHaveBeenCalled();
+  });
+
+  test('should replace the job metrics on the Pushgateway', async () => {
+    axios.put.mockResolvedValue({ status: 200 });
+
+    const result = await pushMetrics(report, { pushgatewayUrl: 'http://localhost:9091/', job: 'cdn sync' });
+
+    expect(result).toEqual({ url: 'http://localhost:9091/metrics/job/cdn%20sync', status: 200 });
+    expect(axios.put).toHaveBeenCalledWith(
+      'http://localhost:9091/metrics/job/cdn%20sync',
+      formatPrometheus(report),
+      expect.objectContaining({ headers: { 'Content-Type': 'text/plain; version=0.0.4' } })
+    );
+  });
+
+  test('should prefer METRICS_PUSHGATEWAY_URL and only warn on failures when publishing', async () => {
+    process.env.METRICS_PUSHGATEWAY_URL = 'http://pushgateway:9091';
+    axios.put.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ENOTFOUND' }));
+
+    await expect(pushMetrics(report, { pushgatewayUrl: 'http://localhost:9091' }))
+      .rejects.toThrow('Could not push metrics to http://pushgateway:9091/metrics/job/api_to_cdn_sync: connect ECONNREFUSED');
+    expect(await publishMetrics(report)).toBeNull();
+  });
+});
@@ -0,0 +1,236 @@
+const axios = require('axios');
+const { sendMail } = require('../src/smtp');
+const {
+  loadNotifications,
+  syncNotification,
+  deployNotification,
+  formatNotification,
+  shouldNotify,
+  createNotifier,
+  validateNotifications,
+  notify
+} = require('../src/notifier');
+
+jest.mock('axios');
+jest.mock('../src/smtp');
+
+describe('Notifier Module', () => {
+  const summary = {
+    runId: 'run-1',
+    success: false,
+    total: 2,
+    successful: 1,
+    failed: 1,
+    durationMs: 1200,
+    results: [
+      { endpoint: 'account-specs', success: true, records: 3, changed: true },
+      { endpoint: 'payment-methods', success: false, error: 'API error (500)' }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.TEST_SLACK_URL;
+    jest.restoreAllMocks();
+  });
+
+  describe('loadNotifications', () => {
+    test('should return the sinks of an environment', () => {
+      const sinks = [{ type: 'slack', url: 'https://hooks.slack.test/1' }];
+
+      expect(loadNotifications('production', { production: { notifications: sinks } })).toBe(sinks);
+      expect(loadNotifications('development', { development: {} })).toEqual([]);
+    });
+
+    test('should reject unknown environments', () => {
+      expect(() => loadNotifications('staging', { production: {} })).toThrow("Environment 'staging' not found in config");
+    });
+  });
+
+  describe('syncNotification', () => {
+    test('should summarise the run and the endpoints whose data changed', () => {
+      const notification = syncNotification(summary, 'production');
+
+      expect(notification).toMatchObject({
+        event: 'sync',
+        environment: 'production',
+        runId: 'run-1',
+        success: false,
+        changed: true,
+        title: '❌ [production] Sync failed: 1/2 endpoints, data changed for account-specs'
+      });
+      expect(notification.summary.endpoints).toEqual([
+        { endpoint: 'account-specs', success: true, records: 3, changed: true },
+        { endpoint: 'payment-methods', success: false, error: 'API error (500)' }
+      ]);
+    });
+
+    test('should name endpoints republished from last-known-good snapshots', () => {
+      const notification = syncNotification({
+        ...summary,
+        success: true,
+        successful: 2,
+        failed: 0,
+        results: [
+          summary.results[0],
+          { endpoint: 'payment-methods', success: true, records: 5, changed: false, stale: true, staleReason: 'API error (500)' }
+        ]
+      }, 'production');
+
+      expect(notification.title).toBe('✅ [production] Sync succeeded: 2/2 endpoints, data changed for account-specs, ' +
+        'last-known-good data republished for payment-methods');
+      expect(notification.summary.endpoints[1])
+        .toEqual({ endpoint: 'payment-methods', success: true, records: 5, changed: false, stale: true, error: 'API error (500)' });
+    });
+  });
+
+  describe('deployNotification', () => {
+    test('should summarise deployed files, release and purge', () => {
+      const notification = deployNotification({
+        environment: 'development',
+        runId: 'run-2',
+        durationMs: 800,
+        results: {
+          success: true,
+          total: 1,
+          successful: 1,
+          failed: 0,
+          results: [{ success: true, fileName: 'a.js' }],
+          changes: { new: ['a.js'], updated: [], unchanged: ['b.js'] },
+          purge: { purged: 1, failed: 0 }
+        }
+      });
+
+      expect(notification).toMatchObject({ success: true, changed: true, title: '✅ [development] Deploy succeeded: 1/1 files deployed' });
+      expect(formatNotification(notification)).toBe([
+        '✅ [development] Deploy succeeded: 1/1 files deployed',
+        '- Changes: 1 new, 0 updated, 1 unchanged',
+        '- Deployed: a.js',
+        '- Purge: 1 purged, 0 failed',
+        'Duration: 800ms, run run-2'
+      ].join('\n'));
+    });
+
+    test('should report a deploy that threw as failed and unchanged', () => {
+      const notification = deployNotification({ environment: 'development', runId: 'run-3', durationMs: 5, error: 'KV GET failed' });
+
+      expect(notification).toMatchObject({ success: false, changed: false, summary: { error: 'KV GET failed' } });
+    });
+  });
+
+  describe('shouldNotify', () => {
+    const notification = syncNotification(summary, 'production');
+
+    test('should notify on every run by default', () => {
+      expect(shouldNotify({ type: 'slack' }, notification)).toBe(true);
+    });
+
+    test('should match any of the configured rules', () => {
+      expect(shouldNotify({ type: 'slack', on: 'success' }, notification)).toBe(false);
+      expect(shouldNotify({ type: 'slack', on: ['success', 'changed'] }, notification)).toBe(true);
+      expect(shouldNotify({ type: 'slack', on: 'failure' }, notification)).toBe(true);
+      expect(shouldNotify({ type: 'slack', on: 'changed' }, { ...notification, changed: false })).toBe(false);
+    });
+
+    test('should only notify for the configured events', () => {
+      expect(shouldNotify({ type: 'slack', events: ['deploy'] }, notification)).toBe(false);
+    });
+  });
+
+  describe('createNotifier', () => {
+    const notification = syncNotification(summary, 'production');
+
+    test('should POST the notification as JSON to a webhook', async () => {
+      axios.post.mockResolvedValue({ status: 204 });
+
+      await createNotifier({ type: 'webhook', url: 'https://hooks.example.test/sync', headers: { 'X-Token': 'abc' } })
+        .send(notification);
+
+      expect(axios.post).toHaveBeenCalledWith('https://hooks.example.test/sync', notification, {
+        headers: { 'Content-Type': 'application/json', 'X-Token': 'abc' },
+        timeout: 10000
+      });
+    });
+
+    test('should post the formatted text to a Slack incoming webhook from an environment variable', async () => {
+      process.env.TEST_SLACK_URL = 'https://hooks.slack.test/T000/B000';
+      axios.post.mockResolvedValue({ status: 200 });
+
+      await createNotifier({ type: 'slack', urlEnv: 'TEST_SLACK_URL' }).send(notification);
+
+      expect(axios.post).toHaveBeenCalledWith('https://hooks.slack.test/T000/B000',
+        { text: formatNotification(notification) }, expect.any(Object));
+      expect(formatNotification(notification)).toContain('- payment-methods: ❌ API error (500)');
+    });
+
+    test('should email the notification with the title as subject', async () => {
+      sendMail.mockResolvedValue({ accepted: ['ops@example.test'] });
+
+      await createNotifier({ type: 'email', host: 'smtp.example.test', from: 'sync@example.test', to: 'ops@example.test', user: 'sync' })
+        .send(notification);
+
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        host: 'smtp.example.test',
+        user: 'sync',
+        from: 'sync@example.test',
+        to: ['ops@example.test'],
+        subject: notification.title,
+        text: formatNotification(notification)
+      }));
+    });
+
+    test('should reject unknown sink types', () => {
+      expect(() => createNotifier({ type: 'pager' })).toThrow("Unknown notifier type 'pager'");
+    });
+  });
+
+  describe('validateNotifications', () => {
+    test('should accept valid sinks', () => {
+      process.env.TEST_SLACK_URL = 'https://hooks.slack.test/1';
+
+      expect(validateNotifications([
+        { type: 'slack', urlEnv: 'TEST_SLACK_URL', on: ['failure', 'changed'] },
+        { type: 'email', host: 'smtp.example.test', from: 'a@example.test', to: ['b@example.test'], events: ['deploy'] }
+      ])).toEqual([]);
+      expect(validateNotifications(undefined)).toEqual([]);
+    });
+
+    test('should list every problem', () => {
+      expect(validateNotifications([
+        { type: 'pager' },
+        { type: 'slack', urlEnv: 'TEST_SLACK_URL', on: ['sometimes'] },
+        { type: 'email', host: 'smtp.example.test', events: ['rollback'] }
+      ])).toEqual([
+        "notifications[0]: unknown type 'pager' (expected one of: webhook, slack, email)",
+        'notifications[1]: unknown rule(s) sometimes (expected: always, success, failure, changed)',
+        'notifications[1]: missing url (TEST_SLACK_URL is not set)',
+        'notifications[2]: unknown event(s) rollback (expected: sync, deploy)',
+        'notifications[2]: email needs host, from and to'
+      ]);
+    });
+  });
+
+  describe('notify', () => {
+    test('should send to matching sinks and report failures without throwing', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+      sendMail.mockRejectedValueOnce(new Error('SMTP AUTH failed: 535 Authentication failed'));
+
+      const results = await notify([
+        { type: 'webhook', url: 'https://hooks.example.test/sync' },
+        { type: 'slack', url: 'https://hooks.slack.test/1', on: 'success' },
+        { type: 'email', host: 'smtp.example.test', from: 'a@example.test', to: 'b@example.test', on: 'failure' }
+      ], syncNotification(summary, 'production'));
+
+      expect(results).toEqual([
+        { type: 'webhook', sent: true },
+        { type: 'email', sent: false, error: 'SMTP AUTH failed: 535 Authentication failed' }
+      ]);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('⚠️ Could not send sync notification via email: SMTP AUTH failed: 535 Authentication failed'));
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { resolvePagination, firstPage, nextPage, parseLinkHeader } = require('../src/pagination');
+
+describe('Pagination Module', () => {
+  describe('resolvePagination', () => {
+    test('should apply defaults per type', () => {
+      expect(resolvePagination(undefined)).toBeNull();
+      expect(resolvePagination({ type: 'page', size: 50 })).toEqual({
+        type: 'page', pageParam: 'page', start: 1, sizeParam: 'per_page', size: 50, maxPages: 100
+      });
+      expect(resolvePagination({ type: 'link', maxPages: 5 })).toEqual({ type: 'link', maxPages: 5 });
+    });
+
+    test('should reject unknown types', () => {
+      expect(() => resolvePagination({ type: 'scroll' }))
+        .toThrow("Unknown pagination type 'scroll' (expected one of: cursor, page, offset, link)");
+    });
+  });
+
+  describe('nextPage', () => {
+    test('should follow the cursor until it is empty', () => {
+      const pagination = resolvePagination({ type: 'cursor', cursorPath: 'meta.next', limit: 2 });
+      const params = firstPage(pagination);
+
+      expect(params).toEqual({ limit: 2 });
+      expect(nextPage(pagination, { params, body: { data: [1, 2], meta: { next: 'c2' } } })).toEqual({ params: { limit: 2, cursor: 'c2' } });
+      expect(nextPage(pagination, { params, body: { data: [3], meta: { next: null } } })).toBeNull();
+    });
+
+    test('should count pages until a short page', () => {
+      const pagination = resolvePagination({ type: 'page', size: 2 });
+      const params = firstPage(pagination);
+
+      expect(params).toEqual({ page: 1, per_page: 2 });
+      expect(nextPage(pagination, { params, body: { data: [1, 2] } })).toEqual({ params: { page: 2, per_page: 2 } });
+      expect(nextPage(pagination, { params, body: { data: [3] } })).toBeNull();
+    });
+
+    test('should stop unsized page pagination at an empty page', () => {
+      const pagination = resolvePagination({ type: 'page', start: 0 });
+
+      expect(nextPage(pagination, { params: firstPage(pagination), body: { data: [1] } })).toEqual({ params: { page: 1 } });
+      expect(nextPage(pagination, { params: { page: 1 }, body: { data: [] } })).toBeNull();
+    });
+
+    test('should advance the offset by the records received', () => {
+      const pagination = resolvePagination({ type: 'offset', limit: 2 });
+
+      expect(nextPage(pagination, { params: firstPage(pagination), body: { data: [1, 2] } })).toEqual({ params: { offset: 2, limit: 2 } });
+      expect(nextPage(pagination, { params: { offset: 2, limit: 2 }, body: { data: [3] } })).toBeNull();
+    });
+
+    test('should resolve relative next links against the page URL', () => {
+      const pagination = resolvePagination({ type: 'link' });
+      const page = { url: 'https://api.example.com/v1/specs?page=1', params: {}, body: { data: [] } };
+
+      expect(nextPage(pagination, { ...page, headers: { link: '</v1/specs?page=2>; rel="next", </v1/specs?page=9>; rel="last"' } }))
+        .toEqual({ url: 'https://api.example.com/v1/specs?page=2' });
+      expect(nextPage(pagination, { ...page, headers: { link: '</v1/specs?page=1>; rel="first"' } })).toBeNull();
+      expect(nextPage(pagination, { ...page, headers: {} })).toBeNull();
+    });
+  });
+
+  describe('parseLinkHeader', () => {
+    test('should parse quoted, unquoted and multiple relations', () => {
+      expect(parseLinkHeader('<https://a/2>; rel="next prefetch", <https://a/5>; title="end"; rel=last')).toEqual({
+        next: 'https://a/2',
+        prefetch: 'https://a/2',
+        last: 'https://a/5'
+      });
+      expect(parseLinkHeader(undefined)).toEqual({});
+    });
+  });
+});
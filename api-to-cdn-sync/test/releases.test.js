@@ -0,0 +1,53 @@
+const { createReleaseId, releaseKey, buildRelease, expiredReleases, releaseKeys } = require('../src/releases');
+
+describe('releases', () => {
+  test('should create sortable release identifiers', () => {
+    const id = createReleaseId(new Date('2026-01-01T12:00:00.123Z'));
+
+    expect(id).toMatch(/^20260101T120000Z-[a-f0-9]{6}$/);
+    expect(createReleaseId(new Date('2026-01-01T12:00:01Z')) > id).toBe(true);
+  });
+
+  test('should build staging keys under the release prefix', () => {
+    expect(releaseKey('releases/', 'r1', 'account-specifications.js')).toBe('releases/r1/account-specifications.js');
+  });
+
+  test('should start the history with the first release', () => {
+    const release = buildRelease(null, 'r1', { 'a.js': { key: 'releases/r1/a.js' } });
+
+    expect(release).toMatchObject({ id: 'r1', previous: null, history: ['r1'], files: { 'a.js': { key: 'releases/r1/a.js' } } });
+    expect(release.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('should carry over files that are not part of the new release', () => {
+    const current = buildRelease(null, 'r1', { 'a.js': { key: 'releases/r1/a.js' }, 'b.js': { key: 'releases/r1/b.js' } });
+
+    const release = buildRelease(current, 'r2', { 'b.js': { key: 'releases/r2/b.js' } });
+
+    expect(release.previous).toBe('r1');
+    expect(release.history).toEqual(['r2', 'r1']);
+    expect(release.files).toEqual({ 'a.js': { key: 'releases/r1/a.js' }, 'b.js': { key: 'releases/r2/b.js' } });
+  });
+
+  test('should report releases that dropped out of the kept history', () => {
+    let current = null;
+    for (const id of ['r1', 'r2', 'r3']) {
+      current = buildRelease(current, id, {}, 2);
+    }
+
+    const release = buildRelease(current, 'r4', {}, 2);
+
+    expect(release.history).toEqual(['r4', 'r3']);
+    expect(expiredReleases(current, release)).toEqual(['r2']);
+    expect(expiredReleases(null, release)).toEqual([]);
+  });
+
+  test('should list every key a release serves', () => {
+    const release = buildRelease(null, 'r1', {
+      'a.js': { key: 'releases/r1/a.js', variants: ['releases/r1/a.js.gz'] },
+      'b.json': { key: 'releases/r1/b.json' }
+    });
+
+    expect([...releaseKeys(release)]).toEqual(['releases/r1/a.js', 'releases/r1/a.js.gz', 'releases/r1/b.json']);
+  });
+});
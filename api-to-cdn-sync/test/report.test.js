@@ -0,0 +1,126 @@
+const { RUN_REPORT_FILE, readRunReport, recordSync, recordDeploy } = require('../src/report');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Report Module', () => {
+  let outputDir;
+
+  const summary = {
+    runId: 'run-1',
+    success: false,
+    total: 2,
+    successful: 1,
+    failed: 1,
+    durationMs: 1200,
+    results: [
+      {
+        endpoint: 'account-specs',
+        success: true,
+        fetchMs: 340,
+        records: 2,
+        size: 2048,
+        contentHash: 'abc123',
+        files: [{ fileName: 'account-specifications.js' }, { fileName: 'account-specifications.json' }],
+        durationMs: 900
+      },
+      { endpoint: 'payment-methods', success: false, error: 'API error (500): Internal server error', durationMs: 300 }
+    ]
+  };
+
+  const startedAt = new Date('2026-01-01T12:00:00.000Z');
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-report-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true });
+  });
+
+  test('should return null before the first run', () => {
+    expect(readRunReport(outputDir)).toBeNull();
+  });
+
+  test('should record per-endpoint sync results', () => {
+    recordSync(outputDir, summary, startedAt);
+
+    const report = JSON.parse(fs.readFileSync(path.join(outputDir, RUN_REPORT_FILE), 'utf8'));
+    expect(report).toMatchObject({
+      runId: 'run-1',
+      durationMs: 1200,
+      deploy: null,
+      sync: { startedAt: '2026-01-01T12:00:00.000Z', finishedAt: '2026-01-01T12:00:01.200Z', success: false, successful: 1, failed: 1 }
+    });
+    expect(report.endpoints).toEqual([
+      {
+        endpoint: 'account-specs',
+        success: true,
+        fetchMs: 340,
+        records: 2,
+        bytes: 2048,
+        contentHash: 'abc123',
+        files: ['account-specifications.js', 'account-specifications.json'],
+        durationMs: 900
+      },
+      { endpoint: 'payment-methods', success: false, error: 'API error (500): Internal server error', durationMs: 300 }
+    ]);
+  });
+
+  test('should add the deploy and purge results to the sync report', () => {
+    recordSync(outputDir, summary, startedAt);
+
+    const report = recordDeploy(outputDir, {
+      runId: 'run-1',
+      environment: 'production',
+      startedAt: new Date('2026-01-01T12:00:02.000Z'),
+      durationMs: 800,
+      results: {
+        success: false,
+        total: 2,
+        successful: 1,
+        failed: 1,
+        results: [
+          { success: true, fileName: 'account-specifications.js', url: 'https://cdn/account-specifications.js', size: 1024 },
+          { success: false, fileName: 'account-specifications.json', error: 'CDN deployment failed: 413' }
+        ],
+        purge: { success: true, total: 3, purged: 3, failed: 0, batches: [] }
+      }
+    });
+
+    expect(report.durationMs).toBe(2000);
+    expect(report.deploy).toMatchObject({
+      environment: 'production',
+      success: false,
+      successful: 1,
+      failed: 1,
+      purge: { success: true, total: 3, purged: 3, failed: 0 }
+    });
+    expect(report.deploy.files[1]).toEqual({
+      fileName: 'account-specifications.json',
+      endpoint: 'account-specs',
+      success: false,
+      error: 'CDN deployment failed: 413'
+    });
+    expect(report.endpoints[0].deploy).toEqual({ success: false, files: 2, failed: 1 });
+    expect(report.endpoints[1].deploy).toBeUndefined();
+    expect(readRunReport(outputDir)).toEqual(report);
+  });
+
+  test('should record a deploy that threw without an earlier sync report', () => {
+    const report = recordDeploy(outputDir, {
+      runId: 'run-2',
+      environment: 'development',
+      startedAt,
+      durationMs: 50,
+      error: 'Missing required Cloudflare configuration: apiToken'
+    });
+
+    expect(report).toMatchObject({
+      runId: 'run-2',
+      sync: null,
+      durationMs: 50,
+      deploy: { success: false, total: 0, error: 'Missing required Cloudflare configuration: apiToken', files: [] }
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { applyTransforms, getPath } = require('../src/reshaper');
+
+describe('applyTransforms', () => {
+  const apiData = {
+    data: [
+      { account: { specification: { display_name: 'Swap-Free', information: 'No swaps.', markets_offered: ['Forex'], max_leverage: 500, pips: 2.2 } } },
+      { account: { specification: { display_name: 'Standard', information: 'Low spreads.', markets_offered: ['Forex', 'ETFs'], max_leverage: 500, pips: 0.6 } } },
+      { account: { specification: { display_name: 'Zero', information: 'Raw spreads.', markets_offered: ['ETFs'], max_leverage: 100 } } }
+    ],
+    metadata: { timestamp: '2026-01-01T00:00:00.000Z' }
+  };
+
+  test('should return the data array without the API metadata', () => {
+    expect(applyTransforms(apiData, [])).toBe(apiData.data);
+  });
+
+  test('should not modify the API response', () => {
+    const before = JSON.stringify(apiData);
+
+    applyTransforms(apiData, [{ flatten: 'account.specification' }, { omit: 'information' }, { rename: { pips: 'spread' } }]);
+
+    expect(JSON.stringify(apiData)).toBe(before);
+  });
+
+  test('should flatten a nested object into the record', () => {
+    const [record] = applyTransforms({ data: [{ id: 1, account: { specification: { pips: 0.6 } } }] }, [
+      { flatten: 'account.specification' }
+    ]);
+
+    expect(record).toEqual({ id: 1, pips: 0.6 });
+  });
+
+  test('should pick fields by path', () => {
+    const [record] = applyTransforms(apiData, [{ pick: ['account.specification.display_name', 'account.specification.missing'] }]);
+
+    expect(record).toEqual({ account: { specification: { display_name: 'Swap-Free' } } });
+  });
+
+  test('should omit fields and drop emptied parents', () => {
+    const [record] = applyTransforms({ data: [{ id: 1, meta: { internal: true } }] }, [{ omit: ['meta.internal'] }]);
+
+    expect(record).toEqual({ id: 1 });
+  });
+
+  test('should rename keys, including into nested paths', () => {
+    const [record] = applyTransforms({ data: [{ display_name: 'Standard', pips: 0.6 }] }, [
+      { rename: { display_name: 'name', pips: 'spread.pips' } }
+    ]);
+
+    expect(record).toEqual({ name: 'Standard', spread: { pips: 0.6 } });
+  });
+
+  test('should filter records on every condition', () => {
+    const result = applyTransforms(apiData, [
+      { flatten: 'account.specification' },
+      { filter: [{ path: 'markets_offered', contains: 'Forex' }, { path: 'pips', lt: 1 }] }
+    ]);
+
+    expect(result.map(record => record.display_name)).toEqual(['Standard']);
+  });
+
+  test('should support every filter operator', () => {
+    const records = { data: [{ n: 1 }, { n: 2 }, { n: 3 }, {}] };
+    const names = (condition) => applyTransforms(records, [{ filter: { path: 'n', ...condition } }]).map(r => r.n);
+
+    expect(names({ equals: 2 })).toEqual([2]);
+    expect(names({ notEquals: 2 })).toEqual([1, 3, undefined]);
+    expect(names({ in: [1, 3] })).toEqual([1, 3]);
+    expect(names({ notIn: [1, 3] })).toEqual([2, undefined]);
+    expect(names({ gt: 1, lte: 3 })).toEqual([2, 3]);
+    expect(names({ gte: 2, lt: 3 })).toEqual([2]);
+    expect(names({ exists: false })).toEqual([undefined]);
+  });
+
+  test('should reject unknown filter operators', () => {
+    expect(() => applyTransforms(apiData, [{ filter: { path: 'x', matches: 'y' } }]))
+      .toThrow("Unknown filter operator 'matches'");
+  });
+
+  test('should sort records with missing values last', () => {
+    const flat = [{ flatten: 'account.specification' }];
+
+    expect(applyTransforms(apiData, [...flat, { sort: 'display_name' }]).map(r => r.display_name))
+      .toEqual(['Standard', 'Swap-Free', 'Zero']);
+    expect(applyTransforms(apiData, [...flat, { sort: { by: 'pips', order: 'desc' } }]).map(r => r.display_name))
+      .toEqual(['Swap-Free', 'Standard', 'Zero']);
+  });
+
+  test('should key records by a field', () => {
+    const result = applyTransforms(apiData, [{ flatten: 'account.specification' }, { pick: ['display_name', 'pips'] }, { keyBy: 'display_name' }]);
+
+    expect(result).toEqual({
+      'Swap-Free': { display_name: 'Swap-Free', pips: 2.2 },
+      Standard: { display_name: 'Standard', pips: 0.6 },
+      Zero: { display_name: 'Zero' }
+    });
+  });
+
+  test('should reject duplicate or missing keys', () => {
+    expect(() => applyTransforms({ data: [{ id: 1 }, { id: 1 }] }, [{ keyBy: 'id' }]))
+      .toThrow("keyBy: duplicate key '1' at 'id'");
+    expect(() => applyTransforms({ data: [{}] }, [{ keyBy: 'id' }]))
+      .toThrow("keyBy: record has no value at 'id'");
+  });
+
+  test('should reject steps after keyBy', () => {
+    expect(() => applyTransforms({ data: [{ id: 1 }] }, [{ keyBy: 'id' }, { sort: 'id' }]))
+      .toThrow("Transform 'sort' at index 1 needs an array of records");
+  });
+
+  test('should reject unknown or ambiguous steps', () => {
+    expect(() => applyTransforms(apiData, [{ group: 'id' }])).toThrow('Invalid transform at index 0');
+    expect(() => applyTransforms(apiData, [{ pick: ['a'], omit: ['b'] }])).toThrow('Invalid transform at index 0');
+  });
+});
+
+describe('getPath', () => {
+  test('should read nested values by dot path', () => {
+    expect(getPath({ a: { b: { c: 1 } } }, 'a.b.c')).toBe(1);
+    expect(getPath({ a: null }, 'a.b')).toBeUndefined();
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  withRetry
+} = require('../src/retry');
+
+describe('Retry Module', () => {
+  const policy = resolveRetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000, jitter: 0 });
+  const httpError = (status, headers = {}) => ({ response: { status, headers } });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveRetryPolicy', () => {
+    it('should fill missing fields from defaults', () => {
+      expect(resolveRetryPolicy({ maxAttempts: 5 })).toEqual({ ...DEFAULT_RETRY_POLICY, maxAttempts: 5 });
+      expect(resolveRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry configured HTTP statuses only', () => {
+      expect(isRetryableError(httpError(503), policy)).toBe(true);
+      expect(isRetryableError(httpError(429), policy)).toBe(true);
+      expect(isRetryableError(httpError(401), policy)).toBe(false);
+      expect(isRetryableError(httpError(404), policy)).toBe(false);
+    });
+
+    it('should retry transient network errors', () => {
+      expect(isRetryableError({ code: 'ECONNRESET' }, policy)).toBe(true);
+      expect(isRetryableError({ code: 'ECONNABORTED' }, policy)).toBe(true);
+      expect(isRetryableError({ code: 'ENOTFOUND' }, policy)).toBe(false);
+      expect(isRetryableError(new Error('Upload failed'), policy)).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delta seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+    });
+
+    it('should parse HTTP dates', () => {
+      const now = Date.parse('2025-06-17T10:00:00Z');
+      expect(parseRetryAfter('Tue, 17 Jun 2025 10:00:05 GMT', now)).toBe(5000);
+    });
+
+    it('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should back off exponentially up to the maximum', () => {
+      expect(getRetryDelay(1, policy)).toBe(100);
+      expect(getRetryDelay(2, policy)).toBe(200);
+      expect(getRetryDelay(3, policy)).toBe(400);
+      expect(getRetryDelay(10, policy)).toBe(1000);
+    });
+
+    it('should apply jitter', () => {
+      const jittered = resolveRetryPolicy({ baseDelayMs: 100, jitter: 0.5 });
+
+      expect(getRetryDelay(1, jittered, undefined, () => 0)).toBe(100);
+      expect(getRetryDelay(1, jittered, undefined, () => 1)).toBe(50);
+    });
+
+    it('should honor Retry-After on 429 and 503', () => {
+      expect(getRetryDelay(1, policy, httpError(429, { 'retry-after': '2' }))).toBe(2000);
+      expect(getRetryDelay(1, policy, httpError(503, { 'retry-after': '7' }))).toBe(7000);
+      expect(getRetryDelay(1, policy, httpError(500, { 'retry-after': '7' }))).toBe(100);
+    });
+
+    it('should cap Retry-After', () => {
+      const capped = resolveRetryPolicy({ maxRetryAfterMs: 5000 });
+
+      expect(getRetryDelay(1, capped, httpError(429, { 'retry-after': '3600' }))).toBe(5000);
+    });
+  });
+
+  describe('withRetry', () => {
+    const sleep = jest.fn().mockResolvedValue();
+
+    beforeEach(() => {
+      sleep.mockClear();
+    });
+
+    it('should return the first successful result', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce({ code: 'ETIMEDOUT', message: 'timeout' })
+        .mockResolvedValueOnce('ok');
+
+      await expect(withRetry(operation, policy, { sleep })).resolves.toBe('ok');
+      expect(operation).toHaveBeenCalledTimes(3);
+      expect(sleep).toHaveBeenNthCalledWith(1, 100);
+      expect(sleep).toHaveBeenNthCalledWith(2, 200);
+    });
+
+    it('should give up after maxAttempts', async () => {
+      const error = httpError(503);
+      const operation = jest.fn().mockRejectedValue(error);
+
+      await expect(withRetry(operation, { ...policy, maxAttempts: 2 }, { sleep })).rejects.toBe(error);
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry permanent failures', async () => {
+      const error = httpError(401);
+      const operation = jest.fn().mockRejectedValue(error);
+
+      await expect(withRetry(operation, policy, { sleep })).rejects.toBe(error);
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should log every attempt at debug level', async () => {
+      process.env.LOG_LEVEL = 'debug';
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(500))
+        .mockResolvedValueOnce('ok');
+
+      await withRetry(operation, policy, { sleep, label: 'GET /api/test' });
+      delete process.env.LOG_LEVEL;
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('🔁 GET /api/test: attempt 1/3'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('⏳ GET /api/test: attempt 1 failed (HTTP 500), retrying in 100ms'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('🔁 GET /api/test: attempt 2/3'));
+    });
+
+    it('should only log retries at the default level', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(500))
+        .mockResolvedValueOnce('ok');
+
+      await withRetry(operation, policy, { sleep, label: 'GET /api/test' });
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('⏳ GET /api/test: attempt 1 failed (HTTP 500), retrying in 100ms'));
+    });
+  });
+});
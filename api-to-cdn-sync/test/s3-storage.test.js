@@ -0,0 +1,143 @@
+const { createS3Storage, signRequest } = require('../src/s3-storage');
+const { createMockS3Server } = require('../mock-s3');
+
+describe('S3 Storage Module', () => {
+  describe('signRequest', () => {
+    // Test vectors from the AWS Signature Version 4 documentation
+    const credentials = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' };
+    const date = new Date('2015-08-30T12:36:00Z');
+
+    test('should sign a bare GET', () => {
+      const headers = signRequest({ method: 'GET', url: 'https://example.amazonaws.com/' }, credentials,
+        { region: 'us-east-1', service: 'service' }, date);
+
+      expect(headers['x-amz-date']).toBe('20150830T123600Z');
+      expect(headers.Authorization).toBe('AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+        'SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31');
+    });
+
+    test('should sign query parameters and extra headers', () => {
+      const headers = signRequest({
+        method: 'GET',
+        url: 'https://iam.amazonaws.com/?Action=ListUsers&Version=2010-05-08',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' }
+      }, credentials, { region: 'us-east-1', service: 'iam' }, date);
+
+      expect(headers.Authorization).toContain('SignedHeaders=content-type;host;x-amz-date, ' +
+        'Signature=5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7');
+    });
+  });
+
+  describe('against the S3 stand-in', () => {
+    let server;
+    let storage;
+
+    const configFor = (overrides = {}) => ({
+      retry: { maxAttempts: 1 },
+      storage: {
+        type: 's3',
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket: 'cdn',
+        accessKeyId: 'minioadmin',
+        secretAccessKey: 'minioadmin',
+        ...overrides
+      }
+    });
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      server = createMockS3Server({ buckets: ['cdn'] });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      storage = createS3Storage(configFor());
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+      jest.restoreAllMocks();
+    });
+
+    test('should put objects with their metadata as headers', async () => {
+      const result = await storage.put('releases/r1/account specs.js', 'export const data = [];', {
+        contentType: 'application/javascript; charset=utf-8',
+        cacheControl: 'public, max-age=3600',
+        endpoint: 'account-specs',
+        contentHash: 'abc123'
+      });
+
+      expect(result).toMatchObject({ success: true, key: 'releases/r1/account specs.js', size: 23 });
+      expect(server.buckets.get('cdn').get('releases/r1/account specs.js').headers).toEqual({
+        'content-type': 'application/javascript; charset=utf-8',
+        'cache-control': 'public, max-age=3600',
+        'x-amz-meta-endpoint': 'account-specs',
+        'x-amz-meta-content-hash': 'abc123'
+      });
+    });
+
+    test('should report the size of multibyte content in bytes', async () => {
+      const content = 'export const label = "Dépôt 💳";';
+      const result = await storage.put('label.js', content);
+
+      expect(result.size).toBe(Buffer.byteLength(content));
+      expect(result.size).toBeGreaterThan(content.length);
+      await expect(storage.head('label.js')).resolves.toMatchObject({ size: result.size });
+    });
+
+    test('should get text and binary values, and null for missing keys', async () => {
+      await storage.put('a.js.gz', Buffer.from([0x1f, 0x8b, 0x08, 0x00]), { contentEncoding: 'gzip' });
+      await storage.put('a.js', 'export default 1;');
+
+      await expect(storage.get('a.js')).resolves.toBe('export default 1;');
+      await expect(storage.get('a.js.gz', { binary: true })).resolves.toEqual(Buffer.from([0x1f, 0x8b, 0x08, 0x00]));
+      await expect(storage.get('missing.js')).resolves.toBeNull();
+    });
+
+    test('should head and delete objects', async () => {
+      await storage.put('a.json', '{}', { contentType: 'application/json', generatedAt: '2026-01-01T00:00:00.000Z' });
+
+      await expect(storage.head('a.json')).resolves.toEqual({
+        key: 'a.json',
+        size: 2,
+        etag: expect.any(String),
+        metadata: { contentType: 'application/json', generatedAt: '2026-01-01T00:00:00.000Z' }
+      });
+
+      await expect(storage.delete('a.json')).resolves.toEqual({ success: true, key: 'a.json' });
+      await expect(storage.head('a.json')).resolves.toBeNull();
+    });
+
+    test('should list keys by prefix', async () => {
+      for (const key of ['releases/r1/a.js', 'releases/r1/b.js', 'releases/r2/a.js', 'a.js']) {
+        await storage.put(key, key);
+      }
+
+      const listed = await storage.list('releases/r1/');
+      expect(listed).toEqual([
+        { key: 'releases/r1/a.js', size: 16, etag: expect.any(String) },
+        { key: 'releases/r1/b.js', size: 16, etag: expect.any(String) }
+      ]);
+      expect((await storage.list()).map(entry => entry.key)).toEqual(['a.js', 'releases/r1/a.js', 'releases/r1/b.js', 'releases/r2/a.js']);
+    });
+
+    test('should surface S3 error codes', async () => {
+      const wrongSecret = createS3Storage(configFor({ secretAccessKey: 'not-the-secret' }));
+      const missingBucket = createS3Storage(configFor({ bucket: 'nope' }));
+
+      await expect(wrongSecret.put('a.js', 'x')).rejects.toThrow('S3 error (403): SignatureDoesNotMatch');
+      await expect(missingBucket.list()).rejects.toThrow('S3 error (404): NoSuchBucket - The specified bucket does not exist');
+    });
+  });
+
+  test('should read credentials from the environment and require endpoint and bucket', () => {
+    process.env.S3_ACCESS_KEY_ID = 'key';
+    process.env.S3_SECRET_ACCESS_KEY = 'secret';
+
+    try {
+      expect(createS3Storage({ storage: { endpoint: 'http://localhost:9000', bucket: 'cdn' } }).description).toBe('s3:cdn');
+      expect(() => createS3Storage({ storage: { endpoint: 'http://localhost:9000' } }))
+        .toThrow('Missing required S3 configuration: endpoint, bucket, accessKeyId, secretAccessKey');
+    } finally {
+      delete process.env.S3_ACCESS_KEY_ID;
+      delete process.env.S3_SECRET_ACCESS_KEY;
+    }
+  });
+});
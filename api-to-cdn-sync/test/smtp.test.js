@@ -0,0 +1,141 @@
+const net = require('net');
+const { sendMail } = require('../src/smtp');
+
+describe('SMTP Module', () => {
+  let server;
+  let port;
+  let session;
+
+  // Scripted SMTP server: records every command and answers with `replies[verb]` when set
+  const startServer = (replies = {}) => new Promise((resolve) => {
+    session = { commands: [], message: '' };
+    server = net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 smtp.test ESMTP\r\n');
+
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 2.0.0 Ok: queued as 12345\r\n');
+            } else {
+              session.message += `${line}\n`;
+            }
+            continue;
+          }
+
+          session.commands.push(line);
+          const verb = line.split(' ')[0].toUpperCase();
+          if (replies[verb]) {
+            socket.write(`${replies[verb]}\r\n`);
+          } else if (verb === 'EHLO') {
+            socket.write('250-smtp.test\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+          } else if (verb === 'AUTH') {
+            socket.write('235 2.7.0 Authentication successful\r\n');
+          } else if (verb === 'DATA') {
+            inData = true;
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          } else if (verb === 'QUIT') {
+            socket.end('221 2.0.0 Bye\r\n');
+          } else {
+            socket.write('250 2.1.0 Ok\r\n');
+          }
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      resolve();
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const mail = (overrides = {}) => ({
+    host: '127.0.0.1',
+    port,
+    from: 'sync@example.test',
+    to: ['ops@example.test', 'dev@example.test'],
+    subject: '✅ [production] Sync succeeded',
+    text: 'Line one\n.leading dot',
+    timeoutMs: 2000,
+    ...overrides
+  });
+
+  // Subject as read by a mail client: folded lines joined, RFC 2047 encoded words decoded
+  const subjectOf = (message) => message.match(/^Subject: (.*(?:\n .*)*)$/m)[1]
+    .replace(/\n /g, '')
+    .replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (word, base64) => Buffer.from(base64, 'base64').toString('utf8'));
+
+  test('should authenticate and deliver a plain-text message', async () => {
+    await startServer();
+
+    const result = await sendMail(mail({ user: 'sync', password: 'secret', allowInsecureAuth: true }));
+
+    expect(result).toEqual({ accepted: ['ops@example.test', 'dev@example.test'], response: '250 2.0.0 Ok: queued as 12345' });
+    expect(session.commands).toEqual([
+      expect.stringMatching(/^EHLO /),
+      `AUTH PLAIN ${Buffer.from('\u0000sync\u0000secret').toString('base64')}`,
+      'MAIL FROM:<sync@example.test>',
+      'RCPT TO:<ops@example.test>',
+      'RCPT TO:<dev@example.test>',
+      'DATA',
+      'QUIT'
+    ]);
+    expect(session.message).toMatch(/^Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/m);
+    expect(subjectOf(session.message)).toBe('✅ [production] Sync succeeded');
+    expect(session.message).toContain('To: ops@example.test, dev@example.test\n');
+    expect(session.message).toContain('\nLine one\n..leading dot\n');
+  });
+
+  test('should keep the subject on one line and fold long encoded subjects', async () => {
+    await startServer();
+
+    await sendMail(mail({ subject: '❌ [production] Deploy failed: timeout\r\nBcc: attacker@example.test' }));
+    await sendMail(mail({ subject: 'Plain subject\nX-Injected: yes' }));
+
+    const [encoded, plain] = session.message.split('\n..leading dot\n');
+    expect(session.message).not.toMatch(/^(Bcc|X-Injected):/m);
+    expect(subjectOf(encoded)).toBe('❌ [production] Deploy failed: timeout Bcc: attacker@example.test');
+    expect(encoded.split('\n').every(line => line.length < 76)).toBe(true);
+    expect(plain).toContain('Subject: Plain subject X-Injected: yes\n');
+  });
+
+  test('should not send credentials without TLS unless allowed', async () => {
+    await startServer();
+
+    await expect(sendMail(mail({ user: 'sync', password: 'secret' })))
+      .rejects.toThrow('SMTP server 127.0.0.1 offers no TLS; not sending credentials in cleartext');
+    expect(session.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+  });
+
+  test('should skip AUTH without a user', async () => {
+    await startServer();
+
+    await sendMail(mail());
+
+    expect(session.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+  });
+
+  test('should reject with the server reply and hide credentials', async () => {
+    await startServer({ AUTH: '535 5.7.8 Authentication credentials invalid' });
+
+    await expect(sendMail(mail({ user: 'sync', password: 'secret', allowInsecureAuth: true })))
+      .rejects.toThrow('SMTP AUTH failed: 535 5.7.8 Authentication credentials invalid');
+  });
+
+  test('should reject refused recipients', async () => {
+    await startServer({ RCPT: '550 5.1.1 Mailbox unavailable' });
+
+    await expect(sendMail(mail())).rejects.toThrow('SMTP RCPT TO:<ops@example.test> failed: 550 5.1.1 Mailbox unavailable');
+  });
+});
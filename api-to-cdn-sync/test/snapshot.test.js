@@ -0,0 +1,96 @@
+const { createFileSnapshotStore, createKVSnapshotStore, createSnapshotStore, KV_SNAPSHOT_PREFIX } = require('../src/snapshot');
+const { createKVStateStore } = require('../src/state');
+const { createStorage } = require('../src/storage');
+const { privateStorageConfig } = require('../src/deployment-config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Snapshot Module', () => {
+  const snapshot = {
+    endpoint: 'account-specs',
+    savedAt: '2026-01-01T00:00:00.000Z',
+    contentHash: 'hash-a',
+    records: 1,
+    data: { data: [{ id: 1 }] }
+  };
+
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createFileSnapshotStore', () => {
+    it('should return null when the endpoint has no snapshot', async () => {
+      await expect(createFileSnapshotStore(tmpDir).load('account-specs')).resolves.toBeNull();
+    });
+
+    it('should round-trip snapshots per endpoint', async () => {
+      const store = createFileSnapshotStore(path.join(tmpDir, 'nested'));
+
+      await store.save(snapshot);
+      await store.save({ ...snapshot, endpoint: 'rates', data: { data: [] } });
+
+      await expect(store.load('account-specs')).resolves.toEqual(snapshot);
+      await expect(store.load('rates')).resolves.toMatchObject({ endpoint: 'rates', data: { data: [] } });
+      expect(fs.readdirSync(path.join(tmpDir, 'nested')).sort()).toEqual(['account-specs.json', 'rates.json']);
+    });
+  });
+
+  describe('createKVSnapshotStore', () => {
+    it('should keep snapshots under the snapshot prefix of the target storage', async () => {
+      const store = createKVSnapshotStore({ storage: { type: 'local', directory: tmpDir } });
+
+      await expect(store.load('account-specs')).resolves.toBeNull();
+      await store.save(snapshot);
+
+      await expect(store.load('account-specs')).resolves.toEqual(snapshot);
+      expect(fs.existsSync(path.join(tmpDir, KV_SNAPSHOT_PREFIX, 'account-specs.json'))).toBe(true);
+      expect(store.description).toBe(`local:${KV_SNAPSHOT_PREFIX}`);
+    });
+  });
+
+  describe('private storage', () => {
+    it('should keep KV snapshots and deploy state out of the published keys', async () => {
+      const published = { storage: { type: 'local', directory: path.join(tmpDir, 'cdn') } };
+      const config = { ...published, privateStorage: { type: 'local', directory: path.join(tmpDir, 'sync') } };
+      const privateConfig = privateStorageConfig(config);
+
+      await createStorage(published).put('account-specifications.js', 'export const accountSpecs = {};');
+      await createKVSnapshotStore(privateConfig).save(snapshot);
+      await createKVStateStore(privateConfig).save({ files: {} });
+
+      const publishedKeys = (await createStorage(published).list()).map(entry => entry.key);
+      expect(publishedKeys).toEqual(['account-specifications.js']);
+      expect(publishedKeys.some(key => key.startsWith(KV_SNAPSHOT_PREFIX))).toBe(false);
+      await expect(createKVSnapshotStore(privateConfig).load('account-specs')).resolves.toEqual(snapshot);
+    });
+  });
+
+  describe('createSnapshotStore', () => {
+    it('should keep file snapshots in the output directory by default', async () => {
+      const store = createSnapshotStore({ store: 'file' }, { outputDir: tmpDir });
+      await store.save(snapshot);
+
+      expect(store.description).toBe(path.join(tmpDir, '.snapshots'));
+      expect(fs.existsSync(path.join(tmpDir, '.snapshots', 'account-specs.json'))).toBe(true);
+    });
+
+    it('should resolve a configured directory against the output directory', () => {
+      expect(createSnapshotStore({ store: 'file', directory: 'lkg' }, { outputDir: tmpDir }).description)
+        .toBe(path.join(tmpDir, 'lkg'));
+      expect(createSnapshotStore({ directory: '/var/lib/sync' }, { outputDir: tmpDir }).description)
+        .toBe('/var/lib/sync');
+    });
+
+    it('should reject unknown stores', () => {
+      expect(() => createSnapshotStore({ store: 'redis' }))
+        .toThrow("Unknown snapshot store 'redis' (expected one of: file, kv)");
+    });
+  });
+});
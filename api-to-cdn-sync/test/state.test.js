@@ -0,0 +1,114 @@
+const { createFileStateStore, createKVStateStore, detectChanges, KV_STATE_KEY } = require('../src/state');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+
+describe('State Module', () => {
+  describe('detectChanges', () => {
+    const state = {
+      files: {
+        'a.js': { contentHash: 'hash-a' },
+        'b.js': { contentHash: 'hash-b' }
+      }
+    };
+
+    it('should classify files as new, updated or unchanged', () => {
+      const changes = detectChanges([
+        { fileName: 'a.js', contentHash: 'hash-a' },
+        { fileName: 'b.js', contentHash: 'hash-b2' },
+        { fileName: 'c.js', contentHash: 'hash-c' }
+      ], state);
+
+      expect(changes).toEqual({ new: ['c.js'], updated: ['b.js'], unchanged: ['a.js'] });
+    });
+
+    it('should treat files whose deployed bytes or upload settings differ as updated', () => {
+      const deployed = { files: { 'a.js': { contentHash: 'hash-a', deployHash: 'deploy-a' } } };
+
+      expect(detectChanges([{ fileName: 'a.js', contentHash: 'hash-a', deployHash: 'deploy-a' }], deployed).unchanged).toEqual(['a.js']);
+      expect(detectChanges([{ fileName: 'a.js', contentHash: 'hash-a', deployHash: 'deploy-a2' }], deployed).updated).toEqual(['a.js']);
+    });
+
+    it('should treat files without a known hash as updated', () => {
+      const changes = detectChanges([{ fileName: 'a.js' }], state);
+
+      expect(changes.updated).toEqual(['a.js']);
+    });
+  });
+
+  describe('createFileStateStore', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-state-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('should return empty state when no file exists', async () => {
+      const store = createFileStateStore(path.join(tmpDir, 'development.json'));
+
+      await expect(store.load()).resolves.toEqual({ files: {} });
+    });
+
+    it('should round-trip saved state', async () => {
+      const store = createFileStateStore(path.join(tmpDir, 'nested', 'development.json'));
+      const state = { files: { 'a.js': { contentHash: 'hash-a', deployedAt: '2025-06-17T10:00:00.000Z' } } };
+
+      await store.save(state);
+
+      await expect(store.load()).resolves.toEqual(state);
+    });
+  });
+
+  describe('createKVStateStore', () => {
+    const config = {
+      apiToken: 'test-token',
+      accountId: 'test-account',
+      namespaceId: 'test-namespace'
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return empty state when the key does not exist', async () => {
+      axios.get.mockResolvedValue({ status: 404, data: '' });
+
+      await expect(createKVStateStore(config).load()).resolves.toEqual({ files: {} });
+      expect(axios.get.mock.calls[0][0]).toContain(`/values/${encodeURIComponent(KV_STATE_KEY)}`);
+    });
+
+    it('should parse stored state', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: JSON.stringify({ files: { 'a.js': { contentHash: 'hash-a' } } })
+      });
+
+      await expect(createKVStateStore(config).load())
+        .resolves.toEqual({ files: { 'a.js': { contentHash: 'hash-a' } } });
+    });
+
+    it('should write state to the state key', async () => {
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      await createKVStateStore(config).save({ files: {} });
+
+      expect(axios.put).toHaveBeenCalledWith(
+        expect.stringContaining(`/values/${encodeURIComponent(KV_STATE_KEY)}`),
+        '{"files":{}}',
+        expect.any(Object)
+      );
+    });
+  });
+});
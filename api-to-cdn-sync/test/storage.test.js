@@ -0,0 +1,82 @@
+const { STORAGE_TYPES, storageType, createStorage, validateStorage } = require('../src/storage');
+const { listKVKeys, readKVMetadata } = require('../src/kv-storage');
+const axios = require('axios');
+
+jest.mock('axios');
+
+describe('Storage Module', () => {
+  const kvConfig = { apiToken: 'test-token', accountId: 'test-account', namespaceId: 'test-namespace', retry: { maxAttempts: 1 } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createStorage', () => {
+    test('should default to Workers KV', () => {
+      expect(STORAGE_TYPES).toEqual(['kv', 's3', 'local']);
+      expect(storageType(kvConfig)).toBe('kv');
+      expect(createStorage(kvConfig)).toMatchObject({ type: 'kv', description: 'kv:test-namespace' });
+    });
+
+    test('should select the backend from the storage settings', () => {
+      expect(createStorage({ storage: { type: 'local', directory: '/srv/cdn' } }).type).toBe('local');
+      expect(createStorage({
+        storage: { type: 's3', endpoint: 'http://localhost:9000', bucket: 'cdn', accessKeyId: 'a', secretAccessKey: 'b' }
+      }).type).toBe('s3');
+    });
+
+    test('should reject unknown types', () => {
+      expect(() => createStorage({ storage: { type: 'ftp' } })).toThrow("Unknown storage type 'ftp' (expected one of: kv, s3, local)");
+    });
+
+    test('should route KV reads and writes through the Cloudflare API', async () => {
+      axios.put.mockResolvedValue({ status: 200, data: { success: true } });
+      axios.get.mockResolvedValue({ status: 200, data: 'stored' });
+
+      const storage = createStorage(kvConfig);
+      await storage.put('a.js', 'export default 1;');
+
+      expect(axios.put.mock.calls[0][0]).toBe(
+        'https://api.cloudflare.com/client/v4/accounts/test-account/storage/kv/namespaces/test-namespace/values/a.js');
+      await expect(storage.get('a.js')).resolves.toBe('stored');
+    });
+  });
+
+  describe('validateStorage', () => {
+    test('should report missing settings', () => {
+      expect(validateStorage({ storage: { type: 'local', directory: '/srv/cdn' } })).toEqual([]);
+      expect(validateStorage({ storage: { type: 'local' } })).toEqual(['Missing required local storage configuration: directory']);
+      expect(validateStorage({})).toEqual(['Missing required Cloudflare configuration: apiToken, accountId, namespaceId']);
+    });
+  });
+
+  describe('KV list and head', () => {
+    test('should follow the cursor across pages', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { success: true, result: [{ name: 'releases/r1/a.js', metadata: { endpoint: 'a' } }], result_info: { cursor: 'c1' } } })
+        .mockResolvedValueOnce({ data: { success: true, result: [{ name: 'releases/r1/b.js' }], result_info: { cursor: '' } } });
+
+      await expect(listKVKeys(kvConfig, 'releases/r1/')).resolves.toEqual([
+        { key: 'releases/r1/a.js', metadata: { endpoint: 'a' } },
+        { key: 'releases/r1/b.js', metadata: {} }
+      ]);
+      expect(axios.get.mock.calls[0][0]).toMatch(/\/keys\?limit=1000&prefix=releases%2Fr1%2F$/);
+      expect(axios.get.mock.calls[1][0]).toMatch(/&cursor=c1$/);
+    });
+
+    test('should read metadata, or null for missing keys', async () => {
+      axios.get
+        .mockResolvedValueOnce({ status: 200, data: { success: true, result: { contentType: 'application/json' } } })
+        .mockResolvedValueOnce({ status: 404, data: {} });
+
+      await expect(readKVMetadata(kvConfig, 'a.json')).resolves.toEqual({ key: 'a.json', metadata: { contentType: 'application/json' } });
+      expect(axios.get.mock.calls[0][0]).toContain('/namespaces/test-namespace/metadata/a.json');
+      await expect(readKVMetadata(kvConfig, 'missing.json')).resolves.toBeNull();
+    });
+  });
+});
@@ -1,6 +1,16 @@
-const { transformToJS, saveToFile } = require('../src/transformer');
+const {
+  transformToJS,
+  transformToCommonJS,
+  transformToUMD,
+  transformToJSON,
+  transformToTypeDeclarations,
+  generateOutputs,
+  outputFileFor,
+  saveToFile
+} = require('../src/transformer');
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 
 describe('transformToJS', () => {
   test('should convert JSON to ES6 module format', () => {
@@ -40,6 +50,24 @@ describe('transformToJS', () => {
     expect(result).toContain('version: "1.0.0"');
   });
 
+  test('should include the payload content hash in metadata', () => {
+    const inputData = { data: [{ id: 1 }] };
+    const config = { name: 'test-endpoint' };
+
+    expect(transformToJS(inputData, config, { contentHash: 'abc123' }))
+      .toContain('contentHash: "abc123"');
+    expect(transformToJS(inputData, config)).toMatch(/contentHash: "[a-f0-9]{64}"/);
+  });
+
+  test('should mark republished snapshots as stale in metadata', () => {
+    const inputData = { data: [{ id: 1 }] };
+    const config = { name: 'test-endpoint' };
+
+    expect(transformToJS(inputData, config, { stale: true })).toContain('stale: true');
+    expect(transformToJS(inputData, config, { stale: true, minify: true })).toContain('"stale":true');
+    expect(transformToJS(inputData, config)).not.toContain('stale');
+  });
+
   test('should include usage example in output', () => {
     const inputData = { data: [] };
     const config = { name: 'account-specs' };
@@ -51,6 +79,134 @@ describe('transformToJS', () => {
   });
 });
 
+describe('output formats', () => {
+  const inputData = {
+    data: [
+      { account: { specification: { display_name: 'Standard', pips: 0.6 } } },
+      { account: { specification: { display_name: 'Swap-Free', swap_free: true } } }
+    ]
+  };
+  const config = { name: 'account-specs', outputFile: 'account-specifications.js' };
+
+  test('should emit a loadable CommonJS module', () => {
+    const result = transformToCommonJS(inputData, config);
+    const module = { exports: {} };
+
+    vm.runInNewContext(result, { module });
+
+    expect(module.exports.accountSpecs).toEqual(inputData);
+    expect(module.exports.metadata.source).toBe('account-specs');
+  });
+
+  test('should emit a UMD bundle exposing the configured global', () => {
+    const result = transformToUMD(inputData, { ...config, globalName: 'AccountSpecs' });
+    const sandbox = { self: {} };
+
+    vm.runInNewContext(result, sandbox);
+
+    expect(sandbox.self.AccountSpecs.accountSpecs).toEqual(inputData);
+    expect(sandbox.self.AccountSpecs.metadata.generator).toBe('api-to-cdn-sync');
+  });
+
+  test('should derive the UMD global name from the endpoint name', () => {
+    expect(transformToUMD(inputData, config)).toContain('root.AccountSpecs = factory();');
+  });
+
+  test('should emit raw JSON', () => {
+    expect(JSON.parse(transformToJSON(inputData))).toEqual(inputData);
+  });
+
+  test('should infer TypeScript declarations from the payload', () => {
+    const result = transformToTypeDeclarations(inputData, config);
+
+    expect(result).toContain('export declare const accountSpecs: AccountSpecs;');
+    expect(result).toContain([
+      'export type AccountSpecs = {',
+      '  data: {',
+      '    account: {',
+      '      specification: {',
+      '        display_name: string;',
+      '        pips?: number;',
+      '        swap_free?: boolean;',
+      '      };',
+      '    };',
+      '  }[];',
+      '};'
+    ].join('\n'));
+    expect(result).toContain('contentHash: string;');
+  });
+
+  test('should infer unions, empty arrays and quoted keys', () => {
+    const result = transformToTypeDeclarations({ values: [1, 'a'], empty: [], 'max-leverage': null }, config);
+
+    expect(result).toContain('values: (number | string)[];');
+    expect(result).toContain('empty: unknown[];');
+    expect(result).toContain('"max-leverage": null;');
+  });
+
+  test('should name output files per format', () => {
+    expect(['esm', 'cjs', 'umd', 'json', 'dts'].map(format => outputFileFor(config, format))).toEqual([
+      'account-specifications.js',
+      'account-specifications.cjs',
+      'account-specifications.umd.js',
+      'account-specifications.json',
+      'account-specifications.d.ts'
+    ]);
+  });
+
+  test('should generate every configured format with shared metadata', () => {
+    const outputs = generateOutputs(inputData, { ...config, formats: ['esm', 'cjs', 'umd'] });
+    const timestamps = outputs.map(output => output.content.match(/Generated on (\S+)/)[1]);
+
+    expect(outputs.map(output => output.fileName))
+      .toEqual(['account-specifications.js', 'account-specifications.cjs', 'account-specifications.umd.js']);
+    expect(new Set(timestamps).size).toBe(1);
+  });
+
+  test('should default to ESM only', () => {
+    expect(generateOutputs(inputData, config).map(output => output.format)).toEqual(['esm']);
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => generateOutputs(inputData, { ...config, formats: ['amd'] }))
+      .toThrow("Unknown output format 'amd' for account-specs");
+  });
+});
+
+describe('minified output', () => {
+  const inputData = [{ display_name: 'Standard', pips: 0.6 }];
+  const config = { name: 'account-specs', outputFile: 'account-specifications.js', globalName: 'AccountSpecs' };
+  const options = { minify: true, timestamp: '2026-01-01T00:00:00.000Z' };
+
+  test('should drop indentation and comment banners', () => {
+    const [esm, cjs, umd, json] = generateOutputs(inputData, { ...config, formats: ['esm', 'cjs', 'umd', 'json'] }, options)
+      .map(output => output.content);
+
+    for (const content of [esm, cjs, umd, json]) {
+      expect(content).not.toContain('\n  ');
+      expect(content).not.toContain('//');
+    }
+    expect(esm).toMatch(/^export const accountSpecs=\[\{"display_name":"Standard","pips":0.6\}\];export const metadata=\{/);
+    expect(json).toBe('[{"display_name":"Standard","pips":0.6}]');
+  });
+
+  test('should stay loadable as CommonJS and UMD', () => {
+    const module = { exports: {} };
+    vm.runInNewContext(transformToCommonJS(inputData, config, options), { module });
+    expect(module.exports.accountSpecs).toEqual(inputData);
+    expect(module.exports.metadata.timestamp).toBe('2026-01-01T00:00:00.000Z');
+
+    const sandbox = { self: {} };
+    vm.runInNewContext(transformToUMD(inputData, config, options), sandbox);
+    expect(sandbox.self.AccountSpecs.accountSpecs).toEqual(inputData);
+  });
+
+  test('should keep type declarations readable', () => {
+    expect(transformToTypeDeclarations(inputData, config, options))
+      .toBe(transformToTypeDeclarations(inputData, config, { ...options, minify: false }));
+  });
+});
+
 describe('saveToFile', () => {
   const testOutputDir = '/tmp/test-output';
   const testFile = path.join(testOutputDir, 'test-file.js');
@@ -0,0 +1,192 @@
+const { validateSchema, loadSchema, checkGuardrails, formatErrors } = require('../src/validator');
+const path = require('path');
+
+describe('validateSchema', () => {
+  test('should accept valid data', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } }
+    };
+
+    expect(validateSchema({ name: 'Standard', tags: ['Forex'] }, schema)).toEqual([]);
+  });
+
+  test('should report type errors with their path', () => {
+    const schema = {
+      type: 'object',
+      properties: { data: { type: 'array', items: { type: 'object', properties: { pips: { type: 'number' } } } } }
+    };
+
+    expect(validateSchema({ data: [{ pips: 1 }, { pips: '0.6' }] }, schema)).toEqual([
+      { path: '$.data[1].pips', message: 'must be number (got string)' }
+    ]);
+  });
+
+  test('should report missing required properties', () => {
+    const schema = { type: 'object', required: ['display_name', 'max-leverage'] };
+
+    expect(validateSchema({}, schema)).toEqual([
+      { path: '$.display_name', message: 'is required' },
+      { path: '$["max-leverage"]', message: 'is required' }
+    ]);
+  });
+
+  test('should distinguish integer from number', () => {
+    expect(validateSchema(1.5, { type: 'integer' })).toHaveLength(1);
+    expect(validateSchema(2, { type: 'integer' })).toEqual([]);
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+  });
+
+  test('should validate enum and const with deep equality', () => {
+    expect(validateSchema({ a: 1 }, { enum: [{ a: 1 }, 'x'] })).toEqual([]);
+    expect(validateSchema('y', { enum: ['x'] })[0].message).toBe('must be one of "x"');
+    expect(validateSchema(2, { const: 1 })[0].message).toBe('must equal 1');
+  });
+
+  test('should validate string keywords', () => {
+    const schema = { type: 'string', minLength: 2, maxLength: 4, pattern: '^[A-Z]' };
+
+    expect(validateSchema('Ab', schema)).toEqual([]);
+    expect(validateSchema('a', schema).map(e => e.message)).toEqual([
+      'must be at least 2 characters',
+      'must match pattern ^[A-Z]'
+    ]);
+  });
+
+  test('should validate number keywords', () => {
+    const schema = { type: 'number', minimum: 0, maximum: 10, exclusiveMaximum: 10, multipleOf: 0.5 };
+
+    expect(validateSchema(2.5, schema)).toEqual([]);
+    expect(validateSchema(-1, schema)[0].message).toBe('must be >= 0');
+    expect(validateSchema(10, schema)[0].message).toBe('must be < 10');
+    expect(validateSchema(0.3, schema)[0].message).toBe('must be a multiple of 0.5');
+  });
+
+  test('should validate array keywords', () => {
+    const schema = { type: 'array', minItems: 1, maxItems: 3, uniqueItems: true };
+
+    expect(validateSchema([], schema)[0].message).toBe('must have at least 1 items (got 0)');
+    expect(validateSchema([1, 2, 3, 4], schema)[0].message).toBe('must have at most 3 items (got 4)');
+    expect(validateSchema(['a', 'a'], schema)).toEqual([{ path: '$[1]', message: 'must be unique' }]);
+  });
+
+  test('should apply prefixItems before items', () => {
+    const schema = { type: 'array', prefixItems: [{ type: 'string' }], items: { type: 'number' } };
+
+    expect(validateSchema(['a', 1, 2], schema)).toEqual([]);
+    expect(validateSchema([1, 'b'], schema).map(e => e.path)).toEqual(['$[0]', '$[1]']);
+  });
+
+  test('should validate contains', () => {
+    const schema = { type: 'array', contains: { const: 'Forex' } };
+
+    expect(validateSchema(['ETFs', 'Forex'], schema)).toEqual([]);
+    expect(validateSchema(['ETFs'], schema)[0].message).toBe('must contain at least 1 matching item(s)');
+  });
+
+  test('should validate additional and pattern properties', () => {
+    const schema = {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      patternProperties: { '^x-': { type: 'string' } },
+      additionalProperties: false
+    };
+
+    expect(validateSchema({ name: 'a', 'x-id': 'b' }, schema)).toEqual([]);
+    expect(validateSchema({ name: 'a', extra: 1 }, schema)).toEqual([
+      { path: '$.extra', message: 'is not an allowed property' }
+    ]);
+  });
+
+  test('should validate combinators', () => {
+    expect(validateSchema(5, { anyOf: [{ type: 'string' }, { minimum: 10 }] })[0].message)
+      .toBe('must match at least one schema in anyOf');
+    expect(validateSchema(5, { oneOf: [{ type: 'number' }, { minimum: 1 }] })[0].message)
+      .toBe('must match exactly one schema in oneOf (matched 2)');
+    expect(validateSchema('a', { not: { type: 'string' } })[0].message)
+      .toBe('must not match the schema in not');
+    expect(validateSchema(5, { allOf: [{ type: 'number' }, { maximum: 3 }] })[0].message)
+      .toBe('must be <= 3');
+  });
+
+  test('should validate if/then/else', () => {
+    const schema = {
+      if: { properties: { type: { const: 'swap-free' } } },
+      then: { required: ['swap_fee'] },
+      else: { required: ['spread'] }
+    };
+
+    expect(validateSchema({ type: 'swap-free' }, schema)).toEqual([{ path: '$.swap_fee', message: 'is required' }]);
+    expect(validateSchema({ type: 'standard' }, schema)).toEqual([{ path: '$.spread', message: 'is required' }]);
+  });
+
+  test('should resolve local $defs references', () => {
+    const schema = {
+      type: 'array',
+      items: { $ref: '#/$defs/record' },
+      $defs: { record: { type: 'object', required: ['id'] } }
+    };
+
+    expect(validateSchema([{ id: 1 }, {}], schema)).toEqual([{ path: '$[1].id', message: 'is required' }]);
+  });
+
+  test('should reject unsupported remote references', () => {
+    expect(() => validateSchema({}, { $ref: 'https://example.com/schema.json' }))
+      .toThrow("Unsupported $ref 'https://example.com/schema.json'");
+  });
+
+  test('should support boolean schemas', () => {
+    expect(validateSchema({ a: 1 }, { properties: { a: false } })).toEqual([{ path: '$.a', message: 'is not allowed' }]);
+    expect(validateSchema('anything', true)).toEqual([]);
+  });
+
+  test('should accept the mock API payload with the account-specs schema', () => {
+    const schema = loadSchema('schemas/account-specs.schema.json', path.join(__dirname, '../src'));
+    const payload = require('../mock-api/data/account-specs.json');
+
+    expect(validateSchema(payload, schema)).toEqual([]);
+    expect(validateSchema({ data: [{ account: { specification: { display_name: '' } } }] }, schema).map(e => e.path))
+      .toEqual([
+        '$.data[0].account.specification.markets_offered',
+        '$.data[0].account.specification.max_leverage',
+        '$.data[0].account.specification.display_name'
+      ]);
+  });
+});
+
+describe('loadSchema', () => {
+  test('should report missing schema files', () => {
+    expect(() => loadSchema('schemas/missing.json', __dirname)).toThrow('Schema not found');
+  });
+});
+
+describe('checkGuardrails', () => {
+  test('should enforce a minimum record count', () => {
+    expect(checkGuardrails(0, { minRecords: 1 })).toEqual([
+      { path: '$.data', message: 'has 0 records, minimum is 1' }
+    ]);
+    expect(checkGuardrails(1, { minRecords: 1 })).toEqual([]);
+  });
+
+  test('should enforce a maximum shrink against the previous sync', () => {
+    expect(checkGuardrails(4, { maxShrinkPercent: 50 }, 10)).toEqual([
+      { path: '$.data', message: 'shrank by 60.0% (10 → 4), maximum is 50%' }
+    ]);
+    expect(checkGuardrails(5, { maxShrinkPercent: 50 }, 10)).toEqual([]);
+    expect(checkGuardrails(20, { maxShrinkPercent: 50 }, 10)).toEqual([]);
+  });
+
+  test('should skip the shrink check without a previous count', () => {
+    expect(checkGuardrails(1, { maxShrinkPercent: 10 })).toEqual([]);
+  });
+});
+
+describe('formatErrors', () => {
+  test('should print one line per error', () => {
+    expect(formatErrors([
+      { path: '$.data', message: 'is required' },
+      { path: '$.metadata', message: 'must be object (got string)' }
+    ])).toBe('  - $.data: is required\n  - $.metadata: must be object (got string)');
+  });
+});
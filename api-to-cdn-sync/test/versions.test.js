@@ -0,0 +1,94 @@
+const {
+  computeFileVersion,
+  versionedKey,
+  recordVersion,
+  findRollbackTarget
+} = require('../src/versions');
+
+describe('Versions Module', () => {
+  const entry = (version) => ({
+    version,
+    key: versionedKey('account-specifications.js', version),
+    size: 100,
+    contentHash: `payload-${version}`,
+    deployedAt: '2025-06-17T10:00:00.000Z'
+  });
+
+  describe('computeFileVersion', () => {
+    it('should be a short content hash', () => {
+      expect(computeFileVersion('export const a = 1;')).toMatch(/^[a-f0-9]{12}$/);
+      expect(computeFileVersion('a')).toBe(computeFileVersion('a'));
+      expect(computeFileVersion('a')).not.toBe(computeFileVersion('b'));
+    });
+  });
+
+  describe('versionedKey', () => {
+    it('should insert the version before the extension', () => {
+      expect(versionedKey('account-specifications.js', 'abc123')).toBe('account-specifications.abc123.js');
+      expect(versionedKey('data.min.json', 'abc123')).toBe('data.min.abc123.json');
+      expect(versionedKey('LICENSE', 'abc123')).toBe('LICENSE.abc123');
+    });
+  });
+
+  describe('recordVersion', () => {
+    it('should add versions newest first and move latest', () => {
+      const manifest = { files: {} };
+
+      recordVersion(manifest, 'account-specifications.js', entry('v1'));
+      recordVersion(manifest, 'account-specifications.js', entry('v2'));
+
+      expect(manifest.files['account-specifications.js'].latest).toBe('v2');
+      expect(manifest.files['account-specifications.js'].versions.map(v => v.version)).toEqual(['v2', 'v1']);
+    });
+
+    it('should not duplicate a redeployed version', () => {
+      const manifest = { files: {} };
+
+      recordVersion(manifest, 'account-specifications.js', entry('v1'));
+      recordVersion(manifest, 'account-specifications.js', entry('v2'));
+      recordVersion(manifest, 'account-specifications.js', entry('v1'));
+
+      expect(manifest.files['account-specifications.js'].versions.map(v => v.version)).toEqual(['v1', 'v2']);
+    });
+
+    it('should return versions pruned beyond maxVersions', () => {
+      const manifest = { files: {} };
+
+      recordVersion(manifest, 'account-specifications.js', entry('v1'), 2);
+      recordVersion(manifest, 'account-specifications.js', entry('v2'), 2);
+      const pruned = recordVersion(manifest, 'account-specifications.js', entry('v3'), 2);
+
+      expect(pruned.map(v => v.key)).toEqual(['account-specifications.v1.js']);
+      expect(manifest.files['account-specifications.js'].versions).toHaveLength(2);
+    });
+  });
+
+  describe('findRollbackTarget', () => {
+    const manifest = {
+      files: {
+        'account-specifications.js': { latest: 'v2', versions: [entry('v3'), entry('v2'), entry('v1')] }
+      }
+    };
+
+    it('should default to the version before latest', () => {
+      expect(findRollbackTarget(manifest, 'account-specifications.js').version).toBe('v1');
+    });
+
+    it('should find an explicit version by id or key', () => {
+      expect(findRollbackTarget(manifest, 'account-specifications.js', 'v3').version).toBe('v3');
+      expect(findRollbackTarget(manifest, 'account-specifications.js', 'account-specifications.v1.js').version).toBe('v1');
+    });
+
+    it('should reject unknown files and versions', () => {
+      expect(() => findRollbackTarget(manifest, 'other.js')).toThrow('No versions recorded for other.js');
+      expect(() => findRollbackTarget(manifest, 'account-specifications.js', 'v9'))
+        .toThrow('Version v9 not found for account-specifications.js');
+    });
+
+    it('should fail when there is nothing older than latest', () => {
+      const single = { files: { 'a.js': { latest: 'v1', versions: [entry('v1')] } } };
+
+      expect(() => findRollbackTarget(single, 'a.js')).toThrow('No version older than v1 recorded for a.js');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const { signPayload, verifySignature, resolveEndpoint, runEndpointPipeline, createWebhookServer } = require('../src/webhook-server');
+const { main } = require('../src/main');
+const { deployOutputFiles } = require('../src/deploy');
+
+jest.mock('../src/main');
+jest.mock('../src/deploy');
+
+const secret = 'webhook-secret';
+const config = {
+  endpoints: [
+    { name: 'account-specs', path: '/api/account-specs', outputFile: 'account-specifications.js' },
+    { name: 'payment-methods', path: '/api/payment-methods', outputFile: 'payment-methods.js' }
+  ]
+};
+
+const signedHeaders = (body, timestamp = Math.floor(Date.now() / 1000)) => ({
+  'content-type': 'application/json',
+  'x-sync-timestamp': String(timestamp),
+  'x-sync-signature': signPayload(secret, timestamp, body)
+});
+
+describe('verifySignature', () => {
+  const body = Buffer.from('{"endpoint":"account-specs"}');
+  const now = 1767225600000;
+
+  test('should accept a valid signature within the tolerance', () => {
+    expect(verifySignature(secret, signedHeaders(body, now / 1000 - 60), body, { now })).toBeNull();
+  });
+
+  test('should reject tampered bodies and wrong secrets', () => {
+    const headers = signedHeaders(body, now / 1000);
+
+    expect(verifySignature(secret, headers, Buffer.from('{"endpoint":"payment-methods"}'), { now })).toBe('Invalid signature');
+    expect(verifySignature('other-secret', headers, body, { now })).toBe('Invalid signature');
+  });
+
+  test('should reject stale timestamps and missing headers', () => {
+    expect(verifySignature(secret, signedHeaders(body, now / 1000 - 301), body, { now }))
+      .toBe('Timestamp outside the 300s tolerance');
+    expect(verifySignature(secret, {}, body, { now })).toBe('Missing x-sync-signature or x-sync-timestamp header');
+  });
+});
+
+describe('resolveEndpoint', () => {
+  test('should match by endpoint name or API path', () => {
+    expect(resolveEndpoint({ endpoint: 'payment-methods' }, config).name).toBe('payment-methods');
+    expect(resolveEndpoint({ path: '/api/account-specs' }, config).name).toBe('account-specs');
+    expect(resolveEndpoint({ endpoint: 'orders' }, config)).toBeNull();
+  });
+});
+
+describe('runEndpointPipeline', () => {
+  const options = { environment: 'production', outputDir: '/tmp/out', outputMode: 'minified' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should sync and deploy only the given endpoint', async () => {
+    main.mockResolvedValue({ success: true, results: [{ endpoint: 'account-specs', success: true }] });
+    deployOutputFiles.mockResolvedValue({ success: true });
+
+    await runEndpointPipeline('account-specs', options);
+
+    expect(main).toHaveBeenCalledWith({
+      endpoints: ['account-specs'],
+      outputDir: '/tmp/out',
+      outputMode: 'minified',
+      environment: 'production'
+    });
+    expect(deployOutputFiles).toHaveBeenCalledWith('production', { outputDir: '/tmp/out', endpoint: 'account-specs' });
+  });
+
+  test('should sync with the configuration it is given', async () => {
+    main.mockResolvedValue({ success: true, results: [{ endpoint: 'account-specs', success: true }] });
+    deployOutputFiles.mockResolvedValue({ success: true });
+
+    await runEndpointPipeline('account-specs', { ...options, config });
+
+    expect(main).toHaveBeenCalledWith(expect.objectContaining({ config, endpoints: ['account-specs'] }));
+  });
+
+  test('should not deploy after a failed sync', async () => {
+    main.mockResolvedValue({ success: false, results: [{ success: false, error: 'API error (500)' }] });
+
+    await expect(runEndpointPipeline('account-specs', options)).rejects.toThrow('Sync failed: API error (500)');
+    expect(deployOutputFiles).not.toHaveBeenCalled();
+  });
+});
+
+describe('createWebhookServer', () => {
+  let receiver;
+  let baseUrl;
+  let pipeline;
+
+  const start = async (options = {}) => {
+    receiver = createWebhookServer({ secret, config, debounceMs: 20, pipeline, ...options });
+    await new Promise(resolve => receiver.server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${receiver.server.address().port}`;
+  };
+
+  const deliver = (payload, headers) => {
+    const body = JSON.stringify(payload);
+    return fetch(`${baseUrl}/webhook`, { method: 'POST', body, headers: headers || signedHeaders(Buffer.from(body)) });
+  };
+
+  const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 500 && !condition(); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    pipeline = jest.fn(async () => ({}));
+  });
+
+  afterEach(async () => {
+    await receiver?.close();
+    receiver = null;
+    jest.restoreAllMocks();
+  });
+
+  test('should require a secret', () => {
+    expect(() => createWebhookServer({ config, secret: '' })).toThrow('Missing webhook secret');
+  });
+
+  test('should run the pipeline once for a burst of deliveries', async () => {
+    await start();
+
+    const responses = await Promise.all([
+      deliver({ endpoint: 'account-specs', id: 1 }),
+      deliver({ endpoint: 'account-specs', id: 2 }),
+      deliver({ path: '/api/account-specs', id: 3 })
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([202, 202, 202]);
+    expect(await responses[0].json()).toMatchObject({ accepted: true, endpoint: 'account-specs', state: 'pending' });
+
+    await waitFor(() => receiver.status().endpoints['account-specs'].runs === 1);
+    expect(pipeline).toHaveBeenCalledTimes(1);
+    expect(pipeline).toHaveBeenCalledWith('account-specs', expect.objectContaining({ environment: 'development', config }));
+  });
+
+  test('should queue one follow-up run for deliveries during a run', async () => {
+    let finish;
+    pipeline.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+    await start();
+
+    await deliver({ endpoint: 'account-specs', id: 1 });
+    await waitFor(() => pipeline.mock.calls.length === 1);
+    await deliver({ endpoint: 'account-specs', id: 2 });
+    await deliver({ endpoint: 'account-specs', id: 3 });
+    finish();
+
+    await waitFor(() => receiver.status().endpoints['account-specs'].runs === 2);
+    expect(pipeline).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not run pipelines of different endpoints at the same time', async () => {
+    const finish = {};
+    pipeline.mockImplementation(name => new Promise(resolve => { finish[name] = resolve; }));
+    await start();
+    const states = () => Object.values(receiver.status().endpoints).map(entry => entry.state).sort();
+
+    try {
+      await Promise.all([
+        deliver({ endpoint: 'account-specs' }),
+        deliver({ endpoint: 'payment-methods' })
+      ]);
+      await waitFor(() => states().join() === 'queued,running');
+      expect(pipeline).toHaveBeenCalledTimes(1);
+
+      const [first] = pipeline.mock.calls[0];
+      const second = first === 'account-specs' ? 'payment-methods' : 'account-specs';
+      expect(receiver.status().endpoints[second].state).toBe('queued');
+
+      finish[first]();
+      await waitFor(() => pipeline.mock.calls.length === 2);
+      expect(receiver.status().endpoints[first]).toMatchObject({ state: 'idle', runs: 1 });
+      expect(pipeline.mock.calls[1][0]).toBe(second);
+
+      finish[second]();
+      await waitFor(() => receiver.status().endpoints[second].runs === 1);
+      expect(states()).toEqual(['idle', 'idle']);
+    } finally {
+      // Let unfinished runs settle so close() does not wait for them
+      Object.values(finish).forEach(resolve => resolve());
+    }
+  });
+
+  test('should reject unsigned, replayed and unknown deliveries', async () => {
+    await start();
+    const body = JSON.stringify({ endpoint: 'account-specs' });
+    const headers = signedHeaders(Buffer.from(body));
+
+    const unsigned = await deliver({ endpoint: 'account-specs' }, { 'content-type': 'application/json' });
+    const first = await fetch(`${baseUrl}/webhook`, { method: 'POST', body, headers });
+    const replayed = await fetch(`${baseUrl}/webhook`, { method: 'POST', body, headers });
+    const unknown = await deliver({ endpoint: 'orders' });
+
+    expect(unsigned.status).toBe(401);
+    expect(first.status).toBe(202);
+    expect(replayed.status).toBe(409);
+    expect(unknown.status).toBe(422);
+    expect(await unknown.json()).toMatchObject({ endpoints: ['account-specs', 'payment-methods'] });
+  });
+
+  test('should report endpoint status on /health', async () => {
+    pipeline.mockRejectedValueOnce(new Error('Deploy failed: 1 of 5 files'));
+    await start();
+
+    await deliver({ endpoint: 'payment-methods' });
+    await waitFor(() => receiver.status().endpoints['payment-methods'].runs === 1);
+
+    const response = await fetch(`${baseUrl}/health`);
+    const health = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(health).toMatchObject({ status: 'healthy', service: 'webhook-receiver', debounceMs: 20 });
+    expect(health.endpoints['payment-methods']).toMatchObject({
+      state: 'idle',
+      deliveries: 1,
+      runs: 1,
+      lastRun: { success: false, error: 'Deploy failed: 1 of 5 files' }
+    });
+  });
+
+  test('should answer unknown routes with 404', async () => {
+    await start();
+
+    expect((await fetch(`${baseUrl}/sync`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/webhook`)).status).toBe(405);
+  });
+});